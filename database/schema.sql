@@ -45,7 +45,8 @@ CREATE TABLE user_organizations (
 CREATE TABLE agents (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(100) NOT NULL,
-    type VARCHAR(50) NOT NULL CHECK (type IN ('meeting-agent', 'mail-summarizer', 'report-generator', 'task-router')),
+    -- Built-in types plus any registered by agent plugins
+    type VARCHAR(50) NOT NULL UNIQUE CHECK (type ~ '^[a-z][a-z0-9-]{1,49}$'),
     description TEXT,
     configuration JSONB DEFAULT '{}',
     is_active BOOLEAN DEFAULT true,
@@ -59,7 +60,7 @@ CREATE TABLE user_agents (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
-    status VARCHAR(50) DEFAULT 'idle' CHECK (status IN ('idle', 'running', 'error', 'paused')),
+    status VARCHAR(50) DEFAULT 'idle' CHECK (status IN ('idle', 'running', 'error', 'paused', 'cancelled', 'timed_out')),
     last_run TIMESTAMP,
     performance_score DECIMAL(3,2) DEFAULT 0.0,
     auto_run_enabled BOOLEAN DEFAULT false,
@@ -70,11 +71,49 @@ CREATE TABLE user_agents (
     UNIQUE(user_id, agent_id)
 );
 
+-- Cron schedules for agent instances (replace auto_run_interval when present)
+CREATE TABLE agent_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_agent_id UUID UNIQUE REFERENCES user_agents(id) ON DELETE CASCADE,
+    cron_expression VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) DEFAULT 'UTC',
+    business_hours JSONB, -- { "days": [1,2,3,4,5], "start": "09:00", "end": "17:00" }
+    blackout_dates JSONB DEFAULT '[]', -- ["2024-12-25", { "from": "2024-12-24", "to": "2025-01-01" }]
+    is_active BOOLEAN DEFAULT true,
+    next_run_at TIMESTAMP,
+    last_fired_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Agent run queue and execution records
+CREATE TABLE agent_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_agent_id UUID REFERENCES user_agents(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+    params JSONB DEFAULT '{}',
+    trigger_source VARCHAR(20) DEFAULT 'manual' CHECK (trigger_source IN ('manual', 'scheduler', 'dependency', 'workflow')),
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead_letter', 'cancelled', 'timed_out')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    result JSONB,
+    error TEXT,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP,
+    cancel_requested_at TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Shared context and memory
 CREATE TABLE shared_context (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    context_type VARCHAR(50) NOT NULL CHECK (context_type IN ('schedule', 'deadline', 'commitment', 'resource')),
+    context_type VARCHAR(50) NOT NULL CHECK (context_type IN ('schedule', 'deadline', 'commitment', 'resource', 'email', 'chat', 'project')),
     data JSONB NOT NULL,
     priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
     tags TEXT[],
@@ -82,6 +121,72 @@ CREATE TABLE shared_context (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Summaries of synced emails, one per message
+CREATE TABLE email_summaries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    context_id UUID REFERENCES shared_context(id) ON DELETE CASCADE,
+    message_key VARCHAR(255) NOT NULL,
+    subject TEXT,
+    sender VARCHAR(255),
+    received_at TIMESTAMP,
+    summary TEXT NOT NULL,
+    key_sentences JSONB DEFAULT '[]',
+    action_items JSONB DEFAULT '[]',
+    deadlines JSONB DEFAULT '[]',
+    decisions JSONB DEFAULT '[]',
+    sentiment JSONB,
+    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    word_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, message_key)
+);
+
+-- Conversations reconstructed from synced email and whose turn it is to reply
+CREATE TABLE email_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    thread_key VARCHAR(500) NOT NULL,
+    subject TEXT,
+    participants JSONB DEFAULT '[]',
+    messages JSONB DEFAULT '[]',
+    message_count INTEGER DEFAULT 0,
+    unread_count INTEGER DEFAULT 0,
+    first_message_at TIMESTAMP,
+    last_message_at TIMESTAMP,
+    summary TEXT,
+    action_items JSONB DEFAULT '[]',
+    deadlines JSONB DEFAULT '[]',
+    decisions JSONB DEFAULT '[]',
+    sentiment JSONB,
+    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    reply_state VARCHAR(20) DEFAULT 'none' CHECK (reply_state IN ('awaiting_me', 'awaiting_them', 'none')),
+    owed_by JSONB DEFAULT '[]',
+    owed_to JSONB DEFAULT '[]',
+    waiting_since TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, thread_key)
+);
+
+-- Language model calls with their token counts and estimated cost
+CREATE TABLE llm_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    purpose VARCHAR(50) DEFAULT 'chat',
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    cost_usd NUMERIC(12, 8) DEFAULT 0,
+    latency_ms INTEGER,
+    attempts INTEGER DEFAULT 1,
+    status VARCHAR(20) DEFAULT 'success' CHECK (status IN ('success', 'error')),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Conflicts and resolutions
 CREATE TABLE conflicts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -163,10 +268,50 @@ CREATE TABLE analytics_events (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Reusable task blueprints, optionally repeating on an RRULE
+CREATE TABLE task_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    estimated_hours DECIMAL(4,2),
+    tags TEXT[] DEFAULT '{}',
+    subtasks JSONB DEFAULT '[]', -- ["Collect numbers", "Draft summary"]
+    metadata JSONB DEFAULT '{}',
+    recurrence_rule TEXT, -- e.g. FREQ=WEEKLY;BYDAY=FR
+    recurrence_start VARCHAR(19), -- wall-clock start in recurrence_timezone, e.g. 2024-01-05T09:00
+    recurrence_timezone VARCHAR(64) DEFAULT 'UTC',
+    due_in_hours DECIMAL(6,2), -- due_date = occurrence + due_in_hours
+    auto_assign BOOLEAN DEFAULT true,
+    is_active BOOLEAN DEFAULT true,
+    next_occurrence_at TIMESTAMP,
+    last_materialized_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, name)
+);
+
+-- Skipped or edited single occurrences of a recurring template
+CREATE TABLE task_template_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID REFERENCES task_templates(id) ON DELETE CASCADE,
+    occurrence_at TIMESTAMP NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('skip', 'modify')),
+    overrides JSONB DEFAULT '{}', -- title, description, priority, assignedTo, dueDate
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(template_id, occurrence_at)
+);
+
 -- Tasks and assignments
 CREATE TABLE tasks (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    parent_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    -- Set on tasks materialized from a recurring template
+    template_id UUID REFERENCES task_templates(id) ON DELETE SET NULL,
+    occurrence_at TIMESTAMP,
     title VARCHAR(255) NOT NULL,
     description TEXT,
     priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
@@ -177,10 +322,276 @@ CREATE TABLE tasks (
     actual_hours DECIMAL(4,2),
     tags TEXT[],
     metadata JSONB DEFAULT '{}',
+    completed_at TIMESTAMP,
+    -- SLA tracking, maintained by the SLA engine
+    sla_due_at TIMESTAMP,
+    sla_breached_at TIMESTAMP,
+    escalation_level INTEGER DEFAULT 0,
+    last_escalated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(template_id, occurrence_at)
+);
+
+-- task_id cannot start until blocked_by_task_id is completed or cancelled
+CREATE TABLE task_dependencies (
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    blocked_by_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, blocked_by_task_id),
+    CHECK (task_id != blocked_by_task_id)
+);
+
+CREATE TABLE task_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE task_watchers (
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, user_id)
+);
+
+-- One row per SLA breach handled by the SLA engine
+CREATE TABLE task_escalations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    level INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('escalated', 'notified')),
+    sla_due_at TIMESTAMP NOT NULL,
+    from_priority VARCHAR(20),
+    to_priority VARCHAR(20),
+    from_assignee VARCHAR(255),
+    to_assignee VARCHAR(255),
+    explanation TEXT,
+    notified_user_ids UUID[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Team roster used for task routing. Tasks reference members by name
+-- through tasks.assigned_to.
+CREATE TABLE team_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    skills TEXT[] DEFAULT '{}',
+    timezone VARCHAR(100) DEFAULT 'UTC',
+    working_hours JSONB DEFAULT '{"days": [1, 2, 3, 4, 5], "start": "09:00", "end": "17:00"}',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, name)
+);
+
+CREATE TABLE team_time_off (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    team_member_id UUID REFERENCES team_members(id) ON DELETE CASCADE,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_on >= starts_on)
+);
+
+-- Recurring meetings. Occurrences inside a rolling horizon are materialized
+-- as meetings rows so notes, invitations and availability treat them like
+-- any other meeting.
+CREATE TABLE meeting_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- organizer
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    meeting_type VARCHAR(50),
+    duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes > 0),
+    location TEXT,
+    objectives JSONB DEFAULT '[]',
+    participants JSONB DEFAULT '[]', -- [{ name, email, role, timeZone }]
+    agenda JSONB DEFAULT '{}',
+    preparation_items JSONB DEFAULT '[]',
+    effectiveness_score INTEGER,
+    recurrence_rule TEXT NOT NULL, -- e.g. FREQ=WEEKLY;BYDAY=MO,WE,FR
+    recurrence_start VARCHAR(19) NOT NULL, -- wall-clock start in recurrence_timezone
+    recurrence_timezone VARCHAR(64) DEFAULT 'UTC',
+    is_active BOOLEAN DEFAULT true,
+    materialized_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Skipped or changed single occurrences of a meeting series
+CREATE TABLE meeting_series_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    series_id UUID REFERENCES meeting_series(id) ON DELETE CASCADE,
+    occurrence_at TIMESTAMP NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('skip', 'modify')),
+    overrides JSONB DEFAULT '{}', -- title, startTime, duration, location
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(series_id, occurrence_at)
+);
+
+-- Meetings scheduled through the smart meeting assistant
+CREATE TABLE meetings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- organizer
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    meeting_type VARCHAR(50),
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+    timezone VARCHAR(64) DEFAULT 'UTC',
+    location TEXT,
+    objectives JSONB DEFAULT '[]',
+    agenda JSONB DEFAULT '{}',
+    preparation_items JSONB DEFAULT '[]',
+    suggestions JSONB DEFAULT '{}', -- suggestedTime, suggestedParticipants, estimatedDuration
+    effectiveness_score INTEGER,
+    ai_optimizations JSONB DEFAULT '[]',
+    metadata JSONB DEFAULT '{}',
+    completed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancellation_reason TEXT,
+    -- Set on occurrences materialized from a series
+    series_id UUID REFERENCES meeting_series(id) ON DELETE SET NULL,
+    occurrence_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time),
+    UNIQUE(series_id, occurrence_at)
+);
+
+-- Participants may be users here (user_id) or external people known by email
+CREATE TABLE meeting_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    role VARCHAR(50) DEFAULT 'participant',
+    time_zone VARCHAR(64) DEFAULT 'UTC',
+    response_status VARCHAR(20) DEFAULT 'pending' CHECK (response_status IN ('pending', 'accepted', 'declined', 'tentative')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Raw notes and what was extracted from them
+CREATE TABLE meeting_notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    raw_notes TEXT NOT NULL,
+    summary TEXT,
+    action_items JSONB DEFAULT '[]',
+    decisions JSONB DEFAULT '[]',
+    sentiment JSONB DEFAULT '{}',
+    key_points JSONB DEFAULT '[]',
+    follow_up_required BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Action items proposed from meeting notes; accepted ones become tasks
+CREATE TABLE meeting_action_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE,
+    meeting_note_id UUID REFERENCES meeting_notes(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    source_text TEXT,
+    owner_name VARCHAR(255),
+    owner_email VARCHAR(255),
+    assigned_to VARCHAR(255),
+    due_date TIMESTAMP,
+    due_phrase VARCHAR(100),
+    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'dismissed')),
+    task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Secret for a user's subscribable meeting feed (only the SHA-256 is stored)
+CREATE TABLE calendar_feed_tokens (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Agent change sets waiting for a human decision
+CREATE TABLE approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    user_agent_id UUID REFERENCES user_agents(id) ON DELETE SET NULL,
+    agent_type VARCHAR(50) NOT NULL,
+    action_type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    changes JSONB NOT NULL DEFAULT '[]',
+    diff JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'expired', 'failed')),
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP,
+    decision_note TEXT,
+    applied_at TIMESTAMP,
+    error TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Chatbot tool calls that change something, held until the user confirms
+CREATE TABLE chatbot_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID,
+    tool VARCHAR(50) NOT NULL,
+    arguments JSONB NOT NULL DEFAULT '{}',
+    summary TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'completed', 'cancelled', 'expired', 'failed')),
+    result JSONB,
+    error TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User-defined multi-step workflows
+CREATE TABLE workflows (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    definition JSONB NOT NULL,
+    source_format VARCHAR(10) DEFAULT 'json' CHECK (source_format IN ('json', 'yaml')),
+    source TEXT,
+    trigger_type VARCHAR(50) NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE workflow_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id UUID REFERENCES workflows(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'skipped')),
+    trigger_data JSONB DEFAULT '{}',
+    step_results JSONB DEFAULT '{}',
+    outputs JSONB DEFAULT '{}',
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
 -- Reports and exports
 CREATE TABLE reports (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -217,6 +628,23 @@ CREATE TABLE knowledge_base (
     UNIQUE(category, question)
 );
 
+-- Documents run through the document processor, kept so the chatbot can cite them
+CREATE TABLE documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100),
+    size_bytes INTEGER,
+    content TEXT NOT NULL,
+    document_type VARCHAR(50),
+    summary TEXT,
+    entities JSONB DEFAULT '{}',
+    action_items JSONB DEFAULT '[]',
+    language VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- System settings and configuration
 CREATE TABLE system_settings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -231,12 +659,22 @@ CREATE TABLE system_settings (
 -- Indexes for performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_agent_schedules_next_run ON agent_schedules(next_run_at) WHERE is_active = true;
+CREATE INDEX idx_agent_runs_user_agent_id ON agent_runs(user_agent_id);
+CREATE INDEX idx_agent_runs_user_id_created_at ON agent_runs(user_id, created_at);
+CREATE INDEX idx_agent_runs_status_next_attempt ON agent_runs(status, next_attempt_at);
 CREATE INDEX idx_activities_user_id ON activities(user_id);
 CREATE INDEX idx_activities_created_at ON activities(created_at);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_is_read ON notifications(is_read);
 CREATE INDEX idx_shared_context_user_id ON shared_context(user_id);
 CREATE INDEX idx_shared_context_type ON shared_context(context_type);
+CREATE UNIQUE INDEX idx_shared_context_source_id ON shared_context(user_id, context_type, (data->>'id'));
+CREATE INDEX idx_email_summaries_user_received ON email_summaries(user_id, received_at DESC);
+CREATE INDEX idx_email_summaries_context_id ON email_summaries(context_id);
+CREATE INDEX idx_email_threads_user_last_message ON email_threads(user_id, last_message_at DESC);
+CREATE INDEX idx_email_threads_reply_state ON email_threads(user_id, reply_state) WHERE reply_state != 'none';
+CREATE INDEX idx_llm_usage_user_created ON llm_usage(user_id, created_at);
 CREATE INDEX idx_conflicts_user_id ON conflicts(user_id);
 CREATE INDEX idx_conflicts_status ON conflicts(status);
 CREATE INDEX idx_integrations_user_id ON integrations(user_id);
@@ -246,9 +684,35 @@ CREATE INDEX idx_analytics_events_type ON analytics_events(event_type);
 CREATE INDEX idx_tasks_user_id ON tasks(user_id);
 CREATE INDEX idx_tasks_status ON tasks(status);
 CREATE INDEX idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX idx_tasks_user_assigned_to ON tasks(user_id, assigned_to);
+CREATE INDEX idx_tasks_sla_due_at ON tasks(sla_due_at) WHERE status IN ('pending', 'in-progress');
+CREATE INDEX idx_tasks_parent_task_id ON tasks(parent_task_id);
+CREATE INDEX idx_task_templates_next_occurrence ON task_templates(next_occurrence_at) WHERE is_active = true;
+CREATE INDEX idx_task_dependencies_blocked_by ON task_dependencies(blocked_by_task_id);
+CREATE INDEX idx_task_comments_task_id ON task_comments(task_id, created_at);
+CREATE INDEX idx_task_watchers_user_id ON task_watchers(user_id);
+CREATE INDEX idx_task_escalations_task_id ON task_escalations(task_id);
+CREATE INDEX idx_task_escalations_user_created ON task_escalations(user_id, created_at);
+CREATE INDEX idx_team_members_user_id ON team_members(user_id);
+CREATE INDEX idx_team_time_off_member_dates ON team_time_off(team_member_id, ends_on);
+CREATE INDEX idx_meetings_user_start ON meetings(user_id, start_time);
+CREATE INDEX idx_meetings_series_id ON meetings(series_id, start_time);
+CREATE INDEX idx_meeting_series_materialized ON meeting_series(materialized_until) WHERE is_active = true;
+CREATE INDEX idx_meeting_participants_meeting_id ON meeting_participants(meeting_id);
+CREATE INDEX idx_meeting_participants_user_id ON meeting_participants(user_id);
+CREATE INDEX idx_meeting_participants_email ON meeting_participants(LOWER(email));
+CREATE INDEX idx_meeting_notes_meeting_id ON meeting_notes(meeting_id, created_at);
+CREATE INDEX idx_meeting_action_items_meeting_id ON meeting_action_items(meeting_id, status);
+CREATE INDEX idx_meeting_action_items_task_id ON meeting_action_items(task_id);
+CREATE INDEX idx_approvals_user_status ON approvals(user_id, status);
+CREATE INDEX idx_approvals_pending_expiry ON approvals(expires_at) WHERE status = 'pending';
+CREATE INDEX idx_chatbot_actions_conversation ON chatbot_actions(user_id, conversation_id, status);
+CREATE INDEX idx_workflows_user_trigger ON workflows(user_id, trigger_type);
+CREATE INDEX idx_workflow_runs_workflow_id ON workflow_runs(workflow_id);
 CREATE INDEX idx_conversations_user_id ON conversations(user_id);
 CREATE INDEX idx_conversations_context ON conversations(context);
 CREATE INDEX idx_knowledge_base_category ON knowledge_base(category);
+CREATE INDEX idx_documents_user_created ON documents(user_id, created_at DESC);
 
 -- Triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -262,13 +726,42 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_agents_updated_at BEFORE UPDATE ON user_agents FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_agent_schedules_updated_at BEFORE UPDATE ON agent_schedules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_agent_runs_updated_at BEFORE UPDATE ON agent_runs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_shared_context_updated_at BEFORE UPDATE ON shared_context FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_email_summaries_updated_at BEFORE UPDATE ON email_summaries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_email_threads_updated_at BEFORE UPDATE ON email_threads FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_integrations_updated_at BEFORE UPDATE ON integrations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_templates_updated_at BEFORE UPDATE ON task_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_comments_updated_at BEFORE UPDATE ON task_comments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_team_members_updated_at BEFORE UPDATE ON team_members FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_meeting_series_updated_at BEFORE UPDATE ON meeting_series FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_meetings_updated_at BEFORE UPDATE ON meetings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_meeting_action_items_updated_at BEFORE UPDATE ON meeting_action_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_approvals_updated_at BEFORE UPDATE ON approvals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_chatbot_actions_updated_at BEFORE UPDATE ON chatbot_actions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_workflows_updated_at BEFORE UPDATE ON workflows FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_knowledge_base_updated_at BEFORE UPDATE ON knowledge_base FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_documents_updated_at BEFORE UPDATE ON documents FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Stamp completion time so SLA compliance can be measured
+CREATE OR REPLACE FUNCTION set_task_completed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'completed' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'completed') THEN
+        NEW.completed_at = CURRENT_TIMESTAMP;
+    ELSIF NEW.status != 'completed' THEN
+        NEW.completed_at = NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_tasks_completed_at BEFORE INSERT OR UPDATE OF status ON tasks FOR EACH ROW EXECUTE FUNCTION set_task_completed_at();
+
 -- Insert default agents
 INSERT INTO agents (name, type, description, configuration) VALUES
 ('Meeting Agent', 'meeting-agent', 'Manages calendars, proposes slots, and resolves overlaps', '{"auto_resolve_conflicts": true, "buffer_time": 15}'),
@@ -115,6 +115,42 @@ class MultiAgentAPI {
       this.emit('agent-result', data);
     });
 
+    this.socket.on('pipeline-step-updated', (data) => {
+      this.emit('pipeline-step-updated', data);
+    });
+
+    this.socket.on('workflow-run-completed', (data) => {
+      this.emit('workflow-run-completed', data);
+    });
+
+    this.socket.on('conflict-escalated', (data) => {
+      this.emit('conflict-escalated', data);
+    });
+
+    this.socket.on('approval-requested', (data) => {
+      this.emit('approval-requested', data);
+    });
+
+    this.socket.on('task-counts-updated', (data) => {
+      this.emit('task-counts-updated', data);
+    });
+
+    this.socket.on('task-updated', (data) => {
+      this.emit('task-updated', data);
+    });
+
+    this.socket.on('task-escalated', (data) => {
+      this.emit('task-escalated', data);
+    });
+
+    this.socket.on('meeting-updated', (data) => {
+      this.emit('meeting-updated', data);
+    });
+
+    this.socket.on('meeting-cancelled', (data) => {
+      this.emit('meeting-cancelled', data);
+    });
+
     this.socket.on('notification', (data) => {
       this.emit('notification', data);
     });
@@ -163,10 +199,27 @@ class MultiAgentAPI {
     return this.request('/agents');
   }
 
-  async runAgent(agentId, params = {}) {
+  async runAgent(agentId, params = {}, dryRun = false) {
     return this.request(`/agents/${agentId}/run`, {
       method: 'POST',
-      body: JSON.stringify({ params }),
+      body: JSON.stringify({ params, dryRun }),
+    });
+  }
+
+  async getAgentRun(runId) {
+    return this.request(`/agents/runs/${runId}`);
+  }
+
+  async cancelAgentRun(runId) {
+    return this.request(`/agents/runs/${runId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async runPipeline(target, params = {}, force = false) {
+    return this.request('/agents/pipelines/run', {
+      method: 'POST',
+      body: JSON.stringify({ target, params, force }),
     });
   }
 
@@ -177,10 +230,391 @@ class MultiAgentAPI {
     });
   }
 
+  async saveAgentSchedule(agentId, schedule) {
+    return this.request(`/agents/${agentId}/schedule`, {
+      method: 'PUT',
+      body: JSON.stringify(schedule),
+    });
+  }
+
+  async previewAgentSchedule(agentId, count = 10) {
+    return this.request(`/agents/${agentId}/schedule/preview?count=${count}`);
+  }
+
   async getAgentPerformance(agentId) {
     return this.request(`/agents/${agentId}/performance`);
   }
 
+  // Workflows API
+  async getWorkflows() {
+    return this.request('/workflows');
+  }
+
+  async createWorkflow(name, definition, description = '') {
+    return this.request('/workflows', {
+      method: 'POST',
+      body: JSON.stringify({ name, definition, description }),
+    });
+  }
+
+  async runWorkflow(workflowId, input = {}) {
+    return this.request(`/workflows/${workflowId}/run`, {
+      method: 'POST',
+      body: JSON.stringify({ input }),
+    });
+  }
+
+  // Conflicts API
+  async getConflicts(status = '') {
+    return this.request(`/conflicts${status ? `?status=${status}` : ''}`);
+  }
+
+  async overrideConflict(conflictId, strategy, note = '') {
+    return this.request(`/conflicts/${conflictId}/override`, {
+      method: 'POST',
+      body: JSON.stringify({ strategy, note }),
+    });
+  }
+
+  // Approvals API
+  async getApprovals(status = 'pending') {
+    return this.request(`/approvals?status=${status}`);
+  }
+
+  async decideApproval(approvalId, decision, note = '') {
+    return this.request(`/approvals/${approvalId}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  }
+
+  // Tasks API
+  async getTasks(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/tasks${query ? `?${query}` : ''}`);
+  }
+
+  async getTaskCounts() {
+    return this.request('/tasks/counts');
+  }
+
+  async getTask(taskId) {
+    return this.request(`/tasks/${taskId}`);
+  }
+
+  async createTask(task) {
+    return this.request('/tasks', {
+      method: 'POST',
+      body: JSON.stringify(task),
+    });
+  }
+
+  async updateTask(taskId, updates) {
+    return this.request(`/tasks/${taskId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async deleteTask(taskId) {
+    return this.request(`/tasks/${taskId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async addTaskDependency(taskId, blockedByTaskId) {
+    return this.request(`/tasks/${taskId}/dependencies`, {
+      method: 'POST',
+      body: JSON.stringify({ blockedByTaskId }),
+    });
+  }
+
+  async addTaskComment(taskId, body) {
+    return this.request(`/tasks/${taskId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  async watchTask(taskId, userId = null) {
+    return this.request(`/tasks/${taskId}/watchers`, {
+      method: 'POST',
+      body: JSON.stringify(userId ? { userId } : {}),
+    });
+  }
+
+  // Task Templates API
+  async getTaskTemplates() {
+    return this.request('/task-templates');
+  }
+
+  async createTaskTemplate(template) {
+    return this.request('/task-templates', {
+      method: 'POST',
+      body: JSON.stringify(template),
+    });
+  }
+
+  async updateTaskTemplate(templateId, updates) {
+    return this.request(`/task-templates/${templateId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async previewRecurrence(recurrence, count = 10) {
+    return this.request('/task-templates/preview', {
+      method: 'POST',
+      body: JSON.stringify({ ...recurrence, count }),
+    });
+  }
+
+  async getTemplateOccurrences(templateId, count = 10) {
+    return this.request(`/task-templates/${templateId}/occurrences?count=${count}`);
+  }
+
+  async skipOccurrence(templateId, occurrenceAt) {
+    return this.request(`/task-templates/${templateId}/occurrences/${encodeURIComponent(occurrenceAt)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action: 'skip' }),
+    });
+  }
+
+  async editOccurrence(templateId, occurrenceAt, overrides) {
+    return this.request(`/task-templates/${templateId}/occurrences/${encodeURIComponent(occurrenceAt)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action: 'modify', overrides }),
+    });
+  }
+
+  // Meetings API
+  async getMeetings(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/meetings${query ? `?${query}` : ''}`);
+  }
+
+  async getMeeting(meetingId) {
+    return this.request(`/meetings/${meetingId}`);
+  }
+
+  async scheduleMeeting(meeting) {
+    return this.request('/meetings/schedule', {
+      method: 'POST',
+      body: JSON.stringify(meeting),
+    });
+  }
+
+  async updateMeeting(meetingId, updates) {
+    return this.request(`/meetings/${meetingId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async cancelMeeting(meetingId, reason = null) {
+    return this.request(`/meetings/${meetingId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify(reason ? { reason } : {}),
+    });
+  }
+
+  async addMeetingNotes(meetingId, notes) {
+    return this.request(`/meetings/${meetingId}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ notes }),
+    });
+  }
+
+  async getMeetingActionItems(meetingId, status = null) {
+    return this.request(`/meetings/${meetingId}/action-items${status ? `?status=${status}` : ''}`);
+  }
+
+  async updateMeetingActionItem(meetingId, itemId, updates) {
+    return this.request(`/meetings/${meetingId}/action-items/${itemId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async reviewMeetingActionItems(meetingId, accept = [], dismiss = []) {
+    return this.request(`/meetings/${meetingId}/action-items/review`, {
+      method: 'POST',
+      body: JSON.stringify({ accept, dismiss }),
+    });
+  }
+
+  getMeetingIcsUrl(meetingId, invitation = false) {
+    return `${this.baseURL}/meetings/${meetingId}/ics${invitation ? '?method=request' : ''}`;
+  }
+
+  async importCalendar(ics) {
+    return this.request('/meetings/import', {
+      method: 'POST',
+      body: JSON.stringify({ ics }),
+    });
+  }
+
+  async createCalendarFeed() {
+    return this.request('/meetings/feed-token', {
+      method: 'POST',
+    });
+  }
+
+  async getAvailability(participants, { from, to, duration } = {}) {
+    const query = new URLSearchParams({ participants: participants.join(',') });
+    if (from) query.set('from', from);
+    if (to) query.set('to', to);
+    if (duration) query.set('duration', duration);
+    return this.request(`/meetings/availability?${query.toString()}`);
+  }
+
+  // Meeting Series API
+  async getMeetingSeries() {
+    return this.request('/meeting-series');
+  }
+
+  async createMeetingSeries(seriesData) {
+    return this.request('/meeting-series', {
+      method: 'POST',
+      body: JSON.stringify(seriesData),
+    });
+  }
+
+  async updateMeetingSeries(seriesId, updates) {
+    return this.request(`/meeting-series/${seriesId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async getSeriesOccurrences(seriesId, count = 10) {
+    return this.request(`/meeting-series/${seriesId}/occurrences?count=${count}`);
+  }
+
+  async skipSeriesOccurrence(seriesId, occurrenceAt) {
+    return this.request(`/meeting-series/${seriesId}/occurrences/${encodeURIComponent(occurrenceAt)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action: 'skip' }),
+    });
+  }
+
+  async editSeriesOccurrence(seriesId, occurrenceAt, overrides) {
+    return this.request(`/meeting-series/${seriesId}/occurrences/${encodeURIComponent(occurrenceAt)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action: 'modify', overrides }),
+    });
+  }
+
+  async addSeriesOccurrenceNotes(seriesId, occurrenceAt, notes) {
+    return this.request(`/meeting-series/${seriesId}/occurrences/${encodeURIComponent(occurrenceAt)}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ notes }),
+    });
+  }
+
+  async getSeriesConflicts(seriesId) {
+    return this.request(`/meeting-series/${seriesId}/conflicts`);
+  }
+
+  async getSeriesAnalytics(seriesId) {
+    return this.request(`/meeting-series/${seriesId}/analytics`);
+  }
+
+  // Chatbot API
+  async sendChatMessage(message, conversationId = null) {
+    return this.request('/chatbot/message', {
+      method: 'POST',
+      body: JSON.stringify(conversationId ? { message, conversationId } : { message }),
+    });
+  }
+
+  async decideChatbotAction(actionId, decision) {
+    return this.request(`/chatbot/actions/${actionId}/${decision}`, {
+      method: 'POST',
+    });
+  }
+
+  // Documents API
+  async processDocumentText(content, name = 'Text Document') {
+    return this.request('/documents/process', {
+      method: 'POST',
+      body: JSON.stringify({ content, name }),
+    });
+  }
+
+  async getDocuments(limit = 10) {
+    return this.request(`/documents/user?limit=${limit}`);
+  }
+
+  // Mail API
+  async getEmailSummaries(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/mail/summaries${query ? `?${query}` : ''}`);
+  }
+
+  async getEmailSummary(summaryId) {
+    return this.request(`/mail/summaries/${summaryId}`);
+  }
+
+  async getUnreadEmail(limit = 10) {
+    return this.request(`/mail/unread?limit=${limit}`);
+  }
+
+  async getEmailThreads(filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return this.request(`/mail/threads${query ? `?${query}` : ''}`);
+  }
+
+  async getEmailThread(threadId) {
+    return this.request(`/mail/threads/${threadId}`);
+  }
+
+  async getWaitingOn() {
+    return this.request('/mail/threads/waiting-on');
+  }
+
+  async refreshEmailSummaries(force = false) {
+    return this.request('/mail/summaries/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ force }),
+    });
+  }
+
+  // LLM API
+  async getLlmStatus() {
+    return this.request('/llm/status');
+  }
+
+  async getLlmUsage(since = null) {
+    return this.request(`/llm/usage${since ? `?since=${encodeURIComponent(since)}` : ''}`);
+  }
+
+  // Team API
+  async getTeam() {
+    return this.request('/team');
+  }
+
+  async addTeamMember(member) {
+    return this.request('/team', {
+      method: 'POST',
+      body: JSON.stringify(member),
+    });
+  }
+
+  async updateTeamMember(memberId, updates) {
+    return this.request(`/team/${memberId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async addTimeOff(memberId, from, to, reason = '') {
+    return this.request(`/team/${memberId}/time-off`, {
+      method: 'POST',
+      body: JSON.stringify({ from, to, reason }),
+    });
+  }
+
   // Integrations API
   async getIntegrations() {
     return this.request('/integrations');
@@ -252,6 +686,7 @@ class FrontendIntegration {
       integrations: [],
       notifications: [],
       analytics: null,
+      taskCounts: null,
     };
     
     this.initializeIntegration();
@@ -272,17 +707,19 @@ class FrontendIntegration {
 
   async loadUserData() {
     try {
-      const [profile, agents, integrations, notifications] = await Promise.all([
+      const [profile, agents, integrations, notifications, taskCounts] = await Promise.all([
         this.api.getUserProfile(),
         this.api.getAgents(),
         this.api.getIntegrations(),
         this.api.getNotifications(20, true),
+        this.api.getTaskCounts(),
       ]);
 
       this.state.user = profile.profile;
       this.state.agents = agents.agents;
       this.state.integrations = integrations.integrations;
       this.state.notifications = notifications.notifications;
+      this.state.taskCounts = taskCounts.counts;
 
       this.updateUI();
     } catch (error) {
@@ -310,6 +747,12 @@ class FrontendIntegration {
     this.api.on('integration-sync-completed', (data) => {
       this.handleIntegrationSync(data);
     });
+
+    // Task counters
+    this.api.on('task-counts-updated', (counts) => {
+      this.state.taskCounts = counts;
+      this.updateKPIs();
+    });
   }
 
   updateAgentStatus(data) {
@@ -354,6 +797,7 @@ class FrontendIntegration {
     this.updateAgentCards();
     this.updateIntegrationStatus();
     this.updateNotificationCount();
+    this.updateKPIs();
   }
 
   updateAgentCards() {
@@ -428,6 +872,7 @@ class FrontendIntegration {
       integrations: [],
       notifications: [],
       analytics: null,
+      taskCounts: null,
     };
     this.updateUI();
   }
@@ -564,6 +1009,13 @@ window.renderKPIs = function() {
     // Fallback to original function
     window.originalRenderKPIs();
   }
+
+  // Live counts from /api/tasks win over the analytics snapshot
+  const { taskCounts } = frontendIntegration.state;
+  const openTasksElement = document.querySelector('[data-hook="open-tasks"]');
+  if (taskCounts && openTasksElement) {
+    openTasksElement.textContent = taskCounts.open;
+  }
 };
 
 console.log('🚀 Multi-Agent Office Backend Integration Loaded!');
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 
 const router = express.Router();
 
@@ -44,6 +44,133 @@ module.exports = (db, agentOrchestrator) => {
     }
   });
 
+  // Get queued/executed agent run
+  router.get('/runs/:runId', [
+    param('runId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const userId = req.user.id;
+      const { runId } = req.params;
+
+      const run = await agentOrchestrator.getRun(runId, userId);
+
+      if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+      }
+
+      res.json({ run });
+    } catch (error) {
+      console.error('Get agent run error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Cancel a queued or running agent run
+  router.post('/runs/:runId/cancel', [
+    param('runId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const userId = req.user.id;
+      const { runId } = req.params;
+
+      let run;
+      try {
+        run = await agentOrchestrator.cancelRun(runId, userId);
+      } catch (error) {
+        if (error.status === 409) {
+          return res.status(409).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+      }
+
+      res.json({
+        message: run.status === 'cancelled' ? 'Agent run cancelled' : 'Cancellation requested',
+        run
+      });
+    } catch (error) {
+      console.error('Cancel agent run error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Run an agent together with the agents it depends on
+  router.post('/pipelines/run', [
+    body('target').isString().notEmpty(),
+    body('params').optional().isObject(),
+    body('force').optional().isBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const userId = req.user.id;
+      const { target, params = {}, force = false } = req.body;
+
+      let executionOrder;
+      try {
+        executionOrder = agentOrchestrator.resolveExecutionOrder(target);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const pipeline = await agentOrchestrator.runPipeline(userId, target, params, { force });
+
+      res.status(202).json({
+        message: 'Pipeline started',
+        pipelineId: pipeline.id,
+        executionOrder,
+        pipeline
+      });
+    } catch (error) {
+      console.error('Run pipeline error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get pipeline progress
+  router.get('/pipelines/:pipelineId', async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { pipelineId } = req.params;
+
+      const pipeline = agentOrchestrator.getPipeline(pipelineId, userId);
+
+      if (!pipeline) {
+        return res.status(404).json({ error: 'Pipeline not found' });
+      }
+
+      res.json({ pipeline });
+    } catch (error) {
+      console.error('Get pipeline error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   // Get specific agent
   router.get('/:agentId', async (req, res) => {
     try {
@@ -91,7 +218,8 @@ module.exports = (db, agentOrchestrator) => {
 
   // Run agent
   router.post('/:agentId/run', [
-    body('params').optional().isObject()
+    body('params').optional().isObject(),
+    body('dryRun').optional().isBoolean()
   ], async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -104,7 +232,7 @@ module.exports = (db, agentOrchestrator) => {
 
       const userId = req.user.id;
       const { agentId } = req.params;
-      const { params = {} } = req.body;
+      const { params = {}, dryRun = false } = req.body;
 
       // Get agent instance
       const result = await db.query(`
@@ -119,12 +247,20 @@ module.exports = (db, agentOrchestrator) => {
 
       const instanceId = result.rows[0].instance_id;
 
-      // Run agent
-      const agentResult = await agentOrchestrator.runAgent(instanceId, params);
+      // Simulations run inline and leave no run record
+      if (dryRun) {
+        const instance = await agentOrchestrator.loadAgentInstance(instanceId);
+        const simulation = await agentOrchestrator.runAgent(instance.id, params, { dryRun: true });
+        return res.json({ message: 'Dry run completed', simulation });
+      }
 
-      res.json({
-        message: 'Agent executed successfully',
-        result: agentResult
+      // Queue agent run; results are delivered via the run record and sockets
+      const run = await agentOrchestrator.enqueueRun(instanceId, params);
+
+      res.status(202).json({
+        message: 'Agent run queued',
+        runId: run.id,
+        status: run.status
       });
     } catch (error) {
       console.error('Run agent error:', error);
@@ -134,7 +270,7 @@ module.exports = (db, agentOrchestrator) => {
 
   // Update agent settings
   router.put('/:agentId/settings', [
-    body('settings').isObject(),
+    body('settings').isObject({ strict: true }),
     body('autoRunEnabled').optional().isBoolean(),
     body('autoRunInterval').optional().isInt({ min: 5, max: 1440 })
   ], async (req, res) => {
@@ -151,6 +287,19 @@ module.exports = (db, agentOrchestrator) => {
       const { agentId } = req.params;
       const { settings, autoRunEnabled, autoRunInterval } = req.body;
 
+      const agent = await db.query('SELECT type FROM agents WHERE id = $1', [agentId]);
+      if (agent.rows.length === 0) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const configErrors = agentOrchestrator.validateAgentConfig(agent.rows[0].type, settings);
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid agent settings',
+          details: configErrors
+        });
+      }
+
       const result = await db.query(`
         UPDATE user_agents 
         SET 
@@ -181,6 +330,166 @@ module.exports = (db, agentOrchestrator) => {
     }
   });
 
+  const getInstanceId = async (userId, agentId) => {
+    const result = await db.query(`
+      SELECT id FROM user_agents WHERE user_id = $1 AND agent_id = $2
+    `, [userId, agentId]);
+
+    return result.rows[0] ? result.rows[0].id : null;
+  };
+
+  // Get agent cron schedule
+  router.get('/:agentId/schedule', async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { agentId } = req.params;
+
+      const instanceId = await getInstanceId(userId, agentId);
+      if (!instanceId) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const schedule = await agentOrchestrator.scheduler.getSchedule(instanceId);
+
+      res.json({ schedule });
+    } catch (error) {
+      console.error('Get agent schedule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create or replace agent cron schedule
+  router.put('/:agentId/schedule', [
+    body('cron').isString(),
+    body('timezone').optional().isString(),
+    body('businessHours').optional({ nullable: true }).isObject(),
+    body('blackoutDates').optional().isArray(),
+    body('isActive').optional().isBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const userId = req.user.id;
+      const { agentId } = req.params;
+      const scheduler = agentOrchestrator.scheduler;
+
+      const instanceId = await getInstanceId(userId, agentId);
+      if (!instanceId) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const schedule = {
+        cron: req.body.cron,
+        timezone: req.body.timezone || await scheduler.getUserTimeZone(userId),
+        businessHours: req.body.businessHours || null,
+        blackoutDates: req.body.blackoutDates || [],
+        isActive: req.body.isActive
+      };
+
+      const scheduleErrors = scheduler.validateSchedule(schedule);
+      if (scheduleErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          details: scheduleErrors
+        });
+      }
+
+      const saved = await scheduler.saveSchedule(instanceId, schedule);
+
+      res.json({
+        message: 'Agent schedule saved successfully',
+        schedule: saved,
+        warning: saved.nextRunAt ? undefined : 'Schedule has no upcoming fire times within its windows'
+      });
+    } catch (error) {
+      console.error('Save agent schedule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove agent cron schedule (falls back to autoRunInterval)
+  router.delete('/:agentId/schedule', async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { agentId } = req.params;
+
+      const instanceId = await getInstanceId(userId, agentId);
+      if (!instanceId) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const deleted = await agentOrchestrator.scheduler.deleteSchedule(instanceId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      res.json({ message: 'Agent schedule removed successfully' });
+    } catch (error) {
+      console.error('Delete agent schedule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Preview upcoming fire times for the saved schedule, or for an unsaved
+  // one passed as query parameters
+  router.get('/:agentId/schedule/preview', async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { agentId } = req.params;
+      const count = Math.min(Math.max(parseInt(req.query.count) || 10, 1), 100);
+      const scheduler = agentOrchestrator.scheduler;
+
+      const instanceId = await getInstanceId(userId, agentId);
+      if (!instanceId) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      let schedule;
+      if (req.query.cron) {
+        try {
+          schedule = {
+            cron: req.query.cron,
+            timezone: req.query.timezone || await scheduler.getUserTimeZone(userId),
+            businessHours: req.query.businessHours ? JSON.parse(req.query.businessHours) : null,
+            blackoutDates: req.query.blackoutDates ? JSON.parse(req.query.blackoutDates) : []
+          };
+        } catch (error) {
+          return res.status(400).json({ error: 'businessHours and blackoutDates must be JSON' });
+        }
+
+        const scheduleErrors = scheduler.validateSchedule(schedule);
+        if (scheduleErrors.length > 0) {
+          return res.status(400).json({
+            error: 'Invalid schedule',
+            details: scheduleErrors
+          });
+        }
+      } else {
+        schedule = await scheduler.getSchedule(instanceId);
+        if (!schedule) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+      }
+
+      const fireTimes = scheduler.getNextFireTimes(schedule, count);
+
+      res.json({
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        fireTimes: fireTimes.map(time => time.toISOString())
+      });
+    } catch (error) {
+      console.error('Preview agent schedule error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   // Get agent performance metrics
   router.get('/:agentId/performance', async (req, res) => {
     try {
@@ -191,15 +500,16 @@ module.exports = (db, agentOrchestrator) => {
         SELECT 
           ua.performance_score,
           ua.last_run,
-          COUNT(act.id) as total_executions,
-          COUNT(CASE WHEN act.severity = 'error' THEN 1 END) as error_count,
-          AVG(EXTRACT(EPOCH FROM (act.created_at - LAG(act.created_at) OVER (ORDER BY act.created_at)))) as avg_interval_seconds
+          COUNT(r.id) as total_executions,
+          COUNT(CASE WHEN r.status = 'completed' THEN 1 END) as success_count,
+          COUNT(CASE WHEN r.status IN ('dead_letter', 'timed_out') THEN 1 END) as error_count,
+          AVG(CASE WHEN r.status = 'completed' THEN EXTRACT(EPOCH FROM (r.completed_at - r.started_at)) END) as avg_duration_seconds,
+          EXTRACT(EPOCH FROM (MAX(r.created_at) - MIN(r.created_at))) / NULLIF(COUNT(r.id) - 1, 0) as avg_interval_seconds
         FROM user_agents ua
-        LEFT JOIN activities act ON ua.id = act.agent_id 
-          AND act.activity_type = 'agent_execution'
-          AND act.created_at > NOW() - INTERVAL '30 days'
+        LEFT JOIN agent_runs r ON ua.id = r.user_agent_id 
+          AND r.created_at > NOW() - INTERVAL '30 days'
         WHERE ua.user_id = $1 AND ua.agent_id = $2
-        GROUP BY ua.performance_score, ua.last_run
+        GROUP BY ua.id, ua.performance_score, ua.last_run
       `, [userId, agentId]);
 
       if (result.rows.length === 0) {
@@ -207,13 +517,16 @@ module.exports = (db, agentOrchestrator) => {
       }
 
       const row = result.rows[0];
+      const successCount = parseInt(row.success_count) || 0;
+      const errorCount = parseInt(row.error_count) || 0;
+      const finishedCount = successCount + errorCount;
       const performance = {
         performanceScore: parseFloat(row.performance_score) || 0,
         lastRun: row.last_run,
         totalExecutions: parseInt(row.total_executions) || 0,
-        errorCount: parseInt(row.error_count) || 0,
-        successRate: row.total_executions > 0 ? 
-          ((row.total_executions - row.error_count) / row.total_executions) * 100 : 0,
+        errorCount,
+        successRate: finishedCount > 0 ? (successCount / finishedCount) * 100 : 0,
+        avgDurationSeconds: parseFloat(row.avg_duration_seconds) || 0,
         avgIntervalMinutes: Math.round((parseFloat(row.avg_interval_seconds) || 0) / 60)
       };
 
@@ -229,30 +542,20 @@ module.exports = (db, agentOrchestrator) => {
     try {
       const userId = req.user.id;
       const { agentId } = req.params;
-      const { limit = 50, offset = 0 } = req.query;
+      const { limit = 50, offset = 0, status, triggerSource } = req.query;
 
       const result = await db.query(`
-        SELECT 
-          act.id,
-          act.description,
-          act.metadata,
-          act.severity,
-          act.created_at
-        FROM activities act
-        JOIN user_agents ua ON act.agent_id = ua.id
+        SELECT r.*
+        FROM agent_runs r
+        JOIN user_agents ua ON r.user_agent_id = ua.id
         WHERE ua.user_id = $1 AND ua.agent_id = $2
-          AND act.activity_type = 'agent_execution'
-        ORDER BY act.created_at DESC
-        LIMIT $3 OFFSET $4
-      `, [userId, agentId, parseInt(limit), parseInt(offset)]);
+          AND ($3::varchar IS NULL OR r.status = $3)
+          AND ($4::varchar IS NULL OR r.trigger_source = $4)
+        ORDER BY r.created_at DESC
+        LIMIT $5 OFFSET $6
+      `, [userId, agentId, status || null, triggerSource || null, parseInt(limit), parseInt(offset)]);
 
-      const history = result.rows.map(row => ({
-        id: row.id,
-        description: row.description,
-        metadata: row.metadata,
-        severity: row.severity,
-        createdAt: row.created_at
-      }));
+      const history = result.rows.map(row => agentOrchestrator.runQueue.formatRun(row));
 
       res.json({ history });
     } catch (error) {
@@ -278,6 +581,9 @@ module.exports = (db, agentOrchestrator) => {
         return res.status(404).json({ error: 'Agent not found' });
       }
 
+      // Stop the current run, if any, in this process
+      await agentOrchestrator.pauseAgent(result.rows[0].id);
+
       res.json({
         message: 'Agent paused successfully',
         status: 'paused'
@@ -365,13 +671,24 @@ module.exports = (db, agentOrchestrator) => {
         ORDER BY name
       `);
 
-      const agentTypes = result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        type: row.type,
-        description: row.description,
-        configuration: row.configuration
-      }));
+      const registered = new Map(agentOrchestrator.getAgentTypes().map(agentType => [agentType.type, agentType]));
+
+      // Only list types that have an implementation loaded in this process
+      const agentTypes = result.rows
+        .filter(row => registered.has(row.type))
+        .map(row => {
+          const agentType = registered.get(row.type);
+          return {
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            description: row.description,
+            configuration: row.configuration,
+            source: agentType.source,
+            configSchema: agentType.configSchema,
+            coordinationRules: agentType.coordinationRules
+          };
+        });
 
       res.json({ agentTypes });
     } catch (error) {
@@ -105,7 +105,7 @@ module.exports = (db, analyticsEngine) => {
 
       const { startDate, endDate } = analyticsEngine.parseTimeRange(timeRange);
 
-      const [tasksResult, meetingsResult, emailsResult] = await Promise.all([
+      const [tasksResult, meetingsResult, emailsResult, slaMetrics] = await Promise.all([
         db.query(`
           SELECT 
             status,
@@ -130,7 +130,9 @@ module.exports = (db, analyticsEngine) => {
           WHERE user_id = $1 
             AND activity_type LIKE '%email%'
             AND created_at BETWEEN $2 AND $3
-        `, [userId, startDate, endDate])
+        `, [userId, startDate, endDate]),
+
+        analyticsEngine.getSlaComplianceMetrics(userId, startDate, endDate)
       ]);
 
       const taskMetrics = {};
@@ -159,6 +161,7 @@ module.exports = (db, analyticsEngine) => {
         emails: {
           processed: parseInt(emailsResult.rows[0]?.processed_emails) || 0
         },
+        sla: slaMetrics,
         productivityScore: analyticsEngine.calculateProductivityScore(taskMetrics, meetingsResult.rows[0], emailsResult.rows[0])
       };
 
@@ -177,49 +180,7 @@ module.exports = (db, analyticsEngine) => {
 
       const { startDate, endDate } = analyticsEngine.parseTimeRange(timeRange);
 
-      const result = await db.query(`
-        SELECT 
-          a.name,
-          a.type,
-          ua.performance_score,
-          ua.status,
-          COUNT(act.id) as executions,
-          AVG(EXTRACT(EPOCH FROM (act.created_at - LAG(act.created_at) OVER (PARTITION BY ua.id ORDER BY act.created_at)))) as avg_interval_seconds
-        FROM user_agents ua
-        JOIN agents a ON ua.agent_id = a.id
-        LEFT JOIN activities act ON ua.id = act.agent_id 
-          AND act.created_at BETWEEN $2 AND $3
-        WHERE ua.user_id = $1
-        GROUP BY a.id, a.name, a.type, ua.performance_score, ua.status
-      `, [userId, startDate, endDate]);
-
-      const agentMetrics = {};
-      let totalPerformance = 0;
-      let activeAgents = 0;
-
-      result.rows.forEach(row => {
-        agentMetrics[row.type] = {
-          name: row.name,
-          performanceScore: parseFloat(row.performance_score) || 0,
-          status: row.status,
-          executions: parseInt(row.executions) || 0,
-          avgIntervalMinutes: Math.round((parseFloat(row.avg_interval_seconds) || 0) / 60)
-        };
-
-        if (row.status === 'idle' || row.status === 'running') {
-          totalPerformance += parseFloat(row.performance_score) || 0;
-          activeAgents++;
-        }
-      });
-
-      const performance = {
-        agents: agentMetrics,
-        averagePerformance: activeAgents > 0 ? totalPerformance / activeAgents : 0,
-        totalAgents: result.rows.length,
-        activeAgents,
-        bestPerformingAgent: Object.entries(agentMetrics)
-          .sort(([,a], [,b]) => b.performanceScore - a.performanceScore)[0]?.[0] || null
-      };
+      const performance = await analyticsEngine.getAgentPerformanceMetrics(userId, startDate, endDate);
 
       res.json({ performance });
     } catch (error) {
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+module.exports = (db, approvalService) => {
+  // Get approvals for user
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+      const result = await db.query(`
+        SELECT * FROM approvals
+        WHERE user_id = $1 AND ($2 = 'all' OR status = $2)
+        ORDER BY created_at DESC
+        LIMIT $3 OFFSET $4
+      `, [userId, status, limit, offset]);
+
+      res.json({ approvals: result.rows.map(row => approvalService.formatApproval(row)) });
+    } catch (error) {
+      console.error('Get approvals error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get specific approval with its diff
+  router.get('/:approvalId', [
+    param('approvalId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { approvalId } = req.params;
+
+      const approval = await approvalService.getApproval(approvalId, userId);
+
+      if (!approval) {
+        return res.status(404).json({ error: 'Approval not found' });
+      }
+
+      res.json({ approval: approvalService.formatApproval(approval) });
+    } catch (error) {
+      console.error('Get approval error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Approve or reject a proposed change set
+  router.post('/:approvalId/:decision', [
+    param('approvalId').isUUID(),
+    param('decision').isIn(['approve', 'reject']),
+    body('note').optional().isString().isLength({ max: 1000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { approvalId, decision } = req.params;
+      const { note } = req.body;
+
+      let approval;
+      try {
+        approval = decision === 'approve' ?
+          await approvalService.approve(approvalId, userId, note) :
+          await approvalService.reject(approvalId, userId, note);
+      } catch (error) {
+        if (error.status === 409) {
+          return res.status(409).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      if (!approval) {
+        return res.status(404).json({ error: 'Approval not found' });
+      }
+
+      res.json({
+        message: approval.status === 'failed' ?
+          'Approval could not be applied' :
+          `Changes ${approval.status}`,
+        approval
+      });
+    } catch (error) {
+      console.error('Approval decision error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
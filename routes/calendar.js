@@ -0,0 +1,35 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// Public calendar endpoints. Clients subscribing to the feed cannot send a
+// bearer token, so the secret in the URL is the credential.
+module.exports = (db, icalendarService) => {
+  // Subscribable per-user meeting feed
+  router.get('/feed/:token.ics', [
+    param('token').isHexadecimal().isLength({ min: 48, max: 48 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const ics = await icalendarService.getFeed(req.params.token);
+
+      if (!ics) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.send(ics);
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 
 const router = express.Router();
 
@@ -7,7 +7,8 @@ module.exports = (db, aiChatbot) => {
   // Send message to chatbot
   router.post('/message', [
     body('message').notEmpty().isLength({ min: 1, max: 1000 }),
-    body('conversationId').optional().isUUID()
+    body('conversationId').optional().isUUID(),
+    body('model').optional().isString().isLength({ min: 1, max: 100 })
   ], async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -19,15 +20,19 @@ module.exports = (db, aiChatbot) => {
       }
 
       const userId = req.user.id;
-      const { message, conversationId } = req.body;
+      const { message, conversationId, model } = req.body;
 
-      const result = await aiChatbot.processMessage(userId, message, conversationId);
+      const result = await aiChatbot.processMessage(userId, message, conversationId, { model });
 
       res.json({
         message: 'Message processed successfully',
         conversationId: result.conversationId,
         response: result.response,
-        timestamp: result.timestamp
+        timestamp: result.timestamp,
+        toolCall: result.toolCall || null,
+        pendingAction: result.pendingAction || null,
+        toolResult: result.toolResult || null,
+        sources: result.sources || []
       });
     } catch (error) {
       console.error('Chatbot message error:', error);
@@ -35,6 +40,45 @@ module.exports = (db, aiChatbot) => {
     }
   });
 
+  // Confirm or cancel an action the chatbot is waiting on
+  router.post('/actions/:actionId/:decision', [
+    param('actionId').isUUID(),
+    param('decision').isIn(['confirm', 'cancel'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!aiChatbot.toolService) {
+        return res.status(404).json({ error: 'Chatbot actions are not available' });
+      }
+
+      const outcome = await aiChatbot.resolveAction(req.user.id, req.params.actionId, req.params.decision === 'confirm');
+
+      if (!outcome) {
+        return res.status(404).json({ error: 'Action not found' });
+      }
+
+      res.json({
+        message: outcome.text,
+        status: outcome.status,
+        action: outcome.action,
+        result: outcome.result === undefined ? null : outcome.result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Chatbot action error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   // Get conversation history
   router.get('/conversations', async (req, res) => {
     try {
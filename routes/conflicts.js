@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+module.exports = (db, agentOrchestrator) => {
+  const conflictResolver = agentOrchestrator.conflictResolver;
+
+  // Get conflicts for user
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { status, type, limit = 50, offset = 0 } = req.query;
+
+      let query = `
+        SELECT * FROM conflicts
+        WHERE user_id = $1
+      `;
+      const params = [userId];
+
+      if (status) {
+        params.push(status);
+        query += ` AND status = $${params.length}`;
+      }
+
+      if (type) {
+        params.push(type);
+        query += ` AND conflict_type = $${params.length}`;
+      }
+
+      params.push(limit, offset);
+      query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+      const result = await db.query(query, params);
+
+      res.json({ conflicts: result.rows.map(row => conflictResolver.formatConflict(row)) });
+    } catch (error) {
+      console.error('Get conflicts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get specific conflict
+  router.get('/:conflictId', [
+    param('conflictId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { conflictId } = req.params;
+
+      const conflict = await conflictResolver.getConflict(conflictId, userId);
+
+      if (!conflict) {
+        return res.status(404).json({ error: 'Conflict not found' });
+      }
+
+      res.json({ conflict: conflictResolver.formatConflict(conflict) });
+    } catch (error) {
+      console.error('Get conflict error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Override the resolver's decision
+  router.post('/:conflictId/override', [
+    param('conflictId').isUUID(),
+    body('strategy').isIn(['preempt', 'wait-and-retry', 'merge', 'dismiss']),
+    body('note').optional().isString().isLength({ max: 1000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { conflictId } = req.params;
+      const { strategy, note } = req.body;
+
+      const conflict = await conflictResolver.override(conflictId, userId, strategy, note);
+
+      if (!conflict) {
+        return res.status(404).json({ error: 'Conflict not found' });
+      }
+
+      res.json({
+        message: 'Conflict resolution overridden',
+        conflict
+      });
+    } catch (error) {
+      console.error('Override conflict error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
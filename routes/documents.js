@@ -25,7 +25,8 @@ const upload = multer({
 module.exports = (db, documentProcessor) => {
   // Process document
   router.post('/process', upload.single('document'), [
-    body('content').optional().isLength({ min: 1, max: 10000 })
+    body('content').optional().isLength({ min: 1, max: 10000 }),
+    body('model').optional().isString().isLength({ min: 1, max: 100 })
   ], async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -60,11 +61,12 @@ module.exports = (db, documentProcessor) => {
         return res.status(400).json({ error: 'No document or content provided' });
       }
 
-      const result = await documentProcessor.processDocument(userId, documentData);
+      const result = await documentProcessor.processDocument(userId, documentData, { model: req.body.model });
 
       res.json({
         message: 'Document processing started',
         processingId: result.processingId,
+        documentId: result.documentId || null,
         status: result.status
       });
     } catch (error) {
@@ -139,6 +141,7 @@ module.exports = (db, documentProcessor) => {
         results.push({
           fileName: file.originalname,
           processingId: result.processingId,
+          documentId: result.documentId || null,
           status: result.status
         });
       }
@@ -0,0 +1,37 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+module.exports = (db, llmService) => {
+  // Which providers are configured and their default models
+  router.get('/status', (req, res) => {
+    res.json({ status: llmService.getStatus() });
+  });
+
+  // Token and cost totals for the current user by provider, model and purpose
+  router.get('/usage', [
+    query('since').optional().isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const usage = await llmService.getUsage(req.user.id, {
+        since: req.query.since ? new Date(req.query.since) : null
+      });
+
+      res.json({ usage });
+    } catch (error) {
+      console.error('Get LLM usage error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+module.exports = (db, mailService) => {
+  // Summaries of synced email, newest first
+  router.get('/summaries', [
+    query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+    query('sentiment').optional().isIn(['positive', 'neutral', 'negative']),
+    query('since').optional().isISO8601(),
+    query('hasActionItems').optional().isBoolean(),
+    query('search').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await mailService.listSummaries(req.user.id, {
+        priority: req.query.priority,
+        sentiment: req.query.sentiment,
+        since: req.query.since ? new Date(req.query.since) : null,
+        hasActionItems: req.query.hasActionItems === undefined ? undefined : req.query.hasActionItems === 'true',
+        search: req.query.search,
+        limit: parseInt(req.query.limit) || 20,
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Get email summaries error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Queue a Mail Summarizer run over new (or, with force, all) email
+  router.post('/summaries/refresh', [
+    body('force').optional().isBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const run = await mailService.requestSummaries(req.user.id, { force: req.body.force === true });
+
+      if (!run) {
+        return res.status(404).json({ error: 'Mail Summarizer agent not found' });
+      }
+
+      res.status(202).json({
+        message: 'Email summarization queued',
+        runId: run.id
+      });
+    } catch (error) {
+      console.error('Refresh email summaries error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get summary
+  router.get('/summaries/:summaryId', [
+    param('summaryId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const summary = await mailService.getSummary(req.params.summaryId, req.user.id);
+
+      if (!summary) {
+        return res.status(404).json({ error: 'Email summary not found' });
+      }
+
+      res.json({ summary });
+    } catch (error) {
+      console.error('Get email summary error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Unread email with a short summary of each
+  router.get('/unread', [
+    query('limit').optional().isInt({ min: 1, max: 50 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const digest = await mailService.getUnreadDigest(req.user.id, {
+        limit: parseInt(req.query.limit) || 10
+      });
+
+      res.json(digest);
+    } catch (error) {
+      console.error('Get unread email digest error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Conversations, most recent activity first
+  router.get('/threads', [
+    query('replyState').optional().isIn(['awaiting_me', 'awaiting_them', 'none']),
+    query('unread').optional().isBoolean(),
+    query('search').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await mailService.listThreads(req.user.id, {
+        replyState: req.query.replyState,
+        unread: req.query.unread === undefined ? undefined : req.query.unread === 'true',
+        search: req.query.search,
+        limit: parseInt(req.query.limit) || 20,
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Get email threads error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Who owes the user a reply, and which threads the user still has to answer
+  router.get('/threads/waiting-on', async (req, res) => {
+    try {
+      const result = await mailService.getWaitingOn(req.user.id);
+      res.json(result);
+    } catch (error) {
+      console.error('Get waiting-on list error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get thread
+  router.get('/threads/:threadId', [
+    param('threadId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const thread = await mailService.getThread(req.params.threadId, req.user.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Email thread not found' });
+      }
+
+      res.json({ thread });
+    } catch (error) {
+      console.error('Get email thread error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,351 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const MAX_CONFLICT_DAYS = 366;
+
+module.exports = (db, meetingSeriesService) => {
+  // Occurrences are addressed by their ISO instant, e.g. 2024-01-15T08:00:00.000Z
+  const parseOccurrence = (req, res) => {
+    const occurrenceAt = new Date(req.params.occurrenceAt);
+    if (isNaN(occurrenceAt.getTime())) {
+      res.status(400).json({ error: 'Invalid occurrence time' });
+      return null;
+    }
+    return occurrenceAt;
+  };
+
+  // List series
+  router.get('/', async (req, res) => {
+    try {
+      const series = await meetingSeriesService.listSeries(req.user.id);
+      res.json({ series });
+    } catch (error) {
+      console.error('Get meeting series error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a series; upcoming occurrences are scheduled right away
+  router.post('/', async (req, res) => {
+    try {
+      const errors = meetingSeriesService.validateSeries(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid meeting series',
+          details: errors
+        });
+      }
+
+      const result = await meetingSeriesService.createSeries(req.user.id, req.body);
+
+      res.status(201).json({
+        message: 'Meeting series created',
+        ...result
+      });
+    } catch (error) {
+      console.error('Create meeting series error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get series
+  router.get('/:seriesId', [
+    param('seriesId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const series = await meetingSeriesService.getSeriesRow(req.params.seriesId, req.user.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      res.json({ series: meetingSeriesService.formatSeries(series) });
+    } catch (error) {
+      console.error('Get meeting series error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update series; timing changes reschedule future occurrences without notes
+  router.put('/:seriesId', [
+    param('seriesId').isUUID(),
+    body('isActive').optional().isBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const seriesErrors = meetingSeriesService.validateSeries({ ...req.body, recurrence: undefined }, { partial: true });
+      if (seriesErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid meeting series',
+          details: seriesErrors
+        });
+      }
+
+      const result = await meetingSeriesService.updateSeries(req.params.seriesId, req.user.id, req.body);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      res.json({
+        message: 'Meeting series updated',
+        ...result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update meeting series error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete series; future occurrences are cancelled, held ones are kept
+  router.delete('/:seriesId', [
+    param('seriesId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const deleted = await meetingSeriesService.deleteSeries(req.params.seriesId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      res.json({ message: 'Meeting series deleted' });
+    } catch (error) {
+      console.error('Delete meeting series error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Occurrences with their status, meeting and notes
+  router.get('/:seriesId/occurrences', [
+    param('seriesId').isUUID(),
+    query('count').optional().isInt({ min: 1, max: 100 }),
+    query('from').optional().isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const series = await meetingSeriesService.getSeriesRow(req.params.seriesId, req.user.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      const occurrences = await meetingSeriesService.getOccurrences(series, {
+        count: parseInt(req.query.count) || 10,
+        from: req.query.from ? new Date(req.query.from) : new Date()
+      });
+
+      res.json({ occurrences });
+    } catch (error) {
+      console.error('Get series occurrences error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Skip or change a single occurrence
+  router.put('/:seriesId/occurrences/:occurrenceAt', [
+    param('seriesId').isUUID(),
+    body('action').isIn(['skip', 'modify']),
+    body('overrides').optional().isObject(),
+    body('overrides.title').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('overrides.startTime').optional().isISO8601(),
+    body('overrides.duration').optional().isInt({ min: 5, max: 480 }),
+    body('overrides.location').optional().isString()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const occurrenceAt = parseOccurrence(req, res);
+      if (!occurrenceAt) return;
+
+      const result = await meetingSeriesService.setException(req.params.seriesId, req.user.id, occurrenceAt, req.body);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      res.json({
+        message: req.body.action === 'skip' ? 'Occurrence skipped' : 'Occurrence updated',
+        ...result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Set series exception error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Restore an occurrence to the series defaults
+  router.delete('/:seriesId/occurrences/:occurrenceAt', [
+    param('seriesId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const occurrenceAt = parseOccurrence(req, res);
+      if (!occurrenceAt) return;
+
+      const removed = await meetingSeriesService.removeException(req.params.seriesId, req.user.id, occurrenceAt);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Occurrence exception not found' });
+      }
+
+      res.json({ message: 'Occurrence restored' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Remove series exception error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Notes for one occurrence; it is scheduled first if it is not yet
+  router.post('/:seriesId/occurrences/:occurrenceAt/notes', [
+    param('seriesId').isUUID(),
+    body('notes').isString().trim().isLength({ min: 1, max: 50000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const occurrenceAt = parseOccurrence(req, res);
+      if (!occurrenceAt) return;
+
+      const result = await meetingSeriesService.addOccurrenceNotes(req.params.seriesId, req.user.id, occurrenceAt, req.body.notes);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Add occurrence notes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Clashes of every occurrence in the window with participants' calendars
+  router.get('/:seriesId/conflicts', [
+    param('seriesId').isUUID(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : null;
+
+      if (to && to <= from) {
+        return res.status(400).json({ error: 'to must be after from' });
+      }
+      if (to && to - from > MAX_CONFLICT_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: `Conflict range cannot exceed ${MAX_CONFLICT_DAYS} days` });
+      }
+
+      const series = await meetingSeriesService.getSeriesRow(req.params.seriesId, req.user.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      const result = await meetingSeriesService.detectConflicts(series, { from, to });
+      res.json(result);
+    } catch (error) {
+      console.error('Get series conflicts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Predicted versus observed effectiveness across held occurrences
+  router.get('/:seriesId/analytics', [
+    param('seriesId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const analytics = await meetingSeriesService.getAnalytics(req.params.seriesId, req.user.id);
+
+      if (!analytics) {
+        return res.status(404).json({ error: 'Meeting series not found' });
+      }
+
+      res.json({ analytics });
+    } catch (error) {
+      console.error('Get series analytics error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
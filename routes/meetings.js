@@ -0,0 +1,474 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const MAX_AVAILABILITY_DAYS = 31;
+
+module.exports = (db, smartMeetingAssistant, icalendarService, meetingTaskService) => {
+  // Free/busy across participants with ranked candidate slots
+  router.get('/availability', [
+    query('participants').optional().isString(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('duration').optional().isInt({ min: 5, max: 480 }),
+    query('buffer').optional().isInt({ min: 0, max: 240 }),
+    query('limit').optional().isInt({ min: 1, max: 50 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+      if (to <= from) {
+        return res.status(400).json({ error: 'to must be after from' });
+      }
+      if (to - from > MAX_AVAILABILITY_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: `Availability range cannot exceed ${MAX_AVAILABILITY_DAYS} days` });
+      }
+
+      const availability = await smartMeetingAssistant.getAvailability(req.user.id, {
+        participants: (req.query.participants || '').split(','),
+        from,
+        to,
+        durationMinutes: parseInt(req.query.duration) || 30,
+        bufferMinutes: parseInt(req.query.buffer) || 0,
+        limit: parseInt(req.query.limit) || 10
+      });
+
+      res.json(availability);
+    } catch (error) {
+      console.error('Get availability error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // List meetings the user organizes or attends
+  router.get('/', [
+    query('status').optional().isString(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await smartMeetingAssistant.listMeetings(req.user.id, req.query);
+      res.json(result);
+    } catch (error) {
+      console.error('Get meetings error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Schedule a meeting; the assistant fills in agenda, preparation and timing
+  router.post('/schedule', [
+    body('title').isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('meetingType').optional().isString().isLength({ max: 50 }),
+    body('startTime').optional().isISO8601(),
+    body('duration').optional().isInt({ min: 5, max: 480 }),
+    body('timezone').optional().isString(),
+    body('participants').optional().isArray({ max: 100 }),
+    body('objectives').optional().isArray()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await smartMeetingAssistant.scheduleMeeting(req.user.id, {
+        duration: 60,
+        participants: [],
+        ...req.body
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Schedule meeting error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Import an .ics file into the schedule so conflict detection covers it
+  router.post('/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), [
+    body('ics').optional().isString()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const ics = typeof req.body === 'string' ? req.body : req.body.ics;
+      if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+        return res.status(400).json({ error: 'Request must contain an iCalendar document' });
+      }
+
+      const result = await icalendarService.importCalendar(req.user.id, ics);
+
+      res.status(201).json({
+        message: `Imported ${result.imported} calendar entr${result.imported === 1 ? 'y' : 'ies'}`,
+        ...result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Import calendar error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create or rotate the subscribable feed URL; the old URL stops working
+  router.post('/feed-token', async (req, res) => {
+    try {
+      const token = await icalendarService.createFeedToken(req.user.id);
+
+      res.status(201).json({
+        message: 'Calendar feed created',
+        url: `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+      });
+    } catch (error) {
+      console.error('Create feed token error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Revoke the feed URL
+  router.delete('/feed-token', async (req, res) => {
+    try {
+      const revoked = await icalendarService.revokeFeedToken(req.user.id);
+
+      if (!revoked) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      res.json({ message: 'Calendar feed revoked' });
+    } catch (error) {
+      console.error('Revoke feed token error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get meeting with participants and latest notes
+  router.get('/:meetingId', [
+    param('meetingId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const meeting = await smartMeetingAssistant.getMeeting(req.params.meetingId, req.user.id);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      res.json({ meeting });
+    } catch (error) {
+      console.error('Get meeting error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update meeting (organizer only); a participants array replaces the list
+  router.put('/:meetingId', [
+    param('meetingId').isUUID(),
+    body('title').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('meetingType').optional().isString().isLength({ max: 50 }),
+    body('startTime').optional().isISO8601(),
+    body('duration').optional().isInt({ min: 5, max: 480 }),
+    body('timezone').optional().isString(),
+    body('location').optional().isString(),
+    body('participants').optional().isArray({ max: 100 }),
+    body('objectives').optional().isArray()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const meeting = await smartMeetingAssistant.updateMeeting(req.params.meetingId, req.user.id, req.body);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      res.json({
+        message: 'Meeting updated',
+        meeting
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update meeting error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Cancel meeting (organizer only)
+  router.post('/:meetingId/cancel', [
+    param('meetingId').isUUID(),
+    body('reason').optional().isString().isLength({ max: 1000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const meeting = await smartMeetingAssistant.cancelMeeting(req.params.meetingId, req.user.id, req.body.reason);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      res.json({
+        message: 'Meeting cancelled',
+        meeting
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Cancel meeting error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Download a meeting as .ics; method=request produces an invitation
+  router.get('/:meetingId/ics', [
+    param('meetingId').isUUID(),
+    query('method').optional().isIn(['publish', 'request'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await icalendarService.exportMeeting(req.params.meetingId, req.user.id, {
+        method: (req.query.method || 'publish').toUpperCase()
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const method = req.query.method === 'request' ? `; method=${result.meeting.status === 'cancelled' ? 'CANCEL' : 'REQUEST'}` : '';
+      res.set('Content-Type', `text/calendar; charset=utf-8${method}`);
+      res.set('Content-Disposition', `attachment; filename="meeting-${result.meeting.id}.ics"`);
+      res.send(result.ics);
+    } catch (error) {
+      console.error('Export meeting error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Process meeting notes into summary, action items and decisions
+  router.post('/:meetingId/notes', [
+    param('meetingId').isUUID(),
+    body('notes').isString().trim().isLength({ min: 1, max: 50000 }),
+    body('model').optional().isString().isLength({ min: 1, max: 100 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await smartMeetingAssistant.processMeetingNotes(req.params.meetingId, req.body.notes, req.user.id, {
+        model: req.body.model
+      });
+      res.json(result);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Process meeting notes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Notes history
+  router.get('/:meetingId/notes', [
+    param('meetingId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const meeting = await smartMeetingAssistant.getMeetingRow(req.params.meetingId, req.user.id);
+
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const notes = await smartMeetingAssistant.getMeetingNotes(req.params.meetingId);
+      res.json({ notes });
+    } catch (error) {
+      console.error('Get meeting notes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Action items proposed from notes, with the tasks created from them
+  router.get('/:meetingId/action-items', [
+    param('meetingId').isUUID(),
+    query('status').optional().isIn(['proposed', 'accepted', 'dismissed'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const actionItems = await meetingTaskService.listActionItems(req.params.meetingId, req.user.id, req.query);
+
+      if (!actionItems) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      res.json({ actionItems });
+    } catch (error) {
+      console.error('Get action items error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Edit a proposal before it is accepted (organizer only)
+  router.put('/:meetingId/action-items/:itemId', [
+    param('meetingId').isUUID(),
+    param('itemId').isUUID(),
+    body('title').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('assignedTo').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('dueDate').optional({ nullable: true }).isISO8601(),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'urgent'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const actionItem = await meetingTaskService.updateActionItem(
+        req.params.meetingId,
+        req.params.itemId,
+        req.user.id,
+        req.body
+      );
+
+      if (!actionItem) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      res.json({
+        message: 'Action item updated',
+        actionItem
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update action item error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Accept proposals into tasks and dismiss the rest (organizer only)
+  router.post('/:meetingId/action-items/review', [
+    param('meetingId').isUUID(),
+    body('accept').optional().isArray({ max: 100 }),
+    body('accept.*').isUUID(),
+    body('dismiss').optional().isArray({ max: 100 }),
+    body('dismiss.*').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const accept = req.body.accept || [];
+      const dismiss = req.body.dismiss || [];
+      if (accept.length === 0 && dismiss.length === 0) {
+        return res.status(400).json({ error: 'Nothing to review' });
+      }
+
+      const result = await meetingTaskService.reviewActionItems(req.params.meetingId, req.user.id, { accept, dismiss });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      res.status(result.created.length > 0 ? 201 : 200).json({
+        message: `Created ${result.created.length} task${result.created.length === 1 ? '' : 's'} from action items`,
+        ...result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Review action items error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
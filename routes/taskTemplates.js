@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+module.exports = (db, taskTemplateService) => {
+  // Occurrences are addressed by their ISO instant, e.g. 2024-01-15T08:00:00.000Z
+  const parseOccurrence = (req, res) => {
+    const occurrenceAt = new Date(req.params.occurrenceAt);
+    if (isNaN(occurrenceAt.getTime())) {
+      res.status(400).json({ error: 'Invalid occurrence time' });
+      return null;
+    }
+    return occurrenceAt;
+  };
+
+  // List templates
+  router.get('/', async (req, res) => {
+    try {
+      const templates = await taskTemplateService.listTemplates(req.user.id);
+      res.json({ templates });
+    } catch (error) {
+      console.error('Get task templates error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create template, optionally with a recurrence rule
+  router.post('/', async (req, res) => {
+    try {
+      const errors = taskTemplateService.validateTemplate(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid task template',
+          details: errors
+        });
+      }
+
+      const template = await taskTemplateService.createTemplate(req.user.id, req.body);
+
+      res.status(201).json({
+        message: 'Task template created',
+        template
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A template with this name already exists' });
+      }
+      console.error('Create task template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Preview the next occurrences of a rule before saving it
+  router.post('/preview', [
+    body('count').optional().isInt({ min: 1, max: 100 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const recurrenceErrors = taskTemplateService.validateRecurrence(req.body);
+      if (recurrenceErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid recurrence',
+          details: recurrenceErrors
+        });
+      }
+
+      const occurrences = taskTemplateService.previewRule(req.body, parseInt(req.body.count) || 10);
+      res.json({ occurrences });
+    } catch (error) {
+      console.error('Preview recurrence error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get template
+  router.get('/:templateId', [
+    param('templateId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const template = await taskTemplateService.getTemplateRow(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Task template not found' });
+      }
+
+      res.json({ template: taskTemplateService.formatTemplate(template) });
+    } catch (error) {
+      console.error('Get task template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update template; recurrence: null stops the schedule
+  router.put('/:templateId', [
+    param('templateId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const templateErrors = taskTemplateService.validateTemplate({ ...req.body, recurrence: undefined }, { partial: true });
+      if (templateErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid task template',
+          details: templateErrors
+        });
+      }
+
+      const template = await taskTemplateService.updateTemplate(req.params.templateId, req.user.id, req.body);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Task template not found' });
+      }
+
+      res.json({
+        message: 'Task template updated',
+        template
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A template with this name already exists' });
+      }
+      console.error('Update task template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete template; tasks already generated are kept
+  router.delete('/:templateId', [
+    param('templateId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const deleted = await taskTemplateService.deleteTemplate(req.params.templateId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Task template not found' });
+      }
+
+      res.json({ message: 'Task template deleted' });
+    } catch (error) {
+      console.error('Delete task template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a task from the template right away
+  router.post('/:templateId/tasks', [
+    param('templateId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const template = await taskTemplateService.getTemplateRow(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Task template not found' });
+      }
+
+      const task = await taskTemplateService.instantiate(template, { overrides: req.body || {} });
+
+      if (template.auto_assign && !task.assignedTo) {
+        await taskTemplateService.routeTasks(req.user.id, [task.id]);
+      }
+
+      res.status(201).json({
+        message: 'Task created from template',
+        task
+      });
+    } catch (error) {
+      console.error('Instantiate task template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Upcoming occurrences with their skip/modify status
+  router.get('/:templateId/occurrences', [
+    param('templateId').isUUID(),
+    query('count').optional().isInt({ min: 1, max: 100 }),
+    query('from').optional().isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const template = await taskTemplateService.getTemplateRow(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Task template not found' });
+      }
+
+      const occurrences = await taskTemplateService.getOccurrences(template, {
+        count: parseInt(req.query.count) || 10,
+        from: req.query.from ? new Date(req.query.from) : new Date()
+      });
+
+      res.json({ occurrences });
+    } catch (error) {
+      console.error('Get occurrences error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Skip or edit a single occurrence
+  router.put('/:templateId/occurrences/:occurrenceAt', [
+    param('templateId').isUUID(),
+    body('action').isIn(['skip', 'modify']),
+    body('overrides').optional().isObject(),
+    body('overrides.priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+    body('overrides.dueDate').optional({ nullable: true }).isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const occurrenceAt = parseOccurrence(req, res);
+      if (!occurrenceAt) return;
+
+      const result = await taskTemplateService.setException(req.params.templateId, req.user.id, occurrenceAt, req.body);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Task template not found' });
+      }
+
+      res.json({
+        message: req.body.action === 'skip' ? 'Occurrence skipped' : 'Occurrence updated',
+        ...result
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Set occurrence exception error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Restore an occurrence to the template defaults
+  router.delete('/:templateId/occurrences/:occurrenceAt', [
+    param('templateId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const occurrenceAt = parseOccurrence(req, res);
+      if (!occurrenceAt) return;
+
+      const removed = await taskTemplateService.removeException(req.params.templateId, req.user.id, occurrenceAt);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Occurrence exception not found' });
+      }
+
+      res.json({ message: 'Occurrence restored' });
+    } catch (error) {
+      console.error('Remove occurrence exception error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
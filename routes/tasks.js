@@ -0,0 +1,445 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+
+module.exports = (db, taskService, slaEngine) => {
+  const taskValidators = (optional) => [
+    optional ? body('title').optional().isString().trim().isLength({ min: 1, max: 255 }) :
+      body('title').isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('priority').optional().isIn(PRIORITIES),
+    body('status').optional().isIn(STATUSES),
+    body('assignedTo').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('dueDate').optional({ nullable: true }).isISO8601(),
+    body('estimatedHours').optional({ nullable: true }).isFloat({ min: 0, max: 99 }),
+    body('tags').optional().isArray(),
+    body('metadata').optional().isObject()
+  ];
+
+  // Tasks the caller owns; comments and watchers hang off these
+  const findTask = async (req, res) => {
+    const task = await taskService.getTaskRow(req.params.taskId, req.user.id);
+    if (!task) {
+      res.status(404).json({ error: 'Task not found' });
+    }
+    return task;
+  };
+
+  // List tasks with filtering, sorting and pagination
+  router.get('/', [
+    query('priority').optional().isString(),
+    query('status').optional().isString(),
+    query('parentTaskId').optional().custom(value => value === 'none' || /^[0-9a-f-]{36}$/i.test(value)),
+    query('dueBefore').optional().isISO8601(),
+    query('dueAfter').optional().isISO8601(),
+    query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'dueDate', 'slaDueAt', 'priority', 'title', 'status']),
+    query('order').optional().isIn(['asc', 'desc']),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const result = await taskService.listTasks(req.user.id, req.query);
+      res.json(result);
+    } catch (error) {
+      console.error('Get tasks error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Task counters for the dashboard
+  router.get('/counts', async (req, res) => {
+    try {
+      const counts = await taskService.getCounts(req.user.id);
+      res.json({ counts });
+    } catch (error) {
+      console.error('Get task counts error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get task with subtasks, dependencies and watchers
+  router.get('/:taskId', [
+    param('taskId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const task = await taskService.getTask(req.params.taskId, req.user.id);
+
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      res.json({ task });
+    } catch (error) {
+      console.error('Get task error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create task
+  router.post('/', [
+    ...taskValidators(false),
+    body('parentTaskId').optional({ nullable: true }).isUUID(),
+    body('blockedBy').optional().isArray(),
+    body('blockedBy.*').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const task = await taskService.createTask(req.user.id, req.body);
+
+      res.status(201).json({
+        message: 'Task created',
+        task
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Create task error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create subtask
+  router.post('/:taskId/subtasks', [
+    param('taskId').isUUID(),
+    ...taskValidators(false)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const task = await taskService.createTask(req.user.id, {
+        ...req.body,
+        parentTaskId: req.params.taskId
+      });
+
+      res.status(201).json({
+        message: 'Subtask created',
+        task
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Create subtask error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update task; status changes must follow the allowed transitions
+  router.put('/:taskId', [
+    param('taskId').isUUID(),
+    ...taskValidators(true),
+    body('actualHours').optional({ nullable: true }).isFloat({ min: 0, max: 99 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const task = await taskService.updateTask(req.params.taskId, req.user.id, req.body);
+
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      res.json({
+        message: 'Task updated',
+        task
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update task error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete task (subtasks go with it)
+  router.delete('/:taskId', [
+    param('taskId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const deleted = await taskService.deleteTask(req.params.taskId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      res.json({ message: 'Task deleted' });
+    } catch (error) {
+      console.error('Delete task error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Mark a task as blocked by another
+  router.post('/:taskId/dependencies', [
+    param('taskId').isUUID(),
+    body('blockedByTaskId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const task = await taskService.addDependency(req.params.taskId, req.body.blockedByTaskId, req.user.id);
+
+      res.status(201).json({
+        message: 'Dependency added',
+        task
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Add dependency error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove dependency
+  router.delete('/:taskId/dependencies/:blockedByTaskId', [
+    param('taskId').isUUID(),
+    param('blockedByTaskId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const removed = await taskService.removeDependency(req.params.taskId, req.params.blockedByTaskId, req.user.id);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Dependency not found' });
+      }
+
+      res.json({ message: 'Dependency removed' });
+    } catch (error) {
+      console.error('Remove dependency error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get comments
+  router.get('/:taskId/comments', [
+    param('taskId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!(await findTask(req, res))) return;
+
+      const { limit = 50, offset = 0 } = req.query;
+      const comments = await taskService.getComments(req.params.taskId, limit, offset);
+
+      res.json({ comments });
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Add comment
+  router.post('/:taskId/comments', [
+    param('taskId').isUUID(),
+    body('body').isString().trim().isLength({ min: 1, max: 5000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!(await findTask(req, res))) return;
+
+      const comment = await taskService.addComment(req.params.taskId, req.user.id, req.body.body);
+
+      res.status(201).json({
+        message: 'Comment added',
+        comment
+      });
+    } catch (error) {
+      console.error('Add comment error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete own comment
+  router.delete('/:taskId/comments/:commentId', [
+    param('taskId').isUUID(),
+    param('commentId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!(await findTask(req, res))) return;
+
+      const deleted = await taskService.deleteComment(req.params.taskId, req.params.commentId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      res.json({ message: 'Comment deleted' });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Add watcher (defaults to the caller)
+  router.post('/:taskId/watchers', [
+    param('taskId').isUUID(),
+    body('userId').optional().isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!(await findTask(req, res))) return;
+
+      const watcherId = req.body.userId || req.user.id;
+      const user = await db.query('SELECT id FROM users WHERE id = $1 AND is_active = true', [watcherId]);
+
+      if (user.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const watchers = await taskService.addWatcher(req.params.taskId, watcherId);
+
+      res.status(201).json({
+        message: 'Watcher added',
+        watchers
+      });
+    } catch (error) {
+      console.error('Add watcher error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove watcher
+  router.delete('/:taskId/watchers/:userId', [
+    param('taskId').isUUID(),
+    param('userId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!(await findTask(req, res))) return;
+
+      const removed = await taskService.removeWatcher(req.params.taskId, req.params.userId);
+
+      if (!removed) {
+        return res.status(404).json({ error: 'Watcher not found' });
+      }
+
+      res.json({ message: 'Watcher removed' });
+    } catch (error) {
+      console.error('Remove watcher error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // SLA escalation history
+  router.get('/:taskId/escalations', [
+    param('taskId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const escalations = await slaEngine.getEscalations(req.params.taskId, req.user.id);
+      res.json({ escalations });
+    } catch (error) {
+      console.error('Get escalations error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,193 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const TeamRoster = require('../services/TeamRoster');
+
+const router = express.Router();
+
+module.exports = (db) => {
+  const roster = new TeamRoster(db);
+
+  const memberValidators = (optional) => [
+    optional ? body('name').optional().isString().trim().isLength({ min: 1, max: 255 }) :
+      body('name').isString().trim().isLength({ min: 1, max: 255 }),
+    body('email').optional().isEmail(),
+    body('skills').optional().isArray(),
+    body('timezone').optional().isString(),
+    body('workingHours').optional().isObject(),
+    body('isActive').optional().isBoolean()
+  ];
+
+  const duplicateName = (error) => error.code === '23505';
+
+  // Get team roster with current load and upcoming time off
+  router.get('/', async (req, res) => {
+    try {
+      const members = await roster.getMembers(req.user.id);
+      res.json({ members });
+    } catch (error) {
+      console.error('Get team error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Add team member
+  router.post('/', memberValidators(false), async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const memberErrors = roster.validateMember(req.body);
+      if (memberErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid team member', details: memberErrors });
+      }
+
+      const member = await roster.createMember(req.user.id, req.body);
+
+      res.status(201).json({
+        message: 'Team member added',
+        member
+      });
+    } catch (error) {
+      if (duplicateName(error)) {
+        return res.status(409).json({ error: 'A team member with this name already exists' });
+      }
+      console.error('Add team member error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update team member
+  router.put('/:memberId', [
+    param('memberId').isUUID(),
+    ...memberValidators(true)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const memberErrors = roster.validateMember(req.body);
+      if (memberErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid team member', details: memberErrors });
+      }
+
+      const member = await roster.updateMember(req.params.memberId, req.user.id, req.body);
+
+      if (!member) {
+        return res.status(404).json({ error: 'Team member not found' });
+      }
+
+      res.json({
+        message: 'Team member updated',
+        member
+      });
+    } catch (error) {
+      if (duplicateName(error)) {
+        return res.status(409).json({ error: 'A team member with this name already exists' });
+      }
+      console.error('Update team member error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove team member
+  router.delete('/:memberId', [
+    param('memberId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const deleted = await roster.deleteMember(req.params.memberId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Team member not found' });
+      }
+
+      res.json({ message: 'Team member removed' });
+    } catch (error) {
+      console.error('Remove team member error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Record time off
+  router.post('/:memberId/time-off', [
+    param('memberId').isUUID(),
+    body('from').isISO8601(),
+    body('to').isISO8601(),
+    body('reason').optional().isString().isLength({ max: 255 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { from, to, reason } = req.body;
+      if (from > to) {
+        return res.status(400).json({ error: 'Time off must end on or after its start' });
+      }
+
+      const timeOff = await roster.addTimeOff(req.params.memberId, req.user.id, { from, to, reason });
+
+      if (!timeOff) {
+        return res.status(404).json({ error: 'Team member not found' });
+      }
+
+      res.status(201).json({
+        message: 'Time off recorded',
+        timeOff
+      });
+    } catch (error) {
+      console.error('Add time off error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove time off
+  router.delete('/:memberId/time-off/:timeOffId', [
+    param('memberId').isUUID(),
+    param('timeOffId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const deleted = await roster.removeTimeOff(req.params.memberId, req.params.timeOffId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Time off not found' });
+      }
+
+      res.json({ message: 'Time off removed' });
+    } catch (error) {
+      console.error('Remove time off error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
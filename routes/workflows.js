@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+const formatWorkflow = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  definition: row.definition,
+  sourceFormat: row.source_format,
+  source: row.source,
+  triggerType: row.trigger_type,
+  isActive: row.is_active,
+  lastRunAt: row.last_run_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatWorkflowRun = (row) => ({
+  id: row.id,
+  workflowId: row.workflow_id,
+  status: row.status,
+  trigger: row.trigger_data,
+  steps: row.step_results,
+  outputs: row.outputs,
+  error: row.error,
+  startedAt: row.started_at,
+  completedAt: row.completed_at
+});
+
+module.exports = (db, workflowEngine) => {
+  // Accepts either a JSON object or a YAML string and returns the parsed
+  // definition, or sends a 400 and returns null
+  const parseAndValidate = (input, res) => {
+    let parsed;
+    try {
+      parsed = workflowEngine.parseDefinition(input);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return null;
+    }
+
+    const definitionErrors = workflowEngine.validateDefinition(parsed.definition);
+    if (definitionErrors.length > 0) {
+      res.status(400).json({
+        error: 'Invalid workflow definition',
+        details: definitionErrors
+      });
+      return null;
+    }
+
+    return parsed;
+  };
+
+  // Get all workflows for user
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const result = await db.query(`
+        SELECT * FROM workflows
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+      `, [userId]);
+
+      res.json({ workflows: result.rows.map(formatWorkflow) });
+    } catch (error) {
+      console.error('Get workflows error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Validate a definition without saving it
+  router.post('/validate', [
+    body('definition').exists()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const parsed = parseAndValidate(req.body.definition, res);
+      if (!parsed) return;
+
+      res.json({ valid: true, definition: parsed.definition });
+    } catch (error) {
+      console.error('Validate workflow error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get specific workflow
+  router.get('/:workflowId', [
+    param('workflowId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { workflowId } = req.params;
+
+      const result = await db.query(`
+        SELECT * FROM workflows
+        WHERE id = $1 AND user_id = $2
+      `, [workflowId, userId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+
+      res.json({ workflow: formatWorkflow(result.rows[0]) });
+    } catch (error) {
+      console.error('Get workflow error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create workflow
+  router.post('/', [
+    body('name').isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional().isString(),
+    body('definition').exists(),
+    body('isActive').optional().isBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { name, description, definition, isActive = true } = req.body;
+
+      const parsed = parseAndValidate(definition, res);
+      if (!parsed) return;
+
+      const result = await db.query(`
+        INSERT INTO workflows (user_id, name, description, definition, source_format, source, trigger_type, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        userId,
+        name,
+        description || null,
+        JSON.stringify(parsed.definition),
+        parsed.format,
+        parsed.source,
+        parsed.definition.trigger.type,
+        isActive
+      ]);
+
+      res.status(201).json({
+        message: 'Workflow created successfully',
+        workflow: formatWorkflow(result.rows[0])
+      });
+    } catch (error) {
+      console.error('Create workflow error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update workflow
+  router.put('/:workflowId', [
+    param('workflowId').isUUID(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional().isString(),
+    body('definition').optional(),
+    body('isActive').optional().isBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { workflowId } = req.params;
+      const { name, description, definition, isActive } = req.body;
+
+      let parsed = null;
+      if (definition !== undefined) {
+        parsed = parseAndValidate(definition, res);
+        if (!parsed) return;
+      }
+
+      const result = await db.query(`
+        UPDATE workflows
+        SET
+          name = COALESCE($3, name),
+          description = COALESCE($4, description),
+          definition = COALESCE($5, definition),
+          source_format = COALESCE($6, source_format),
+          source = CASE WHEN $5::jsonb IS NULL THEN source ELSE $7 END,
+          trigger_type = COALESCE($8, trigger_type),
+          is_active = COALESCE($9, is_active)
+        WHERE id = $1 AND user_id = $2
+        RETURNING *
+      `, [
+        workflowId,
+        userId,
+        name,
+        description,
+        parsed ? JSON.stringify(parsed.definition) : null,
+        parsed ? parsed.format : null,
+        parsed ? parsed.source : null,
+        parsed ? parsed.definition.trigger.type : null,
+        isActive
+      ]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+
+      res.json({
+        message: 'Workflow updated successfully',
+        workflow: formatWorkflow(result.rows[0])
+      });
+    } catch (error) {
+      console.error('Update workflow error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete workflow
+  router.delete('/:workflowId', [
+    param('workflowId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { workflowId } = req.params;
+
+      const result = await db.query(`
+        DELETE FROM workflows
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+      `, [workflowId, userId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+
+      res.json({ message: 'Workflow deleted successfully' });
+    } catch (error) {
+      console.error('Delete workflow error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Run workflow manually
+  router.post('/:workflowId/run', [
+    param('workflowId').isUUID(),
+    body('input').optional().isObject()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { workflowId } = req.params;
+      const { input = {} } = req.body;
+
+      const workflow = await db.query(`
+        SELECT id FROM workflows WHERE id = $1 AND user_id = $2
+      `, [workflowId, userId]);
+
+      if (workflow.rows.length === 0) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+
+      const run = await workflowEngine.runWorkflow(workflowId, userId, input);
+
+      res.json({
+        message: 'Workflow executed',
+        run
+      });
+    } catch (error) {
+      console.error('Run workflow error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get workflow run history
+  router.get('/:workflowId/runs', [
+    param('workflowId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { workflowId } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+
+      const result = await db.query(`
+        SELECT * FROM workflow_runs
+        WHERE workflow_id = $1 AND user_id = $2
+        ORDER BY started_at DESC
+        LIMIT $3 OFFSET $4
+      `, [workflowId, userId, limit, offset]);
+
+      res.json({ runs: result.rows.map(formatWorkflowRun) });
+    } catch (error) {
+      console.error('Get workflow runs error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
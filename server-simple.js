@@ -15,6 +15,18 @@ const integrationRoutes = require('./routes/integrations');
 const analyticsRoutes = require('./routes/analytics');
 const userRoutes = require('./routes/users');
 const chatbotRoutes = require('./routes/chatbot');
+const workflowRoutes = require('./routes/workflows');
+const conflictRoutes = require('./routes/conflicts');
+const approvalRoutes = require('./routes/approvals');
+const teamRoutes = require('./routes/team');
+const taskRoutes = require('./routes/tasks');
+const taskTemplateRoutes = require('./routes/taskTemplates');
+const meetingRoutes = require('./routes/meetings');
+const meetingSeriesRoutes = require('./routes/meetingSeries');
+const mailRoutes = require('./routes/mail');
+const llmRoutes = require('./routes/llm');
+const documentRoutes = require('./routes/documents');
+const calendarRoutes = require('./routes/calendar');
 
 // Import services
 const AgentOrchestrator = require('./services/AgentOrchestrator');
@@ -23,6 +35,19 @@ const AnalyticsEngine = require('./services/AnalyticsEngine');
 const NotificationService = require('./services/NotificationService');
 const SecurityService = require('./services/SecurityService');
 const AIChatbotService = require('./services/AIChatbotService');
+const ChatbotToolService = require('./services/ChatbotToolService');
+const KnowledgeRetriever = require('./services/KnowledgeRetriever');
+const DocumentProcessor = require('./services/DocumentProcessor');
+const WorkflowEngine = require('./services/WorkflowEngine');
+const SlaEngine = require('./services/SlaEngine');
+const TaskService = require('./services/TaskService');
+const TaskTemplateService = require('./services/TaskTemplateService');
+const SmartMeetingAssistant = require('./services/SmartMeetingAssistant');
+const ICalendarService = require('./services/ICalendarService');
+const MeetingTaskService = require('./services/MeetingTaskService');
+const MeetingSeriesService = require('./services/MeetingSeriesService');
+const MailService = require('./services/MailService');
+const LLMService = require('./services/LLMService');
 
 const app = express();
 const server = http.createServer(app);
@@ -65,12 +90,36 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Initialize services with mock database
-const agentOrchestrator = new AgentOrchestrator(mockDb, io);
+const llmService = new LLMService(mockDb);
+const agentOrchestrator = new AgentOrchestrator(mockDb, io, llmService);
 const integrationHub = new IntegrationHub(mockDb, io);
 const analyticsEngine = new AnalyticsEngine(mockDb);
 const notificationService = new NotificationService(io);
 const securityService = new SecurityService(mockDb);
-const aiChatbot = new AIChatbotService(mockDb, io);
+const slaEngine = new SlaEngine(mockDb, io, notificationService);
+const taskService = new TaskService(mockDb, io);
+const workflowEngine = new WorkflowEngine(mockDb, io, agentOrchestrator, taskService);
+const taskTemplateService = new TaskTemplateService(mockDb, io, agentOrchestrator, taskService);
+const smartMeetingAssistant = new SmartMeetingAssistant(mockDb, io, llmService);
+const icalendarService = new ICalendarService(mockDb, smartMeetingAssistant);
+const meetingTaskService = new MeetingTaskService(mockDb, smartMeetingAssistant, taskService, agentOrchestrator);
+const meetingSeriesService = new MeetingSeriesService(mockDb, io, smartMeetingAssistant);
+const mailService = new MailService(mockDb, agentOrchestrator);
+const chatbotToolService = new ChatbotToolService(mockDb, securityService, agentOrchestrator, taskService, smartMeetingAssistant, mailService);
+const knowledgeRetriever = new KnowledgeRetriever(mockDb, llmService);
+const aiChatbot = new AIChatbotService(mockDb, io, llmService, chatbotToolService, knowledgeRetriever);
+const documentProcessor = new DocumentProcessor(mockDb, io, llmService);
+
+slaEngine.start();
+taskTemplateService.start();
+meetingSeriesService.start();
+
+// Escalated agent conflicts need a human decision
+agentOrchestrator.on('conflict-escalated', ({ userId, conflict, decision }) => {
+  notificationService.onConflictDetected(userId, conflict.type, decision).catch(error => {
+    console.error('Conflict notification error:', error);
+  });
+});
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -94,6 +143,21 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Sockets act as the user of the handshake's auth.token; handlers never
+// trust a user id the client sends
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    socket.user = { id: decoded.userId, email: 'demo@example.com', role: 'user' };
+  } catch (error) {
+    // For demo purposes, fall back to the mock user
+    socket.user = { id: 'demo-user-123', email: 'demo@example.com', role: 'user' };
+  }
+  next();
+});
+
 // Routes
 app.use('/api/auth', authRoutes(mockDb, JWT_SECRET));
 app.use('/api/agents', authenticateToken, agentRoutes(mockDb, agentOrchestrator));
@@ -101,6 +165,18 @@ app.use('/api/integrations', authenticateToken, integrationRoutes(mockDb, integr
 app.use('/api/analytics', authenticateToken, analyticsRoutes(mockDb, analyticsEngine));
 app.use('/api/users', authenticateToken, userRoutes(mockDb));
 app.use('/api/chatbot', authenticateToken, chatbotRoutes(mockDb, aiChatbot));
+app.use('/api/workflows', authenticateToken, workflowRoutes(mockDb, workflowEngine));
+app.use('/api/conflicts', authenticateToken, conflictRoutes(mockDb, agentOrchestrator));
+app.use('/api/approvals', authenticateToken, approvalRoutes(mockDb, agentOrchestrator.approvalService));
+app.use('/api/team', authenticateToken, teamRoutes(mockDb));
+app.use('/api/tasks', authenticateToken, taskRoutes(mockDb, taskService, slaEngine));
+app.use('/api/task-templates', authenticateToken, taskTemplateRoutes(mockDb, taskTemplateService));
+app.use('/api/meetings', authenticateToken, meetingRoutes(mockDb, smartMeetingAssistant, icalendarService, meetingTaskService));
+app.use('/api/meeting-series', authenticateToken, meetingSeriesRoutes(mockDb, meetingSeriesService));
+app.use('/api/mail', authenticateToken, mailRoutes(mockDb, mailService));
+app.use('/api/llm', authenticateToken, llmRoutes(mockDb, llmService));
+app.use('/api/documents', authenticateToken, documentRoutes(mockDb, documentProcessor));
+app.use('/api/calendar', calendarRoutes(mockDb, icalendarService));
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -163,10 +239,25 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle approve/reject answers to 'approval-requested' prompts
+  socket.on('approval-decision', async (data) => {
+    try {
+      const approvalService = agentOrchestrator.approvalService;
+      const approval = data.decision === 'approve' ?
+        await approvalService.approve(data.approvalId, socket.user.id, data.note) :
+        await approvalService.reject(data.approvalId, socket.user.id, data.note);
+      if (!approval) {
+        socket.emit('error', { message: 'Approval not found' });
+      }
+    } catch (error) {
+      socket.emit('error', { message: error.status === 409 ? error.message : 'Failed to record approval decision' });
+    }
+  });
+
   // Handle chatbot messages
   socket.on('chatbot-message', async (data) => {
     try {
-      const result = await aiChatbot.processMessage(data.userId, data.message, data.conversationId);
+      const result = await aiChatbot.processMessage(socket.user.id, data.message, data.conversationId);
       socket.emit('chatbot-response', result);
     } catch (error) {
       socket.emit('error', { message: 'Failed to process chatbot message' });
@@ -17,6 +17,18 @@ const integrationRoutes = require('./routes/integrations');
 const analyticsRoutes = require('./routes/analytics');
 const userRoutes = require('./routes/users');
 const chatbotRoutes = require('./routes/chatbot');
+const workflowRoutes = require('./routes/workflows');
+const conflictRoutes = require('./routes/conflicts');
+const approvalRoutes = require('./routes/approvals');
+const teamRoutes = require('./routes/team');
+const taskRoutes = require('./routes/tasks');
+const taskTemplateRoutes = require('./routes/taskTemplates');
+const meetingRoutes = require('./routes/meetings');
+const meetingSeriesRoutes = require('./routes/meetingSeries');
+const mailRoutes = require('./routes/mail');
+const llmRoutes = require('./routes/llm');
+const documentRoutes = require('./routes/documents');
+const calendarRoutes = require('./routes/calendar');
 
 // Import services
 const AgentOrchestrator = require('./services/AgentOrchestrator');
@@ -25,6 +37,19 @@ const AnalyticsEngine = require('./services/AnalyticsEngine');
 const NotificationService = require('./services/NotificationService');
 const SecurityService = require('./services/SecurityService');
 const AIChatbotService = require('./services/AIChatbotService');
+const ChatbotToolService = require('./services/ChatbotToolService');
+const KnowledgeRetriever = require('./services/KnowledgeRetriever');
+const DocumentProcessor = require('./services/DocumentProcessor');
+const WorkflowEngine = require('./services/WorkflowEngine');
+const SlaEngine = require('./services/SlaEngine');
+const TaskService = require('./services/TaskService');
+const TaskTemplateService = require('./services/TaskTemplateService');
+const SmartMeetingAssistant = require('./services/SmartMeetingAssistant');
+const ICalendarService = require('./services/ICalendarService');
+const MeetingTaskService = require('./services/MeetingTaskService');
+const MeetingSeriesService = require('./services/MeetingSeriesService');
+const MailService = require('./services/MailService');
+const LLMService = require('./services/LLMService');
 
 const app = express();
 const server = http.createServer(app);
@@ -66,12 +91,36 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Initialize services
-const agentOrchestrator = new AgentOrchestrator(db, io);
+const llmService = new LLMService(db);
+const agentOrchestrator = new AgentOrchestrator(db, io, llmService);
 const integrationHub = new IntegrationHub(db, io);
 const analyticsEngine = new AnalyticsEngine(db);
 const notificationService = new NotificationService(io);
 const securityService = new SecurityService(db);
-const aiChatbot = new AIChatbotService(db, io);
+const slaEngine = new SlaEngine(db, io, notificationService);
+const taskService = new TaskService(db, io);
+const workflowEngine = new WorkflowEngine(db, io, agentOrchestrator, taskService);
+const taskTemplateService = new TaskTemplateService(db, io, agentOrchestrator, taskService);
+const smartMeetingAssistant = new SmartMeetingAssistant(db, io, llmService);
+const icalendarService = new ICalendarService(db, smartMeetingAssistant);
+const meetingTaskService = new MeetingTaskService(db, smartMeetingAssistant, taskService, agentOrchestrator);
+const meetingSeriesService = new MeetingSeriesService(db, io, smartMeetingAssistant);
+const mailService = new MailService(db, agentOrchestrator);
+const chatbotToolService = new ChatbotToolService(db, securityService, agentOrchestrator, taskService, smartMeetingAssistant, mailService);
+const knowledgeRetriever = new KnowledgeRetriever(db, llmService);
+const aiChatbot = new AIChatbotService(db, io, llmService, chatbotToolService, knowledgeRetriever);
+const documentProcessor = new DocumentProcessor(db, io, llmService);
+
+slaEngine.start();
+taskTemplateService.start();
+meetingSeriesService.start();
+
+// Escalated agent conflicts need a human decision
+agentOrchestrator.on('conflict-escalated', ({ userId, conflict, decision }) => {
+  notificationService.onConflictDetected(userId, conflict.type, decision).catch(error => {
+    console.error('Conflict notification error:', error);
+  });
+});
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -97,6 +146,30 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Sockets authenticate with the same JWT, sent as auth.token in the handshake;
+// handlers act as socket.user, never as a user id the client sends
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await db.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
+
+    if (user.rows.length === 0) {
+      return next(new Error('Invalid token'));
+    }
+
+    socket.user = user.rows[0];
+    next();
+  } catch (error) {
+    next(new Error('Invalid token'));
+  }
+});
+
 // Routes
 app.use('/api/auth', authRoutes(db, JWT_SECRET));
 app.use('/api/agents', authenticateToken, agentRoutes(db, agentOrchestrator));
@@ -104,6 +177,18 @@ app.use('/api/integrations', authenticateToken, integrationRoutes(db, integratio
 app.use('/api/analytics', authenticateToken, analyticsRoutes(db, analyticsEngine));
 app.use('/api/users', authenticateToken, userRoutes(db));
 app.use('/api/chatbot', authenticateToken, chatbotRoutes(db, aiChatbot));
+app.use('/api/workflows', authenticateToken, workflowRoutes(db, workflowEngine));
+app.use('/api/conflicts', authenticateToken, conflictRoutes(db, agentOrchestrator));
+app.use('/api/approvals', authenticateToken, approvalRoutes(db, agentOrchestrator.approvalService));
+app.use('/api/team', authenticateToken, teamRoutes(db));
+app.use('/api/tasks', authenticateToken, taskRoutes(db, taskService, slaEngine));
+app.use('/api/task-templates', authenticateToken, taskTemplateRoutes(db, taskTemplateService));
+app.use('/api/meetings', authenticateToken, meetingRoutes(db, smartMeetingAssistant, icalendarService, meetingTaskService));
+app.use('/api/meeting-series', authenticateToken, meetingSeriesRoutes(db, meetingSeriesService));
+app.use('/api/mail', authenticateToken, mailRoutes(db, mailService));
+app.use('/api/llm', authenticateToken, llmRoutes(db, llmService));
+app.use('/api/documents', authenticateToken, documentRoutes(db, documentProcessor));
+app.use('/api/calendar', calendarRoutes(db, icalendarService));
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -166,10 +251,25 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle approve/reject answers to 'approval-requested' prompts
+  socket.on('approval-decision', async (data) => {
+    try {
+      const approvalService = agentOrchestrator.approvalService;
+      const approval = data.decision === 'approve' ?
+        await approvalService.approve(data.approvalId, socket.user.id, data.note) :
+        await approvalService.reject(data.approvalId, socket.user.id, data.note);
+      if (!approval) {
+        socket.emit('error', { message: 'Approval not found' });
+      }
+    } catch (error) {
+      socket.emit('error', { message: error.status === 409 ? error.message : 'Failed to record approval decision' });
+    }
+  });
+
   // Handle chatbot messages
   socket.on('chatbot-message', async (data) => {
     try {
-      const result = await aiChatbot.processMessage(data.userId, data.message, data.conversationId);
+      const result = await aiChatbot.processMessage(socket.user.id, data.message, data.conversationId);
       socket.emit('chatbot-response', result);
     } catch (error) {
       socket.emit('error', { message: 'Failed to process chatbot message' });
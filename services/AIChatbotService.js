@@ -1,27 +1,17 @@
 const { v4: uuidv4 } = require('uuid');
 
-// Try to import Google Gemini AI, but handle gracefully if not available
-let GoogleGenerativeAI;
-try {
-  GoogleGenerativeAI = require('@google/generative-ai').GoogleGenerativeAI;
-} catch (error) {
-  console.warn('Google Generative AI package not found. AI chatbot will use fallback responses.');
-  GoogleGenerativeAI = null;
-}
-
 class AIChatbotService {
-  constructor(db, io) {
+  constructor(db, io, llmService = null, toolService = null, retriever = null) {
     this.db = db;
     this.io = io;
-    
-    // Initialize Google Gemini AI only if available
-    if (GoogleGenerativeAI) {
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'demo-key');
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-pro" });
-    } else {
-      this.genAI = null;
-      this.model = null;
-    }
+    // Answers come from the configured language model, or from the
+    // rule-based responses below when there is none
+    this.llmService = llmService;
+    // Lets the chatbot act (run agents, list tasks, schedule meetings, read
+    // email) instead of only describing how to
+    this.toolService = toolService;
+    // Finds knowledge base entries and document passages to ground answers in
+    this.retriever = retriever;
     
     this.conversations = new Map();
     this.knowledgeBase = new Map();
@@ -92,7 +82,7 @@ class AIChatbotService {
     });
   }
 
-  async processMessage(userId, message, conversationId = null) {
+  async processMessage(userId, message, conversationId = null, options = {}) {
     try {
       // Get or create conversation
       if (!conversationId) {
@@ -120,18 +110,22 @@ class AIChatbotService {
 
       // Get relevant knowledge
       const knowledge = this.knowledgeBase.get(context);
+      const sources = await this.findSources(userId, message);
       
       // Prepare system prompt
-      const systemPrompt = this.buildSystemPrompt(knowledge, conversation);
+      const systemPrompt = this.buildSystemPrompt(knowledge, conversation, sources);
 
-      // Generate response using OpenAI
-      const response = await this.generateResponse(systemPrompt, conversation.messages);
+      const reply = await this.respond(userId, conversation, systemPrompt, { model: options.model, sources });
+      const response = reply.text;
+      const citedSources = (reply.sources || []).map(source => this.formatSource(source));
 
       // Add assistant response
       conversation.messages.push({
         role: 'assistant',
         content: response,
-        timestamp: new Date()
+        timestamp: new Date(),
+        ...(reply.tool ? { toolCall: { tool: reply.tool, status: reply.status } } : {}),
+        ...(citedSources.length > 0 ? { sources: citedSources } : {})
       });
 
       // Store conversation
@@ -150,7 +144,11 @@ class AIChatbotService {
       return {
         conversationId,
         response,
-        timestamp: new Date()
+        timestamp: new Date(),
+        toolCall: reply.tool ? { tool: reply.tool, status: reply.status } : null,
+        pendingAction: reply.pendingAction || null,
+        toolResult: reply.result === undefined ? null : reply.result,
+        sources: citedSources
       };
 
     } catch (error) {
@@ -185,8 +183,17 @@ class AIChatbotService {
     return 'general';
   }
 
-  buildSystemPrompt(knowledge, conversation) {
+  buildSystemPrompt(knowledge, conversation, sources = []) {
     let prompt = knowledge.context + '\n\n';
+
+    // Retrieved passages, numbered so the answer can cite them
+    if (sources.length > 0) {
+      prompt += 'Relevant information from the knowledge base and the user\'s documents:\n';
+      sources.forEach((source, index) => {
+        prompt += `[${index + 1}] ${source.title}: ${source.text}\n`;
+      });
+      prompt += '\n';
+    }
     
     // Add recent conversation context
     if (conversation.messages.length > 2) {
@@ -207,35 +214,148 @@ class AIChatbotService {
     }
     
     prompt += 'Instructions: Provide helpful, specific, and actionable answers. If you need more information, ask clarifying questions. Keep responses concise but informative.';
+    if (sources.length > 0) {
+      prompt += ' When you use the relevant information above, cite it by its number in brackets, e.g. [1].';
+    }
     
     return prompt;
   }
 
-  async generateResponse(systemPrompt, messages) {
-    try {
-      // If no Gemini API key or Gemini not available, use rule-based responses
-      if (!this.model || !process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'demo-key') {
-        return this.getRuleBasedResponse(messages[messages.length - 1].content);
-      }
+  // A reply to a pending action comes first; otherwise the model picks a tool
+  // or answers, with intent matching, the best knowledge base answer and the
+  // rule-based answers standing in when no model is configured or it fails
+  async respond(userId, conversation, systemPrompt, { model = null, sources = [] } = {}) {
+    const { messages } = conversation;
+    const message = messages[messages.length - 1].content;
 
-      // Build conversation history for Gemini
-      const conversationHistory = messages.slice(-6).map(msg => {
-        if (msg.role === 'user') {
-          return `User: ${msg.content}`;
-        } else {
-          return `Assistant: ${msg.content}`;
+    if (this.toolService) {
+      const decision = await this.toolService.handleReply(userId, conversation.id, message);
+      if (decision) return decision;
+    }
+
+    if (this.llmService && this.llmService.isConfigured()) {
+      try {
+        let system = systemPrompt;
+        if (this.toolService) {
+          const { timezone } = await this.toolService.getUserContext(userId);
+          system = `${systemPrompt}\n\n${this.buildToolInstructions(timezone)}`;
+        }
+
+        const completion = await this.llmService.complete({
+          system,
+          messages: messages.slice(-6).map(msg => ({ role: msg.role, content: msg.content })),
+          tools: this.toolService ? this.toolService.getDefinitions() : [],
+          model,
+          userId,
+          purpose: 'chat'
+        });
+
+        if (this.toolService && completion.toolCalls.length > 0) {
+          return await this.toolService.invoke(userId, completion.toolCalls[0], { conversationId: conversation.id });
+        }
+        if (completion.text) {
+          return { text: completion.text, sources: this.getCitedSources(completion.text, sources) };
         }
-      }).join('\n');
+      } catch (error) {
+        console.error('LLM response error:', error.message);
+      }
+    }
+
+    if (this.toolService) {
+      const intent = await this.toolService.detectIntent(userId, message);
+      if (intent) {
+        return await this.toolService.invoke(userId, intent, { conversationId: conversation.id });
+      }
+    }
+
+    // Without a model, a matching knowledge base entry is the best answer
+    const entry = sources.find(source => source.type === 'knowledge_base');
+    if (entry && entry === sources[0]) {
+      return { text: entry.answer, sources: [entry] };
+    }
+
+    return { text: this.getRuleBasedResponse(message), sources: [] };
+  }
 
-      const prompt = `${systemPrompt}\n\nConversation History:\n${conversationHistory}\n\nPlease provide a helpful response to the user's latest message.`;
+  // Sources the answer cites as [n]; all of them when it cites none
+  getCitedSources(text, sources) {
+    const cited = sources.filter((source, index) => text.includes(`[${index + 1}]`));
+    return cited.length > 0 ? cited : sources;
+  }
+
+  async findSources(userId, message) {
+    if (!this.retriever) return [];
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      return response.text().trim();
+    try {
+      return await this.retriever.search(userId, message);
     } catch (error) {
-      console.error('Gemini API error:', error);
-      return this.getRuleBasedResponse(messages[messages.length - 1].content);
+      console.error('Knowledge retrieval error:', error.message);
+      return [];
+    }
+  }
+
+  formatSource(source) {
+    return {
+      id: source.id,
+      type: source.type,
+      sourceId: source.sourceId,
+      title: source.title,
+      snippet: source.snippet,
+      score: source.score
+    };
+  }
+
+  buildToolInstructions(timezone) {
+    return `Tools: you can act for the user with the provided tools. Call one only when the user asks you to do that thing; otherwise answer normally. Actions that change something are confirmed with the user before they run, so don't ask for confirmation yourself. It is now ${new Date().toISOString()} and the user's time zone is ${timezone}; give meeting start times in ISO 8601 with a UTC offset.`;
+  }
+
+  // Confirms or cancels a pending tool action outside the chat (e.g. from a
+  // button) and posts the outcome to its conversation; null when not found
+  async resolveAction(userId, actionId, confirm) {
+    const outcome = confirm ?
+      await this.toolService.confirmAction(actionId, userId) :
+      await this.toolService.cancelAction(actionId, userId);
+    if (!outcome) return null;
+
+    const conversation = outcome.action.conversationId &&
+      await this.getConversation(outcome.action.conversationId, userId);
+    if (conversation) {
+      conversation.messages.push({
+        role: 'assistant',
+        content: outcome.text,
+        timestamp: new Date(),
+        toolCall: { tool: outcome.tool, status: outcome.status }
+      });
+      this.conversations.set(conversation.id, conversation);
+      await this.storeConversation(conversation);
+
+      this.io.to(`user-${userId}`).emit('chatbot-response', {
+        conversationId: conversation.id,
+        message: outcome.text,
+        timestamp: new Date()
+      });
     }
+
+    return outcome;
+  }
+
+  async getConversation(conversationId, userId) {
+    const cached = this.conversations.get(conversationId);
+    if (cached) return cached.userId === userId ? cached : null;
+
+    const result = await this.db.query(`
+      SELECT id, context, messages, created_at FROM conversations WHERE id = $1 AND user_id = $2
+    `, [conversationId, userId]);
+    if (!result.rows[0]) return null;
+
+    const row = result.rows[0];
+    return {
+      id: row.id,
+      userId,
+      messages: typeof row.messages === 'string' ? JSON.parse(row.messages) : row.messages || [],
+      context: row.context,
+      createdAt: row.created_at
+    };
   }
 
   getRuleBasedResponse(message) {
@@ -376,7 +496,9 @@ class AIChatbotService {
     return {
       activeConversations: this.conversations.size,
       knowledgeCategories: this.knowledgeBase.size,
-      geminiConfigured: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'demo-key'
+      tools: this.toolService ? [...this.toolService.tools.keys()] : [],
+      retrieval: this.retriever ? this.retriever.getStatus() : null,
+      llm: this.llmService ? this.llmService.getStatus() : { configured: false }
     };
   }
 }
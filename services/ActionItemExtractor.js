@@ -0,0 +1,247 @@
+const RecurrenceRule = require('./RecurrenceRule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_TIME = '17:00'; // "by Friday" means by the end of Friday's working day
+const MAX_ITEMS = 20;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const LEAD = '(?:by|before|due(?:\\s+on)?|on|until|no later than)';
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const WEEKDAY = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|sday|rsday|urday)?';
+
+const LABEL_PATTERN = /^(?:action(?:\s+item)?|todo|to-do|task|follow[\s-]?up|next step)s?\s*[:\-–]\s*/i;
+const NEED_PATTERN = /\b(?:need(?:s)? to|must|should|ha(?:ve|s) to)\b/i;
+const DECISION_PATTERN = /^(?:decided|agreed|concluded|resolved|decision|conclusion)\b/i;
+const GENERIC_SUBJECT_PATTERN = /^(?:we|i|someone|somebody|the team|team|everyone)\s+(?:will|(?:need|needs|have|has) to|must|should)\s+/i;
+
+// Turns free-form meeting notes into task proposals: one per action item,
+// with an owner matched against the meeting's participants and a due date
+// resolved from phrases like "by Friday" relative to the meeting date in
+// the meeting's time zone.
+class ActionItemExtractor {
+  constructor({ participants = [], teamMembers = [], reference = new Date(), timezone = 'UTC' } = {}) {
+    this.timezone = timezone;
+    this.reference = RecurrenceRule.toWallClock(reference, timezone);
+    this.people = this.buildPeople(participants);
+    this.teamMembers = teamMembers;
+  }
+
+  extract(notes) {
+    const items = [];
+    const seen = new Set();
+
+    for (const sentence of this.splitSentences(notes)) {
+      if (DECISION_PATTERN.test(sentence)) continue;
+
+      const labelled = LABEL_PATTERN.test(sentence);
+      const text = sentence.replace(LABEL_PATTERN, '');
+      const owner = this.findOwner(text);
+
+      if (!labelled && !owner.person && !NEED_PATTERN.test(text)) continue;
+
+      const due = this.parseDueDate(text);
+      const title = this.buildTitle(text, owner, due);
+      if (!title || seen.has(title.toLowerCase())) continue;
+      seen.add(title.toLowerCase());
+
+      items.push({
+        title,
+        ownerName: owner.person ? owner.person.name : null,
+        ownerEmail: owner.person ? owner.person.email : null,
+        assignedTo: owner.person ? this.matchTeamMember(owner.person) : null,
+        dueDate: due ? due.date : null,
+        duePhrase: due ? due.phrase : null,
+        priority: this.detectPriority(text),
+        sourceText: sentence
+      });
+
+      if (items.length >= MAX_ITEMS) break;
+    }
+
+    return items;
+  }
+
+  splitSentences(notes) {
+    return notes
+      .split(/\n+/)
+      .flatMap(line => line.split(/(?<=[.!?;])\s+/))
+      .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+[.)]|\[[ x]?\])\s*/i, '').trim())
+      .filter(sentence => sentence.length > 3);
+  }
+
+  // Each participant can be referred to by full name, first name (when no one
+  // else shares it) or the local part of their email
+  buildPeople(participants) {
+    const people = participants
+      .map(participant => (typeof participant === 'string' ? { [participant.includes('@') ? 'email' : 'name']: participant } : participant))
+      .filter(participant => participant && (participant.name || participant.email))
+      .map(participant => ({
+        name: participant.name || participant.email.split('@')[0],
+        email: participant.email || null
+      }));
+
+    const firstNames = people.map(person => person.name.split(/\s+/)[0].toLowerCase());
+
+    return people.map((person, index) => {
+      const aliases = new Set([person.name.toLowerCase()]);
+      if (firstNames.filter(name => name === firstNames[index]).length === 1 && firstNames[index].length > 1) {
+        aliases.add(firstNames[index]);
+      }
+      if (person.email) {
+        aliases.add(person.email.toLowerCase());
+        aliases.add(person.email.split('@')[0].toLowerCase());
+      }
+      return { ...person, aliases: [...aliases].sort((a, b) => b.length - a.length) };
+    });
+  }
+
+  // An explicit "owner: X" or @mention wins; otherwise a person counts as the
+  // owner only when the sentence is about them doing something ("Bob will…")
+  findOwner(text) {
+    for (const person of this.people) {
+      for (const alias of person.aliases) {
+        const name = escapeRegExp(alias);
+        const explicit = text.match(new RegExp(`[(\\[]?\\s*(?:owner|assignee|assigned to)\\s*[:\\-]?\\s*@?${name}\\b\\s*[)\\]]?`, 'i')) ||
+          text.match(new RegExp(`(?:^|\\s)@${name}\\b`, 'i'));
+        if (explicit) {
+          return { person, mention: explicit[0] };
+        }
+      }
+    }
+
+    for (const person of this.people) {
+      for (const alias of person.aliases) {
+        const subject = text.match(new RegExp(`^@?${escapeRegExp(alias)}\\b\\s*(?:[:\\-–]\\s*|(?:will|to|should|must|needs? to|has to|is going to|owns?|takes?)\\s+)`, 'i'));
+        if (subject) {
+          return { person, subject: subject[0] };
+        }
+      }
+    }
+
+    return {};
+  }
+
+  // Owners are stored on the task by team member name when one matches, so
+  // the Task Router and workload views recognise them
+  matchTeamMember(person) {
+    const full = person.name.toLowerCase();
+    const first = full.split(/\s+/)[0];
+
+    const exact = this.teamMembers.find(member => member.name.toLowerCase() === full ||
+      (person.email && member.email && member.email.toLowerCase() === person.email.toLowerCase()));
+    if (exact) return exact.name;
+
+    const byFirstName = this.teamMembers.filter(member => member.name.toLowerCase().split(/\s+/)[0] === first);
+    return byFirstName.length === 1 ? byFirstName[0].name : person.name;
+  }
+
+  buildTitle(text, owner, due) {
+    let title = text;
+    if (owner.subject) title = title.slice(owner.subject.length);
+    if (owner.mention) title = title.replace(owner.mention, ' ');
+    if (due) title = title.replace(due.phrase, ' ');
+
+    title = title
+      .replace(GENERIC_SUBJECT_PATTERN, '')
+      .replace(/\s+/g, ' ')
+      .replace(/[\s,;:.!–-]+$/, '')
+      .replace(/^[\s,;:–-]+/, '')
+      .trim();
+
+    if (title.length < 3) return null;
+    return (title.charAt(0).toUpperCase() + title.slice(1)).slice(0, 255);
+  }
+
+  detectPriority(text) {
+    if (/\b(?:urgent|critical|blocker|immediately)\b/i.test(text)) return 'urgent';
+    if (/\b(?:asap|high priority|important)\b/i.test(text)) return 'high';
+    if (/\b(?:low priority|nice to have|when possible|eventually)\b/i.test(text)) return 'low';
+    return 'medium';
+  }
+
+  // Returns { date, phrase } for the first due phrase found, where date is
+  // the end of that working day in the meeting's time zone
+  parseDueDate(text) {
+    const parsers = [
+      [new RegExp(`\\b${LEAD}?\\s*(\\d{4})-(\\d{2})-(\\d{2})\\b`, 'i'), match => this.makeDate(+match[1], +match[2] - 1, +match[3])],
+      [new RegExp(`\\b${LEAD}\\s+${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'), match => this.upcomingDate(MONTHS.indexOf(match[1].toLowerCase()), +match[2])],
+      [new RegExp(`\\b${LEAD}\\s+(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}`, 'i'), match => this.upcomingDate(MONTHS.indexOf(match[2].toLowerCase()), +match[1])],
+      [new RegExp(`\\b${LEAD}\\s+(\\d{1,2})\\/(\\d{1,2})\\b`, 'i'), match => this.upcomingDate(+match[1] - 1, +match[2])],
+      [new RegExp(`\\b(?:${LEAD}\\s+(?:today|tonight)|(?:${LEAD}\\s+)?(?:the\\s+)?(?:end of (?:the\\s+)?day|eod|cob|close of business))\\b`, 'i'), () => this.addDays(0)],
+      [new RegExp(`\\b(?:${LEAD}\\s+)?tomorrow\\b`, 'i'), () => this.addDays(1)],
+      [new RegExp(`\\b(?:${LEAD}\\s+)?(this|next)?\\s*${WEEKDAY}\\b`, 'i'), match => this.upcomingWeekday(match[2], match[1])],
+      [/\b(?:by\s+)?(?:the\s+)?(?:end of (?:the\s+|this\s+)?week|eow|this week)\b/i, () => this.upcomingWeekday('fri')],
+      [/\b(?:by|before|until)?\s*next week\b/i, () => this.addDays((8 - this.reference.getUTCDay()) % 7 || 7)],
+      [/\b(?:by\s+)?(?:the\s+)?(?:end of (?:the\s+|this\s+)?month|eom)\b/i, () => this.endOfMonth()],
+      [/\b(?:in|within)\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week)s?\b/i, match => {
+        const count = NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1]);
+        return this.addDays(count * (match[2].toLowerCase() === 'week' ? 7 : 1));
+      }]
+    ];
+
+    for (const [pattern, resolve] of parsers) {
+      const match = text.match(pattern);
+      if (!match) continue;
+
+      const localDate = resolve(match);
+      if (localDate) {
+        return { date: this.toDueInstant(localDate), phrase: match[0].trim() };
+      }
+    }
+
+    return null;
+  }
+
+  makeDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+  }
+
+  referenceDay() {
+    return new Date(Date.UTC(this.reference.getUTCFullYear(), this.reference.getUTCMonth(), this.reference.getUTCDate()));
+  }
+
+  addDays(days) {
+    return new Date(this.referenceDay().getTime() + days * DAY_MS);
+  }
+
+  // A month/day without a year is the next such date on or after the meeting
+  upcomingDate(month, day) {
+    if (month < 0 || month > 11) return null;
+    const year = this.reference.getUTCFullYear();
+    const date = this.makeDate(year, month, day);
+    if (!date) return null;
+    return date < this.referenceDay() ? this.makeDate(year + 1, month, day) : date;
+  }
+
+  // "Friday" is the next Friday after the meeting day; "next Friday" said
+  // early in the week means the one in the following week
+  upcomingWeekday(name, modifier = null) {
+    const target = WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+    const today = this.reference.getUTCDay();
+    let days = (target - today + 7) % 7 || 7;
+
+    if (modifier && modifier.toLowerCase() === 'next' && today !== 0 && today + days <= 7) {
+      days += 7;
+    }
+    return this.addDays(days);
+  }
+
+  endOfMonth() {
+    return new Date(Date.UTC(this.reference.getUTCFullYear(), this.reference.getUTCMonth() + 1, 0));
+  }
+
+  toDueInstant(localDate) {
+    const local = RecurrenceRule.parseLocal(`${localDate.toISOString().slice(0, 10)}T${DUE_TIME}`);
+    return RecurrenceRule.toInstant(local, this.timezone);
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = ActionItemExtractor;
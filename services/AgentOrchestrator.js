@@ -1,26 +1,52 @@
 const EventEmitter = require('events');
 const cron = require('node-cron');
 const { v4: uuidv4 } = require('uuid');
+const AgentRunQueue = require('./AgentRunQueue');
+const PipelineExecutor = require('./PipelineExecutor');
+const AgentPluginLoader = require('./AgentPluginLoader');
+const ConflictResolver = require('./ConflictResolver');
+const ApprovalService = require('./ApprovalService');
+const DryRunContext = require('./DryRunContext');
+const AgentScheduler = require('./AgentScheduler');
+const TeamRoster = require('./TeamRoster');
+const AssignmentScorer = require('./AssignmentScorer');
+const SlaEngine = require('./SlaEngine');
+const MeetingPlanner = require('./MeetingPlanner');
+const EmailSummarizer = require('./EmailSummarizer');
+const EmailThreader = require('./EmailThreader');
 
 class AgentOrchestrator extends EventEmitter {
-  constructor(db, io) {
+  constructor(db, io, llmService = null) {
     super();
     this.db = db;
     this.io = io;
+    this.llmService = llmService;
     this.agents = new Map();
     this.agentInstances = new Map();
+    this.agentTypes = new Map();
     this.coordinationRules = new Map();
-    this.conflictResolver = new ConflictResolver();
-    this.performanceTracker = new PerformanceTracker();
+    this.conflictResolver = new ConflictResolver(db, io, this);
+    this.approvalService = new ApprovalService(db, io);
+    this.performanceTracker = new PerformanceTracker(db);
+    this.runQueue = new AgentRunQueue(db, this);
+    this.pipelineExecutor = new PipelineExecutor(db, io, this);
+    this.scheduler = new AgentScheduler(db, this);
+    this.pluginLoader = new AgentPluginLoader(this);
     this.isRunning = false;
     
-    this.initializeAgents();
+    this.setupAgentTypes();
     this.setupCoordinationRules();
+    this.pluginLoader.loadPlugins();
+    this.initializeAgents();
     this.startScheduler();
+    this.runQueue.start();
+    this.approvalService.start();
   }
 
   async initializeAgents() {
     try {
+      await this.pluginLoader.syncAgentDefinitions(this.db);
+
       // Load agent definitions from database
       const agentDefs = await this.db.query('SELECT * FROM agents WHERE is_active = true');
       
@@ -41,43 +67,212 @@ class AgentOrchestrator extends EventEmitter {
     }
   }
 
+  setupAgentTypes() {
+    this.registerAgentType({
+      type: 'meeting-agent',
+      timeoutMs: 2 * 60 * 1000,
+      name: 'Meeting Agent',
+      agentClass: MeetingAgent,
+      configSchema: {
+        properties: {
+          auto_resolve_conflicts: { type: 'boolean' },
+          buffer_time: { type: 'integer', minimum: 0, maximum: 240 },
+          requires_approval: { type: 'boolean' },
+          approval_expiry_hours: { type: 'number', minimum: 1, maximum: 168 }
+        }
+      }
+    });
+
+    this.registerAgentType({
+      type: 'mail-summarizer',
+      timeoutMs: 5 * 60 * 1000,
+      name: 'Mail Summarizer',
+      agentClass: MailSummarizerAgent,
+      configSchema: {
+        properties: {
+          max_summary_length: { type: 'integer', minimum: 50, maximum: 5000 },
+          include_sentiment: { type: 'boolean' },
+          use_llm: { type: 'boolean' },
+          llm_model: { type: 'string' }
+        }
+      }
+    });
+
+    this.registerAgentType({
+      type: 'report-generator',
+      timeoutMs: 5 * 60 * 1000,
+      name: 'Report Generator',
+      agentClass: ReportGeneratorAgent,
+      configSchema: {
+        properties: {
+          default_format: { type: 'string', enum: ['html', 'pdf', 'csv', 'json'] },
+          include_charts: { type: 'boolean' }
+        }
+      }
+    });
+
+    this.registerAgentType({
+      type: 'task-router',
+      timeoutMs: 2 * 60 * 1000,
+      name: 'Task Router',
+      agentClass: TaskRouterAgent,
+      configSchema: {
+        properties: {
+          sla_hours: { type: 'number', minimum: 1 },
+          auto_escalate: { type: 'boolean' },
+          requires_approval: { type: 'boolean' },
+          approval_expiry_hours: { type: 'number', minimum: 1, maximum: 168 }
+        }
+      }
+    });
+  }
+
+  registerAgentType(definition) {
+    this.agentTypes.set(definition.type, {
+      type: definition.type,
+      timeoutMs: definition.timeoutMs || null,
+      name: definition.name,
+      description: definition.description || null,
+      agentClass: definition.agentClass,
+      configSchema: definition.configSchema || { properties: {} },
+      defaultConfig: definition.defaultConfig || {},
+      source: definition.source || 'builtin',
+      modulePath: definition.modulePath || null
+    });
+
+    if (definition.coordinationRules) {
+      this.coordinationRules.set(definition.type, {
+        dependencies: [],
+        conflicts: [],
+        priority: 2,
+        freshnessMinutes: 0,
+        ...definition.coordinationRules
+      });
+    }
+
+    if (definition.retryPolicy) {
+      this.runQueue.retryPolicies.set(definition.type, definition.retryPolicy);
+    }
+  }
+
+  unregisterAgentType(type) {
+    this.agentTypes.delete(type);
+    this.coordinationRules.delete(type);
+    this.runQueue.retryPolicies.delete(type);
+  }
+
   getAgentClass(type) {
-    const agentClasses = {
-      'meeting-agent': MeetingAgent,
-      'mail-summarizer': MailSummarizerAgent,
-      'report-generator': ReportGeneratorAgent,
-      'task-router': TaskRouterAgent
-    };
-    return agentClasses[type];
+    const agentType = this.agentTypes.get(type);
+    return agentType ? agentType.agentClass : undefined;
+  }
+
+  getAgentTypes() {
+    return Array.from(this.agentTypes.values()).map(agentType => ({
+      type: agentType.type,
+      name: agentType.name,
+      description: agentType.description,
+      source: agentType.source,
+      timeoutMs: agentType.timeoutMs,
+      configSchema: agentType.configSchema,
+      defaultConfig: agentType.defaultConfig,
+      coordinationRules: this.coordinationRules.get(agentType.type) || null
+    }));
+  }
+
+  validateAgentConfig(type, config = {}) {
+    // Checks settings against the registered schema; keys not in the schema
+    // are passed through untouched
+    const agentType = this.agentTypes.get(type);
+    if (!agentType) {
+      return [`Unknown agent type ${type}`];
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return ['settings must be an object'];
+    }
+
+    const { properties = {}, required = [] } = agentType.configSchema;
+    const errors = [];
+
+    required.forEach(key => {
+      if (config[key] === undefined && agentType.defaultConfig[key] === undefined) {
+        errors.push(`${key} is required`);
+      }
+    });
+
+    Object.entries(config).forEach(([key, value]) => {
+      const rule = properties[key];
+      if (!rule || value === null || value === undefined) return;
+
+      const actualType = Array.isArray(value) ? 'array' :
+        Number.isInteger(value) ? 'integer' : typeof value;
+      const typeMatches = !rule.type || rule.type === actualType ||
+        (rule.type === 'number' && actualType === 'integer');
+
+      if (!typeMatches) {
+        errors.push(`${key} must be of type ${rule.type}`);
+        return;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${key} must be one of: ${rule.enum.join(', ')}`);
+      }
+      if (rule.minimum !== undefined && value < rule.minimum) {
+        errors.push(`${key} must be at least ${rule.minimum}`);
+      }
+      if (rule.maximum !== undefined && value > rule.maximum) {
+        errors.push(`${key} must be at most ${rule.maximum}`);
+      }
+    });
+
+    return errors;
   }
 
   setupCoordinationRules() {
-    // Define how agents should coordinate with each other
+    // Define how agents should coordinate with each other.
+    // freshnessMinutes: how long a completed run satisfies downstream agents in a pipeline
+    // conflictStrategies: fixed ConflictResolver strategy per conflicting agent type
     this.coordinationRules.set('meeting-agent', {
       dependencies: ['mail-summarizer'],
       conflicts: ['task-router'],
-      priority: 1
+      priority: 1,
+      freshnessMinutes: 30
     });
     
     this.coordinationRules.set('mail-summarizer', {
       dependencies: [],
       conflicts: [],
-      priority: 2
+      priority: 2,
+      freshnessMinutes: 15
     });
     
     this.coordinationRules.set('report-generator', {
       dependencies: ['meeting-agent', 'mail-summarizer', 'task-router'],
       conflicts: [],
-      priority: 3
+      priority: 3,
+      freshnessMinutes: 0
     });
     
     this.coordinationRules.set('task-router', {
       dependencies: ['mail-summarizer'],
       conflicts: ['meeting-agent'],
-      priority: 2
+      priority: 2,
+      freshnessMinutes: 15,
+      // Routing needs the calendar the meeting agent is rearranging
+      conflictStrategies: { 'meeting-agent': 'merge' }
     });
   }
 
+  resolveExecutionOrder(agentType) {
+    return this.pipelineExecutor.resolveExecutionOrder(agentType);
+  }
+
+  async runPipeline(userId, targetType, params = {}, options = {}) {
+    return await this.pipelineExecutor.startPipeline(userId, targetType, params, options);
+  }
+
+  getPipeline(pipelineId, userId) {
+    return this.pipelineExecutor.getPipeline(pipelineId, userId);
+  }
+
   async createAgentInstance(userId, agentId, config = {}) {
     try {
       const agentDef = this.agents.get(agentId);
@@ -90,6 +285,7 @@ class AgentOrchestrator extends EventEmitter {
         id: instanceId,
         userId,
         agentId,
+        type: agentDef.definition.type,
         config: { ...agentDef.definition.configuration, ...config },
         db: this.db,
         orchestrator: this
@@ -123,7 +319,70 @@ class AgentOrchestrator extends EventEmitter {
     }
   }
 
-  async runAgent(instanceId, params = {}) {
+  async loadAgentInstance(userAgentId) {
+    // Queued runs reference user_agents rows, so instances created here are
+    // keyed by the user_agents id and survive across runs
+    const result = await this.db.query(`
+      SELECT id, user_id, agent_id, settings
+      FROM user_agents
+      WHERE id = $1
+    `, [userAgentId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Agent instance ${userAgentId} not found`);
+    }
+
+    const row = result.rows[0];
+    const agentDef = this.agents.get(row.agent_id);
+    if (!agentDef) {
+      throw new Error(`Agent ${row.agent_id} not found`);
+    }
+
+    const config = { ...agentDef.definition.configuration, ...row.settings };
+    const existing = this.agentInstances.get(row.id);
+    if (existing) {
+      existing.config = config;
+      return existing;
+    }
+
+    const instance = new agentDef.class({
+      id: row.id,
+      userId: row.user_id,
+      agentId: row.agent_id,
+      type: agentDef.definition.type,
+      config,
+      db: this.db,
+      orchestrator: this
+    });
+
+    agentDef.instances.set(row.id, instance);
+    this.agentInstances.set(row.id, instance);
+
+    return instance;
+  }
+
+  async enqueueRun(userAgentId, params = {}, options = {}) {
+    return await this.runQueue.enqueue({
+      userAgentId,
+      params,
+      triggerSource: options.triggerSource || 'manual',
+      delayMs: options.delayMs || 0
+    });
+  }
+
+  async getRun(runId, userId) {
+    return await this.runQueue.getRun(runId, userId);
+  }
+
+  async cancelRun(runId, userId) {
+    return await this.runQueue.cancelRun(runId, userId);
+  }
+
+  async runAgent(instanceId, params = {}, options = {}) {
+    if (options.dryRun) {
+      return await this.dryRunAgent(instanceId, params);
+    }
+
     try {
       const instance = this.agentInstances.get(instanceId);
       if (!instance) {
@@ -131,16 +390,20 @@ class AgentOrchestrator extends EventEmitter {
       }
 
       // Check for conflicts with other running agents
-      const conflicts = await this.checkConflicts(instance);
+      const conflicts = await this.checkConflicts(instance, params);
       if (conflicts.length > 0) {
-        await this.resolveConflicts(conflicts, instance);
+        const outcome = await this.resolveConflicts(conflicts, instance, params);
+        if (!outcome.proceed) {
+          return outcome.result;
+        }
+        params = outcome.params;
       }
 
       // Update status
       await this.updateAgentStatus(instanceId, 'running');
       
       // Run the agent
-      const result = await instance.run(params);
+      const result = await instance.run(params, { timeoutMs: this.getAgentTimeout(instance) });
       
       // Update performance metrics
       await this.performanceTracker.recordExecution(instanceId, result);
@@ -149,7 +412,13 @@ class AgentOrchestrator extends EventEmitter {
       await this.updateAgentStatus(instanceId, 'idle');
       
       // Emit results
-      this.emit('agent-completed', { instanceId, result });
+      this.emit('agent-completed', {
+        instanceId,
+        userId: instance.userId,
+        agentType: instance.type,
+        params,
+        result
+      });
       this.io.to(`user-${instance.userId}`).emit('agent-result', {
         instanceId,
         agentId: instance.agentId,
@@ -159,24 +428,115 @@ class AgentOrchestrator extends EventEmitter {
       return result;
     } catch (error) {
       console.error(`Failed to run agent ${instanceId}:`, error);
-      await this.updateAgentStatus(instanceId, 'error');
+      await this.updateAgentStatus(instanceId, this.getFailureStatus(error));
       throw error;
     }
   }
 
-  async checkConflicts(instance) {
-    const rules = this.coordinationRules.get(instance.agentId);
+  getAgentTimeout(instance) {
+    // agents.configuration.timeout_ms overrides the per-type default
+    const agentType = this.agentTypes.get(instance.type);
+    return parseInt(instance.config && instance.config.timeout_ms) ||
+      (agentType && agentType.timeoutMs) ||
+      parseInt(process.env.AGENT_TIMEOUT) || 300000;
+  }
+
+  getFailureStatus(error) {
+    if (!(error instanceof AgentAbortError)) return 'error';
+    if (error.details.agentStatus) return error.details.agentStatus;
+    return error.reason === 'preempted' ? 'idle' : error.reason;
+  }
+
+  cancelInstance(instanceId, message = 'Cancelled by user') {
+    const instance = this.agentInstances.get(instanceId);
+    return instance ? instance.abort('cancelled', message) : false;
+  }
+
+  async dryRunAgent(instanceId, params = {}) {
+    // Runs execute() on a throwaway copy of the instance wired to a recording
+    // db/io, without touching status, run history, metrics or events. Language
+    // model calls are answered by the mock provider and not billed
+    const instance = this.agentInstances.get(instanceId);
+    if (!instance) {
+      throw new Error(`Agent instance ${instanceId} not found`);
+    }
+
+    const context = new DryRunContext(this.db);
+    const db = context.createDb();
+    const io = context.createIo();
+    const orchestrator = Object.create(this, {
+      db: { value: db },
+      io: { value: io },
+      approvalService: { value: new ApprovalService(db, io) },
+      llmService: { value: this.llmService ? this.llmService.forDryRun() : null },
+      emit: { value: (event, data) => context.notifications.push({ room: null, event, data }) }
+    });
+
+    const agent = new instance.constructor({
+      id: instance.id,
+      userId: instance.userId,
+      agentId: instance.agentId,
+      type: instance.type,
+      config: instance.config,
+      db,
+      orchestrator
+    });
+
+    let result = null;
+    let error = null;
+
+    // Like BaseAgent.run, but the signal is also aborted once the simulation
+    // is over so an execute() that lost the race stops instead of running on
+    agent.abortController = new AbortController();
+    const { signal } = agent.abortController;
+    const timeoutMs = this.getAgentTimeout(instance);
+    const timer = setTimeout(() => {
+      agent.abort('timed_out', `Timed out after ${timeoutMs}ms`);
+    }, timeoutMs);
+    const aborted = new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    aborted.catch(() => {});
+
+    await context.begin();
+    try {
+      const run = agent.execute(params, signal);
+      run.catch(() => {});
+      result = await Promise.race([run, aborted]);
+    } catch (runError) {
+      error = runError.message;
+    } finally {
+      clearTimeout(timer);
+      agent.abort('cancelled', 'Dry run finished');
+      await context.rollback();
+    }
+
+    return {
+      dryRun: true,
+      instanceId,
+      agentType: instance.type,
+      result,
+      error,
+      llm: this.llmService && this.llmService.isConfigured() ? 'mock' : null,
+      ...context.getReport()
+    };
+  }
+
+  async checkConflicts(instance, params = {}) {
+    const rules = this.coordinationRules.get(instance.type);
     if (!rules) return [];
 
     const conflicts = [];
     for (const [otherInstanceId, otherInstance] of this.agentInstances) {
-      if (otherInstance.userId === instance.userId && 
+      if (otherInstanceId !== instance.id &&
+          otherInstance.userId === instance.userId && 
           otherInstance.status === 'running' &&
-          rules.conflicts.includes(otherInstance.agentId)) {
+          rules.conflicts.includes(otherInstance.type)) {
         conflicts.push({
           type: 'agent-conflict',
           instance1: instance,
           instance2: otherInstance,
+          params,
           severity: 'medium'
         });
       }
@@ -185,16 +545,47 @@ class AgentOrchestrator extends EventEmitter {
     return conflicts;
   }
 
-  async resolveConflicts(conflicts, instance) {
+  async resolveConflicts(conflicts, instance, params = {}) {
+    // Returns { proceed: true, params } when the run may go ahead, otherwise
+    // { proceed: false, result } describing why it was deferred
+    let runParams = params;
+
     for (const conflict of conflicts) {
-      const resolution = await this.conflictResolver.resolve(conflict);
-      
-      if (resolution.action === 'pause') {
-        await this.pauseAgent(conflict.instance2.id);
-      } else if (resolution.action === 'queue') {
-        await this.queueAgent(instance.id);
+      const decision = await this.conflictResolver.resolve(conflict, runParams);
+      const running = conflict.instance2;
+
+      // A forced strategy only applies to the first conflict it meets
+      const { conflictResolution, ...rest } = runParams;
+      runParams = rest;
+
+      if (decision.strategy === 'preempt') {
+        running.requestPreemption({ by: instance.type, conflictId: decision.conflictId });
+      } else if (decision.strategy === 'merge') {
+        // Run after the conflicting agent, with its output as upstream input
+        const runningResult = await running.waitForCompletion();
+        runParams = {
+          ...runParams,
+          upstream: { ...(runParams.upstream || {}), [running.type]: runningResult }
+        };
+      } else if (decision.strategy === 'wait-and-retry') {
+        const run = await this.queueAgent(instance.id, {
+          ...runParams,
+          conflictRetries: (params.conflictRetries || 0) + 1
+        }, decision.delayMs);
+
+        return {
+          proceed: false,
+          result: { deferred: true, strategy: decision.strategy, conflictId: decision.conflictId, rescheduledRunId: run.id }
+        };
+      } else {
+        return {
+          proceed: false,
+          result: { deferred: true, strategy: decision.strategy, conflictId: decision.conflictId }
+        };
       }
     }
+
+    return { proceed: true, params: runParams };
   }
 
   async updateAgentStatus(instanceId, status) {
@@ -223,41 +614,29 @@ class AgentOrchestrator extends EventEmitter {
 
   async pauseAgent(instanceId) {
     const instance = this.agentInstances.get(instanceId);
-    if (instance && instance.pause) {
-      await instance.pause();
+    if (!instance) return;
+
+    // A running instance ends up 'paused' through getFailureStatus
+    const aborted = instance.abort('cancelled', 'Agent paused', { agentStatus: 'paused' });
+    if (!aborted) {
       await this.updateAgentStatus(instanceId, 'paused');
     }
   }
 
-  async queueAgent(instanceId) {
-    // Add to queue for later execution
-    this.emit('agent-queued', { instanceId });
+  async queueAgent(instanceId, params = {}, delayMs = 60 * 1000) {
+    // Defer the run so the conflicting agent has time to finish
+    const run = await this.enqueueRun(instanceId, params, { delayMs });
+    this.emit('agent-queued', { instanceId, runId: run.id });
+    return run;
   }
 
   startScheduler() {
-    // Run every minute to check for auto-run agents
+    // Run every minute to fire cron schedules and auto-run intervals
     cron.schedule('* * * * *', async () => {
       if (!this.isRunning) return;
       
       try {
-        const autoRunAgents = await this.db.query(`
-          SELECT ua.*, a.type, a.name 
-          FROM user_agents ua
-          JOIN agents a ON ua.agent_id = a.id
-          WHERE ua.auto_run_enabled = true 
-          AND ua.status = 'idle'
-          AND (ua.last_run IS NULL OR 
-               ua.last_run < NOW() - INTERVAL '1 minute' * ua.auto_run_interval)
-        `);
-
-        for (const agent of autoRunAgents.rows) {
-          const instanceId = await this.createAgentInstance(
-            agent.user_id, 
-            agent.agent_id, 
-            agent.settings
-          );
-          await this.runAgent(instanceId);
-        }
+        await this.scheduler.tick();
       } catch (error) {
         console.error('Scheduler error:', error);
       }
@@ -273,7 +652,9 @@ class AgentOrchestrator extends EventEmitter {
       totalAgents: this.agents.size,
       activeInstances: this.agentInstances.size,
       runningInstances: Array.from(this.agentInstances.values())
-        .filter(instance => instance.status === 'running').length
+        .filter(instance => instance.status === 'running').length,
+      runQueue: this.runQueue.getStatus(),
+      plugins: this.pluginLoader.getStatus()
     };
   }
 
@@ -282,16 +663,30 @@ class AgentOrchestrator extends EventEmitter {
   }
 }
 
+// Raised through BaseAgent's AbortSignal; reason is 'cancelled', 'timed_out'
+// or 'preempted'
+class AgentAbortError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = 'AgentAbortError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
 // Agent Base Class
 class BaseAgent {
-  constructor({ id, userId, agentId, config, db, orchestrator }) {
+  constructor({ id, userId, agentId, type, config, db, orchestrator }) {
     this.id = id;
     this.userId = userId;
     this.agentId = agentId;
+    this.type = type;
     this.config = config;
     this.db = db;
     this.orchestrator = orchestrator;
     this.status = 'idle';
+    this.currentRun = null;
+    this.abortController = null;
     this.metrics = {
       totalRuns: 0,
       successRate: 0,
@@ -300,22 +695,65 @@ class BaseAgent {
     };
   }
 
-  async run(params = {}) {
+  async run(params = {}, options = {}) {
     const startTime = Date.now();
     this.status = 'running';
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    const timer = options.timeoutMs ? setTimeout(() => {
+      this.abort('timed_out', `Timed out after ${options.timeoutMs}ms`);
+    }, options.timeoutMs) : null;
+
+    // Racing against the signal frees the caller even when execute() never
+    // checks it; the abandoned promise is left to settle on its own
+    const aborted = new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
     
     try {
-      const result = await this.execute(params);
+      this.currentRun = this.execute(params, signal);
+      this.currentRun.catch(() => {});
+      const result = await Promise.race([this.currentRun, aborted]);
       this.updateMetrics(true, Date.now() - startTime);
       return result;
     } catch (error) {
       this.updateMetrics(false, Date.now() - startTime);
       throw error;
     } finally {
+      clearTimeout(timer);
+      this.currentRun = null;
+      this.abortController = null;
       this.status = 'idle';
     }
   }
 
+  abort(reason, message, details = {}) {
+    if (!this.abortController || this.abortController.signal.aborted) {
+      return false;
+    }
+
+    this.abortController.abort(new AgentAbortError(reason, message, details));
+    return true;
+  }
+
+  requestPreemption(details) {
+    return this.abort('preempted', `Preempted by ${details.by}`, details);
+  }
+
+  throwIfAborted() {
+    // Long-running agents should call this between units of work
+    const signal = this.abortController && this.abortController.signal;
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+  }
+
+  async waitForCompletion() {
+    if (!this.currentRun) return null;
+    return await this.currentRun.catch(() => null);
+  }
+
   updateMetrics(success, executionTime) {
     this.metrics.totalRuns++;
     this.metrics.successRate = ((this.metrics.successRate * (this.metrics.totalRuns - 1)) + (success ? 1 : 0)) / this.metrics.totalRuns;
@@ -323,7 +761,7 @@ class BaseAgent {
     this.metrics.lastRun = new Date();
   }
 
-  async execute(params) {
+  async execute(params, signal) {
     throw new Error('execute method must be implemented by subclass');
   }
 }
@@ -331,41 +769,82 @@ class BaseAgent {
 // Specific Agent Implementations
 class MeetingAgent extends BaseAgent {
   async execute(params) {
-    // Simulate meeting scheduling logic
     const meetings = await this.db.query(`
       SELECT * FROM shared_context 
       WHERE user_id = $1 AND context_type = 'schedule'
       ORDER BY created_at DESC
     `, [this.userId]);
 
+    const user = await this.db.query(`
+      SELECT preferences FROM users WHERE id = $1
+    `, [this.userId]);
+    const preferences = (user.rows[0] && user.rows[0].preferences) || {};
+
+    const planner = new MeetingPlanner({
+      bufferMinutes: this.config.buffer_time,
+      timezone: preferences.timezone || 'UTC',
+      workingHours: preferences.workingHours
+    });
+
     // Detect conflicts
-    const conflicts = this.detectScheduleConflicts(meetings.rows);
+    const conflicts = this.detectScheduleConflicts(meetings.rows, planner);
     
     // Auto-resolve if enabled
+    let resolution = { resolved: 0, proposed: 0, approvalId: null, moves: [], unresolved: [] };
     if (this.config.auto_resolve_conflicts && conflicts.length > 0) {
-      await this.resolveScheduleConflicts(conflicts);
+      resolution = await this.resolveScheduleConflicts(conflicts, meetings.rows, planner);
     }
 
     return {
       meetingsProcessed: meetings.rows.length,
       conflictsDetected: conflicts.length,
-      conflictsResolved: this.config.auto_resolve_conflicts ? conflicts.length : 0
+      conflictsResolved: resolution.resolved,
+      conflictsProposed: resolution.proposed,
+      approvalId: resolution.approvalId,
+      conflicts: conflicts.map(conflict => ({
+        meetings: [conflict.meeting1.title || 'Meeting', conflict.meeting2.title || 'Meeting'],
+        contextIds: conflict.contextIds,
+        overlapMinutes: conflict.overlapMinutes,
+        severity: conflict.severity
+      })),
+      moves: resolution.moves,
+      unresolved: resolution.unresolved
     };
   }
 
-  detectScheduleConflicts(meetings) {
+  // Upcoming meetings as intervals, sorted by start
+  getTimeline(meetings, planner, now = new Date()) {
+    return meetings
+      .map(row => ({ row, interval: planner.toInterval(row.data) }))
+      .filter(entry => entry.interval && entry.interval.end > now)
+      .sort((a, b) => a.interval.start - b.interval.start);
+  }
+
+  detectScheduleConflicts(meetings, planner) {
+    const timeline = this.getTimeline(meetings, planner);
     const conflicts = [];
-    for (let i = 0; i < meetings.length; i++) {
-      for (let j = i + 1; j < meetings.length; j++) {
-        const meeting1 = meetings[i].data;
-        const meeting2 = meetings[j].data;
-        
-        if (this.isTimeOverlap(meeting1, meeting2)) {
+
+    for (let i = 0; i < timeline.length; i++) {
+      for (let j = i + 1; j < timeline.length; j++) {
+        const first = timeline[i];
+        const second = timeline[j];
+
+        // Sorted by start, so nothing later can reach back into `first`
+        if (second.interval.start.getTime() >= first.interval.end.getTime() + planner.bufferMs) break;
+
+        if (planner.overlaps(first.interval, second.interval)) {
+          const overlapMs = Math.min(first.interval.end, second.interval.end) -
+            Math.max(first.interval.start, second.interval.start);
+
           conflicts.push({
             type: 'schedule_overlap',
-            meeting1,
-            meeting2,
-            severity: 'medium'
+            meeting1: first.row.data,
+            meeting2: second.row.data,
+            intervals: [first.interval, second.interval],
+            rows: [first.row, second.row],
+            contextIds: [first.row.id, second.row.id],
+            overlapMinutes: Math.max(0, Math.round(overlapMs / 60000)),
+            severity: overlapMs > 0 ? 'medium' : 'low'
           });
         }
       }
@@ -373,66 +852,371 @@ class MeetingAgent extends BaseAgent {
     return conflicts;
   }
 
-  isTimeOverlap(meeting1, meeting2) {
-    // Simplified overlap detection
-    return meeting1.date === meeting2.date && 
-           meeting1.time === meeting2.time;
+  isTimeOverlap(meeting1, meeting2, planner = new MeetingPlanner({ bufferMinutes: this.config.buffer_time })) {
+    const first = planner.toInterval(meeting1);
+    const second = planner.toInterval(meeting2);
+    return Boolean(first && second && planner.overlaps(first, second));
+  }
+
+  // Keeps the higher-priority meeting (then the one booked first) and moves the other.
+  // Entries imported from .ics files belong to someone else's calendar and stay put.
+  chooseMeetingToMove(conflict) {
+    const rank = { urgent: 0, high: 1, medium: 2, low: 3 };
+    const [first, second] = conflict.rows;
+    const imported = conflict.rows.map(row => row.data.source === 'ics');
+
+    if (imported[0] && imported[1]) return null;
+    if (imported[0] !== imported[1]) {
+      const [keep, move] = imported[0] ? [0, 1] : [1, 0];
+      return {
+        keep,
+        move,
+        reason: `"${conflict.rows[keep].data.title || 'Meeting'}" comes from an imported calendar and cannot be moved here`
+      };
+    }
+    const firstRank = rank[first.priority] ?? 2;
+    const secondRank = rank[second.priority] ?? 2;
+
+    if (firstRank !== secondRank) {
+      const [keep, move] = firstRank < secondRank ? [0, 1] : [1, 0];
+      return {
+        keep,
+        move,
+        reason: `it has lower priority (${conflict.rows[move].priority}) than "${conflict.rows[keep].data.title || 'Meeting'}" (${conflict.rows[keep].priority})`
+      };
+    }
+
+    const [keep, move] = new Date(first.created_at) <= new Date(second.created_at) ? [0, 1] : [1, 0];
+    return {
+      keep,
+      move,
+      reason: `it was booked after "${conflict.rows[keep].data.title || 'Meeting'}" with the same priority`
+    };
+  }
+
+  // Busy time of participants who are users here, from their own schedules
+  async getParticipantBusy(participants, planner) {
+    if (participants.length === 0) return [];
+
+    const result = await this.db.query(`
+      SELECT sc.data FROM shared_context sc
+      JOIN users u ON u.id = sc.user_id
+      WHERE LOWER(u.email) = ANY($1) AND u.id <> $2 AND sc.context_type = 'schedule'
+    `, [participants, this.userId]);
+
+    return result.rows
+      .map(row => planner.toInterval(row.data))
+      .filter(Boolean);
   }
 
-  async resolveScheduleConflicts(conflicts) {
+  async resolveScheduleConflicts(conflicts, meetings, planner) {
+    const approvalService = this.orchestrator.approvalService;
+    const needsApproval = approvalService.requiresApproval(this);
+    const awaitingDecision = needsApproval ?
+      await approvalService.getPendingTargetIds(this.userId, 'meeting.reschedule') : new Set();
+
+    // Where every meeting sits, including moves made earlier in this run
+    const placements = new Map(this.getTimeline(meetings, planner)
+      .map(entry => [entry.row.id, entry.interval]));
+
+    const changes = [];
+    const moves = [];
+    const unresolved = [];
+    const now = new Date();
+
     for (const conflict of conflicts) {
-      // Auto-resolve by rescheduling the second meeting
-      const newTime = this.findNextAvailableSlot(conflict.meeting1);
-      if (newTime) {
-        await this.db.query(`
-          UPDATE shared_context 
-          SET data = jsonb_set(data, '{time}', $1)
-          WHERE id = $2
-        `, [JSON.stringify(newTime), conflict.meeting2.id]);
+      this.throwIfAborted();
+      const choice = this.chooseMeetingToMove(conflict);
+      if (!choice) {
+        unresolved.push({
+          contextId: conflict.contextIds[1],
+          title: conflict.meeting2.title || 'Meeting',
+          reason: `Overlaps "${conflict.meeting1.title || 'Meeting'}" but both come from imported calendars`
+        });
+        continue;
+      }
+      const { keep, move, reason } = choice;
+      const row = conflict.rows[move];
+      const kept = conflict.rows[keep];
+      const contextId = row.id;
+      if (awaitingDecision.has(contextId) || changes.some(change => change.targetId === contextId)) continue;
+
+      // An earlier move may already have cleared this conflict
+      const keptInterval = placements.get(kept.id);
+      if (!planner.overlaps(placements.get(contextId), keptInterval)) continue;
+
+      const interval = conflict.intervals[move];
+      const busy = [...placements.entries()]
+        .filter(([id]) => id !== contextId)
+        .map(([, placement]) => placement)
+        .concat((await this.getParticipantBusy(planner.getParticipants(row.data), planner))
+          // Participants' own copy of this meeting moves with it
+          .filter(block => block.start.getTime() !== interval.start.getTime() ||
+            block.end.getTime() !== interval.end.getTime()));
+
+      const slot = this.findNextAvailableSlot(row.data, {
+        planner,
+        busy,
+        after: new Date(Math.max(now.getTime(), keptInterval.end.getTime() + planner.bufferMs)),
+        timezone: interval.timezone
+      });
+
+      const title = row.data.title || 'Meeting';
+      const overlap = `Overlaps "${kept.data.title || 'Meeting'}" (${planner.describe(keptInterval)})` +
+        (planner.bufferMs > 0 ? ` within the ${this.config.buffer_time}-minute buffer` : '');
+
+      if (!slot) {
+        unresolved.push({ contextId, title, reason: `${overlap}; no free slot was found in the next two weeks` });
+        continue;
       }
+
+      const why = `${overlap}; moved because ${reason}`;
+
+      const after = planner.formatSlot(row.data, slot, interval.timezone);
+      const before = {};
+      Object.keys(after).forEach(key => {
+        before[key] = row.data[key] !== undefined ? row.data[key] : null;
+      });
+
+      placements.set(contextId, { ...slot, timezone: interval.timezone });
+      changes.push({
+        type: 'meeting.reschedule',
+        targetId: contextId,
+        label: title,
+        before,
+        after,
+        reason: why
+      });
+      moves.push({
+        contextId,
+        title,
+        from: planner.describe(interval),
+        to: planner.describe({ ...slot, timezone: interval.timezone }),
+        keptMeeting: kept.data.title || 'Meeting',
+        reason: why
+      });
+    }
+
+    if (changes.length === 0) {
+      return { resolved: 0, proposed: 0, approvalId: null, moves, unresolved };
+    }
+
+    if (needsApproval) {
+      const approval = await approvalService.propose(this, {
+        actionType: 'meeting-reschedule',
+        title: `Reschedule ${changes.length} conflicting meeting${changes.length === 1 ? '' : 's'}`,
+        changes
+      });
+      return { resolved: 0, proposed: changes.length, approvalId: approval.id, moves, unresolved };
     }
+
+    const resolved = await approvalService.applyChanges(this.db, this.userId, changes);
+    return { resolved, proposed: 0, approvalId: null, moves, unresolved };
   }
 
-  findNextAvailableSlot(conflictingMeeting) {
-    // Simple slot finding logic
-    const time = new Date(`1970-01-01T${conflictingMeeting.time}:00`);
-    time.setMinutes(time.getMinutes() + 30);
-    return time.toTimeString().slice(0, 5);
+  findNextAvailableSlot(meeting, { planner, busy, after, timezone }) {
+    const interval = planner.toInterval(meeting);
+    return planner.findFreeSlot({
+      durationMinutes: Math.round((interval.end - interval.start) / 60000),
+      busy,
+      after,
+      timezone
+    });
   }
 }
 
 class MailSummarizerAgent extends BaseAgent {
   async execute(params) {
-    // Simulate email processing
+    // Messages already summarized are skipped unless they changed since
     const emails = await this.db.query(`
-      SELECT * FROM shared_context 
-      WHERE user_id = $1 AND context_type = 'email'
-      ORDER BY created_at DESC
+      SELECT c.* FROM shared_context c
+      LEFT JOIN email_summaries s ON s.context_id = c.id
+      WHERE c.user_id = $1 AND c.context_type = 'email'
+        AND (s.id IS NULL OR s.updated_at < c.updated_at OR $2)
+      ORDER BY c.created_at DESC
       LIMIT 50
+    `, [this.userId, Boolean(params.force)]);
+
+    const user = await this.db.query(`
+      SELECT email, preferences FROM users WHERE id = $1
     `, [this.userId]);
+    const preferences = (user.rows[0] && user.rows[0].preferences) || {};
+
+    const summarizer = new EmailSummarizer({
+      maxSummaryLength: parseInt(this.config.max_summary_length) || EmailSummarizer.DEFAULT_MAX_SUMMARY_LENGTH,
+      includeSentiment: Boolean(this.config.include_sentiment),
+      timezone: preferences.timezone || 'UTC'
+    });
+
+    // Summaries are written by the language model when one is configured;
+    // extraction of items, deadlines and sentiment stays rule-based
+    const llm = this.orchestrator.llmService;
+    const useLlm = Boolean(llm && llm.isConfigured() && this.config.use_llm !== false);
 
     const summaries = [];
     for (const email of emails.rows) {
-      const summary = await this.summarizeEmail(email.data);
+      this.throwIfAborted();
+      const summary = await this.summarizeEmail(email, summarizer, useLlm ? llm : null);
       summaries.push(summary);
     }
 
+    const actionItems = summaries.flatMap(s => s.actionItems.map(item => ({
+      text: item.text,
+      deadline: item.deadline,
+      subject: s.subject,
+      summaryId: s.id
+    })));
+
+    const sentiment = { positive: 0, neutral: 0, negative: 0 };
+    summaries.forEach(s => {
+      if (s.sentiment) sentiment[s.sentiment.label]++;
+    });
+
+    // New mail can extend, merge or answer a conversation
+    const threads = summaries.length > 0 || params.force ?
+      await this.updateThreads(summarizer, user.rows[0] ? [user.rows[0].email] : []) :
+      null;
+
     return {
       emailsProcessed: emails.rows.length,
       summariesGenerated: summaries.length,
-      actionItemsExtracted: summaries.reduce((count, s) => count + s.actionItems.length, 0)
+      actionItemsExtracted: actionItems.length,
+      deadlinesFound: summaries.reduce((sum, s) => sum + s.deadlines.length, 0),
+      decisionsFound: summaries.reduce((sum, s) => sum + s.decisions.length, 0),
+      urgentEmails: summaries.filter(s => s.priority === 'urgent').length,
+      sentiment: this.config.include_sentiment ? sentiment : null,
+      threadsUpdated: threads ? threads.length : 0,
+      awaitingYourReply: threads ? threads.filter(t => t.replyState === 'awaiting_me').length : 0,
+      awaitingTheirReply: threads ? threads.filter(t => t.replyState === 'awaiting_them').length : 0,
+      actionItems
     };
   }
 
-  async summarizeEmail(emailData) {
-    // Simulate AI summarization
-    return {
-      subject: emailData.subject,
-      summary: `Summary of ${emailData.subject}`,
-      actionItems: ['Follow up on proposal', 'Schedule meeting'],
-      sentiment: 'positive',
-      priority: 'medium'
-    };
+  // Threads are rebuilt from every synced message so that a late reply can
+  // join (or merge) conversations; threads that no longer exist are dropped
+  async updateThreads(summarizer, selfAddresses) {
+    const emails = await this.db.query(`
+      SELECT * FROM shared_context
+      WHERE user_id = $1 AND context_type = 'email'
+      ORDER BY created_at DESC
+      LIMIT 1000
+    `, [this.userId]);
+
+    const threader = new EmailThreader({ summarizer, selfAddresses });
+    const threads = threader.buildThreads(emails.rows);
+
+    for (const thread of threads) {
+      this.throwIfAborted();
+      await this.db.query(`
+        INSERT INTO email_threads (
+          user_id, thread_key, subject, participants, messages, message_count, unread_count,
+          first_message_at, last_message_at, summary, action_items, deadlines, decisions,
+          sentiment, priority, reply_state, owed_by, owed_to, waiting_since
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        ON CONFLICT (user_id, thread_key) DO UPDATE SET
+          subject = EXCLUDED.subject,
+          participants = EXCLUDED.participants,
+          messages = EXCLUDED.messages,
+          message_count = EXCLUDED.message_count,
+          unread_count = EXCLUDED.unread_count,
+          first_message_at = EXCLUDED.first_message_at,
+          last_message_at = EXCLUDED.last_message_at,
+          summary = EXCLUDED.summary,
+          action_items = EXCLUDED.action_items,
+          deadlines = EXCLUDED.deadlines,
+          decisions = EXCLUDED.decisions,
+          sentiment = EXCLUDED.sentiment,
+          priority = EXCLUDED.priority,
+          reply_state = EXCLUDED.reply_state,
+          owed_by = EXCLUDED.owed_by,
+          owed_to = EXCLUDED.owed_to,
+          waiting_since = EXCLUDED.waiting_since
+      `, [
+        this.userId,
+        thread.threadKey,
+        thread.subject,
+        JSON.stringify(thread.participants),
+        JSON.stringify(thread.messages),
+        thread.messageCount,
+        thread.unreadCount,
+        thread.firstMessageAt,
+        thread.lastMessageAt,
+        thread.summary,
+        JSON.stringify(thread.actionItems),
+        JSON.stringify(thread.deadlines),
+        JSON.stringify(thread.decisions),
+        thread.sentiment ? JSON.stringify(thread.sentiment) : null,
+        thread.priority,
+        thread.replyState,
+        JSON.stringify(thread.owedBy),
+        JSON.stringify(thread.owedTo),
+        thread.waitingSince
+      ]);
+    }
+
+    await this.db.query(`
+      DELETE FROM email_threads WHERE user_id = $1 AND NOT (thread_key = ANY($2))
+    `, [this.userId, threads.map(thread => thread.threadKey)]);
+
+    return threads;
+  }
+
+  async summarizeEmail(email, summarizer, llm = null) {
+    const data = email.data || {};
+    const summary = summarizer.summarize(data);
+    const receivedAt = summarizer.getReceivedAt(data);
+
+    if (llm) {
+      const body = summarizer.cleanBody(data.body || data.snippet || '');
+      const text = await llm.summarize(`Subject: ${summary.subject}\nFrom: ${data.from || 'unknown'}\n\n${body}`, {
+        instructions: 'Lead with what the sender needs and by when.',
+        maxLength: summarizer.maxSummaryLength,
+        model: this.config.llm_model,
+        userId: this.userId,
+        purpose: 'email-summary'
+      });
+      if (text) summary.summary = text;
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO email_summaries (
+        user_id, context_id, message_key, subject, sender, received_at, summary,
+        key_sentences, action_items, deadlines, decisions, sentiment, priority, word_count
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ON CONFLICT (user_id, message_key) DO UPDATE SET
+        context_id = EXCLUDED.context_id,
+        subject = EXCLUDED.subject,
+        sender = EXCLUDED.sender,
+        received_at = EXCLUDED.received_at,
+        summary = EXCLUDED.summary,
+        key_sentences = EXCLUDED.key_sentences,
+        action_items = EXCLUDED.action_items,
+        deadlines = EXCLUDED.deadlines,
+        decisions = EXCLUDED.decisions,
+        sentiment = EXCLUDED.sentiment,
+        priority = EXCLUDED.priority,
+        word_count = EXCLUDED.word_count
+      RETURNING id
+    `, [
+      this.userId,
+      email.id,
+      String(data.id || email.id),
+      summary.subject,
+      data.from || null,
+      receivedAt,
+      summary.summary,
+      JSON.stringify(summary.keySentences),
+      JSON.stringify(summary.actionItems),
+      JSON.stringify(summary.deadlines),
+      JSON.stringify(summary.decisions),
+      summary.sentiment ? JSON.stringify(summary.sentiment) : null,
+      summary.priority,
+      summary.wordCount
+    ]);
+
+    return { id: result.rows[0] ? result.rows[0].id : null, ...summary };
   }
 }
 
@@ -440,6 +1224,11 @@ class ReportGeneratorAgent extends BaseAgent {
   async execute(params) {
     const reportData = await this.gatherReportData();
     const report = await this.generateReport(reportData, params.format || 'html');
+
+    // Include outputs of upstream agents when run as part of a pipeline
+    if (params.upstream && Object.keys(params.upstream).length > 0) {
+      report.sections.agents = params.upstream;
+    }
     
     // Save report to database
     const result = await this.db.query(`
@@ -495,63 +1284,111 @@ class ReportGeneratorAgent extends BaseAgent {
 
 class TaskRouterAgent extends BaseAgent {
   async execute(params) {
+    // params.taskIds narrows the run to specific tasks, e.g. freshly generated ones
+    const taskIds = params && Array.isArray(params.taskIds) ? params.taskIds : null;
     const pendingTasks = await this.db.query(`
       SELECT * FROM tasks 
       WHERE user_id = $1 AND status = 'pending'
-      ORDER BY priority DESC, created_at ASC
-    `, [this.userId]);
+        AND ($2::uuid[] IS NULL OR id = ANY($2))
+      ORDER BY CASE priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END,
+        created_at ASC
+    `, [this.userId, taskIds]);
+
+    const approvalService = this.orchestrator.approvalService;
+    const needsApproval = approvalService.requiresApproval(this);
+    const awaitingDecision = needsApproval ?
+      await approvalService.getPendingTargetIds(this.userId, 'task.assign') : new Set();
+
+    const members = await new TeamRoster(this.db).getMembers(this.userId, { activeOnly: true });
+    const scorer = new AssignmentScorer();
 
     const routedTasks = [];
+    const unassigned = [];
+    const changes = [];
     for (const task of pendingTasks.rows) {
-      const assignment = await this.routeTask(task);
-      if (assignment) {
-        await this.db.query(`
-          UPDATE tasks 
-          SET assigned_to = $1, status = 'in-progress', updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [assignment.assignee, task.id]);
-        
-        routedTasks.push({
-          taskId: task.id,
-          assignee: assignment.assignee,
-          estimatedCompletion: assignment.estimatedCompletion
-        });
+      this.throwIfAborted();
+      if (awaitingDecision.has(task.id)) continue;
+
+      const assignment = this.routeTask(task, members, scorer);
+      if (!assignment) {
+        unassigned.push({ taskId: task.id, reason: 'No active team members in the roster' });
+        continue;
       }
+
+      changes.push({
+        type: 'task.assign',
+        targetId: task.id,
+        label: task.title,
+        before: { assignedTo: task.assigned_to, status: task.status },
+        after: { assignedTo: assignment.assignee, status: 'in-progress' },
+        explanation: assignment.explanation
+      });
+
+      routedTasks.push({ taskId: task.id, ...assignment });
+    }
+
+    if (needsApproval && changes.length > 0) {
+      const approval = await approvalService.propose(this, {
+        actionType: 'task-routing',
+        title: `Assign ${changes.length} pending task${changes.length === 1 ? '' : 's'}`,
+        changes
+      });
+
+      return {
+        tasksProcessed: pendingTasks.rows.length,
+        tasksRouted: 0,
+        tasksProposed: changes.length,
+        approvalId: approval.id,
+        assignments: routedTasks,
+        unassigned
+      };
     }
 
+    await approvalService.applyChanges(this.db, this.userId, changes);
+
     return {
       tasksProcessed: pendingTasks.rows.length,
       tasksRouted: routedTasks.length,
-      assignments: routedTasks
+      assignments: routedTasks,
+      unassigned
     };
   }
 
-  async routeTask(task) {
-    // Simple routing logic based on task priority and type
-    const assignees = ['John', 'Sarah', 'Mike', 'Lisa'];
-    const randomAssignee = assignees[Math.floor(Math.random() * assignees.length)];
-    
+  routeTask(task, members, scorer) {
+    if (members.length === 0) return null;
+
+    const slaHours = SlaEngine.getSlaHours(task.priority, parseFloat(this.config.sla_hours) || undefined);
+    const now = new Date();
+    const ranked = scorer.rankCandidates(task, members, { slaHours, now });
+    const [best] = ranked;
+    const estimate = parseFloat(task.estimated_hours) || AssignmentScorer.DEFAULT_TASK_HOURS;
+    const dueBy = scorer.getDueBy(task, slaHours, now);
+
+    // Later tasks in the same run see this one in the member's load
+    best.member.openTasks++;
+    best.member.loadHours += estimate;
+
     return {
-      assignee: randomAssignee,
-      estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      assignee: best.member.name,
+      score: best.score,
+      dueBy,
+      slaAtRisk: !best.meetsSla,
+      estimatedCompletion: best.meetsSla ? dueBy : null,
+      explanation: `${best.member.name} scored ${best.score}: ${best.reasons.join('; ')}` +
+        (best.meetsSla ? '' : '. Nobody on the roster has enough free time to meet the SLA'),
+      alternatives: ranked.slice(1, 3).map(candidate => ({
+        assignee: candidate.member.name,
+        score: candidate.score,
+        meetsSla: candidate.meetsSla
+      }))
     };
   }
 }
 
 // Helper Classes
-class ConflictResolver {
-  async resolve(conflict) {
-    switch (conflict.type) {
-      case 'agent-conflict':
-        return { action: 'pause', target: conflict.instance2.id };
-      default:
-        return { action: 'queue' };
-    }
-  }
-}
-
 class PerformanceTracker {
-  constructor() {
+  constructor(db) {
+    this.db = db;
     this.metrics = new Map();
   }
 
@@ -573,16 +1410,62 @@ class PerformanceTracker {
     this.metrics.set(instanceId, metrics);
   }
 
+  async refreshPerformanceScore(userAgentId) {
+    // performance_score mirrors the success rate of finished runs over the last 30 days
+    try {
+      await this.db.query(`
+        UPDATE user_agents
+        SET performance_score = COALESCE((
+          SELECT COUNT(CASE WHEN status = 'completed' THEN 1 END)::decimal / NULLIF(COUNT(*), 0)
+          FROM agent_runs
+          WHERE user_agent_id = $1
+            AND status IN ('completed', 'dead_letter', 'timed_out')
+            AND created_at > NOW() - INTERVAL '30 days'
+        ), performance_score)
+        WHERE id = $1
+      `, [userAgentId]);
+    } catch (error) {
+      console.error('Failed to refresh performance score:', error);
+    }
+  }
+
   async getUserPerformance(userId) {
-    // Aggregate performance metrics for user's agents
+    // Aggregate performance metrics for user's agents from their run history
+    const [agents, runs] = await Promise.all([
+      this.db.query(`
+        SELECT 
+          COUNT(*) as total_agents,
+          COUNT(CASE WHEN status IN ('idle', 'running', 'cancelled', 'timed_out') THEN 1 END) as active_agents,
+          AVG(performance_score) as average_performance
+        FROM user_agents
+        WHERE user_id = $1
+      `, [userId]),
+      this.db.query(`
+        SELECT 
+          COUNT(*) as total_executions,
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as successful_executions,
+          COUNT(CASE WHEN status IN ('completed', 'dead_letter', 'timed_out') THEN 1 END) as finished_executions
+        FROM agent_runs
+        WHERE user_id = $1
+      `, [userId])
+    ]);
+
+    const agentRow = agents.rows[0] || {};
+    const runRow = runs.rows[0] || {};
+    const finished = parseInt(runRow.finished_executions) || 0;
+
     return {
-      totalAgents: 4,
-      activeAgents: 3,
-      averagePerformance: 0.92,
-      totalExecutions: 156,
-      successRate: 0.94
+      totalAgents: parseInt(agentRow.total_agents) || 0,
+      activeAgents: parseInt(agentRow.active_agents) || 0,
+      averagePerformance: parseFloat(agentRow.average_performance) || 0,
+      totalExecutions: parseInt(runRow.total_executions) || 0,
+      successRate: finished > 0 ? (parseInt(runRow.successful_executions) || 0) / finished : 0
     };
   }
 }
 
+// Exposed so agent plugins can extend it
+AgentOrchestrator.BaseAgent = BaseAgent;
+AgentOrchestrator.AgentAbortError = AgentAbortError;
+
 module.exports = AgentOrchestrator;
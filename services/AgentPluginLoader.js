@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+// A plugin is a .js file (or a directory with an index.js) in AGENT_PLUGIN_DIR
+// that exports:
+//
+//   {
+//     type: 'standup-digest',                  // lowercase, hyphenated
+//     name: 'Standup Digest',
+//     description: 'Summarises yesterday\'s tasks every morning',
+//     agentClass: StandupDigestAgent,          // must extend BaseAgent
+//     configSchema: { properties: { ... }, required: [...] },
+//     defaultConfig: { ... },
+//     coordinationRules: { dependencies: [], conflicts: [], priority: 2, freshnessMinutes: 15 },
+//     retryPolicy: { maxAttempts: 3, backoff: 'exponential', baseDelayMs: 30000 }
+//   }
+//
+// BaseAgent is available as require('<repo>/services/AgentOrchestrator').BaseAgent.
+const TYPE_PATTERN = /^[a-z][a-z0-9-]{1,49}$/;
+
+class AgentPluginLoader {
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.pluginDir = path.resolve(options.pluginDir || process.env.AGENT_PLUGIN_DIR || 'plugins');
+    this.plugins = new Map();
+    this.failures = [];
+  }
+
+  loadPlugins() {
+    if (!fs.existsSync(this.pluginDir)) {
+      return [];
+    }
+
+    const entries = fs.readdirSync(this.pluginDir, { withFileTypes: true })
+      .filter(entry => (entry.isFile() && entry.name.endsWith('.js')) ||
+        (entry.isDirectory() && fs.existsSync(path.join(this.pluginDir, entry.name, 'index.js'))))
+      .map(entry => path.join(this.pluginDir, entry.name))
+      .sort();
+
+    const candidates = [];
+    for (const modulePath of entries) {
+      try {
+        const plugin = require(modulePath);
+        const errors = this.validatePlugin(plugin);
+        if (errors.length > 0) {
+          throw new Error(errors.join('; '));
+        }
+        candidates.push({ plugin, modulePath });
+      } catch (error) {
+        this.recordFailure(modulePath, error);
+      }
+    }
+
+    // Dependencies may point at built-in types or at other plugins, so they
+    // are only checked once every candidate is known
+    const knownTypes = new Set([
+      ...this.orchestrator.agentTypes.keys(),
+      ...candidates.map(({ plugin }) => plugin.type)
+    ]);
+
+    for (const { plugin, modulePath } of candidates) {
+      const rules = plugin.coordinationRules || {};
+      const unknown = [...(rules.dependencies || []), ...(rules.conflicts || [])]
+        .filter(type => !knownTypes.has(type));
+
+      if (unknown.length > 0) {
+        this.recordFailure(modulePath, new Error(`Unknown agent types in coordination rules: ${unknown.join(', ')}`));
+        continue;
+      }
+
+      this.orchestrator.registerAgentType({ ...plugin, source: 'plugin', modulePath });
+      this.plugins.set(plugin.type, { type: plugin.type, modulePath });
+    }
+
+    // Reject plugins whose dependencies form a cycle with the existing graph
+    for (const type of [...this.plugins.keys()]) {
+      try {
+        this.orchestrator.resolveExecutionOrder(type);
+      } catch (error) {
+        this.recordFailure(this.plugins.get(type).modulePath, error);
+        this.orchestrator.unregisterAgentType(type);
+        this.plugins.delete(type);
+      }
+    }
+
+    if (this.plugins.size > 0) {
+      console.log(`🧩 Loaded ${this.plugins.size} agent plugins from ${this.pluginDir}`);
+    }
+
+    return [...this.plugins.keys()];
+  }
+
+  validatePlugin(plugin) {
+    const errors = [];
+    const BaseAgent = this.orchestrator.constructor.BaseAgent;
+
+    if (!plugin || typeof plugin !== 'object') {
+      return ['Plugin module must export an object'];
+    }
+
+    if (typeof plugin.type !== 'string' || !TYPE_PATTERN.test(plugin.type)) {
+      errors.push('type must be a lowercase, hyphenated identifier');
+    } else if (this.orchestrator.agentTypes.has(plugin.type)) {
+      errors.push(`type "${plugin.type}" is already registered`);
+    }
+
+    if (!plugin.name || typeof plugin.name !== 'string') {
+      errors.push('name is required');
+    }
+
+    if (typeof plugin.agentClass !== 'function' || !(plugin.agentClass.prototype instanceof BaseAgent)) {
+      errors.push('agentClass must extend BaseAgent');
+    } else if (plugin.agentClass.prototype.execute === BaseAgent.prototype.execute) {
+      errors.push('agentClass must implement execute()');
+    }
+
+    if (plugin.configSchema !== undefined &&
+        (typeof plugin.configSchema !== 'object' || Array.isArray(plugin.configSchema))) {
+      errors.push('configSchema must be an object');
+    }
+
+    const rules = plugin.coordinationRules;
+    if (rules !== undefined) {
+      if (rules.dependencies !== undefined && !Array.isArray(rules.dependencies)) {
+        errors.push('coordinationRules.dependencies must be an array');
+      }
+      if (rules.conflicts !== undefined && !Array.isArray(rules.conflicts)) {
+        errors.push('coordinationRules.conflicts must be an array');
+      }
+      if (rules.priority !== undefined && !Number.isInteger(rules.priority)) {
+        errors.push('coordinationRules.priority must be an integer');
+      }
+    }
+
+    return errors;
+  }
+
+  recordFailure(modulePath, error) {
+    console.error(`Failed to load agent plugin ${modulePath}:`, error.message);
+    this.failures.push({ modulePath, error: error.message });
+  }
+
+  async syncAgentDefinitions(db) {
+    // Make sure every plugin has a row in agents so users can enable it
+    for (const type of this.plugins.keys()) {
+      const agentType = this.orchestrator.agentTypes.get(type);
+
+      await db.query(`
+        INSERT INTO agents (name, type, description, configuration)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (type) DO UPDATE SET
+          name = EXCLUDED.name,
+          description = EXCLUDED.description,
+          configuration = EXCLUDED.configuration || agents.configuration,
+          updated_at = CURRENT_TIMESTAMP
+      `, [agentType.name, type, agentType.description, JSON.stringify(agentType.defaultConfig)]);
+    }
+  }
+
+  getStatus() {
+    return {
+      pluginDir: this.pluginDir,
+      loaded: [...this.plugins.values()],
+      failed: this.failures
+    };
+  }
+}
+
+module.exports = AgentPluginLoader;
@@ -0,0 +1,477 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+// How often a worker looks for runs whose lease has expired
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoff: 'exponential',
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 30 * 60 * 1000
+};
+
+class AgentRunQueue {
+  constructor(db, orchestrator, options = {}) {
+    this.db = db;
+    this.orchestrator = orchestrator;
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.pollInterval = options.pollInterval || parseInt(process.env.AGENT_QUEUE_POLL_INTERVAL) || 5000;
+    this.concurrency = options.concurrency || parseInt(process.env.AGENT_QUEUE_CONCURRENCY) || 2;
+    this.leaseTimeout = options.leaseTimeout || 2 * (parseInt(process.env.AGENT_TIMEOUT) || 300000);
+    this.retryPolicies = new Map();
+    this.activeRuns = new Map(); // run id -> agent instance once loaded
+    this.timer = null;
+    this.isPolling = false;
+    this.lastRecoveryAt = 0;
+
+    this.setupRetryPolicies();
+  }
+
+  setupRetryPolicies() {
+    // Default retry behaviour per agent type, overridable through
+    // agents.configuration.retry_policy
+    this.retryPolicies.set('meeting-agent', {
+      maxAttempts: 3,
+      backoff: 'exponential',
+      baseDelayMs: 30 * 1000
+    });
+
+    this.retryPolicies.set('mail-summarizer', {
+      maxAttempts: 5,
+      backoff: 'exponential',
+      baseDelayMs: 15 * 1000
+    });
+
+    this.retryPolicies.set('report-generator', {
+      maxAttempts: 2,
+      backoff: 'fixed',
+      baseDelayMs: 60 * 1000
+    });
+
+    this.retryPolicies.set('task-router', {
+      maxAttempts: 3,
+      backoff: 'linear',
+      baseDelayMs: 30 * 1000
+    });
+  }
+
+  getRetryPolicy(agentType, configuration = {}) {
+    const defaults = { ...DEFAULT_RETRY_POLICY, ...this.retryPolicies.get(agentType) };
+    const override = (configuration && configuration.retry_policy) || {};
+
+    return {
+      maxAttempts: parseInt(override.max_attempts) || defaults.maxAttempts,
+      backoff: override.backoff || defaults.backoff,
+      baseDelayMs: parseInt(override.base_delay_ms) || defaults.baseDelayMs,
+      maxDelayMs: parseInt(override.max_delay_ms) || defaults.maxDelayMs
+    };
+  }
+
+  calculateBackoff(policy, attempt) {
+    let delay;
+
+    switch (policy.backoff) {
+      case 'fixed':
+        delay = policy.baseDelayMs;
+        break;
+      case 'linear':
+        delay = policy.baseDelayMs * attempt;
+        break;
+      case 'exponential':
+      default:
+        delay = policy.baseDelayMs * Math.pow(2, attempt - 1);
+    }
+
+    return Math.min(delay, policy.maxDelayMs);
+  }
+
+  async getRunTarget(userAgentId) {
+    const agent = await this.db.query(`
+      SELECT ua.id, ua.user_id, ua.agent_id, a.type, a.configuration
+      FROM user_agents ua
+      JOIN agents a ON ua.agent_id = a.id
+      WHERE ua.id = $1
+    `, [userAgentId]);
+
+    if (agent.rows.length === 0) {
+      throw new Error(`Agent instance ${userAgentId} not found`);
+    }
+
+    return agent.rows[0];
+  }
+
+  async enqueue({ userAgentId, params = {}, triggerSource = 'manual', delayMs = 0 }) {
+    const row = await this.getRunTarget(userAgentId);
+    const policy = this.getRetryPolicy(row.type, row.configuration);
+
+    const result = await this.db.query(`
+      INSERT INTO agent_runs (user_agent_id, user_id, agent_id, params, trigger_source, status, max_attempts, next_attempt_at)
+      VALUES ($1, $2, $3, $4, $5, 'queued', $6, $7)
+      RETURNING *
+    `, [
+      row.id,
+      row.user_id,
+      row.agent_id,
+      JSON.stringify(params),
+      triggerSource,
+      policy.maxAttempts,
+      new Date(Date.now() + delayMs)
+    ]);
+
+    const run = this.formatRun(result.rows[0]);
+
+    this.orchestrator.io.to(`user-${row.user_id}`).emit('agent-run-queued', {
+      runId: run.id,
+      agentId: row.agent_id,
+      status: run.status
+    });
+
+    // Pick the run up straight away instead of waiting for the next poll
+    if (!delayMs) {
+      setImmediate(() => this.poll());
+    }
+
+    return run;
+  }
+
+  async runNow({ userAgentId, params = {}, triggerSource = 'manual' }) {
+    // Executes immediately in this process while still leaving a run record;
+    // inline runs get a single attempt so the poller never retries them
+    const row = await this.getRunTarget(userAgentId);
+
+    const inserted = await this.db.query(`
+      INSERT INTO agent_runs (user_agent_id, user_id, agent_id, params, trigger_source, status,
+                              attempts, max_attempts, locked_by, locked_at, started_at)
+      VALUES ($1, $2, $3, $4, $5, 'running', 1, 1, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [row.id, row.user_id, row.agent_id, JSON.stringify(params), triggerSource, this.workerId]);
+
+    const run = inserted.rows[0];
+    this.activeRuns.set(run.id, null);
+
+    try {
+      const instance = await this.orchestrator.loadAgentInstance(run.user_agent_id);
+      this.activeRuns.set(run.id, instance);
+      const result = await this.orchestrator.runAgent(instance.id, params);
+      await this.completeRun(run, result);
+      return { runId: run.id, result };
+    } catch (error) {
+      await this.recordError(run, error);
+      error.runId = run.id;
+      throw error;
+    } finally {
+      this.activeRuns.delete(run.id);
+    }
+  }
+
+  async getLatestCompletedRun(userAgentId, maxAgeMinutes) {
+    const result = await this.db.query(`
+      SELECT * FROM agent_runs
+      WHERE user_agent_id = $1
+        AND status = 'completed'
+        AND completed_at > NOW() - INTERVAL '1 minute' * $2
+      ORDER BY completed_at DESC
+      LIMIT 1
+    `, [userAgentId, maxAgeMinutes]);
+
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null;
+  }
+
+  async getRun(runId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM agent_runs
+      WHERE id = $1 AND user_id = $2
+    `, [runId, userId]);
+
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`📥 Agent run queue started (worker ${this.workerId})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      // Runs of a worker that died while this process stays up are picked
+      // up here, not only when some process restarts
+      if (Date.now() - this.lastRecoveryAt >= RECOVERY_INTERVAL_MS) {
+        this.lastRecoveryAt = Date.now();
+        await this.recoverStaleRuns().catch(error => {
+          console.error('Failed to recover stale agent runs:', error);
+        });
+      }
+
+      if (this.activeRuns.size > 0) {
+        await this.checkCancelRequests();
+      }
+
+      while (this.activeRuns.size < this.concurrency) {
+        const run = await this.claimNextRun();
+        if (!run) break;
+
+        this.activeRuns.set(run.id, null);
+        this.executeRun(run).finally(() => {
+          this.activeRuns.delete(run.id);
+        });
+      }
+    } catch (error) {
+      console.error('Agent run queue poll error:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async claimNextRun() {
+    // SKIP LOCKED lets several server processes share the queue without
+    // picking up the same run twice
+    const result = await this.db.query(`
+      UPDATE agent_runs
+      SET status = 'running',
+          attempts = attempts + 1,
+          locked_by = $1,
+          locked_at = CURRENT_TIMESTAMP,
+          started_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM agent_runs
+        WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC, created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [this.workerId]);
+
+    return result.rows[0] || null;
+  }
+
+  async executeRun(run) {
+    try {
+      const instance = await this.orchestrator.loadAgentInstance(run.user_agent_id);
+      this.activeRuns.set(run.id, instance);
+      const result = await this.orchestrator.runAgent(instance.id, run.params || {});
+      await this.completeRun(run, result);
+    } catch (error) {
+      await this.recordError(run, error);
+    }
+  }
+
+  async recordError(run, error) {
+    // Cancelled and timed-out runs are final; a preempted run is retried
+    // like any other failure
+    if (error.name === 'AgentAbortError' && ['cancelled', 'timed_out'].includes(error.reason)) {
+      await this.finishAbortedRun(run, error.reason, error.message);
+    } else {
+      await this.failRun(run, error);
+    }
+  }
+
+  async finishAbortedRun(run, status, message) {
+    try {
+      await this.db.query(`
+        UPDATE agent_runs
+        SET status = $2,
+            error = $3,
+            locked_by = NULL,
+            locked_at = NULL,
+            completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [run.id, status, message]);
+
+      if (status === 'timed_out') {
+        await this.orchestrator.performanceTracker.refreshPerformanceScore(run.user_agent_id);
+      }
+
+      this.orchestrator.io.to(`user-${run.user_id}`).emit('agent-run-updated', {
+        runId: run.id,
+        agentId: run.agent_id,
+        status,
+        attempts: run.attempts,
+        error: message
+      });
+    } catch (updateError) {
+      console.error(`Failed to record ${status} for agent run ${run.id}:`, updateError);
+    }
+  }
+
+  async cancelRun(runId, userId) {
+    const existing = await this.getRun(runId, userId);
+    if (!existing) return null;
+
+    // Queued runs are cancelled outright
+    const queued = await this.db.query(`
+      UPDATE agent_runs
+      SET status = 'cancelled', error = 'Cancelled by user', completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'queued'
+      RETURNING *
+    `, [runId]);
+
+    if (queued.rows.length > 0) {
+      this.orchestrator.io.to(`user-${userId}`).emit('agent-run-updated', {
+        runId,
+        agentId: queued.rows[0].agent_id,
+        status: 'cancelled'
+      });
+      return this.formatRun(queued.rows[0]);
+    }
+
+    // Running runs are flagged so whichever worker owns them can abort
+    const running = await this.db.query(`
+      UPDATE agent_runs
+      SET cancel_requested_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'running'
+      RETURNING *
+    `, [runId]);
+
+    if (running.rows.length === 0) {
+      const error = new Error(`Run is already ${existing.status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    this.abortLocalRun(runId);
+    return this.formatRun(running.rows[0]);
+  }
+
+  abortLocalRun(runId) {
+    const instance = this.activeRuns.get(runId);
+    return instance ? instance.abort('cancelled', 'Cancelled by user') : false;
+  }
+
+  async checkCancelRequests() {
+    const result = await this.db.query(`
+      SELECT id FROM agent_runs
+      WHERE locked_by = $1 AND status = 'running' AND cancel_requested_at IS NOT NULL
+    `, [this.workerId]);
+
+    result.rows.forEach(row => this.abortLocalRun(row.id));
+  }
+
+  async completeRun(run, result) {
+    await this.db.query(`
+      UPDATE agent_runs
+      SET status = 'completed',
+          result = $2,
+          error = NULL,
+          locked_by = NULL,
+          locked_at = NULL,
+          completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [run.id, JSON.stringify(result || {})]);
+
+    await this.orchestrator.performanceTracker.refreshPerformanceScore(run.user_agent_id);
+
+    this.orchestrator.io.to(`user-${run.user_id}`).emit('agent-run-updated', {
+      runId: run.id,
+      agentId: run.agent_id,
+      status: 'completed',
+      attempts: run.attempts
+    });
+  }
+
+  async failRun(run, error) {
+    try {
+      const agent = await this.db.query(`
+        SELECT type, configuration FROM agents WHERE id = $1
+      `, [run.agent_id]);
+      const agentRow = agent.rows[0] || {};
+      const policy = this.getRetryPolicy(agentRow.type, agentRow.configuration);
+
+      const exhausted = run.attempts >= run.max_attempts;
+      const status = exhausted ? 'dead_letter' : 'queued';
+      const nextAttemptAt = exhausted ? null : new Date(Date.now() + this.calculateBackoff(policy, run.attempts));
+
+      await this.db.query(`
+        UPDATE agent_runs
+        SET status = $2,
+            error = $3,
+            next_attempt_at = COALESCE($4, next_attempt_at),
+            locked_by = NULL,
+            locked_at = NULL,
+            completed_at = CASE WHEN $2 = 'dead_letter' THEN CURRENT_TIMESTAMP ELSE NULL END
+        WHERE id = $1
+      `, [run.id, status, error.message, nextAttemptAt]);
+
+      if (exhausted) {
+        console.error(`☠️ Agent run ${run.id} moved to dead letter after ${run.attempts} attempts`);
+        await this.orchestrator.performanceTracker.refreshPerformanceScore(run.user_agent_id);
+      }
+
+      this.orchestrator.io.to(`user-${run.user_id}`).emit('agent-run-updated', {
+        runId: run.id,
+        agentId: run.agent_id,
+        status,
+        attempts: run.attempts,
+        nextAttemptAt,
+        error: error.message
+      });
+    } catch (updateError) {
+      console.error(`Failed to record failure for agent run ${run.id}:`, updateError);
+    }
+  }
+
+  async recoverStaleRuns() {
+    // Runs left 'running' by a crashed process go back on the queue once
+    // their lease has expired; this worker's own active runs are still alive
+    const result = await this.db.query(`
+      UPDATE agent_runs
+      SET status = CASE WHEN attempts >= max_attempts THEN 'dead_letter' ELSE 'queued' END,
+          error = COALESCE(error, 'Worker lease expired'),
+          locked_by = NULL,
+          locked_at = NULL
+      WHERE status = 'running' AND locked_at < $1
+        AND NOT (locked_by = $2 AND id = ANY($3))
+      RETURNING id
+    `, [new Date(Date.now() - this.leaseTimeout), this.workerId, [...this.activeRuns.keys()]]);
+
+    if (result.rows.length > 0) {
+      console.log(`♻️ Recovered ${result.rows.length} stale agent runs`);
+    }
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      instanceId: row.user_agent_id,
+      agentId: row.agent_id,
+      params: row.params,
+      triggerSource: row.trigger_source,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.next_attempt_at,
+      result: row.result,
+      error: row.error,
+      cancelRequestedAt: row.cancel_requested_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      durationMs: row.started_at && row.completed_at ?
+        new Date(row.completed_at) - new Date(row.started_at) : null,
+      createdAt: row.created_at
+    };
+  }
+
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      isRunning: !!this.timer,
+      activeRuns: this.activeRuns.size,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+module.exports = AgentRunQueue;
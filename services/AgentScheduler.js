@@ -0,0 +1,275 @@
+const cronParser = require('cron-parser');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CANDIDATES = 10000; // cron ticks examined before giving up on a window
+
+// Fires agent runs from per-user-agent cron schedules (agent_schedules) and
+// from the legacy auto_run_interval setting. Every fire is claimed with a
+// compare-and-swap UPDATE, so several server processes can tick at once
+// without enqueueing the same run twice.
+class AgentScheduler {
+  constructor(db, orchestrator) {
+    this.db = db;
+    this.orchestrator = orchestrator;
+  }
+
+  validateSchedule({ cron, timezone = 'UTC', businessHours = null, blackoutDates = [] }) {
+    const errors = [];
+
+    if (typeof cron !== 'string' || cron.trim().split(/\s+/).length !== 5) {
+      errors.push('cron must be a five-field expression (minute hour day month weekday)');
+    } else {
+      try {
+        cronParser.parseExpression(cron, { tz: 'UTC' });
+      } catch (error) {
+        errors.push(`cron is invalid: ${error.message}`);
+      }
+    }
+
+    if (!this.isValidTimeZone(timezone)) {
+      errors.push(`timezone "${timezone}" is not a valid IANA time zone`);
+    }
+
+    if (businessHours) {
+      const { days, start, end } = businessHours;
+      if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('businessHours.days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+      }
+      if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start >= end) {
+        errors.push('businessHours.start and businessHours.end must be HH:MM with start before end');
+      }
+    }
+
+    if (!Array.isArray(blackoutDates)) {
+      errors.push('blackoutDates must be an array');
+    } else {
+      blackoutDates.forEach((entry, index) => {
+        const range = typeof entry === 'string' ? { from: entry, to: entry } : entry || {};
+        if (!DATE_PATTERN.test(range.from) || !DATE_PATTERN.test(range.to) || range.from > range.to) {
+          errors.push(`blackoutDates[${index}] must be YYYY-MM-DD or { from, to }`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  isValidTimeZone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getLocalParts(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`,
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  isAllowed(date, schedule) {
+    const timezone = schedule.timezone || 'UTC';
+    const local = this.getLocalParts(date, timezone);
+
+    const blackedOut = (schedule.blackoutDates || []).some(entry => {
+      const range = typeof entry === 'string' ? { from: entry, to: entry } : entry;
+      return local.date >= range.from && local.date <= range.to;
+    });
+    if (blackedOut) return false;
+
+    const hours = schedule.businessHours;
+    if (hours) {
+      if (!hours.days.includes(local.weekday)) return false;
+      if (local.time < hours.start || local.time >= hours.end) return false;
+    }
+
+    return true;
+  }
+
+  getNextFireTimes(schedule, count = 1, from = new Date()) {
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: from,
+      tz: schedule.timezone || 'UTC'
+    });
+
+    const fireTimes = [];
+    for (let examined = 0; examined < MAX_CANDIDATES && fireTimes.length < count; examined++) {
+      let next;
+      try {
+        next = interval.next().toDate();
+      } catch (error) {
+        break; // expression has no further dates
+      }
+
+      if (this.isAllowed(next, schedule)) {
+        fireTimes.push(next);
+      }
+    }
+
+    return fireTimes;
+  }
+
+  async getUserTimeZone(userId) {
+    const result = await this.db.query(`
+      SELECT preferences->>'timezone' as timezone FROM users WHERE id = $1
+    `, [userId]);
+
+    const timezone = result.rows[0] && result.rows[0].timezone;
+    return timezone && this.isValidTimeZone(timezone) ? timezone : 'UTC';
+  }
+
+  async getSchedule(userAgentId) {
+    const result = await this.db.query(`
+      SELECT * FROM agent_schedules WHERE user_agent_id = $1
+    `, [userAgentId]);
+
+    return result.rows[0] ? this.formatSchedule(result.rows[0]) : null;
+  }
+
+  async saveSchedule(userAgentId, schedule) {
+    const [nextRunAt] = this.getNextFireTimes(schedule);
+
+    const result = await this.db.query(`
+      INSERT INTO agent_schedules (user_agent_id, cron_expression, timezone, business_hours, blackout_dates, is_active, next_run_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (user_agent_id) DO UPDATE SET
+        cron_expression = EXCLUDED.cron_expression,
+        timezone = EXCLUDED.timezone,
+        business_hours = EXCLUDED.business_hours,
+        blackout_dates = EXCLUDED.blackout_dates,
+        is_active = EXCLUDED.is_active,
+        next_run_at = EXCLUDED.next_run_at
+      RETURNING *
+    `, [
+      userAgentId,
+      schedule.cron,
+      schedule.timezone,
+      schedule.businessHours ? JSON.stringify(schedule.businessHours) : null,
+      JSON.stringify(schedule.blackoutDates || []),
+      schedule.isActive !== false,
+      nextRunAt || null
+    ]);
+
+    return this.formatSchedule(result.rows[0]);
+  }
+
+  async deleteSchedule(userAgentId) {
+    const result = await this.db.query(`
+      DELETE FROM agent_schedules WHERE user_agent_id = $1 RETURNING id
+    `, [userAgentId]);
+
+    return result.rows.length > 0;
+  }
+
+  async tick() {
+    await this.fireDueSchedules();
+    await this.fireIntervalAgents();
+  }
+
+  async fireDueSchedules() {
+    const due = await this.db.query(`
+      SELECT s.*
+      FROM agent_schedules s
+      JOIN user_agents ua ON s.user_agent_id = ua.id
+      JOIN agents a ON ua.agent_id = a.id
+      WHERE s.is_active = true
+        AND s.next_run_at <= CURRENT_TIMESTAMP
+        AND ua.status != 'paused'
+        AND a.is_active = true
+    `);
+
+    for (const row of due.rows) {
+      const schedule = this.formatSchedule(row);
+      const [nextRunAt] = this.getNextFireTimes(schedule);
+
+      // Only the process whose UPDATE still sees the old next_run_at fires
+      const claimed = await this.db.query(`
+        UPDATE agent_schedules
+        SET next_run_at = $3, last_fired_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND next_run_at = $2
+        RETURNING id
+      `, [row.id, row.next_run_at, nextRunAt || null]);
+
+      if (claimed.rows.length === 0) continue;
+
+      await this.orchestrator.enqueueRun(row.user_agent_id, {
+        scheduledFor: new Date(row.next_run_at).toISOString()
+      }, { triggerSource: 'scheduler' });
+    }
+  }
+
+  async fireIntervalAgents() {
+    // Agents without a cron schedule keep the fixed auto_run_interval; a
+    // cancelled or timed-out last run does not stop them, like cron schedules
+    const autoRunAgents = await this.db.query(`
+      SELECT ua.id
+      FROM user_agents ua
+      JOIN agents a ON ua.agent_id = a.id
+      WHERE ua.auto_run_enabled = true
+      AND ua.status IN ('idle', 'cancelled', 'timed_out')
+      AND a.is_active = true
+      AND (ua.last_run IS NULL OR
+           ua.last_run < NOW() - INTERVAL '1 minute' * ua.auto_run_interval)
+      AND NOT EXISTS (
+        SELECT 1 FROM agent_schedules s
+        WHERE s.user_agent_id = ua.id AND s.is_active = true
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM agent_runs r
+        WHERE r.user_agent_id = ua.id AND r.status IN ('queued', 'running')
+      )
+    `);
+
+    for (const agent of autoRunAgents.rows) {
+      // Only the process whose UPDATE still finds the agent due enqueues it;
+      // the check runs in SQL because last_run keeps microseconds a JS Date drops
+      const claimed = await this.db.query(`
+        UPDATE user_agents
+        SET last_run = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND (last_run IS NULL OR last_run < NOW() - INTERVAL '1 minute' * auto_run_interval)
+        RETURNING id
+      `, [agent.id]);
+
+      if (claimed.rows.length === 0) continue;
+
+      await this.orchestrator.enqueueRun(agent.id, {}, { triggerSource: 'scheduler' });
+    }
+  }
+
+  formatSchedule(row) {
+    return {
+      id: row.id,
+      instanceId: row.user_agent_id,
+      cron: row.cron_expression,
+      timezone: row.timezone,
+      businessHours: row.business_hours,
+      blackoutDates: row.blackout_dates || [],
+      isActive: row.is_active,
+      nextRunAt: row.next_run_at,
+      lastFiredAt: row.last_fired_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = AgentScheduler;
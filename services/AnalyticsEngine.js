@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const SlaEngine = require('./SlaEngine');
 
 class AnalyticsEngine {
   constructor(db) {
@@ -170,16 +171,23 @@ class AnalyticsEngine {
       SELECT 
         a.name,
         a.type,
-        ua.performance_score,
         ua.status,
-        COUNT(act.id) as executions,
-        AVG(EXTRACT(EPOCH FROM (act.created_at - LAG(act.created_at) OVER (PARTITION BY ua.id ORDER BY act.created_at)))) as avg_interval_seconds
+        COUNT(r.id) as executions,
+        COUNT(CASE WHEN r.status = 'completed' THEN 1 END) as successful,
+        COUNT(CASE WHEN r.status IN ('dead_letter', 'timed_out') THEN 1 END) as failed,
+        COUNT(CASE WHEN r.status = 'cancelled' THEN 1 END) as cancelled,
+        COUNT(CASE WHEN r.trigger_source = 'manual' THEN 1 END) as manual_runs,
+        COUNT(CASE WHEN r.trigger_source = 'scheduler' THEN 1 END) as scheduled_runs,
+        COUNT(CASE WHEN r.trigger_source = 'dependency' THEN 1 END) as dependency_runs,
+        COUNT(CASE WHEN r.trigger_source = 'workflow' THEN 1 END) as workflow_runs,
+        AVG(CASE WHEN r.status = 'completed' THEN EXTRACT(EPOCH FROM (r.completed_at - r.started_at)) END) as avg_duration_seconds,
+        EXTRACT(EPOCH FROM (MAX(r.created_at) - MIN(r.created_at))) / NULLIF(COUNT(r.id) - 1, 0) as avg_interval_seconds
       FROM user_agents ua
       JOIN agents a ON ua.agent_id = a.id
-      LEFT JOIN activities act ON ua.id = act.agent_id 
-        AND act.created_at BETWEEN $2 AND $3
+      LEFT JOIN agent_runs r ON ua.id = r.user_agent_id 
+        AND r.created_at BETWEEN $2 AND $3
       WHERE ua.user_id = $1
-      GROUP BY a.id, a.name, a.type, ua.performance_score, ua.status
+      GROUP BY ua.id, a.name, a.type, ua.status
     `, [userId, startDate, endDate]);
 
     const agentMetrics = {};
@@ -187,16 +195,31 @@ class AnalyticsEngine {
     let activeAgents = 0;
 
     result.rows.forEach(row => {
+      const successful = parseInt(row.successful) || 0;
+      const failed = parseInt(row.failed) || 0;
+      // Success rate of finished runs in the window
+      const performanceScore = successful + failed > 0 ? successful / (successful + failed) : 0;
+
       agentMetrics[row.type] = {
         name: row.name,
-        performanceScore: parseFloat(row.performance_score) || 0,
+        performanceScore,
         status: row.status,
         executions: parseInt(row.executions) || 0,
+        successful,
+        failed,
+        cancelled: parseInt(row.cancelled) || 0,
+        byTrigger: {
+          manual: parseInt(row.manual_runs) || 0,
+          scheduler: parseInt(row.scheduled_runs) || 0,
+          dependency: parseInt(row.dependency_runs) || 0,
+          workflow: parseInt(row.workflow_runs) || 0
+        },
+        avgDurationSeconds: parseFloat(row.avg_duration_seconds) || 0,
         avgIntervalMinutes: Math.round((parseFloat(row.avg_interval_seconds) || 0) / 60)
       };
 
       if (row.status === 'idle' || row.status === 'running') {
-        totalPerformance += parseFloat(row.performance_score) || 0;
+        totalPerformance += performanceScore;
         activeAgents++;
       }
     });
@@ -266,10 +289,64 @@ class AnalyticsEngine {
       emails: {
         processed: parseInt(emailsResult.rows[0]?.processed_emails) || 0
       },
+      sla: await this.getSlaComplianceMetrics(userId, startDate, endDate),
       productivityScore: this.calculateProductivityScore(taskMetrics, meetingsResult.rows[0], emailsResult.rows[0])
     };
   }
 
+  async getSlaComplianceMetrics(userId, startDate, endDate) {
+    // A task meets its SLA when it was completed by sla_due_at without ever breaching
+    const [tasksResult, escalationsResult] = await Promise.all([
+      this.db.query(`
+        SELECT
+          priority,
+          COUNT(*) as tracked,
+          COUNT(CASE WHEN status = 'completed' AND sla_breached_at IS NULL AND completed_at <= sla_due_at THEN 1 END) as met,
+          COUNT(CASE WHEN sla_breached_at IS NOT NULL OR completed_at > sla_due_at THEN 1 END) as breached,
+          COUNT(CASE WHEN status IN ('pending', 'in-progress') AND sla_breached_at IS NULL
+            AND sla_due_at < NOW() + INTERVAL '1 hour' * $4 THEN 1 END) as at_risk
+        FROM tasks
+        WHERE user_id = $1 AND created_at BETWEEN $2 AND $3 AND sla_due_at IS NOT NULL
+        GROUP BY priority
+      `, [userId, startDate, endDate, SlaEngine.AT_RISK_HOURS]),
+
+      this.db.query(`
+        SELECT action, COUNT(*) as count
+        FROM task_escalations
+        WHERE user_id = $1 AND created_at BETWEEN $2 AND $3
+        GROUP BY action
+      `, [userId, startDate, endDate])
+    ]);
+
+    const byPriority = {};
+    const totals = { tracked: 0, met: 0, breached: 0, atRisk: 0 };
+    tasksResult.rows.forEach(row => {
+      const metrics = {
+        tracked: parseInt(row.tracked),
+        met: parseInt(row.met),
+        breached: parseInt(row.breached),
+        atRisk: parseInt(row.at_risk)
+      };
+      byPriority[row.priority] = metrics;
+      Object.keys(totals).forEach(key => { totals[key] += metrics[key]; });
+    });
+
+    const escalations = {};
+    escalationsResult.rows.forEach(row => {
+      escalations[row.action] = parseInt(row.count);
+    });
+
+    const decided = totals.met + totals.breached;
+
+    return {
+      ...totals,
+      complianceRate: decided > 0 ? (totals.met / decided) * 100 : null,
+      escalated: escalations.escalated || 0,
+      notified: escalations.notified || 0,
+      byPriority
+    };
+  }
+
   async getIntegrationMetrics(userId, startDate, endDate) {
     const result = await this.db.query(`
       SELECT 
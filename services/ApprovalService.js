@@ -0,0 +1,279 @@
+const DEFAULT_EXPIRY_HOURS = 24;
+
+// Agents describe mutations as change sets, e.g.
+//   { type: 'task.assign', targetId, label, before: { assignedTo, status }, after: { assignedTo, status } }
+// Each change type has a handler that applies it only if the target still
+// matches `before`, so approving a stale proposal cannot clobber newer edits.
+class ApprovalService {
+  constructor(db, io) {
+    this.db = db;
+    this.io = io;
+    this.changeHandlers = new Map();
+    this.expiryTimer = null;
+
+    this.setupChangeHandlers();
+  }
+
+  setupChangeHandlers() {
+    this.changeHandlers.set('task.assign', async (client, userId, change) => {
+      const result = await client.query(`
+        UPDATE tasks
+        SET assigned_to = $1, status = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND user_id = $4
+          AND assigned_to IS NOT DISTINCT FROM $5
+          AND status = $6
+      `, [change.after.assignedTo, change.after.status, change.targetId, userId,
+          change.before.assignedTo, change.before.status]);
+      return result.rowCount > 0;
+    });
+
+    // before/after hold the moved fields: { date, time } or { start, end }
+    this.changeHandlers.set('meeting.reschedule', async (client, userId, change) => {
+      const fields = Object.keys(change.after);
+      const result = await client.query(`
+        UPDATE shared_context
+        SET data = data || $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND user_id = $3
+          AND NOT EXISTS (
+            SELECT 1 FROM jsonb_each($4::jsonb) AS expected
+            WHERE data->expected.key IS DISTINCT FROM NULLIF(expected.value, 'null'::jsonb)
+          )
+      `, [JSON.stringify(change.after), change.targetId, userId,
+          JSON.stringify(fields.reduce((before, field) => ({ ...before, [field]: change.before[field] ?? null }), {}))]);
+      return result.rowCount > 0;
+    });
+  }
+
+  start() {
+    if (this.expiryTimer) return;
+    this.expiryTimer = setInterval(() => {
+      this.expirePending().catch(error => {
+        console.error('Approval expiry error:', error);
+      });
+    }, 60 * 1000);
+  }
+
+  stop() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+
+  requiresApproval(agent) {
+    return agent.config && agent.config.requires_approval === true;
+  }
+
+  buildDiff(changes) {
+    return changes.flatMap(change => Object.keys(change.after).map(field => ({
+      target: change.label || change.targetId,
+      field,
+      before: change.before[field] === undefined ? null : change.before[field],
+      after: change.after[field]
+    })));
+  }
+
+  async getPendingTargetIds(userId, changeType) {
+    // Lets agents skip items already waiting for a decision
+    const result = await this.db.query(`
+      SELECT change->>'targetId' as target_id
+      FROM approvals, jsonb_array_elements(changes) change
+      WHERE user_id = $1 AND status = 'pending' AND change->>'type' = $2
+    `, [userId, changeType]);
+
+    return new Set(result.rows.map(row => row.target_id));
+  }
+
+  async propose(agent, { actionType, title, changes }) {
+    const expiryHours = parseFloat(agent.config && agent.config.approval_expiry_hours) || DEFAULT_EXPIRY_HOURS;
+
+    const result = await this.db.query(`
+      INSERT INTO approvals (user_id, user_agent_id, agent_type, action_type, title, changes, diff, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      agent.userId,
+      agent.id,
+      agent.type,
+      actionType,
+      title,
+      JSON.stringify(changes),
+      JSON.stringify(this.buildDiff(changes)),
+      new Date(Date.now() + expiryHours * 60 * 60 * 1000)
+    ]);
+
+    const approval = this.formatApproval(result.rows[0]);
+
+    this.io.to(`user-${agent.userId}`).emit('approval-requested', approval);
+
+    return approval;
+  }
+
+  async applyChanges(client, userId, changes, { strict = false } = {}) {
+    let applied = 0;
+
+    for (const change of changes) {
+      const handler = this.changeHandlers.get(change.type);
+      if (!handler) {
+        throw new Error(`Unknown change type ${change.type}`);
+      }
+
+      const ok = await handler(client, userId, change);
+      if (ok) {
+        applied++;
+      } else if (strict) {
+        throw new Error(`${change.label || change.targetId} changed since the proposal was made`);
+      }
+    }
+
+    return applied;
+  }
+
+  async getApproval(approvalId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM approvals WHERE id = $1 AND user_id = $2
+    `, [approvalId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async approve(approvalId, userId, note = null) {
+    const approval = await this.getApproval(approvalId, userId);
+    if (!approval) return null;
+
+    if (approval.status !== 'pending') {
+      throw this.decisionError(`Approval is already ${approval.status}`);
+    }
+
+    if (new Date(approval.expires_at) < new Date()) {
+      await this.markExpired([approval.id]);
+      throw this.decisionError('Approval has expired');
+    }
+
+    // All changes land together or not at all
+    const client = await this.db.connect();
+    let status = 'approved';
+    let errorMessage = null;
+
+    try {
+      await client.query('BEGIN');
+
+      // Claim the row first so two reviewers cannot both apply it
+      const claimed = await client.query(`
+        UPDATE approvals SET status = 'approved'
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id
+      `, [approvalId]);
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        throw this.decisionError('Approval was decided by someone else');
+      }
+
+      try {
+        await client.query('SAVEPOINT apply_changes');
+        await this.applyChanges(client, userId, approval.changes, { strict: true });
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT apply_changes');
+        status = 'failed';
+        errorMessage = error.message;
+      }
+
+      await client.query(`
+        UPDATE approvals
+        SET status = $2, decided_by = $3, decided_at = CURRENT_TIMESTAMP,
+            decision_note = $4, applied_at = CASE WHEN $2 = 'approved' THEN CURRENT_TIMESTAMP END,
+            error = $5
+        WHERE id = $1
+      `, [approvalId, status, userId, note, errorMessage]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return await this.emitDecision(approvalId, userId);
+  }
+
+  async reject(approvalId, userId, note = null) {
+    const result = await this.db.query(`
+      UPDATE approvals
+      SET status = 'rejected', decided_by = $2, decided_at = CURRENT_TIMESTAMP, decision_note = $3
+      WHERE id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING id
+    `, [approvalId, userId, note]);
+
+    if (result.rows.length === 0) {
+      const approval = await this.getApproval(approvalId, userId);
+      if (!approval) return null;
+      throw this.decisionError(`Approval is already ${approval.status}`);
+    }
+
+    return await this.emitDecision(approvalId, userId);
+  }
+
+  decisionError(message) {
+    // Decisions on approvals that are no longer pending surface as 409s
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+
+  async emitDecision(approvalId, userId) {
+    const approval = this.formatApproval(await this.getApproval(approvalId, userId));
+
+    this.io.to(`user-${userId}`).emit('approval-decided', {
+      approvalId,
+      status: approval.status,
+      error: approval.error
+    });
+
+    return approval;
+  }
+
+  async expirePending() {
+    const result = await this.db.query(`
+      UPDATE approvals
+      SET status = 'expired'
+      WHERE status = 'pending' AND expires_at < CURRENT_TIMESTAMP
+      RETURNING id, user_id
+    `);
+
+    result.rows.forEach(row => {
+      this.io.to(`user-${row.user_id}`).emit('approval-decided', { approvalId: row.id, status: 'expired' });
+    });
+
+    return result.rows.length;
+  }
+
+  async markExpired(approvalIds) {
+    await this.db.query(`
+      UPDATE approvals SET status = 'expired'
+      WHERE id = ANY($1) AND status = 'pending'
+    `, [approvalIds]);
+  }
+
+  formatApproval(row) {
+    return {
+      id: row.id,
+      instanceId: row.user_agent_id,
+      agentType: row.agent_type,
+      actionType: row.action_type,
+      title: row.title,
+      status: row.status,
+      changes: row.changes,
+      diff: row.diff,
+      decidedAt: row.decided_at,
+      decisionNote: row.decision_note,
+      appliedAt: row.applied_at,
+      error: row.error,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ApprovalService;
@@ -0,0 +1,143 @@
+const DEFAULT_TASK_HOURS = 2;
+const HORIZON_HOURS = 7 * 24; // working time is only counted this far ahead
+const WEIGHTS = {
+  skills: 0.45,
+  capacity: 0.35,
+  availability: 0.1,
+  balance: 0.1
+};
+
+// Scores team members for a task from skills, free working time before the
+// SLA deadline, current availability and load. Returns the ranked candidates
+// with a plain-language explanation for each.
+class AssignmentScorer {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  getDueBy(task, slaHours, now = new Date()) {
+    if (task.sla_due_at) return new Date(task.sla_due_at);
+    if (task.due_date) return new Date(task.due_date);
+    const createdAt = task.created_at ? new Date(task.created_at) : now;
+    return new Date(createdAt.getTime() + slaHours * 60 * 60 * 1000);
+  }
+
+  getLocalParts(date, timezone) {
+    let formatter = this.formatters.get(timezone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23'
+      });
+      this.formatters.set(timezone, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`,
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  isOnTimeOff(member, date) {
+    const local = this.getLocalParts(date, member.timezone || 'UTC');
+    return member.timeOff.some(range => local.date >= range.from && local.date <= range.to);
+  }
+
+  isWorking(member, date) {
+    const hours = member.workingHours || { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+    const local = this.getLocalParts(date, member.timezone || 'UTC');
+
+    if (this.isOnTimeOff(member, date)) {
+      return false;
+    }
+
+    return hours.days.includes(local.weekday) && local.time >= hours.start && local.time < hours.end;
+  }
+
+  getWorkingHoursBetween(member, from, to) {
+    // Sampled hourly, which is precise enough for routing decisions
+    const end = Math.min(to.getTime(), from.getTime() + HORIZON_HOURS * 60 * 60 * 1000);
+    let hours = 0;
+
+    for (let time = from.getTime(); time < end; time += 60 * 60 * 1000) {
+      if (this.isWorking(member, new Date(time))) {
+        hours++;
+      }
+    }
+
+    return hours;
+  }
+
+  rankCandidates(task, members, { slaHours = 24, now = new Date() } = {}) {
+    const taskTags = (task.tags || []).map(tag => tag.toLowerCase());
+    const estimate = parseFloat(task.estimated_hours) || DEFAULT_TASK_HOURS;
+    const dueBy = this.getDueBy(task, slaHours, now);
+    const urgent = ['urgent', 'high'].includes(task.priority);
+    const maxLoad = Math.max(1, ...members.map(member => member.loadHours));
+
+    const candidates = members.map(member => {
+      const reasons = [];
+      const skills = member.skills.map(skill => skill.toLowerCase());
+
+      const matched = taskTags.filter(tag => skills.includes(tag));
+      const skillScore = taskTags.length > 0 ? matched.length / taskTags.length : 0.5;
+      if (matched.length > 0) {
+        reasons.push(`Matches skills: ${matched.join(', ')}`);
+      } else if (taskTags.length > 0) {
+        reasons.push('No matching skills');
+      }
+
+      const workingHours = this.getWorkingHoursBetween(member, now, dueBy);
+      const freeHours = Math.max(0, workingHours - member.loadHours);
+      const meetsSla = freeHours >= estimate;
+      const capacityScore = Math.min(1, freeHours / (estimate * 2));
+      reasons.push(`${freeHours.toFixed(1)}h free before ${dueBy.toISOString()} (needs ${estimate}h)`);
+
+      const available = this.isWorking(member, now);
+      if (available) {
+        reasons.push('Working now');
+      } else {
+        reasons.push(this.isOnTimeOff(member, now) ? 'On time off' : 'Outside working hours now');
+      }
+
+      const balanceScore = 1 - member.loadHours / maxLoad;
+      reasons.push(`${member.openTasks} open tasks, ${member.loadHours.toFixed(1)}h assigned`);
+
+      // Urgent work favours whoever can start right away
+      const availabilityWeight = urgent ? WEIGHTS.availability * 2 : WEIGHTS.availability;
+      const totalWeight = WEIGHTS.skills + WEIGHTS.capacity + availabilityWeight + WEIGHTS.balance;
+      const score = (
+        WEIGHTS.skills * skillScore +
+        WEIGHTS.capacity * capacityScore +
+        availabilityWeight * (available ? 1 : 0) +
+        WEIGHTS.balance * balanceScore
+      ) / totalWeight;
+
+      return {
+        member,
+        score: Math.round(score * 1000) / 1000,
+        meetsSla,
+        reasons
+      };
+    });
+
+    // Anyone who can meet the SLA outranks anyone who cannot
+    return candidates.sort((a, b) => (b.meetsSla - a.meetsSla) || (b.score - a.score));
+  }
+}
+
+AssignmentScorer.DEFAULT_TASK_HOURS = DEFAULT_TASK_HOURS;
+
+module.exports = AssignmentScorer;
@@ -0,0 +1,582 @@
+const ActionItemExtractor = require('./ActionItemExtractor');
+const EmailThreader = require('./EmailThreader');
+const RecurrenceRule = require('./RecurrenceRule');
+
+const CONFIRMATION_MINUTES = 15;
+const DEFAULT_MEETING_HOUR = 10;
+const DEFAULT_MEETING_DURATION = 60;
+
+const CONFIRM_PATTERN = /^\s*(?:yes|y|yep|yeah|sure|ok(?:ay)?|confirm(?:ed)?|go ahead|do it)(?:\s*,?\s*(?:please|thanks|thank you))?\s*[.!]*\s*$/i;
+const CANCEL_PATTERN = /^\s*(?:no|n|nope|cancel|stop|don'?t|never\s?mind|abort)(?:\s*,?\s*(?:thanks|thank you))?\s*[.!]*\s*$/i;
+// "How do I schedule a meeting?" asks for instructions, not for a meeting
+const QUESTION_PATTERN = /^\s*(?:how|why|where|what does|what do|can i|should i|is there)\b/i;
+
+const RUN_PATTERN = /\b(?:run|start|trigger|execute|launch|kick off)\b/i;
+const OVERDUE_PATTERN = /\bwhat(?:'s| is) overdue\b|\b(?:overdue|late|past[- ]due)\b.*\b(?:tasks?|to-?dos?)\b|\b(?:tasks?|to-?dos?)\b.*\b(?:overdue|late|past[- ]due)\b/i;
+const UNREAD_PATTERN = /\b(?:summari[sz]e|digest|recap|catch me up on|brief me on|what(?:'s| is) in)\b.*\b(?:e-?mails?|mail|inbox)\b|\bunread\s+(?:e-?mails?|mail|messages)\b/i;
+const SCHEDULE_PATTERN = /\b(?:schedule|set up|book|arrange|organi[sz]e)\b.*\b(?:meeting|call|sync)\b/i;
+
+const BOUNDARY = '(?=\\s+(?:on|at|tomorrow|today|tonight|next|this|about|regarding|re|for|to discuss|called|titled|by|in|from)\\b|\\s*[.?!,]?\\s*$)';
+const PARTICIPANTS_PATTERN = new RegExp(`\\bwith\\s+(.+?)${BOUNDARY}`, 'i');
+const TITLE_PATTERN = new RegExp(`\\b(?:about|regarding|re|to discuss|called|titled)\\s+(.+?)${BOUNDARY.replace('about|regarding|re|', '')}`, 'i');
+const QUOTED_TITLE_PATTERN = /["“]([^"”]{2,})["”]/;
+const TIME_PATTERN = /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\bat\s+(\d{1,2})(?::(\d{2}))\b|\bat\s+(noon|midday)\b/i;
+const DURATION_PATTERN = /\bfor\s+(?:(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?|h)|(half an|an|one)\s+hour)\b/i;
+
+// Things the chatbot can do on the user's behalf. Every tool names the
+// permission it needs; tools that change something are not run straight away
+// but stored as a pending action the user confirms (by replying "yes" or
+// through the confirm endpoint) within CONFIRMATION_MINUTES.
+class ChatbotToolService {
+  constructor(db, securityService, orchestrator, taskService, smartMeetingAssistant, mailService) {
+    this.db = db;
+    this.securityService = securityService;
+    this.orchestrator = orchestrator;
+    this.taskService = taskService;
+    this.smartMeetingAssistant = smartMeetingAssistant;
+    this.mailService = mailService;
+    this.tools = new Map();
+
+    this.setupTools();
+  }
+
+  setupTools() {
+    this.registerTool({
+      name: 'run_agent',
+      description: 'Queue a run of one of the user\'s agents, e.g. the Mail Summarizer or the Task Router.',
+      parameters: () => ({
+        type: 'object',
+        properties: {
+          agentType: {
+            type: 'string',
+            enum: [...this.orchestrator.agentTypes.keys()],
+            description: 'The agent to run'
+          }
+        },
+        required: ['agentType']
+      }),
+      permission: { resource: 'agents', action: 'execute' },
+      mutating: true,
+      prepare: async (userId, args) => {
+        const agentType = this.orchestrator.agentTypes.get(args.agentType);
+        if (!agentType) {
+          throw this.toolError(`There is no agent called "${args.agentType}".`);
+        }
+        if (!await this.orchestrator.pipelineExecutor.findUserAgent(userId, agentType.type)) {
+          throw this.toolError(`The ${agentType.name} isn't enabled for your account.`);
+        }
+        return { agentType: agentType.type };
+      },
+      describe: args => `run the ${this.getAgentName(args.agentType)}`,
+      run: async (userId, args) => {
+        const instanceId = await this.orchestrator.pipelineExecutor.findUserAgent(userId, args.agentType);
+        if (!instanceId) {
+          throw this.toolError(`The ${this.getAgentName(args.agentType)} isn't enabled for your account.`);
+        }
+        const run = await this.orchestrator.enqueueRun(instanceId, {}, { triggerSource: 'manual' });
+        return { runId: run.id, status: run.status };
+      },
+      format: (result, args) =>
+        `🤖 The ${this.getAgentName(args.agentType)} is queued (run ${result.runId}). You'll get a notification when it finishes.`
+    });
+
+    this.registerTool({
+      name: 'list_overdue_tasks',
+      description: 'List the user\'s open tasks that are past their due date, most overdue first.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', description: 'How many tasks to list (1-50, default 10)' }
+        }
+      },
+      permission: { resource: 'tasks', action: 'read' },
+      mutating: false,
+      prepare: async (userId, args) => ({ limit: this.clampInt(args.limit, 1, 50, 10) }),
+      describe: () => 'list your overdue tasks',
+      run: async (userId, args) => await this.taskService.listTasks(userId, {
+        overdue: true,
+        sortBy: 'dueDate',
+        order: 'asc',
+        limit: args.limit
+      }),
+      format: (result, args, context) => {
+        const { tasks, pagination } = result;
+        if (tasks.length === 0) return '✅ You have no overdue tasks.';
+
+        const lines = tasks.map(task => {
+          const details = [`${task.priority} priority`];
+          if (task.assignedTo) details.push(`assigned to ${task.assignedTo}`);
+          return `• ${task.title} (due ${this.formatDate(task.dueDate, context.timezone)}, ${details.join(', ')})`;
+        });
+        const more = pagination.total > tasks.length ? `\n…and ${pagination.total - tasks.length} more.` : '';
+        return `📋 You have ${pagination.total} overdue ${this.plural(pagination.total, 'task')}:\n${lines.join('\n')}${more}`;
+      }
+    });
+
+    this.registerTool({
+      name: 'schedule_meeting',
+      description: 'Schedule a meeting for the user with the Smart Meeting Assistant.',
+      parameters: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Meeting title' },
+          startTime: { type: 'string', description: 'Start time in ISO 8601 with a UTC offset; leave out to let the assistant pick a time' },
+          duration: { type: 'integer', description: 'Length in minutes (default 60)' },
+          participants: { type: 'array', items: { type: 'string' }, description: 'Names or email addresses of the other participants' },
+          description: { type: 'string', description: 'What the meeting is about' }
+        },
+        required: ['title']
+      },
+      permission: { resource: 'meetings', action: 'create' },
+      mutating: true,
+      prepare: async (userId, args, context) => {
+        const title = typeof args.title === 'string' ? args.title.trim().slice(0, 255) : '';
+        if (!title) throw this.toolError('What should the meeting be called?');
+
+        let startTime = null;
+        if (args.startTime) {
+          const start = new Date(args.startTime);
+          if (isNaN(start.getTime())) throw this.toolError(`I couldn't understand the start time "${args.startTime}".`);
+          if (start < new Date()) throw this.toolError('That start time is in the past.');
+          startTime = start.toISOString();
+        }
+
+        return {
+          title,
+          startTime,
+          duration: this.clampInt(args.duration, 5, 480, DEFAULT_MEETING_DURATION),
+          participants: (Array.isArray(args.participants) ? args.participants : [])
+            .filter(participant => typeof participant === 'string' && participant.trim())
+            .map(participant => participant.trim().slice(0, 255))
+            .slice(0, 50),
+          description: typeof args.description === 'string' ? args.description.slice(0, 2000) : null,
+          timezone: context.timezone
+        };
+      },
+      describe: (args, context) => {
+        const when = args.startTime ?
+          `for ${this.formatDateTime(args.startTime, context.timezone)}` :
+          'at the best time the assistant can find';
+        const people = args.participants.length > 0 ? ` with ${this.joinNames(args.participants)}` : '';
+        return `schedule "${args.title}" ${when} (${args.duration} min)${people}`;
+      },
+      run: async (userId, args) => await this.smartMeetingAssistant.scheduleMeeting(userId, {
+        title: args.title,
+        startTime: args.startTime || undefined,
+        duration: args.duration,
+        participants: args.participants,
+        description: args.description,
+        timezone: args.timezone
+      }),
+      format: (result, args, context) => {
+        const meeting = result.meeting || {};
+        const start = meeting.startTime || args.startTime;
+        const people = args.participants.length > 0 ? ` with ${this.joinNames(args.participants)}` : '';
+        return `📅 Scheduled "${args.title}"${start ? ` for ${this.formatDateTime(start, context.timezone)}` : ''}${people}.`;
+      }
+    });
+
+    this.registerTool({
+      name: 'summarize_unread_email',
+      description: 'Summarize the user\'s unread email, newest first.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', description: 'How many emails to summarize (1-20, default 5)' }
+        }
+      },
+      permission: { resource: 'email', action: 'read' },
+      mutating: false,
+      prepare: async (userId, args) => ({ limit: this.clampInt(args.limit, 1, 20, 5) }),
+      describe: () => 'summarize your unread email',
+      run: async (userId, args) => await this.mailService.getUnreadDigest(userId, { limit: args.limit }),
+      format: result => {
+        if (result.emails.length === 0) return '📭 You have no unread email.';
+
+        const lines = result.emails.map(email => {
+          const sender = EmailThreader.parseAddresses(email.from)[0];
+          const flag = ['urgent', 'high'].includes(email.priority) ? '❗ ' : '';
+          const actions = email.actionItems.length > 0 ?
+            ` (${email.actionItems.length} ${this.plural(email.actionItems.length, 'action item')})` : '';
+          return `• ${flag}${email.subject}${sender ? ` from ${sender.name || sender.email}` : ''}: ${email.summary || 'no text'}${actions}`;
+        });
+        const latest = result.total > result.emails.length ? `; here are the latest ${result.emails.length}` : '';
+        return `📧 You have ${result.total} unread ${this.plural(result.total, 'email')}${latest}:\n${lines.join('\n')}`;
+      }
+    });
+  }
+
+  registerTool(definition) {
+    this.tools.set(definition.name, definition);
+  }
+
+  // Function declarations in the shape LLMService.complete expects
+  getDefinitions() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: typeof tool.parameters === 'function' ? tool.parameters() : tool.parameters
+    }));
+  }
+
+  async getUserContext(userId) {
+    const result = await this.db.query(`
+      SELECT preferences->>'timezone' as timezone FROM users WHERE id = $1
+    `, [userId]);
+
+    // A stored time zone Intl does not know would break every date in the replies
+    const timezone = result.rows[0] && result.rows[0].timezone;
+    return { timezone: timezone && this.isValidTimeZone(timezone) ? timezone : 'UTC' };
+  }
+
+  isValidTimeZone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Resolves to { status, tool, text, result?, pendingAction? } where status
+  // is completed, confirmation_required, denied, invalid or failed
+  async invoke(userId, call, { conversationId = null } = {}) {
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      return { status: 'invalid', tool: call.name, text: `I can't do "${call.name}" yet.` };
+    }
+
+    const context = await this.getUserContext(userId);
+
+    let args;
+    try {
+      args = await tool.prepare(userId, call.arguments || {}, context);
+    } catch (error) {
+      if (!error.status) throw error;
+      return { status: 'invalid', tool: tool.name, text: error.message };
+    }
+
+    if (!await this.securityService.checkPermission(userId, tool.permission.resource, tool.permission.action)) {
+      return { status: 'denied', tool: tool.name, text: `🔒 You don't have permission to ${tool.describe(args, context)}.` };
+    }
+
+    if (tool.mutating) {
+      const summary = tool.describe(args, context);
+      const pendingAction = await this.createPendingAction(userId, conversationId, tool.name, args, summary);
+      return {
+        status: 'confirmation_required',
+        tool: tool.name,
+        text: `I'm about to ${summary}. Reply "yes" to confirm or "no" to cancel.`,
+        pendingAction
+      };
+    }
+
+    return await this.execute(userId, tool, args, context);
+  }
+
+  async execute(userId, tool, args, context) {
+    try {
+      const result = await tool.run(userId, args, context);
+      return { status: 'completed', tool: tool.name, text: tool.format(result, args, context), result };
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Chatbot tool ${tool.name} error:`, error);
+      }
+      return {
+        status: 'failed',
+        tool: tool.name,
+        text: error.status ? error.message : `Sorry, I couldn't ${tool.describe(args, context)} just now. Please try again later.`,
+        error: error.message
+      };
+    }
+  }
+
+  // Rule-based stand-in for the model's tool choice when no LLM is configured
+  async detectIntent(userId, message) {
+    if (QUESTION_PATTERN.test(message)) return null;
+
+    if (RUN_PATTERN.test(message)) {
+      const agentType = this.matchAgentType(message);
+      if (agentType) return { name: 'run_agent', arguments: { agentType } };
+    }
+
+    if (OVERDUE_PATTERN.test(message)) {
+      return { name: 'list_overdue_tasks', arguments: {} };
+    }
+
+    if (SCHEDULE_PATTERN.test(message)) {
+      const { timezone } = await this.getUserContext(userId);
+      return { name: 'schedule_meeting', arguments: this.parseMeetingRequest(message, timezone) };
+    }
+
+    if (UNREAD_PATTERN.test(message)) {
+      return { name: 'summarize_unread_email', arguments: {} };
+    }
+
+    return null;
+  }
+
+  matchAgentType(message) {
+    const lower = message.toLowerCase();
+    const aliases = { 'mail-summarizer': ['email summarizer'] };
+
+    for (const agentType of this.orchestrator.agentTypes.values()) {
+      const names = [agentType.type, agentType.type.replace(/-/g, ' '), (agentType.name || '').toLowerCase(),
+        ...(aliases[agentType.type] || [])];
+      if (names.some(name => name && lower.includes(name))) return agentType.type;
+    }
+    return null;
+  }
+
+  // "Schedule a meeting with Ana and Ben tomorrow at 3pm about the budget
+  // for 30 minutes" -> { title, participants, startTime, duration }
+  parseMeetingRequest(message, timezone = 'UTC') {
+    const participantsMatch = message.match(PARTICIPANTS_PATTERN);
+    const participants = participantsMatch ?
+      participantsMatch[1].split(/\s*,\s*|\s+and\s+|\s*&\s*/).map(name => name.trim()).filter(Boolean) :
+      [];
+
+    const quoted = message.match(QUOTED_TITLE_PATTERN);
+    const topic = message.match(TITLE_PATTERN);
+    const title = quoted ? quoted[1].trim() :
+      topic ? topic[1].trim().replace(/^the\s+/i, '') :
+      participants.length > 0 ? `Meeting with ${this.joinNames(participants)}` : 'Meeting';
+
+    const args = { title: title.charAt(0).toUpperCase() + title.slice(1), participants };
+
+    const duration = message.match(DURATION_PATTERN);
+    if (duration) {
+      if (duration[3]) {
+        args.duration = duration[3].toLowerCase() === 'half an' ? 30 : 60;
+      } else {
+        const amount = parseFloat(duration[1]);
+        args.duration = Math.round(/^h/i.test(duration[2]) ? amount * 60 : amount);
+      }
+    }
+
+    const startTime = this.parseStartTime(message, timezone);
+    if (startTime) args.startTime = startTime.toISOString();
+
+    return args;
+  }
+
+  parseStartTime(message, timezone) {
+    const now = new Date();
+    const due = new ActionItemExtractor({ reference: now, timezone }).parseDueDate(message);
+    const time = message.match(TIME_PATTERN);
+    if (!due && !time) return null;
+
+    let hour = DEFAULT_MEETING_HOUR;
+    let minute = 0;
+    if (time) {
+      if (time[6]) {
+        hour = 12;
+      } else {
+        hour = parseInt(time[1] || time[4]);
+        minute = parseInt(time[2] || time[5] || '0');
+        const meridiem = (time[3] || '').toLowerCase();
+        if (meridiem === 'pm' && hour < 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+      }
+      if (hour > 23 || minute > 59) return null;
+    }
+
+    const pad = value => String(value).padStart(2, '0');
+    const day = RecurrenceRule.toWallClock(due ? due.date : now, timezone).toISOString().slice(0, 10);
+    let start = RecurrenceRule.toInstant(RecurrenceRule.parseLocal(`${day}T${pad(hour)}:${pad(minute)}`), timezone);
+
+    // A bare time that has already passed today means tomorrow
+    if (!due && start <= now) {
+      start = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    }
+    return start;
+  }
+
+  // A "yes" or "no" to the conversation's pending action; null when the
+  // message is not such a reply or nothing is waiting
+  async handleReply(userId, conversationId, message) {
+    const confirm = CONFIRM_PATTERN.test(message);
+    if (!confirm && !CANCEL_PATTERN.test(message)) return null;
+
+    const pending = await this.getPendingAction(userId, conversationId);
+    if (!pending) return null;
+
+    try {
+      return confirm ?
+        await this.confirmAction(pending.id, userId) :
+        await this.cancelAction(pending.id, userId);
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      return { status: 'invalid', tool: pending.tool, text: `${error.message}.` };
+    }
+  }
+
+  async createPendingAction(userId, conversationId, toolName, args, summary) {
+    const result = await this.db.query(`
+      INSERT INTO chatbot_actions (user_id, conversation_id, tool, arguments, summary, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      userId,
+      conversationId,
+      toolName,
+      JSON.stringify(args),
+      summary,
+      new Date(Date.now() + CONFIRMATION_MINUTES * 60 * 1000)
+    ]);
+
+    return this.formatAction(result.rows[0]);
+  }
+
+  async getAction(actionId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM chatbot_actions WHERE id = $1 AND user_id = $2
+    `, [actionId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async getPendingAction(userId, conversationId) {
+    const result = await this.db.query(`
+      SELECT * FROM chatbot_actions
+      WHERE user_id = $1 AND conversation_id = $2
+        AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [userId, conversationId]);
+
+    return result.rows[0] ? this.formatAction(result.rows[0]) : null;
+  }
+
+  // Runs a pending action; null when it does not exist
+  async confirmAction(actionId, userId) {
+    const action = await this.getAction(actionId, userId);
+    if (!action) return null;
+
+    if (action.status !== 'pending') {
+      throw this.decisionError(`That action was already ${action.status}`);
+    }
+    if (new Date(action.expires_at) < new Date()) {
+      await this.db.query(`
+        UPDATE chatbot_actions SET status = 'expired' WHERE id = $1 AND status = 'pending'
+      `, [actionId]);
+      throw this.decisionError('That action has expired; please ask again');
+    }
+
+    // Claim the action first so a double "yes" cannot run it twice
+    const claimed = await this.db.query(`
+      UPDATE chatbot_actions SET status = 'confirmed', decided_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+      RETURNING id
+    `, [actionId]);
+    if (claimed.rows.length === 0) {
+      throw this.decisionError('That action was already handled');
+    }
+
+    const tool = this.tools.get(action.tool);
+    const context = await this.getUserContext(userId);
+
+    // The role may have changed since the action was proposed
+    let outcome;
+    if (!tool) {
+      outcome = { status: 'failed', tool: action.tool, text: `I can't do "${action.tool}" anymore.`, error: 'Unknown tool' };
+    } else if (!await this.securityService.checkPermission(userId, tool.permission.resource, tool.permission.action)) {
+      outcome = { status: 'denied', tool: tool.name, text: `🔒 You don't have permission to ${action.summary}.`, error: 'Permission denied' };
+    } else {
+      outcome = await this.execute(userId, tool, action.arguments, context);
+    }
+
+    const updated = await this.db.query(`
+      UPDATE chatbot_actions SET status = $2, result = $3, error = $4
+      WHERE id = $1
+      RETURNING *
+    `, [
+      actionId,
+      outcome.status === 'completed' ? 'completed' : 'failed',
+      outcome.result === undefined ? null : JSON.stringify(outcome.result),
+      outcome.error || null
+    ]);
+
+    return { ...outcome, action: this.formatAction(updated.rows[0]) };
+  }
+
+  async cancelAction(actionId, userId) {
+    const result = await this.db.query(`
+      UPDATE chatbot_actions SET status = 'cancelled', decided_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING *
+    `, [actionId, userId]);
+
+    if (result.rows.length === 0) {
+      const action = await this.getAction(actionId, userId);
+      if (!action) return null;
+      throw this.decisionError(`That action was already ${action.status}`);
+    }
+
+    const action = this.formatAction(result.rows[0]);
+    return { status: 'cancelled', tool: action.tool, text: `OK, I won't ${action.summary}.`, action };
+  }
+
+  getAgentName(type) {
+    const agentType = this.orchestrator.agentTypes.get(type);
+    return agentType ? agentType.name : type;
+  }
+
+  clampInt(value, min, max, fallback) {
+    const number = parseInt(value);
+    if (isNaN(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+  }
+
+  plural(count, word) {
+    return count === 1 ? word : `${word}s`;
+  }
+
+  joinNames(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+  }
+
+  formatDate(value, timezone) {
+    if (!value) return 'no date';
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', month: 'short', day: 'numeric' })
+      .format(new Date(value));
+  }
+
+  formatDateTime(value, timezone) {
+    const formatted = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    }).format(new Date(value));
+    return `${formatted} ${timezone}`;
+  }
+
+  toolError(message) {
+    // Problems the user can fix by rephrasing; shown to them as the reply
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  decisionError(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+
+  formatAction(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      tool: row.tool,
+      arguments: row.arguments || {},
+      summary: row.summary,
+      status: row.status,
+      result: row.result,
+      error: row.error,
+      expiresAt: row.expires_at,
+      decidedAt: row.decided_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ChatbotToolService;
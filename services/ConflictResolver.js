@@ -0,0 +1,184 @@
+const STRATEGIES = ['preempt', 'wait-and-retry', 'merge', 'escalate'];
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+class ConflictResolver {
+  constructor(db, io, orchestrator) {
+    this.db = db;
+    this.io = io;
+    this.orchestrator = orchestrator;
+  }
+
+  // instance1 is the agent about to run, instance2 the one already running
+  async resolve(conflict, params = {}) {
+    const decision = this.chooseStrategy(conflict, params);
+    decision.conflictId = await this.recordDecision(conflict, decision);
+
+    const event = decision.strategy === 'escalate' ? 'conflict-escalated' : 'conflict-resolved';
+    this.io.to(`user-${conflict.instance1.userId}`).emit(event, {
+      conflictId: decision.conflictId,
+      agentType: conflict.instance1.type,
+      conflictingAgentType: conflict.instance2.type,
+      strategy: decision.strategy,
+      reason: decision.reason
+    });
+    this.orchestrator.emit(event, { userId: conflict.instance1.userId, conflict, decision });
+
+    return decision;
+  }
+
+  chooseStrategy(conflict, params) {
+    const incoming = conflict.instance1;
+    const running = conflict.instance2;
+    const incomingRules = this.orchestrator.coordinationRules.get(incoming.type) || {};
+    const runningRules = this.orchestrator.coordinationRules.get(running.type) || {};
+    const retries = params.conflictRetries || 0;
+    const maxRetries = incomingRules.maxConflictRetries || DEFAULT_MAX_RETRIES;
+
+    // A user override on an earlier conflict wins over everything else
+    const override = params.conflictResolution;
+    if (override && STRATEGIES.includes(override.strategy)) {
+      return { strategy: override.strategy, reason: `User override of conflict ${override.conflictId}` };
+    }
+
+    const configured = incoming.config && incoming.config.conflict_strategy;
+    if (STRATEGIES.includes(configured)) {
+      return { strategy: configured, reason: 'Configured in agent settings', ...this.retryDelay(configured, retries) };
+    }
+
+    const ruleStrategy = (incomingRules.conflictStrategies || {})[running.type];
+    if (STRATEGIES.includes(ruleStrategy)) {
+      return { strategy: ruleStrategy, reason: `Coordination rule for ${running.type}`, ...this.retryDelay(ruleStrategy, retries) };
+    }
+
+    if (['high', 'critical'].includes(conflict.severity)) {
+      return { strategy: 'escalate', reason: `Conflict severity is ${conflict.severity}` };
+    }
+
+    // Lower priority numbers win
+    if (incomingRules.priority !== undefined && runningRules.priority !== undefined &&
+        incomingRules.priority < runningRules.priority) {
+      return {
+        strategy: 'preempt',
+        reason: `${incoming.type} (priority ${incomingRules.priority}) outranks ${running.type} (priority ${runningRules.priority})`
+      };
+    }
+
+    if (retries < maxRetries) {
+      return {
+        strategy: 'wait-and-retry',
+        reason: `${running.type} is running; retry ${retries + 1} of ${maxRetries}`,
+        ...this.retryDelay('wait-and-retry', retries)
+      };
+    }
+
+    return { strategy: 'escalate', reason: `Still conflicting with ${running.type} after ${retries} retries` };
+  }
+
+  retryDelay(strategy, retries) {
+    return strategy === 'wait-and-retry' ? { delayMs: RETRY_BASE_DELAY_MS * Math.pow(2, retries) } : {};
+  }
+
+  async recordDecision(conflict, decision) {
+    const incoming = conflict.instance1;
+    const running = conflict.instance2;
+    const escalated = decision.strategy === 'escalate';
+
+    const result = await this.db.query(`
+      INSERT INTO conflicts (user_id, conflict_type, severity, message, data, status, resolution_method, resolved_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      incoming.userId,
+      conflict.type,
+      conflict.severity || 'medium',
+      `${incoming.type} conflicts with running ${running.type}`,
+      JSON.stringify({
+        incoming: { instanceId: incoming.id, agentId: incoming.agentId, type: incoming.type, params: conflict.params || {} },
+        running: { instanceId: running.id, agentId: running.agentId, type: running.type },
+        reason: decision.reason,
+        delayMs: decision.delayMs || null
+      }),
+      escalated ? 'escalated' : 'resolved',
+      decision.strategy,
+      escalated ? null : new Date()
+    ]);
+
+    return result.rows[0] ? result.rows[0].id : null;
+  }
+
+  async getConflict(conflictId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM conflicts WHERE id = $1 AND user_id = $2
+    `, [conflictId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async override(conflictId, userId, strategy, note = null) {
+    // 'dismiss' closes the conflict without running anything; any other
+    // strategy re-runs the deferred agent with that strategy forced
+    const conflict = await this.getConflict(conflictId, userId);
+    if (!conflict) {
+      return null;
+    }
+
+    const data = conflict.data || {};
+    const incoming = data.incoming || {};
+    const previous = conflict.resolution_method;
+    let rescheduledRun = null;
+
+    if (strategy !== 'dismiss' && incoming.instanceId) {
+      const { conflictRetries, conflictResolution, ...params } = incoming.params || {};
+      rescheduledRun = await this.orchestrator.enqueueRun(incoming.instanceId, {
+        ...params,
+        conflictResolution: { conflictId, strategy }
+      });
+    }
+
+    const result = await this.db.query(`
+      UPDATE conflicts
+      SET status = $3,
+          resolution_method = $4,
+          resolved_at = CURRENT_TIMESTAMP,
+          data = data || $5
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [
+      conflictId,
+      userId,
+      strategy === 'dismiss' ? 'ignored' : 'resolved',
+      strategy === 'dismiss' ? previous : `override:${strategy}`,
+      JSON.stringify({
+        override: {
+          previousMethod: previous,
+          previousStatus: conflict.status,
+          strategy,
+          note,
+          rescheduledRunId: rescheduledRun ? rescheduledRun.id : null,
+          overriddenAt: new Date().toISOString()
+        }
+      })
+    ]);
+
+    return this.formatConflict(result.rows[0]);
+  }
+
+  formatConflict(row) {
+    return {
+      id: row.id,
+      type: row.conflict_type,
+      severity: row.severity,
+      message: row.message,
+      status: row.status,
+      resolutionMethod: row.resolution_method,
+      data: row.data,
+      resolvedAt: row.resolved_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+ConflictResolver.STRATEGIES = STRATEGIES;
+
+module.exports = ConflictResolver;
@@ -1,9 +1,16 @@
 const { v4: uuidv4 } = require('uuid');
 
+// Only these are stored and sent to the language model as text; PDF and DOCX
+// uploads arrive as binary and are analyzed but not kept
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/html', 'text/csv', 'application/json'];
+// Same cap as KnowledgeRetriever applies when indexing a document
+const MAX_STORED_CHARS = 100000;
+
 class DocumentProcessor {
-  constructor(db, io) {
+  constructor(db, io, llmService = null) {
     this.db = db;
     this.io = io;
+    this.llmService = llmService;
     this.processingQueue = new Map();
     this.supportedFormats = ['pdf', 'docx', 'txt', 'md', 'html', 'json', 'csv'];
     this.aiCapabilities = {
@@ -15,10 +22,10 @@ class DocumentProcessor {
     };
   }
 
-  async processDocument(userId, documentData) {
+  async processDocument(userId, documentData, options = {}) {
+    const processingId = uuidv4();
+
     try {
-      const processingId = uuidv4();
-      
       // Add to processing queue
       this.processingQueue.set(processingId, {
         id: processingId,
@@ -35,7 +42,8 @@ class DocumentProcessor {
       });
 
       // Simulate document processing steps
-      const results = await this.performDocumentAnalysis(documentData);
+      const results = await this.performDocumentAnalysis(documentData, { userId, model: options.model });
+      const documentId = await this.storeDocument(userId, documentData, results);
 
       // Update processing status
       this.processingQueue.set(processingId, {
@@ -48,28 +56,43 @@ class DocumentProcessor {
       // Emit results
       this.io.to(`user-${userId}`).emit('document-processing-completed', {
         processingId,
+        documentId,
         results,
         status: 'completed'
       });
 
       return {
         processingId,
+        documentId,
         results,
         status: 'completed'
       };
 
     } catch (error) {
       console.error('Document processing error:', error);
+
+      if (this.processingQueue.has(processingId)) {
+        this.processingQueue.set(processingId, {
+          ...this.processingQueue.get(processingId),
+          status: 'failed',
+          error: error.message,
+          endTime: new Date()
+        });
+        this.io.to(`user-${userId}`).emit('document-processing-failed', {
+          processingId,
+          status: 'failed'
+        });
+      }
       throw error;
     }
   }
 
-  async performDocumentAnalysis(documentData) {
+  async performDocumentAnalysis(documentData, options = {}) {
     // Simulate AI-powered document analysis
     const analysis = {
       documentType: this.classifyDocument(documentData),
       keyEntities: this.extractEntities(documentData),
-      summary: this.generateSummary(documentData),
+      summary: await this.summarizeDocument(documentData, options),
       actionItems: this.extractActionItems(documentData),
       sentiment: this.analyzeSentiment(documentData),
       language: this.detectLanguage(documentData),
@@ -180,6 +203,24 @@ class DocumentProcessor {
     return locations;
   }
 
+  // Language model summary when one is configured, extractive otherwise
+  async summarizeDocument(documentData, { userId = null, model = null } = {}) {
+    const content = this.getTextContent(documentData);
+
+    if (this.llmService && this.llmService.isConfigured() && content && content.trim()) {
+      const summary = await this.llmService.summarize(content, {
+        instructions: `The text is a document named "${documentData.name || 'Untitled'}".`,
+        maxLength: 600,
+        model,
+        userId,
+        purpose: 'document-summary'
+      });
+      if (summary) return summary;
+    }
+
+    return this.generateSummary(documentData);
+  }
+
   generateSummary(documentData) {
     const content = documentData.content || documentData.text || '';
     const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 10);
@@ -274,11 +315,66 @@ class DocumentProcessor {
     }
   }
 
+  // Keeps the text and analysis so the chatbot can search and cite it;
+  // without a database (the demo server) nothing is stored
+  async storeDocument(userId, documentData, results) {
+    const content = this.getTextContent(documentData);
+    if (!this.db || !content) return null;
+
+    const result = await this.db.query(`
+      INSERT INTO documents (
+        user_id, name, mime_type, size_bytes, content, document_type, summary, entities, action_items, language
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `, [
+      userId,
+      (documentData.name || 'Untitled document').slice(0, 255),
+      documentData.type || null,
+      documentData.size || Buffer.byteLength(documentData.content),
+      content,
+      results.documentType,
+      results.summary,
+      JSON.stringify(results.keyEntities || {}),
+      JSON.stringify(results.actionItems || []),
+      results.language
+    ]);
+
+    return result.rows[0] ? result.rows[0].id : null;
+  }
+
+  // The document's text, capped and without NUL bytes (which Postgres text
+  // columns reject); null for binary formats
+  getTextContent(documentData) {
+    const content = documentData.content || documentData.text || '';
+    if (documentData.type && !TEXT_MIME_TYPES.includes(documentData.type)) return null;
+    return content.replace(/\u0000/g, '').slice(0, MAX_STORED_CHARS) || null;
+  }
+
   async getProcessingStatus(processingId) {
     return this.processingQueue.get(processingId) || null;
   }
 
   async getUserDocuments(userId, limit = 10) {
+    if (this.db) {
+      const result = await this.db.query(`
+        SELECT id, name, document_type, summary, entities, created_at
+        FROM documents
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `, [userId, limit]);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        type: row.document_type,
+        processedAt: row.created_at,
+        summary: row.summary,
+        entities: row.entities || {}
+      }));
+    }
+
     // Mock user documents
     return [
       {
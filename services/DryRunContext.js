@@ -0,0 +1,102 @@
+const { v4: uuidv4 } = require('uuid');
+
+const WRITE_PATTERN = /^\s*(INSERT\s+INTO|UPDATE|DELETE\s+FROM)\s+("?\w+"?)/i;
+const TRANSACTION_PATTERN = /^\s*(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+// Gives a dry run its own db and io. When the pool supports transactions,
+// statements run inside one that is always rolled back, so reads see the
+// simulated writes; otherwise writes are only recorded and never executed.
+class DryRunContext {
+  constructor(db) {
+    this.db = db;
+    this.client = null;
+    this.mode = typeof db.connect === 'function' ? 'transaction' : 'write-intent';
+    this.writes = [];
+    this.notifications = [];
+    this.finished = false;
+  }
+
+  async begin() {
+    if (this.mode === 'transaction') {
+      this.client = await this.db.connect();
+      await this.client.query('BEGIN');
+    }
+  }
+
+  async rollback() {
+    this.finished = true;
+    if (!this.client) return;
+
+    try {
+      await this.client.query('ROLLBACK');
+    } finally {
+      this.client.release();
+      this.client = null;
+    }
+  }
+
+  createDb() {
+    return {
+      query: async (sql, params = []) => {
+        const text = typeof sql === 'string' ? sql : sql.text;
+
+        // An agent still running after the simulation ended gets no db
+        if (this.finished) {
+          throw new Error('Dry run has finished');
+        }
+
+        // Agents must not end the simulation's transaction early
+        if (TRANSACTION_PATTERN.test(text)) {
+          return { rows: [], rowCount: 0 };
+        }
+
+        const write = text.match(WRITE_PATTERN);
+
+        if (!write) {
+          return this.mode === 'transaction' ?
+            await this.client.query(sql, params) :
+            await this.db.query(sql, params);
+        }
+
+        const entry = {
+          operation: write[1].split(/\s+/)[0].toUpperCase(),
+          table: write[2].replace(/"/g, ''),
+          sql: text.replace(/\s+/g, ' ').trim(),
+          params,
+          rowCount: null
+        };
+        this.writes.push(entry);
+
+        if (this.mode === 'transaction') {
+          const result = await this.client.query(sql, params);
+          entry.rowCount = result.rowCount;
+          return result;
+        }
+
+        // Callers reading RETURNING rows get a placeholder id
+        return { rows: /\bRETURNING\b/i.test(text) ? [{ id: uuidv4() }] : [], rowCount: 1 };
+      }
+    };
+  }
+
+  createIo() {
+    const record = (room) => (event, data) => {
+      this.notifications.push({ room, event, data });
+    };
+
+    return {
+      to: (room) => ({ emit: record(room) }),
+      emit: record(null)
+    };
+  }
+
+  getReport() {
+    return {
+      mode: this.mode,
+      writes: this.writes,
+      notifications: this.notifications
+    };
+  }
+}
+
+module.exports = DryRunContext;
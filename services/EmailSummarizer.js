@@ -0,0 +1,233 @@
+const natural = require('natural');
+const Sentiment = require('sentiment');
+const ActionItemExtractor = require('./ActionItemExtractor');
+
+const DEFAULT_MAX_SUMMARY_LENGTH = 500;
+const MAX_ITEMS = 10;
+
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'inc', 'ltd', 'co', 'approx', 'no'];
+
+// Quoted replies, signatures and greetings carry no content of their own
+const QUOTED_LINE_PATTERN = /^\s*>/;
+const REPLY_HEADER_PATTERN = /^\s*(?:On .+ wrote:|-{2,}\s*Original Message\s*-{2,}|From: .+)$/i;
+const SIGNATURE_PATTERN = /^\s*(?:--\s*$|(?:best|kind|warm)?\s*regards,?|thanks(?: again)?,?|thank you,?|cheers,?|sent from my .+)\s*$/i;
+const GREETING_PATTERN = /^\s*(?:hi|hello|hey|dear|good (?:morning|afternoon|evening))\b[^.!?\n]{0,40}[,!:]?\s*$/i;
+
+const ACTION_PATTERNS = [
+  /\b(?:please|pls|kindly)\b/i,
+  /\b(?:could|can|would|will) you\b/i,
+  /\b(?:i|we) need (?:you|someone) to\b/i,
+  /\b(?:need(?:s)? to|must|have to|has to|should)\b/i,
+  /\b(?:action required|action item|to-?do|make sure|don'?t forget|remember to|let me know|get back to me|follow up)\b/i
+];
+const DECISION_PATTERNS = [
+  /\b(?:we|i|they|the team|management|leadership)(?: have| has)? (?:decided|agreed|approved|chose|concluded|signed off)\b/i,
+  /\b(?:decision|final call|going forward|moving forward)\b/i,
+  /\b(?:has|have) been (?:approved|rejected|confirmed|finali[sz]ed|cancelled)\b/i,
+  /\bwe(?:'ll| will) (?:go with|proceed with|move ahead with)\b/i
+];
+const URGENT_PATTERN = /\b(?:urgent|asap|immediately|critical|emergency|right away)\b/i;
+
+// Extractive summaries of email bodies. Sentences are ranked by how much of
+// the message's vocabulary they carry (stemmed, stopwords removed), with a
+// nudge for early position, subject overlap and request/decision cues, then
+// the best ones are kept in their original order within max_summary_length.
+class EmailSummarizer {
+  constructor({ maxSummaryLength = DEFAULT_MAX_SUMMARY_LENGTH, includeSentiment = false, timezone = 'UTC' } = {}) {
+    this.maxSummaryLength = maxSummaryLength;
+    this.includeSentiment = includeSentiment;
+    this.timezone = timezone;
+    this.tokenizer = new natural.WordTokenizer();
+    this.stopwords = new Set(natural.stopwords);
+    this.sentiment = new Sentiment();
+  }
+
+  summarize(email, { receivedAt = null } = {}) {
+    return this.summarizeText(email.subject, this.cleanBody(email.body || email.text || email.snippet || ''), {
+      reference: receivedAt || this.getReceivedAt(email),
+      priority: email.priority
+    });
+  }
+
+  // Works on a body that is already cleaned, e.g. the messages of a thread
+  summarizeText(subject, body, { reference = null, priority = null } = {}) {
+    subject = (subject || '').trim();
+    reference = reference || new Date();
+    const sentences = this.splitSentences(body);
+    const extractor = new ActionItemExtractor({
+      reference,
+      timezone: this.timezone
+    });
+
+    const actionItems = [];
+    const deadlines = [];
+    const decisions = [];
+
+    sentences.forEach(sentence => {
+      const due = extractor.parseDueDate(sentence);
+      if (due && deadlines.length < MAX_ITEMS) {
+        deadlines.push({ text: sentence, date: due.date, phrase: due.phrase });
+      }
+      if (this.isDecision(sentence) && decisions.length < MAX_ITEMS) {
+        decisions.push(sentence);
+      } else if (this.isActionItem(sentence) && actionItems.length < MAX_ITEMS) {
+        actionItems.push({ text: sentence, deadline: due ? due.date : null });
+      }
+    });
+
+    const keySentences = this.rankSentences(sentences, subject);
+
+    return {
+      subject,
+      summary: this.buildSummary(sentences, keySentences, subject),
+      keySentences: keySentences.slice(0, 5).map(entry => entry.sentence),
+      actionItems,
+      deadlines,
+      decisions,
+      sentiment: this.includeSentiment ? this.analyzeSentiment(`${subject}. ${body}`) : null,
+      priority: this.getPriority(priority, `${subject} ${body}`, deadlines, reference),
+      wordCount: this.tokenizer.tokenize(body).length
+    };
+  }
+
+  // A question or request means the sender is waiting on an answer
+  expectsReply(body) {
+    return this.splitSentences(body).some(sentence => /\?$/.test(sentence) || this.isActionItem(sentence));
+  }
+
+  getReceivedAt(email) {
+    const date = email.date ? new Date(email.date) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  cleanBody(text) {
+    const lines = [];
+    for (const line of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+      if (REPLY_HEADER_PATTERN.test(line)) break; // the rest is the quoted thread
+      if (SIGNATURE_PATTERN.test(line)) break;
+      if (QUOTED_LINE_PATTERN.test(line) || GREETING_PATTERN.test(line)) continue;
+      lines.push(line);
+    }
+    return lines.join('\n').trim();
+  }
+
+  splitSentences(text) {
+    const sentences = [];
+    text.split(/\n{2,}|\n(?=\s*(?:[-*•]|\d+[.)])\s)/).forEach(block => {
+      let current = '';
+      const parts = block.replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/);
+
+      parts.forEach(part => {
+        current = current ? `${current} ${part}` : part;
+        const lastWord = current.split(' ').pop().replace(/\.$/, '').toLowerCase();
+        // "Dr. Smith" and "e.g. this" do not end a sentence
+        if (/[.]$/.test(current) && (ABBREVIATIONS.includes(lastWord) || /^[a-z]$/i.test(lastWord))) return;
+        sentences.push(current);
+        current = '';
+      });
+      if (current) sentences.push(current);
+    });
+
+    return sentences
+      .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+      .filter(sentence => this.getTerms(sentence).length > 0);
+  }
+
+  getTerms(text) {
+    return this.tokenizer.tokenize(text.toLowerCase())
+      .filter(word => word.length > 1 && !this.stopwords.has(word) && !/^\d+$/.test(word))
+      .map(word => natural.PorterStemmer.stem(word));
+  }
+
+  rankSentences(sentences, subject) {
+    const termsBySentence = sentences.map(sentence => this.getTerms(sentence));
+    const frequency = new Map();
+    termsBySentence.flat().forEach(term => frequency.set(term, (frequency.get(term) || 0) + 1));
+    const maxFrequency = Math.max(1, ...frequency.values());
+    const subjectTerms = new Set(this.getTerms(subject));
+
+    return sentences.map((sentence, index) => {
+      const terms = termsBySentence[index];
+      const unique = [...new Set(terms)];
+      let score = unique.reduce((sum, term) => sum + frequency.get(term) / maxFrequency, 0) / Math.sqrt(unique.length);
+
+      score *= 1 + 0.3 * (1 - index / sentences.length); // openings tend to state the point
+      if (subjectTerms.size > 0) {
+        score *= 1 + 0.5 * unique.filter(term => subjectTerms.has(term)).length / subjectTerms.size;
+      }
+      if (this.isActionItem(sentence) || this.isDecision(sentence)) score *= 1.25;
+      if (terms.length < 3) score *= 0.5;
+
+      return { sentence, index, score };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  // Best sentences back in reading order until the length budget is spent
+  buildSummary(sentences, ranked, subject) {
+    if (sentences.length === 0) return subject ? this.truncate(subject) : '';
+
+    const chosen = [];
+    let length = 0;
+    for (const entry of ranked) {
+      const added = entry.sentence.length + (chosen.length > 0 ? 1 : 0);
+      if (length + added > this.maxSummaryLength) continue;
+      chosen.push(entry);
+      length += added;
+    }
+
+    if (chosen.length === 0) return this.truncate(ranked[0].sentence);
+
+    return chosen
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.sentence)
+      .join(' ');
+  }
+
+  truncate(text) {
+    if (text.length <= this.maxSummaryLength) return text;
+    const cut = text.slice(0, this.maxSummaryLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > this.maxSummaryLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:]+$/, '')}…`;
+  }
+
+  isActionItem(sentence) {
+    // Questions that only ask for information are not tasks unless phrased as a request
+    if (/\?$/.test(sentence) && !/\b(?:could|can|would|will) you\b/i.test(sentence)) return false;
+    return ACTION_PATTERNS.some(pattern => pattern.test(sentence));
+  }
+
+  isDecision(sentence) {
+    return DECISION_PATTERNS.some(pattern => pattern.test(sentence));
+  }
+
+  analyzeSentiment(text) {
+    const result = this.sentiment.analyze(text);
+    const label = result.comparative > 0.05 ? 'positive' : result.comparative < -0.05 ? 'negative' : 'neutral';
+
+    return {
+      label,
+      score: result.score,
+      comparative: Math.round(result.comparative * 1000) / 1000,
+      positive: [...new Set(result.positive)],
+      negative: [...new Set(result.negative)]
+    };
+  }
+
+  // A deadline within two days of when the message was received makes it
+  // high priority; deadlines that had already passed then do not count
+  getPriority(priority, text, deadlines, reference = new Date()) {
+    if (URGENT_PATTERN.test(text)) return 'urgent';
+
+    const receivedAt = reference.getTime();
+    const soon = receivedAt + 2 * 24 * 60 * 60 * 1000;
+    if (deadlines.some(deadline => deadline.date.getTime() >= receivedAt && deadline.date.getTime() <= soon)) {
+      return 'high';
+    }
+
+    return ['low', 'medium', 'high', 'urgent'].includes(priority) ? priority : 'medium';
+  }
+}
+
+EmailSummarizer.DEFAULT_MAX_SUMMARY_LENGTH = DEFAULT_MAX_SUMMARY_LENGTH;
+
+module.exports = EmailSummarizer;
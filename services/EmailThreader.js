@@ -0,0 +1,240 @@
+const SUBJECT_PREFIX_PATTERN = /^\s*(?:(?:re|fw|fwd|aw|sv|wg|antw|rif|tr)(?:\[\d+\])?\s*:|\[[^\]]*\])\s*/i;
+const REPLY_PREFIX_PATTERN = /^\s*(?:\[[^\]]*\]\s*)*(?:re|fw|fwd|aw|sv|wg|antw|rif|tr)(?:\[\d+\])?\s*:/i;
+const AUTOMATED_SENDER_PATTERN = /^(?:no-?reply|do-?not-?reply|notifications?|mailer-daemon|postmaster|bounces?)\b/i;
+const SUBJECT_MATCH_WINDOW_DAYS = 30;
+
+// Groups synced messages into conversations. Message-ID, In-Reply-To and
+// References (plus the provider's thread id when there is one) link replies to
+// what they answer; messages without headers fall back to a reply-prefixed
+// subject matching an earlier conversation with the same people. For every
+// thread it also works out whose turn it is to reply.
+class EmailThreader {
+  constructor({ summarizer, selfAddresses = [] }) {
+    this.summarizer = summarizer;
+    this.selfAddresses = new Set(selfAddresses.map(address => address.toLowerCase()));
+  }
+
+  static normalizeSubject(subject) {
+    let normalized = (subject || '').trim();
+    let previous;
+    do {
+      previous = normalized;
+      normalized = normalized.replace(SUBJECT_PREFIX_PATTERN, '');
+    } while (normalized !== previous);
+    return normalized.replace(/\s+/g, ' ').trim();
+  }
+
+  static parseAddresses(header) {
+    const addresses = [];
+    const pattern = /(?:"([^"]*)"|([^"<,;]*?))\s*<([^<>\s]+@[^<>\s]+)>|([^\s<>,;"]+@[^\s<>,;"]+)/g;
+    let match;
+    while ((match = pattern.exec(header || '')) !== null) {
+      const email = (match[3] || match[4]).toLowerCase();
+      const name = (match[1] || match[2] || '').trim();
+      addresses.push({ name: name || null, email });
+    }
+    return addresses;
+  }
+
+  static parseMessageId(value) {
+    const match = (value || '').match(/<([^>]+)>/);
+    return (match ? match[1] : (value || '').trim()).toLowerCase() || null;
+  }
+
+  // rows: shared_context rows with context_type 'email'
+  buildThreads(rows) {
+    const messages = rows
+      .map(row => this.toMessage(row))
+      .sort((a, b) => a.date - b.date);
+
+    // Whatever address the user sends from is theirs too (e.g. a Gmail
+    // account that differs from the login email)
+    messages.forEach(message => {
+      if (message.sent && message.from.email) this.selfAddresses.add(message.from.email);
+    });
+    messages.forEach(message => {
+      message.sent = message.sent || this.selfAddresses.has(message.from.email);
+    });
+
+    const parent = new Map();
+    const find = key => {
+      if (!parent.has(key)) parent.set(key, key);
+      let root = key;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(key, root);
+      return root;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    };
+
+    messages.forEach(message => {
+      const node = `key:${message.key}`;
+      find(node);
+      if (message.messageId) union(node, `mid:${message.messageId}`);
+      if (message.inReplyTo) union(node, `mid:${message.inReplyTo}`);
+      message.references.forEach(reference => union(node, `mid:${reference}`));
+      if (message.threadId) union(node, `provider:${message.threadId}`);
+    });
+
+    // Replies that lost their headers join the latest conversation with the
+    // same subject and at least one shared participant other than the user
+    const bySubject = new Map();
+    messages.forEach(message => {
+      const node = `key:${message.key}`;
+      const subjectKey = message.normalizedSubject.toLowerCase();
+      if (!subjectKey) return;
+
+      const earlier = bySubject.get(subjectKey);
+      const linked = message.inReplyTo || message.references.length > 0;
+      if (earlier && message.isReply && !linked &&
+          message.date - earlier.date <= SUBJECT_MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000 &&
+          message.participants.some(address => earlier.participants.has(address) && !this.selfAddresses.has(address))) {
+        union(earlier.node, node);
+      }
+
+      const participants = earlier && find(earlier.node) === find(node) ? earlier.participants : new Set();
+      message.participants.forEach(address => participants.add(address));
+      bySubject.set(subjectKey, { node, date: message.date, participants });
+    });
+
+    const groups = new Map();
+    messages.forEach(message => {
+      const root = find(`key:${message.key}`);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(message);
+    });
+
+    return [...groups.values()].map(group => this.describeThread(group));
+  }
+
+  toMessage(row) {
+    const data = row.data || {};
+    const from = EmailThreader.parseAddresses(data.from)[0] || { name: null, email: null };
+    const to = EmailThreader.parseAddresses(data.to);
+    const cc = EmailThreader.parseAddresses(data.cc);
+    const date = this.summarizer.getReceivedAt(data) || new Date(row.created_at);
+
+    return {
+      key: String(data.id || row.id),
+      contextId: row.id,
+      threadId: data.threadId || null,
+      messageId: EmailThreader.parseMessageId(data.messageId),
+      inReplyTo: EmailThreader.parseMessageId(data.inReplyTo),
+      references: (data.references || []).map(reference => EmailThreader.parseMessageId(reference)).filter(Boolean),
+      subject: data.subject || '',
+      normalizedSubject: EmailThreader.normalizeSubject(data.subject),
+      isReply: REPLY_PREFIX_PATTERN.test(data.subject || ''),
+      from,
+      to,
+      cc,
+      participants: [from, ...to, ...cc].map(address => address.email).filter(Boolean),
+      date,
+      body: this.summarizer.cleanBody(data.body || data.snippet || ''),
+      sent: Boolean(data.sent) || this.selfAddresses.has(from.email),
+      unread: Boolean(data.unread)
+    };
+  }
+
+  describeThread(messages) {
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+    const subject = first.normalizedSubject || last.normalizedSubject || '(no subject)';
+
+    const participants = new Map();
+    messages.forEach(message => {
+      [message.from, ...message.to, ...message.cc].forEach(address => {
+        if (!address.email) return;
+        const existing = participants.get(address.email);
+        participants.set(address.email, {
+          email: address.email,
+          name: (existing && existing.name) || address.name,
+          isSelf: this.selfAddresses.has(address.email)
+        });
+      });
+    });
+
+    const body = messages
+      .map(message => message.body)
+      .filter(Boolean)
+      .join('\n\n');
+    const summary = this.summarizer.summarizeText(subject, body, { reference: last.date });
+
+    // Items are attributed to the message (and sender) they came from
+    const perMessage = messages.map(message => ({
+      message,
+      result: this.summarizer.summarizeText(message.subject, message.body, { reference: message.date })
+    }));
+    const attribute = (item, message) => ({
+      ...(typeof item === 'string' ? { text: item } : item),
+      from: message.from.email,
+      messageKey: message.key,
+      date: message.date
+    });
+
+    return {
+      threadKey: first.messageId || `key:${first.key}`,
+      subject,
+      participants: [...participants.values()],
+      messages: messages.map(message => ({
+        messageKey: message.key,
+        contextId: message.contextId,
+        subject: message.subject,
+        from: message.from,
+        to: message.to,
+        cc: message.cc,
+        date: message.date,
+        sent: message.sent,
+        unread: message.unread
+      })),
+      messageCount: messages.length,
+      unreadCount: messages.filter(message => message.unread).length,
+      firstMessageAt: first.date,
+      lastMessageAt: last.date,
+      summary: summary.summary,
+      actionItems: perMessage.flatMap(({ message, result }) => result.actionItems.map(item => attribute(item, message))),
+      deadlines: perMessage.flatMap(({ message, result }) => result.deadlines.map(item => attribute(item, message))),
+      decisions: perMessage.flatMap(({ message, result }) => result.decisions.map(item => attribute(item, message))),
+      sentiment: summary.sentiment,
+      priority: summary.priority,
+      ...this.getReplyState(last)
+    };
+  }
+
+  // Whose turn it is is decided by the latest message alone: an ask from
+  // someone else addressed to the user is owed a reply by the user, and an
+  // ask the user sent is owed one by its direct recipients
+  getReplyState(last) {
+    const none = { replyState: 'none', owedBy: [], owedTo: [], waitingSince: null };
+    if (!this.summarizer.expectsReply(last.body)) return none;
+
+    if (last.sent) {
+      const recipients = last.to.filter(address => !this.selfAddresses.has(address.email));
+      if (recipients.length === 0) return none;
+      return {
+        replyState: 'awaiting_them',
+        owedBy: recipients,
+        owedTo: [last.from],
+        waitingSince: last.date
+      };
+    }
+
+    if (!last.from.email || AUTOMATED_SENDER_PATTERN.test(last.from.email.split('@')[0])) return none;
+
+    // Only a direct ask counts; being copied is informational. Without a To
+    // header (older synced mail) the message is assumed to be for the user.
+    const self = last.to.filter(address => this.selfAddresses.has(address.email));
+    if (last.to.length > 0 && self.length === 0) return none;
+
+    return {
+      replyState: 'awaiting_me',
+      owedBy: self.length > 0 ? self : [...this.selfAddresses].slice(0, 1).map(email => ({ name: null, email })),
+      owedTo: [last.from],
+      waitingSince: last.date
+    };
+  }
+}
+
+module.exports = EmailThreader;
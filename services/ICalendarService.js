@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const RecurrenceRule = require('./RecurrenceRule');
+
+const PRODID = '-//Multi-Agent Office//Smart Meeting Assistant//EN';
+const UID_DOMAIN = 'multiagent-office';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMPORT_PAST_DAYS = 30;
+const IMPORT_FUTURE_DAYS = 180;
+const MAX_IMPORTED_ENTRIES = 2000;
+const FEED_PAST_DAYS = 90;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// iCalendar (RFC 5545) export of meetings, a token-protected per-user feed,
+// and import of VEVENTs into shared_context schedule entries. Recurring
+// imports are expanded over a window so conflict detection sees each
+// occurrence.
+class ICalendarService {
+  constructor(db, smartMeetingAssistant) {
+    this.db = db;
+    this.smartMeetingAssistant = smartMeetingAssistant;
+  }
+
+  // Serialization
+
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  buildCalendar(events, { method = 'PUBLISH', name = null } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  buildMeetingEvent(meeting, organizer) {
+    const description = [meeting.description];
+    if (meeting.agenda && meeting.agenda.items && meeting.agenda.items.length > 0) {
+      description.push(`Agenda:\n${meeting.agenda.items.map(item => `- ${item.title} (${item.duration} min)`).join('\n')}`);
+    }
+
+    const created = new Date(meeting.createdAt || Date.now());
+    const updated = new Date(meeting.updatedAt || created);
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${meeting.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${this.formatDateTime(updated)}`,
+      `CREATED:${this.formatDateTime(created)}`,
+      `LAST-MODIFIED:${this.formatDateTime(updated)}`,
+      // Clients only apply updates with a higher sequence
+      `SEQUENCE:${Math.max(0, Math.floor((updated - created) / 1000))}`,
+      `DTSTART:${this.formatDateTime(meeting.startTime)}`,
+      `DTEND:${this.formatDateTime(meeting.endTime)}`,
+      `SUMMARY:${this.escapeText(meeting.title)}`,
+      `STATUS:${meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    const text = description.filter(Boolean).join('\n\n');
+    if (text) lines.push(`DESCRIPTION:${this.escapeText(text)}`);
+    if (meeting.location) lines.push(`LOCATION:${this.escapeText(meeting.location)}`);
+
+    if (organizer) {
+      lines.push(`ORGANIZER;CN="${organizer.name.replace(/"/g, '')}":mailto:${organizer.email}`);
+    }
+
+    (meeting.participants || []).forEach(participant => {
+      if (!participant.email) return;
+      const partstat = {
+        accepted: 'ACCEPTED',
+        declined: 'DECLINED',
+        tentative: 'TENTATIVE'
+      }[participant.responseStatus] || 'NEEDS-ACTION';
+      const role = participant.role === 'observer' ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT';
+      lines.push(`ATTENDEE;CN="${participant.name.replace(/"/g, '')}";ROLE=${role};PARTSTAT=${partstat};RSVP=TRUE:mailto:${participant.email}`);
+    });
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  async getOrganizer(userId) {
+    const result = await this.db.query(`
+      SELECT first_name, last_name, email FROM users WHERE id = $1
+    `, [userId]);
+
+    const user = result.rows[0];
+    return user ? { name: `${user.first_name} ${user.last_name}`, email: user.email } : null;
+  }
+
+  // METHOD:REQUEST turns the export into an invitation calendar clients can accept
+  async exportMeeting(meetingId, userId, { method = 'PUBLISH' } = {}) {
+    const meeting = await this.smartMeetingAssistant.getMeeting(meetingId, userId);
+    if (!meeting) return null;
+
+    const organizer = await this.getOrganizer(meeting.userId);
+    const calendarMethod = method === 'REQUEST' && meeting.status === 'cancelled' ? 'CANCEL' : method;
+
+    return {
+      meeting,
+      ics: this.buildCalendar([this.buildMeetingEvent(meeting, organizer)], { method: calendarMethod })
+    };
+  }
+
+  // Feed tokens are stored hashed; the plain token only exists in the URL
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async createFeedToken(userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await this.db.query(`
+      INSERT INTO calendar_feed_tokens (user_id, token_hash)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET
+        token_hash = EXCLUDED.token_hash,
+        created_at = CURRENT_TIMESTAMP,
+        last_accessed_at = NULL
+    `, [userId, this.hashToken(token)]);
+
+    return token;
+  }
+
+  async revokeFeedToken(userId) {
+    const result = await this.db.query(`
+      DELETE FROM calendar_feed_tokens WHERE user_id = $1 RETURNING user_id
+    `, [userId]);
+
+    return result.rows.length > 0;
+  }
+
+  async getFeed(token) {
+    const result = await this.db.query(`
+      UPDATE calendar_feed_tokens f
+      SET last_accessed_at = CURRENT_TIMESTAMP
+      FROM users u
+      WHERE f.token_hash = $1 AND u.id = f.user_id AND u.is_active = true
+      RETURNING f.user_id, u.first_name, u.last_name
+    `, [this.hashToken(token)]);
+
+    const owner = result.rows[0];
+    if (!owner) return null;
+
+    const { meetings } = await this.smartMeetingAssistant.listMeetings(owner.user_id, {
+      from: new Date(Date.now() - FEED_PAST_DAYS * DAY_MS),
+      limit: 1000
+    });
+
+    const organizers = new Map();
+    const events = [];
+    for (const meeting of meetings) {
+      if (!organizers.has(meeting.userId)) {
+        organizers.set(meeting.userId, await this.getOrganizer(meeting.userId));
+      }
+      events.push(this.buildMeetingEvent(meeting, organizers.get(meeting.userId)));
+    }
+
+    return this.buildCalendar(events, { name: `${owner.first_name} ${owner.last_name} – Meetings` });
+  }
+
+  // Parsing
+
+  unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  parseLine(line) {
+    // NAME;PARAM=VALUE;PARAM="QUOTED:VALUE":content
+    let inQuotes = false;
+    let index = 0;
+    for (; index < line.length; index++) {
+      const char = line[index];
+      if (char === '"') inQuotes = !inQuotes;
+      if (char === ':' && !inQuotes) break;
+    }
+    if (index >= line.length) return null;
+
+    const [name, ...paramParts] = line.slice(0, index).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+  }
+
+  parseCalendar(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const calendar = { timezone: null, events: [] };
+    const stack = [];
+    let event = null;
+
+    for (const raw of lines) {
+      if (!raw.trim()) continue;
+      const line = this.parseLine(raw);
+      if (!line) continue;
+
+      if (line.name === 'BEGIN') {
+        stack.push(line.value.toUpperCase());
+        if (line.value.toUpperCase() === 'VEVENT') event = { properties: {} };
+        continue;
+      }
+      if (line.name === 'END') {
+        const component = stack.pop();
+        if (component === 'VEVENT' && event) {
+          calendar.events.push(event);
+          event = null;
+        }
+        continue;
+      }
+
+      const current = stack[stack.length - 1];
+      if (current === 'VCALENDAR' && line.name === 'X-WR-TIMEZONE') {
+        calendar.timezone = line.value.trim();
+      } else if (current === 'VEVENT' && event) {
+        // Repeatable properties keep every occurrence
+        if (!event.properties[line.name]) event.properties[line.name] = [];
+        event.properties[line.name].push(line);
+      }
+    }
+
+    return calendar;
+  }
+
+  isValidTimeZone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Returns { instant, allDay, date, timezone } for a DTSTART-like property
+  parseDateValue(property, defaultTimezone) {
+    const match = property.value.trim().match(DATE_TIME_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '00', utc] = match;
+    const date = `${year}-${month}-${day}`;
+
+    if (property.params.VALUE === 'DATE' || hour === undefined) {
+      return {
+        allDay: true,
+        date,
+        timezone: defaultTimezone,
+        instant: RecurrenceRule.toInstant(RecurrenceRule.parseLocal(`${date}T00:00`), defaultTimezone)
+      };
+    }
+
+    const local = RecurrenceRule.parseLocal(`${date}T${hour}:${minute}:${second}`);
+    if (!local) return null;
+    if (utc) return { allDay: false, date, timezone: 'UTC', instant: local };
+
+    const timezone = property.params.TZID && this.isValidTimeZone(property.params.TZID) ?
+      property.params.TZID : defaultTimezone;
+    return { allDay: false, date, timezone, instant: RecurrenceRule.toInstant(local, timezone) };
+  }
+
+  parseDuration(value) {
+    const match = value.trim().match(DURATION_PATTERN);
+    if (!match) return null;
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((+weeks * 7 + +days) * 24 * 3600 + +hours * 3600 + +minutes * 60 + +seconds) * 1000;
+    return sign === '-' ? -ms : ms;
+  }
+
+  // One shared_context entry per event, or per occurrence inside the window
+  expandEvent(event, { defaultTimezone, from, to }) {
+    const prop = (name) => (event.properties[name] ? event.properties[name][0] : null);
+    const text = (name) => (prop(name) ? this.unescapeText(prop(name).value) : null);
+
+    const uid = text('UID');
+    const summary = text('SUMMARY') || 'Untitled event';
+    if (!uid) return { entries: [], skipped: { summary, reason: 'Missing UID' } };
+    if ((text('STATUS') || '').toUpperCase() === 'CANCELLED') {
+      return { entries: [], skipped: { uid, summary, reason: 'Event is cancelled' } };
+    }
+
+    const start = prop('DTSTART') && this.parseDateValue(prop('DTSTART'), defaultTimezone);
+    if (!start) return { entries: [], skipped: { uid, summary, reason: 'Missing or invalid DTSTART' } };
+
+    let durationMs;
+    const end = prop('DTEND') && this.parseDateValue(prop('DTEND'), defaultTimezone);
+    if (end) {
+      durationMs = end.instant - start.instant;
+    } else if (prop('DURATION')) {
+      durationMs = this.parseDuration(prop('DURATION').value);
+    }
+    if (!(durationMs > 0)) durationMs = start.allDay ? DAY_MS : 0;
+
+    const attendees = (event.properties.ATTENDEE || [])
+      .map(attendee => attendee.value.replace(/^mailto:/i, '').trim().toLowerCase())
+      .filter(Boolean);
+    const organizer = prop('ORGANIZER') ? prop('ORGANIZER').value.replace(/^mailto:/i, '').trim().toLowerCase() : null;
+
+    // All-day events keep date-only start/end in the calendar's time zone
+    const localDate = (date) => RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(date, start.timezone)).slice(0, 10);
+    const toEntry = (instant, recurrenceId = null) => {
+      const endInstant = new Date(instant.getTime() + durationMs);
+      return {
+        title: summary,
+        start: start.allDay ? localDate(instant) : instant.toISOString(),
+        end: start.allDay ? localDate(endInstant) : durationMs > 0 ? endInstant.toISOString() : null,
+        timezone: start.timezone,
+        allDay: start.allDay,
+        location: text('LOCATION'),
+        description: text('DESCRIPTION'),
+        attendees,
+        organizer,
+        source: 'ics',
+        icsUid: uid,
+        recurrenceId
+      };
+    };
+    const inWindow = (instant) => instant < to && new Date(instant.getTime() + Math.max(durationMs, 1)) > from;
+
+    const recurrenceIdProp = prop('RECURRENCE-ID');
+    if (recurrenceIdProp) {
+      // A single edited occurrence of a recurring event replaces the generated one
+      const original = this.parseDateValue(recurrenceIdProp, start.timezone);
+      if (!original) return { entries: [], skipped: { uid, summary, reason: 'Invalid RECURRENCE-ID' } };
+
+      const recurrenceId = original.instant.toISOString();
+      return {
+        entries: inWindow(start.instant) ? [toEntry(start.instant, recurrenceId)] : [],
+        overrideKey: `${uid}|${recurrenceId}`
+      };
+    }
+
+    const rruleProp = prop('RRULE');
+    if (!rruleProp) {
+      return inWindow(start.instant) ?
+        { entries: [toEntry(start.instant)] } :
+        { entries: [], skipped: { uid, summary, reason: 'Outside the import window' } };
+    }
+
+    let rule;
+    try {
+      rule = new RecurrenceRule(rruleProp.value, {
+        start: RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(start.instant, start.timezone)),
+        timezone: start.timezone
+      });
+    } catch (error) {
+      return { entries: [], skipped: { uid, summary, reason: `Unsupported RRULE: ${error.message}` } };
+    }
+
+    const excluded = new Set();
+    (event.properties.EXDATE || []).forEach(exdate => {
+      exdate.value.split(',').forEach(value => {
+        const parsed = this.parseDateValue({ params: exdate.params, value }, start.timezone);
+        if (parsed) excluded.add(parsed.allDay ? parsed.date : parsed.instant.getTime());
+      });
+    });
+
+    const occurrences = rule.between(new Date(from.getTime() - durationMs), to, MAX_IMPORTED_ENTRIES)
+      .filter(instant => !excluded.has(instant.getTime()) &&
+        !excluded.has(RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(instant, start.timezone)).slice(0, 10)));
+
+    return { entries: occurrences.map(instant => toEntry(instant, instant.toISOString())) };
+  }
+
+  async importCalendar(userId, text, { from = new Date(Date.now() - IMPORT_PAST_DAYS * DAY_MS), to = new Date(Date.now() + IMPORT_FUTURE_DAYS * DAY_MS) } = {}) {
+    const calendar = this.parseCalendar(text);
+    if (calendar.events.length === 0) {
+      const error = new Error('No VEVENT found in calendar');
+      error.status = 400;
+      throw error;
+    }
+
+    const userResult = await this.db.query(`
+      SELECT preferences->>'timezone' as timezone FROM users WHERE id = $1
+    `, [userId]);
+    const userTimezone = userResult.rows[0] && userResult.rows[0].timezone;
+    const defaultTimezone = [calendar.timezone, userTimezone].find(tz => tz && this.isValidTimeZone(tz)) || 'UTC';
+
+    const entries = [];
+    const skipped = [];
+    const overrideKeys = new Set();
+    const results = calendar.events.map(event => this.expandEvent(event, { defaultTimezone, from, to }));
+
+    results.forEach(result => {
+      if (result.overrideKey) overrideKeys.add(result.overrideKey);
+    });
+    results.forEach(result => {
+      if (result.skipped) skipped.push(result.skipped);
+      result.entries.forEach(entry => {
+        const key = `${entry.icsUid}|${entry.recurrenceId}`;
+        if (!result.overrideKey && overrideKeys.has(key)) return;
+        entries.push(entry);
+      });
+    });
+    const finalEntries = entries.slice(0, MAX_IMPORTED_ENTRIES);
+
+    const uids = [...new Set(calendar.events
+      .map(event => event.properties.UID && this.unescapeText(event.properties.UID[0].value))
+      .filter(Boolean))];
+
+    const client = await this.db.connect();
+    let replaced = 0;
+    try {
+      await client.query('BEGIN');
+
+      // Re-importing the same calendar replaces its earlier entries
+      const removed = await client.query(`
+        DELETE FROM shared_context
+        WHERE user_id = $1 AND context_type = 'schedule'
+          AND data->>'source' = 'ics' AND data->>'icsUid' = ANY($2)
+      `, [userId, uids]);
+      replaced = removed.rowCount;
+
+      for (const data of finalEntries) {
+        await client.query(`
+          INSERT INTO shared_context (user_id, context_type, data, priority, tags)
+          VALUES ($1, 'schedule', $2, 'medium', $3)
+        `, [userId, JSON.stringify(data), ['ics-import']]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return {
+      events: calendar.events.length,
+      imported: finalEntries.length,
+      replaced,
+      skipped,
+      window: { from: from.toISOString(), to: to.toISOString() },
+      timezone: defaultTimezone
+    };
+  }
+}
+
+module.exports = ICalendarService;
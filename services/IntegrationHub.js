@@ -220,11 +220,15 @@ class IntegrationHub {
   async storeSyncedData(userId, serviceName, syncResult) {
     const serviceType = this.getServiceType(serviceName);
     
+    // Items are keyed by their id at the source, so a re-sync refreshes them
+    // (an email that was read, an event that moved) instead of duplicating
     for (const item of syncResult.data || []) {
       await this.db.query(`
         INSERT INTO shared_context (user_id, context_type, data, priority, tags)
         VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT DO NOTHING
+        ON CONFLICT (user_id, context_type, (data->>'id')) DO UPDATE
+        SET data = EXCLUDED.data, priority = EXCLUDED.priority, tags = EXCLUDED.tags
+        WHERE shared_context.data IS DISTINCT FROM EXCLUDED.data
       `, [
         userId,
         serviceType,
@@ -396,10 +400,11 @@ class GmailClient extends BaseIntegrationClient {
 
       const gmail = google.gmail({ version: 'v1', auth: this.oauthClient });
       
+      // Recent sent mail is needed to tell which threads are waiting on a reply
       const response = await gmail.users.messages.list({
         userId: 'me',
-        maxResults: 50,
-        q: 'is:unread'
+        maxResults: 100,
+        q: 'is:unread OR (in:sent newer_than:30d)'
       });
 
       const emails = [];
@@ -409,12 +414,24 @@ class GmailClient extends BaseIntegrationClient {
           id: message.id
         });
         
+        const headers = email.data.payload.headers;
+        const labels = email.data.labelIds || [];
+
         emails.push({
           id: message.id,
-          subject: this.extractHeader(email.data.payload.headers, 'Subject'),
-          from: this.extractHeader(email.data.payload.headers, 'From'),
-          date: this.extractHeader(email.data.payload.headers, 'Date'),
+          threadId: email.data.threadId,
+          messageId: this.extractHeader(headers, 'Message-ID'),
+          inReplyTo: this.extractHeader(headers, 'In-Reply-To'),
+          references: this.extractHeader(headers, 'References').split(/\s+/).filter(Boolean),
+          subject: this.extractHeader(headers, 'Subject'),
+          from: this.extractHeader(headers, 'From'),
+          to: this.extractHeader(headers, 'To'),
+          cc: this.extractHeader(headers, 'Cc'),
+          date: this.extractHeader(headers, 'Date'),
           snippet: email.data.snippet,
+          body: this.extractBody(email.data.payload),
+          unread: labels.includes('UNREAD'),
+          sent: labels.includes('SENT'),
           priority: this.determineEmailPriority(email.data)
         });
       }
@@ -427,10 +444,32 @@ class GmailClient extends BaseIntegrationClient {
   }
 
   extractHeader(headers, name) {
-    const header = headers.find(h => h.name === name);
+    // Header names are case-insensitive (Message-ID vs Message-Id)
+    const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
     return header ? header.value : '';
   }
 
+  // Plain-text part of the message, falling back to the HTML part with tags stripped
+  extractBody(payload, mimeType = 'text/plain') {
+    if (!payload) return '';
+
+    if (payload.mimeType === mimeType && payload.body && payload.body.data) {
+      const text = Buffer.from(payload.body.data, 'base64url').toString('utf8');
+      return mimeType === 'text/html' ?
+        text.replace(/<(style|script)[\s\S]*?<\/\1>/gi, '').replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ') :
+        text;
+    }
+
+    for (const part of payload.parts || []) {
+      const text = this.extractBody(part, mimeType);
+      if (text) return text;
+    }
+
+    return mimeType === 'text/plain' && payload.mimeType && payload.mimeType.startsWith('multipart/') ?
+      this.extractBody(payload, 'text/html') :
+      '';
+  }
+
   determineEmailPriority(email) {
     const subject = this.extractHeader(email.payload.headers, 'Subject');
     if (subject.toLowerCase().includes('urgent') || subject.toLowerCase().includes('asap')) {
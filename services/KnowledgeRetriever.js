@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const natural = require('natural');
+
+const DEFAULT_LIMIT = 3;
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP = 30;
+const MAX_DOCUMENTS = 200;
+const MAX_DOCUMENT_CHARS = 100000;
+const MAX_CACHED_INDEXES = 50;
+const MAX_CACHED_VECTORS = 5000;
+const EMBEDDING_BATCH_SIZE = 64;
+// Passages embedded per search; the rest of a large index is filled in by
+// later searches and scored on keywords alone until then
+const EMBEDDINGS_PER_SEARCH = 128;
+const SNIPPET_WORDS = 30;
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// A passage must share at least this share of the query's terms (or, with
+// embeddings, be this similar to it) to be worth putting in front of the model
+const MIN_TERM_COVERAGE = 0.5;
+const MIN_SIMILARITY = 0.35;
+
+// Finds the knowledge base entries and passages of the user's processed
+// documents that best answer a message. Each user gets a BM25 index over the
+// shared knowledge base plus their own documents, rebuilt only when either
+// changes. With RAG_EMBEDDINGS=true the BM25 score is blended with embedding
+// similarity from the LLM service, so paraphrases match too.
+class KnowledgeRetriever {
+  constructor(db, llmService = null, options = {}) {
+    this.db = db;
+    this.llmService = llmService;
+    this.useEmbeddings = options.embeddings !== undefined ? options.embeddings : process.env.RAG_EMBEDDINGS === 'true';
+    this.embeddingModel = options.embeddingModel || process.env.RAG_EMBEDDING_MODEL || null;
+
+    this.tokenizer = new natural.WordTokenizer();
+    this.stopwords = new Set(natural.stopwords);
+    this.indexes = new Map();
+    this.vectorCache = new Map();
+  }
+
+  // Resolves to [{ id, type, sourceId, title, text, answer?, snippet, score }],
+  // best first and at most one passage per source
+  async search(userId, query, { limit = DEFAULT_LIMIT } = {}) {
+    const queryTerms = [...new Set(this.getTerms(query))];
+    if (queryTerms.length === 0) return [];
+
+    const index = await this.getIndex(userId);
+    if (index.chunks.length === 0) return [];
+
+    const bm25 = index.chunks.map(chunk => this.scoreChunk(index, chunk, queryTerms));
+    const maxBm25 = Math.max(...bm25.map(result => result.score));
+    const similarities = await this.getSimilarities(index, query, userId);
+
+    const scored = index.chunks.map((chunk, position) => {
+      const { score, coverage } = bm25[position];
+      const keyword = maxBm25 > 0 ? score / maxBm25 : 0;
+      const similarity = similarities ? similarities[position] : null;
+      const relevant = coverage >= MIN_TERM_COVERAGE || (similarity !== null && similarity >= MIN_SIMILARITY);
+
+      return {
+        chunk,
+        relevant,
+        score: similarity !== null ? 0.5 * keyword + 0.5 * Math.max(0, similarity) : keyword
+      };
+    });
+
+    const seen = new Set();
+    return scored
+      .filter(result => result.relevant && result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .filter(result => {
+        const key = `${result.chunk.type}:${result.chunk.sourceId}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        id: chunk.id,
+        type: chunk.type,
+        sourceId: chunk.sourceId,
+        title: chunk.title,
+        text: chunk.text,
+        answer: chunk.answer,
+        snippet: this.makeSnippet(chunk.text, queryTerms),
+        score: Number(score.toFixed(4))
+      }));
+  }
+
+  scoreChunk(index, chunk, queryTerms) {
+    let score = 0;
+    let matched = 0;
+
+    queryTerms.forEach(term => {
+      const frequency = chunk.termFrequencies.get(term);
+      if (!frequency) return;
+      matched++;
+
+      const documentFrequency = index.documentFrequencies.get(term);
+      const idf = Math.log(1 + (index.chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / index.averageLength));
+    });
+
+    return { score, coverage: matched / queryTerms.length };
+  }
+
+  // The cached index unless the knowledge base or the user's documents
+  // changed since it was built
+  async getIndex(userId) {
+    const signature = await this.getSignature(userId);
+    const cached = this.indexes.get(userId);
+
+    if (cached && cached.signature === signature) {
+      this.indexes.delete(userId);
+      this.indexes.set(userId, cached);
+      return cached;
+    }
+
+    const index = this.buildIndex(await this.loadChunks(userId));
+    index.signature = signature;
+
+    this.indexes.delete(userId);
+    this.indexes.set(userId, index);
+    if (this.indexes.size > MAX_CACHED_INDEXES) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+
+    return index;
+  }
+
+  async getSignature(userId) {
+    const result = await this.db.query(`
+      SELECT
+        (SELECT COUNT(*) FROM knowledge_base) AS knowledge_count,
+        (SELECT MAX(updated_at) FROM knowledge_base) AS knowledge_updated_at,
+        (SELECT COUNT(*) FROM documents WHERE user_id = $1) AS document_count,
+        (SELECT MAX(updated_at) FROM documents WHERE user_id = $1) AS documents_updated_at
+    `, [userId]);
+
+    const row = result.rows[0] || {};
+    return [row.knowledge_count, row.knowledge_updated_at, row.document_count, row.documents_updated_at]
+      .map(value => value instanceof Date ? value.toISOString() : String(value ?? ''))
+      .join('|');
+  }
+
+  async loadChunks(userId) {
+    const [knowledge, documents] = await Promise.all([
+      this.db.query(`
+        SELECT id, category, question, answer FROM knowledge_base
+      `),
+      this.db.query(`
+        SELECT id, name, content FROM documents
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `, [userId, MAX_DOCUMENTS])
+    ]);
+
+    const chunks = knowledge.rows.map(row => ({
+      id: `knowledge_base:${row.id}`,
+      type: 'knowledge_base',
+      sourceId: row.id,
+      title: row.question,
+      text: `${row.question}\n${row.answer}`,
+      answer: row.answer,
+      category: row.category
+    }));
+
+    documents.rows.forEach(row => {
+      this.chunkText((row.content || '').slice(0, MAX_DOCUMENT_CHARS)).forEach((text, part) => {
+        chunks.push({
+          id: `document:${row.id}:${part}`,
+          type: 'document',
+          sourceId: row.id,
+          title: row.name,
+          text
+        });
+      });
+    });
+
+    return chunks;
+  }
+
+  // Overlapping windows of words so a passage split across a boundary is
+  // still found whole in one of them
+  chunkText(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const chunks = [];
+    for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+      chunks.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+      if (start + CHUNK_WORDS >= words.length) break;
+    }
+    return chunks;
+  }
+
+  buildIndex(chunks) {
+    const documentFrequencies = new Map();
+
+    const indexed = chunks.map(chunk => {
+      const terms = this.getTerms(chunk.category ? `${chunk.category} ${chunk.text}` : chunk.text);
+      const termFrequencies = new Map();
+      terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+      termFrequencies.forEach((count, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+
+      return { ...chunk, termFrequencies, length: terms.length };
+    });
+
+    return {
+      chunks: indexed,
+      documentFrequencies,
+      averageLength: indexed.reduce((sum, chunk) => sum + chunk.length, 0) / Math.max(1, indexed.length) || 1,
+      vectors: null
+    };
+  }
+
+  // About SNIPPET_WORDS words around the first query term in the passage
+  makeSnippet(text, queryTerms) {
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length <= SNIPPET_WORDS) return words.join(' ');
+
+    const terms = new Set(queryTerms);
+    const hit = words.findIndex(word => this.getTerms(word).some(term => terms.has(term)));
+    const start = Math.max(0, Math.min(hit - 8, words.length - SNIPPET_WORDS));
+    const end = start + SNIPPET_WORDS;
+
+    return `${start > 0 ? '…' : ''}${words.slice(start, end).join(' ')}${end < words.length ? '…' : ''}`;
+  }
+
+  getTerms(text) {
+    return this.tokenizer.tokenize((text || '').toLowerCase())
+      .filter(word => word.length > 1 && !this.stopwords.has(word) && !/^\d+$/.test(word))
+      .map(word => natural.PorterStemmer.stem(word));
+  }
+
+  embeddingsEnabled() {
+    return this.useEmbeddings && Boolean(this.llmService) && this.llmService.isConfigured();
+  }
+
+  // Cosine similarity of the query to every chunk (null for chunks not
+  // embedded yet), or null when embeddings are off or the provider failed
+  // (keyword scores alone are used then)
+  async getSimilarities(index, query, userId) {
+    if (!this.embeddingsEnabled()) return null;
+
+    try {
+      if (!index.vectors) index.vectors = index.chunks.map(() => null);
+
+      const pending = [];
+      for (let position = 0; position < index.vectors.length && pending.length < EMBEDDINGS_PER_SEARCH; position++) {
+        if (!index.vectors[position]) pending.push(position);
+      }
+      if (pending.length > 0) {
+        const vectors = await this.embedTexts(pending.map(position => index.chunks[position].text), userId);
+        pending.forEach((position, i) => { index.vectors[position] = vectors[i] || null; });
+      }
+
+      const [queryVector] = await this.embedTexts([query], userId, { cache: false });
+      return index.vectors.map(vector => vector ? this.cosine(queryVector, vector) : null);
+    } catch (error) {
+      console.error('Embedding search error:', error.message);
+      return null;
+    }
+  }
+
+  // Vectors are cached by text so a rebuilt index only embeds new passages
+  async embedTexts(texts, userId, { cache = true } = {}) {
+    const keys = texts.map(text => crypto.createHash('sha256').update(text).digest('hex'));
+    const found = new Map();
+    if (cache) {
+      keys.forEach((key, position) => {
+        if (this.vectorCache.has(key)) found.set(texts[position], this.vectorCache.get(key));
+      });
+    }
+    const missing = [...new Set(texts.filter(text => !found.has(text)))];
+    const fresh = new Map();
+
+    for (let start = 0; start < missing.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(start, start + EMBEDDING_BATCH_SIZE);
+      const { vectors } = await this.llmService.embed({
+        texts: batch,
+        model: this.embeddingModel,
+        userId,
+        purpose: 'retrieval'
+      });
+      batch.forEach((text, position) => fresh.set(text, vectors[position]));
+    }
+
+    if (cache) {
+      texts.forEach((text, position) => {
+        if (fresh.has(text)) this.cacheVector(keys[position], fresh.get(text));
+      });
+    }
+    return texts.map(text => fresh.get(text) || found.get(text));
+  }
+
+  cacheVector(key, vector) {
+    this.vectorCache.set(key, vector);
+    if (this.vectorCache.size > MAX_CACHED_VECTORS) {
+      this.vectorCache.delete(this.vectorCache.keys().next().value);
+    }
+  }
+
+  cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  getStatus() {
+    return {
+      cachedIndexes: this.indexes.size,
+      embeddings: this.embeddingsEnabled()
+    };
+  }
+}
+
+module.exports = KnowledgeRetriever;
@@ -0,0 +1,635 @@
+const axios = require('axios');
+const OpenAI = require('openai');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+// LLM_TIMEOUT is left out: a call that used up its time has no budget to retry
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED'];
+
+// USD per million tokens, [prompt, completion]; override with LLM_PRICING
+const DEFAULT_PRICING = {
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-2.0-flash': [0.1, 0.4],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0]
+};
+
+// One place to talk to language models. Providers are registered from the
+// environment; callers pick a model per request ("gpt-4o" or "openai:gpt-4o")
+// or get the default provider's model. Every call is bounded by a timeout,
+// retried on transient failures and recorded in llm_usage with its token
+// counts and estimated cost.
+class LLMService {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries :
+      process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : DEFAULT_MAX_RETRIES;
+    this.pricing = { ...DEFAULT_PRICING, ...this.parsePricing(process.env.LLM_PRICING) };
+    this.providers = new Map();
+
+    this.initializeProviders(options.providers);
+    this.defaultProvider = this.resolveDefaultProvider(options.defaultProvider || process.env.LLM_PROVIDER);
+  }
+
+  initializeProviders(providers) {
+    if (providers) {
+      providers.forEach(provider => this.providers.set(provider.name, provider));
+      return;
+    }
+
+    const geminiKey = process.env.GEMINI_API_KEY;
+    this.providers.set('gemini', new GeminiProvider({
+      apiKey: geminiKey && geminiKey !== 'demo-key' ? geminiKey : null,
+      defaultModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+      embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+    }));
+    this.providers.set('openai', new OpenAIProvider('openai', {
+      apiKey: process.env.OPENAI_API_KEY && !process.env.OPENAI_API_KEY.startsWith('your-') ? process.env.OPENAI_API_KEY : null,
+      baseURL: process.env.OPENAI_BASE_URL,
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+    }));
+    this.providers.set('local', new OpenAIProvider('local', {
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      baseURL: process.env.LOCAL_LLM_BASE_URL || null,
+      defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      embeddingModel: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+      free: true
+    }));
+    this.providers.set('mock', new MockProvider());
+  }
+
+  // An explicit LLM_PROVIDER wins; otherwise the first hosted provider with
+  // credentials. The mock is never chosen implicitly.
+  resolveDefaultProvider(name) {
+    if (name) {
+      if (name === 'none') return null;
+      if (!this.providers.has(name)) {
+        console.warn(`Unknown LLM provider "${name}", language model features are disabled`);
+        return null;
+      }
+      return name;
+    }
+    return ['gemini', 'openai', 'local'].find(provider => this.providers.get(provider)?.isAvailable()) || null;
+  }
+
+  // A stand-in for dry runs: the same configured/unconfigured answer, but
+  // every call goes to the mock provider and nothing is written to
+  // llm_usage, so a simulation spends no tokens
+  forDryRun() {
+    return new LLMService(null, {
+      providers: [new MockProvider()],
+      defaultProvider: this.isConfigured() ? 'mock' : 'none',
+      timeoutMs: this.timeoutMs,
+      maxRetries: this.maxRetries
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.defaultProvider && this.providers.get(this.defaultProvider).isAvailable());
+  }
+
+  // "openai:gpt-4o" names both; a bare model goes to the provider that
+  // knows it, falling back to the default provider
+  resolveModel(model, providerName) {
+    let name = providerName || null;
+    let modelName = model || null;
+
+    if (modelName && modelName.includes(':') && this.providers.has(modelName.split(':')[0])) {
+      [name, modelName] = [modelName.split(':')[0], modelName.slice(modelName.indexOf(':') + 1)];
+    }
+    if (!name && modelName) {
+      const inferred = modelName.startsWith('gemini') ? 'gemini' : modelName.startsWith('gpt-') || /^o\d/.test(modelName) ? 'openai' : null;
+      name = inferred && this.providers.get(inferred)?.isAvailable() ? inferred : null;
+    }
+    name = name || this.defaultProvider;
+
+    const provider = name ? this.providers.get(name) : null;
+    if (!provider) {
+      throw this.llmError(name ? `Unknown LLM provider: ${name}` : 'No LLM provider is configured', 503);
+    }
+    if (!provider.isAvailable()) {
+      throw this.llmError(`LLM provider ${name} is not configured`, 503);
+    }
+
+    return { provider, model: modelName || provider.defaultModel };
+  }
+
+  // request: { system, messages: [{ role, content }] | prompt, model, provider,
+  //   tools: [{ name, description, parameters }], maxTokens, temperature,
+  //   timeoutMs, retries, userId, purpose }
+  // Resolves to { text, toolCalls: [{ name, arguments }], provider, model,
+  //   usage, costUsd, latencyMs, attempts }
+  async complete(request) {
+    const { provider, model } = this.resolveModel(request.model, request.provider);
+    const messages = request.messages || [{ role: 'user', content: request.prompt || '' }];
+    const startTime = Date.now();
+
+    const { result, attempts } = await this.callProvider(request, provider, model, startTime, (signal, timeoutMs) =>
+      provider.complete({
+        model,
+        system: request.system || null,
+        messages,
+        tools: request.tools || [],
+        maxTokens: request.maxTokens || 1024,
+        temperature: request.temperature !== undefined ? request.temperature : 0.3
+      }, { signal, timeoutMs }));
+
+    const usage = {
+      promptTokens: result.usage?.promptTokens ?? this.estimateTokens([request.system, ...messages.map(message => message.content)].join('\n')),
+      completionTokens: result.usage?.completionTokens ?? this.estimateTokens(result.text)
+    };
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+
+    const completion = {
+      text: (result.text || '').trim(),
+      toolCalls: result.toolCalls || [],
+      provider: provider.name,
+      model: result.model || model,
+      usage,
+      costUsd: provider.free ? 0 : this.getCost(model, usage),
+      latencyMs: Date.now() - startTime,
+      attempts
+    };
+
+    await this.recordUsage(request, completion, 'success');
+    return completion;
+  }
+
+  // request: { texts, model, provider, timeoutMs, retries, userId, purpose }
+  // Resolves to { vectors, provider, model, usage, costUsd, latencyMs, attempts }.
+  // The model defaults to the provider's embedding model, not its chat model.
+  async embed(request) {
+    const resolved = this.resolveModel(request.model, request.provider);
+    const { provider } = resolved;
+    const model = request.model ? resolved.model : provider.embeddingModel;
+    const texts = request.texts || [];
+    const usageRequest = { ...request, purpose: request.purpose || 'embedding' };
+    const startTime = Date.now();
+
+    const { result, attempts } = await this.callProvider(usageRequest, provider, model, startTime,
+      (signal, timeoutMs) => provider.embed({ model, texts }, { signal, timeoutMs }));
+
+    const usage = {
+      promptTokens: result.usage?.promptTokens ?? this.estimateTokens(texts.join('\n')),
+      completionTokens: 0
+    };
+    usage.totalTokens = usage.promptTokens;
+
+    const embedding = {
+      vectors: result.vectors,
+      provider: provider.name,
+      model: result.model || model,
+      usage,
+      costUsd: provider.free ? 0 : this.getCost(model, usage),
+      latencyMs: Date.now() - startTime,
+      attempts
+    };
+
+    await this.recordUsage(usageRequest, embedding, 'success');
+    return embedding;
+  }
+
+  // Runs one provider call, retrying transient failures; the timeout covers
+  // all attempts together. A final failure is recorded and rethrown as a 502
+  async callProvider(request, provider, model, startTime, call) {
+    const timeoutMs = request.timeoutMs || this.timeoutMs;
+    const retries = request.retries !== undefined ? request.retries : this.maxRetries;
+    const deadline = Date.now() + timeoutMs;
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      const remainingMs = deadline - Date.now();
+      try {
+        const result = await this.withTimeout(signal => call(signal, remainingMs), remainingMs);
+        return { result, attempts };
+      } catch (error) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1) + Math.floor(Math.random() * 100);
+        if (attempts <= retries && this.isRetryable(error) && Date.now() + delay < deadline) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        await this.recordUsage(request, {
+          provider: provider.name,
+          model,
+          usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+          costUsd: 0,
+          latencyMs: Date.now() - startTime,
+          attempts,
+          error: error.message
+        }, 'error');
+
+        throw this.llmError(`LLM request to ${provider.name} failed: ${error.message}`, 502);
+      }
+    }
+  }
+
+  // Summary of at most maxLength characters, or null so callers can fall
+  // back to their extractive summary
+  async summarize(text, { instructions = '', maxLength = 500, model, provider, userId, purpose = 'summary' } = {}) {
+    if (!text || !text.trim()) return null;
+
+    try {
+      const completion = await this.complete({
+        system: 'You write faithful, concise summaries for busy office workers. Use only facts from the text. ' +
+          `Reply with the summary only, in plain prose, at most ${maxLength} characters. ${instructions}`.trim(),
+        prompt: text.slice(0, 20000),
+        maxTokens: Math.min(1024, Math.ceil(maxLength / 3) + 32),
+        model,
+        provider,
+        userId,
+        purpose
+      });
+
+      if (!completion.text) return null;
+      return completion.text.length > maxLength ?
+        `${completion.text.slice(0, maxLength - 1).replace(/\s+\S*$/, '')}…` :
+        completion.text;
+    } catch (error) {
+      console.error('LLM summary error:', error.message);
+      return null;
+    }
+  }
+
+  async withTimeout(run, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`Timed out after ${timeoutMs}ms`);
+        error.code = 'LLM_TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  isRetryable(error) {
+    return RETRYABLE_STATUSES.includes(error.status) || RETRYABLE_CODES.includes(error.code);
+  }
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  getCost(model, usage) {
+    const price = this.pricing[model] ||
+      Object.entries(this.pricing).sort((a, b) => b[0].length - a[0].length).find(([name]) => model.startsWith(name))?.[1];
+    if (!price) return 0;
+    return Number(((usage.promptTokens * price[0] + usage.completionTokens * price[1]) / 1e6).toFixed(8));
+  }
+
+  parsePricing(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn('Ignoring invalid LLM_PRICING:', error.message);
+      return {};
+    }
+  }
+
+  async recordUsage(request, completion, status) {
+    if (!this.db) return;
+
+    try {
+      await this.db.query(`
+        INSERT INTO llm_usage (
+          user_id, provider, model, purpose, prompt_tokens, completion_tokens, cost_usd,
+          latency_ms, attempts, status, error
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        request.userId || null,
+        completion.provider,
+        completion.model,
+        request.purpose || 'chat',
+        completion.usage.promptTokens,
+        completion.usage.completionTokens,
+        completion.costUsd,
+        completion.latencyMs,
+        completion.attempts,
+        status,
+        completion.error || null
+      ]);
+    } catch (error) {
+      console.error('Failed to record LLM usage:', error.message);
+    }
+  }
+
+  async getUsage(userId, { since = null } = {}) {
+    const result = await this.db.query(`
+      SELECT provider, model, purpose,
+             COUNT(*) AS requests,
+             COUNT(*) FILTER (WHERE status = 'error') AS errors,
+             COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+             COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+             COALESCE(SUM(cost_usd), 0) AS cost_usd,
+             ROUND(AVG(latency_ms)) AS average_latency_ms
+      FROM llm_usage
+      WHERE user_id = $1 AND ($2::timestamp IS NULL OR created_at >= $2)
+      GROUP BY provider, model, purpose
+      ORDER BY cost_usd DESC, requests DESC
+    `, [userId, since]);
+
+    const breakdown = result.rows.map(row => ({
+      provider: row.provider,
+      model: row.model,
+      purpose: row.purpose,
+      requests: parseInt(row.requests),
+      errors: parseInt(row.errors),
+      promptTokens: parseInt(row.prompt_tokens),
+      completionTokens: parseInt(row.completion_tokens),
+      costUsd: parseFloat(row.cost_usd),
+      averageLatencyMs: row.average_latency_ms !== null ? parseInt(row.average_latency_ms) : null
+    }));
+
+    return {
+      totals: breakdown.reduce((totals, row) => ({
+        requests: totals.requests + row.requests,
+        promptTokens: totals.promptTokens + row.promptTokens,
+        completionTokens: totals.completionTokens + row.completionTokens,
+        costUsd: Number((totals.costUsd + row.costUsd).toFixed(8))
+      }), { requests: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 }),
+      breakdown
+    };
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      defaultProvider: this.defaultProvider,
+      providers: [...this.providers.values()].map(provider => ({
+        name: provider.name,
+        available: provider.isAvailable(),
+        defaultModel: provider.defaultModel
+      }))
+    };
+  }
+
+  llmError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+class BaseLLMProvider {
+  constructor(name, { defaultModel, embeddingModel = null, free = false } = {}) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.embeddingModel = embeddingModel;
+    this.free = free;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Resolves to { text, toolCalls, model, usage: { promptTokens, completionTokens } }
+  async complete(request, options) {
+    throw new Error(`${this.name} does not implement complete()`);
+  }
+
+  // Resolves to { vectors: number[][], model, usage: { promptTokens } }
+  async embed(request, options) {
+    throw new Error(`${this.name} does not implement embed()`);
+  }
+}
+
+// Talks to the Generative Language REST API directly so no SDK is needed
+class GeminiProvider extends BaseLLMProvider {
+  constructor({ apiKey, defaultModel, embeddingModel = 'text-embedding-004' }) {
+    super('gemini', { defaultModel, embeddingModel });
+    this.apiKey = apiKey;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  async complete(request, { signal, timeoutMs }) {
+    try {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(request.model)}:generateContent`,
+        {
+          systemInstruction: request.system ? { parts: [{ text: request.system }] } : undefined,
+          contents: request.messages.map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: message.content }]
+          })),
+          tools: request.tools.length > 0 ? [{ functionDeclarations: request.tools }] : undefined,
+          generationConfig: {
+            maxOutputTokens: request.maxTokens,
+            temperature: request.temperature
+          }
+        },
+        {
+          params: { key: this.apiKey },
+          signal,
+          timeout: timeoutMs
+        }
+      );
+
+      const candidate = (response.data.candidates || [])[0];
+      const parts = candidate?.content?.parts || [];
+      const usage = response.data.usageMetadata || {};
+
+      return {
+        text: parts.map(part => part.text || '').join(''),
+        toolCalls: parts
+          .filter(part => part.functionCall)
+          .map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args || {} })),
+        model: request.model,
+        usage: {
+          promptTokens: usage.promptTokenCount,
+          completionTokens: usage.candidatesTokenCount
+        }
+      };
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  async embed(request, { signal, timeoutMs }) {
+    try {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(request.model)}:batchEmbedContents`,
+        {
+          requests: request.texts.map(text => ({
+            model: `models/${request.model}`,
+            content: { parts: [{ text }] }
+          }))
+        },
+        {
+          params: { key: this.apiKey },
+          signal,
+          timeout: timeoutMs
+        }
+      );
+
+      return {
+        vectors: (response.data.embeddings || []).map(embedding => embedding.values),
+        model: request.model,
+        usage: {}
+      };
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  toApiError(error) {
+    if (!error.response) return error;
+    const apiError = new Error(error.response.data?.error?.message || error.message);
+    apiError.status = error.response.status;
+    return apiError;
+  }
+}
+
+// OpenAI and any server speaking its chat completions API (Ollama, vLLM,
+// LM Studio, ...) through baseURL
+class OpenAIProvider extends BaseLLMProvider {
+  constructor(name, { apiKey, baseURL, defaultModel, embeddingModel, free = false }) {
+    super(name, { defaultModel, embeddingModel, free });
+    this.apiKey = apiKey;
+    this.baseURL = baseURL || undefined;
+    this.client = null;
+  }
+
+  isAvailable() {
+    return this.name === 'local' ? Boolean(this.baseURL) : Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      // Retries are handled by LLMService so that they are counted
+      this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL, maxRetries: 0 });
+    }
+    return this.client;
+  }
+
+  async complete(request, { signal, timeoutMs }) {
+    const messages = request.system ?
+      [{ role: 'system', content: request.system }, ...request.messages] :
+      request.messages;
+
+    const response = await this.getClient().chat.completions.create({
+      model: request.model,
+      messages: messages.map(message => ({ role: message.role, content: message.content })),
+      tools: request.tools.length > 0 ?
+        request.tools.map(tool => ({ type: 'function', function: tool })) :
+        undefined,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    }, { signal, timeout: timeoutMs });
+
+    const message = response.choices[0]?.message || {};
+
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        name: call.function.name,
+        arguments: this.parseArguments(call.function.arguments)
+      })),
+      model: response.model || request.model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens
+      }
+    };
+  }
+
+  async embed(request, { signal, timeoutMs }) {
+    const response = await this.getClient().embeddings.create({
+      model: request.model,
+      input: request.texts
+    }, { signal, timeout: timeoutMs });
+
+    return {
+      vectors: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      model: response.model || request.model,
+      usage: { promptTokens: response.usage?.prompt_tokens }
+    };
+  }
+
+  parseArguments(json) {
+    try {
+      return JSON.parse(json || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+// Deterministic stand-in for tests and demos: answers with the opening of
+// the last user message, or with queued responses when given some (a string,
+// { text, toolCalls } or an Error to throw)
+class MockProvider extends BaseLLMProvider {
+  constructor({ responses = [], defaultModel = 'mock-1' } = {}) {
+    super('mock', { defaultModel, embeddingModel: 'mock-embed', free: true });
+    this.responses = [...responses];
+    this.requests = [];
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+
+    const queued = this.responses.shift();
+    if (queued instanceof Error) throw queued;
+
+    const last = [...request.messages].reverse().find(message => message.role === 'user');
+    const reply = typeof queued === 'object' && queued !== null ? queued : { text: queued };
+    const text = reply.text !== undefined ? reply.text :
+      reply.toolCalls ? '' : `[${request.model}] ${(last ? last.content : '').replace(/\s+/g, ' ').trim().slice(0, 200)}`;
+
+    return {
+      text,
+      toolCalls: reply.toolCalls || [],
+      model: request.model,
+      usage: {
+        promptTokens: Math.ceil(((request.system || '') + request.messages.map(message => message.content).join('')).length / 4),
+        completionTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  // Hashed bag of words: texts sharing words get similar vectors
+  async embed(request) {
+    return {
+      vectors: request.texts.map(text => {
+        const vector = new Array(64).fill(0);
+        (text.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+          let hash = 0;
+          for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+          vector[hash % 64] += 1;
+        });
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => value / norm);
+      }),
+      model: request.model,
+      usage: { promptTokens: Math.ceil(request.texts.join(' ').length / 4) }
+    };
+  }
+}
+
+LLMService.GeminiProvider = GeminiProvider;
+LLMService.OpenAIProvider = OpenAIProvider;
+LLMService.MockProvider = MockProvider;
+
+module.exports = LLMService;
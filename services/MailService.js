@@ -0,0 +1,276 @@
+const EmailSummarizer = require('./EmailSummarizer');
+
+// Read side of the Mail Summarizer: summaries and threads it stored for synced
+// email, and a way to ask for a fresh pass without waiting for its schedule.
+class MailService {
+  constructor(db, orchestrator) {
+    this.db = db;
+    this.orchestrator = orchestrator;
+  }
+
+  async listSummaries(userId, { priority, sentiment, since, hasActionItems, search, limit = 20, offset = 0 } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+
+    if (priority) {
+      params.push(priority);
+      conditions.push(`priority = $${params.length}`);
+    }
+    if (sentiment) {
+      params.push(sentiment);
+      conditions.push(`sentiment->>'label' = $${params.length}`);
+    }
+    if (since) {
+      params.push(since);
+      conditions.push(`COALESCE(received_at, created_at) >= $${params.length}`);
+    }
+    if (hasActionItems !== undefined) {
+      conditions.push(`jsonb_array_length(action_items) ${hasActionItems ? '>' : '='} 0`);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(subject ILIKE $${params.length} OR summary ILIKE $${params.length} OR sender ILIKE $${params.length})`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const countResult = await this.db.query(`
+      SELECT COUNT(*) AS total FROM email_summaries WHERE ${where}
+    `, params);
+
+    const result = await this.db.query(`
+      SELECT * FROM email_summaries
+      WHERE ${where}
+      ORDER BY COALESCE(received_at, created_at) DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      summaries: result.rows.map(row => this.formatSummary(row)),
+      pagination: {
+        total: parseInt(countResult.rows[0].total),
+        limit,
+        offset
+      }
+    };
+  }
+
+  async getSummary(summaryId, userId) {
+    const result = await this.db.query(`
+      SELECT s.*, c.data AS email
+      FROM email_summaries s
+      LEFT JOIN shared_context c ON c.id = s.context_id
+      WHERE s.id = $1 AND s.user_id = $2
+    `, [summaryId, userId]);
+
+    if (!result.rows[0]) return null;
+
+    const row = result.rows[0];
+    return {
+      ...this.formatSummary(row),
+      snippet: row.email ? row.email.snippet || null : null
+    };
+  }
+
+  async listThreads(userId, { replyState, unread, search, limit = 20, offset = 0 } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+
+    if (replyState) {
+      params.push(replyState);
+      conditions.push(`reply_state = $${params.length}`);
+    }
+    if (unread !== undefined) {
+      conditions.push(`unread_count ${unread ? '>' : '='} 0`);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(subject ILIKE $${params.length} OR summary ILIKE $${params.length} OR participants::text ILIKE $${params.length})`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const countResult = await this.db.query(`
+      SELECT COUNT(*) AS total FROM email_threads WHERE ${where}
+    `, params);
+
+    const result = await this.db.query(`
+      SELECT * FROM email_threads
+      WHERE ${where}
+      ORDER BY last_message_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      threads: result.rows.map(row => this.formatThread(row)),
+      pagination: {
+        total: parseInt(countResult.rows[0].total),
+        limit,
+        offset
+      }
+    };
+  }
+
+  // Thread with each message's own summary, where one was made
+  async getThread(threadId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM email_threads WHERE id = $1 AND user_id = $2
+    `, [threadId, userId]);
+
+    if (!result.rows[0]) return null;
+
+    const thread = this.formatThread(result.rows[0]);
+    const summaries = await this.db.query(`
+      SELECT * FROM email_summaries WHERE user_id = $1 AND message_key = ANY($2)
+    `, [userId, thread.messages.map(message => message.messageKey)]);
+    const byKey = new Map(summaries.rows.map(row => [row.message_key, this.formatSummary(row)]));
+
+    return {
+      ...thread,
+      messages: thread.messages.map(message => ({
+        ...message,
+        summary: byKey.get(message.messageKey) || null
+      }))
+    };
+  }
+
+  // Threads where someone owes the user a reply, grouped by that person
+  // (oldest wait first), alongside the threads where the user owes one
+  async getWaitingOn(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM email_threads
+      WHERE user_id = $1 AND reply_state != 'none'
+      ORDER BY waiting_since ASC
+    `, [userId]);
+
+    const threads = result.rows.map(row => this.formatThread(row));
+    const people = new Map();
+
+    threads.filter(thread => thread.replyState === 'awaiting_them').forEach(thread => {
+      thread.owedBy.forEach(person => {
+        if (!people.has(person.email)) {
+          people.set(person.email, { email: person.email, name: person.name, since: thread.waitingSince, threads: [] });
+        }
+        const entry = people.get(person.email);
+        entry.name = entry.name || person.name;
+        entry.threads.push({
+          id: thread.id,
+          subject: thread.subject,
+          summary: thread.summary,
+          waitingSince: thread.waitingSince,
+          waitingDays: thread.waitingDays
+        });
+      });
+    });
+
+    return {
+      waitingOn: [...people.values()],
+      needsReply: threads.filter(thread => thread.replyState === 'awaiting_me')
+    };
+  }
+
+  // Unread incoming email, newest first, with the stored summary of each or
+  // one made on the spot for messages the Mail Summarizer hasn't reached yet
+  async getUnreadDigest(userId, { limit = 10 } = {}) {
+    const where = `
+      c.user_id = $1 AND c.context_type = 'email'
+      AND COALESCE(c.data->>'unread', 'true') = 'true'
+      AND COALESCE(c.data->>'sent', 'false') = 'false'
+    `;
+
+    const countResult = await this.db.query(`
+      SELECT COUNT(*) AS total FROM shared_context c WHERE ${where}
+    `, [userId]);
+
+    const result = await this.db.query(`
+      SELECT c.id AS context_id, c.data, c.created_at, s.*
+      FROM shared_context c
+      LEFT JOIN email_summaries s ON s.context_id = c.id
+      WHERE ${where}
+      ORDER BY c.created_at DESC
+      LIMIT $2
+    `, [userId, limit]);
+
+    const summarizer = new EmailSummarizer();
+    const emails = result.rows.map(row => {
+      const data = row.data || {};
+      const summary = row.id ? this.formatSummary(row) : summarizer.summarize(data, { receivedAt: row.created_at });
+
+      return {
+        contextId: row.context_id,
+        summaryId: row.id || null,
+        subject: data.subject || summary.subject || '(no subject)',
+        from: data.from || null,
+        receivedAt: summarizer.getReceivedAt(data) || row.created_at,
+        summary: summary.summary,
+        actionItems: summary.actionItems,
+        deadlines: summary.deadlines,
+        priority: summary.priority
+      };
+    });
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      emails
+    };
+  }
+
+  // Queues a Mail Summarizer run; null when the user has no active instance
+  async requestSummaries(userId, { force = false } = {}) {
+    const instanceId = await this.orchestrator.pipelineExecutor.findUserAgent(userId, 'mail-summarizer');
+    if (!instanceId) return null;
+
+    return await this.orchestrator.enqueueRun(instanceId, { force }, { triggerSource: 'manual' });
+  }
+
+  formatSummary(row) {
+    return {
+      id: row.id,
+      contextId: row.context_id,
+      messageKey: row.message_key,
+      subject: row.subject,
+      sender: row.sender,
+      receivedAt: row.received_at,
+      summary: row.summary,
+      keySentences: row.key_sentences || [],
+      actionItems: row.action_items || [],
+      deadlines: row.deadlines || [],
+      decisions: row.decisions || [],
+      sentiment: row.sentiment,
+      priority: row.priority,
+      wordCount: row.word_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatThread(row) {
+    return {
+      id: row.id,
+      threadKey: row.thread_key,
+      subject: row.subject,
+      participants: row.participants || [],
+      messages: row.messages || [],
+      messageCount: row.message_count,
+      unreadCount: row.unread_count,
+      firstMessageAt: row.first_message_at,
+      lastMessageAt: row.last_message_at,
+      summary: row.summary,
+      actionItems: row.action_items || [],
+      deadlines: row.deadlines || [],
+      decisions: row.decisions || [],
+      sentiment: row.sentiment,
+      priority: row.priority,
+      replyState: row.reply_state,
+      owedBy: row.owed_by || [],
+      owedTo: row.owed_to || [],
+      waitingSince: row.waiting_since,
+      waitingDays: row.waiting_since ?
+        Math.floor((Date.now() - new Date(row.waiting_since).getTime()) / (24 * 60 * 60 * 1000)) :
+        null,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = MailService;
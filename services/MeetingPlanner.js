@@ -0,0 +1,147 @@
+const RecurrenceRule = require('./RecurrenceRule');
+
+const DEFAULT_DURATION_MINUTES = 30;
+const SLOT_STEP_MINUTES = 15;
+const SEARCH_DAYS = 14;
+const DEFAULT_WORKING_HOURS = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+const MINUTE_MS = 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Turns schedule entries from shared_context into real time intervals and
+// finds free slots around them. Entries come in two shapes: local
+// { date, time, duration, timezone } from the app and { start, end } from
+// calendar sync, where a date-only start/end is an all-day event.
+class MeetingPlanner {
+  constructor({ bufferMinutes = 0, timezone = 'UTC', workingHours = null } = {}) {
+    this.bufferMs = (parseInt(bufferMinutes) || 0) * MINUTE_MS;
+    this.timezone = timezone;
+    this.workingHours = workingHours || DEFAULT_WORKING_HOURS;
+  }
+
+  getTimeZone(meeting) {
+    const timezone = meeting.timezone || this.timezone;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      return this.timezone;
+    }
+  }
+
+  toInterval(meeting) {
+    const timezone = this.getTimeZone(meeting);
+
+    if (meeting.start) {
+      const start = this.parseMoment(meeting.start, timezone);
+      let end = meeting.end ? this.parseMoment(meeting.end, timezone) : null;
+      if (!start) return null;
+      if (!end || end <= start) {
+        end = new Date(start.getTime() + this.getDurationMinutes(meeting) * MINUTE_MS);
+      }
+      return { start, end, timezone };
+    }
+
+    if (!meeting.date) return null;
+
+    const local = RecurrenceRule.parseLocal(`${meeting.date}T${meeting.time || '00:00'}`);
+    if (!local) return null;
+
+    const start = RecurrenceRule.toInstant(local, timezone);
+    const end = new Date(start.getTime() + this.getDurationMinutes(meeting) * MINUTE_MS);
+    return { start, end, timezone };
+  }
+
+  parseMoment(value, timezone) {
+    if (DATE_ONLY_PATTERN.test(value)) {
+      return RecurrenceRule.toInstant(RecurrenceRule.parseLocal(`${value}T00:00`), timezone);
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  getDurationMinutes(meeting) {
+    const duration = parseInt(meeting.duration);
+    return duration > 0 ? duration : DEFAULT_DURATION_MINUTES;
+  }
+
+  getParticipants(meeting) {
+    const participants = meeting.participants || meeting.attendees || [];
+    return participants
+      .map(participant => (typeof participant === 'string' ? participant : participant && (participant.email || participant.name)))
+      .filter(Boolean)
+      .map(participant => participant.trim().toLowerCase());
+  }
+
+  // Two meetings conflict when they overlap or sit closer than the buffer
+  overlaps(a, b) {
+    return a.start.getTime() < b.end.getTime() + this.bufferMs &&
+      b.start.getTime() < a.end.getTime() + this.bufferMs;
+  }
+
+  isWithinWorkingHours(start, end, timezone, workingHours = this.workingHours) {
+    const localStart = RecurrenceRule.toWallClock(start, timezone);
+    const localEnd = RecurrenceRule.toWallClock(end, timezone);
+    const days = workingHours.days || DEFAULT_WORKING_HOURS.days;
+
+    const dayStart = new Date(localStart.getTime());
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const minutesFromDayStart = (date) => (date.getTime() - dayStart.getTime()) / MINUTE_MS;
+
+    return days.includes(localStart.getUTCDay()) &&
+      minutesFromDayStart(localStart) >= toMinutes(workingHours.start) &&
+      minutesFromDayStart(localEnd) <= toMinutes(workingHours.end);
+  }
+
+  // Earliest slot of durationMinutes at or after `after` that keeps the buffer
+  // around every busy block and fits the working hours in `timezone`
+  findFreeSlot({ durationMinutes, busy, after, timezone = this.timezone, workingHours = this.workingHours, searchDays = SEARCH_DAYS }) {
+    const durationMs = durationMinutes * MINUTE_MS;
+    const stepMs = SLOT_STEP_MINUTES * MINUTE_MS;
+    const limit = after.getTime() + searchDays * 24 * 60 * MINUTE_MS;
+    let candidate = Math.ceil(after.getTime() / stepMs) * stepMs;
+
+    while (candidate <= limit) {
+      const slot = { start: new Date(candidate), end: new Date(candidate + durationMs) };
+
+      if (!this.isWithinWorkingHours(slot.start, slot.end, timezone, workingHours)) {
+        candidate += stepMs;
+        continue;
+      }
+
+      const blocking = busy.filter(block => this.overlaps(slot, block));
+      if (blocking.length === 0) return slot;
+
+      // Jump past the latest blocker instead of stepping through it
+      const clearAt = Math.max(...blocking.map(block => block.end.getTime() + this.bufferMs));
+      candidate = Math.max(candidate + stepMs, Math.ceil(clearAt / stepMs) * stepMs);
+    }
+
+    return null;
+  }
+
+  // Expresses a new slot in the same shape the entry was stored in
+  formatSlot(meeting, slot, timezone = this.getTimeZone(meeting)) {
+    if (meeting.start) {
+      return { start: slot.start.toISOString(), end: slot.end.toISOString() };
+    }
+
+    const local = RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(slot.start, timezone));
+    return { date: local.slice(0, 10), time: local.slice(11, 16) };
+  }
+
+  describe(interval) {
+    const start = RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(interval.start, interval.timezone));
+    const end = RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(interval.end, interval.timezone));
+    const endLabel = end.slice(0, 10) === start.slice(0, 10) ? end.slice(11) : end.replace('T', ' ');
+    return `${start.replace('T', ' ')}–${endLabel} ${interval.timezone}`;
+  }
+}
+
+MeetingPlanner.DEFAULT_WORKING_HOURS = DEFAULT_WORKING_HOURS;
+MeetingPlanner.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES;
+
+module.exports = MeetingPlanner;
@@ -0,0 +1,897 @@
+const RecurrenceRule = require('./RecurrenceRule');
+const MeetingPlanner = require('./MeetingPlanner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZON_DAYS = 28; // occurrences this far ahead exist as meetings rows
+const CONFLICT_WINDOW_DAYS = 90;
+const MAX_OCCURRENCES_PER_RUN = 100;
+const OVERRIDE_FIELDS = ['title', 'startTime', 'duration', 'location'];
+const SKIP_REASON = 'Occurrence skipped';
+
+// Recurring meetings. A series holds the rule and the meeting defaults; each
+// occurrence inside a rolling horizon is materialized as a meetings row
+// (series_id, occurrence_at) so notes, invitations, feeds and availability
+// work on it like on any other meeting. Skips and one-off changes are kept
+// as exceptions so regeneration respects them.
+class MeetingSeriesService {
+  constructor(db, io, smartMeetingAssistant) {
+    this.db = db;
+    this.io = io;
+    this.smartMeetingAssistant = smartMeetingAssistant;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.materializeDue().catch(error => {
+        console.error('Meeting series error:', error);
+      });
+    }, 60 * 60 * 1000);
+    console.log('📆 Meeting series scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  validateSeries(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.title !== undefined) {
+      if (typeof data.title !== 'string' || data.title.trim() === '') errors.push('title is required');
+    }
+    if (data.duration !== undefined && !(parseInt(data.duration) >= 5 && parseInt(data.duration) <= 480)) {
+      errors.push('duration must be between 5 and 480 minutes');
+    }
+    if (data.participants !== undefined && !Array.isArray(data.participants)) {
+      errors.push('participants must be an array');
+    }
+    if (data.objectives !== undefined && !Array.isArray(data.objectives)) {
+      errors.push('objectives must be an array');
+    }
+
+    if (data.recurrence) {
+      errors.push(...RecurrenceRule.validate(data.recurrence.rule, {
+        start: data.recurrence.start,
+        timezone: data.recurrence.timezone || 'UTC'
+      }));
+    } else if (!partial) {
+      errors.push('recurrence is required');
+    }
+
+    return errors;
+  }
+
+  getRule(series) {
+    return new RecurrenceRule(series.recurrence_rule, {
+      start: series.recurrence_start,
+      timezone: series.recurrence_timezone || 'UTC'
+    });
+  }
+
+  // Agenda, preparation and the effectiveness prediction are worked out once
+  // for the series and copied onto every occurrence
+  planSeries(data, firstOccurrence) {
+    const meetingData = {
+      meetingType: data.meetingType,
+      objectives: data.objectives || [],
+      duration: data.duration,
+      participants: data.participants
+    };
+    const agenda = this.smartMeetingAssistant.generateAgenda(meetingData);
+    const preparationItems = this.smartMeetingAssistant.generatePreparationItems({ ...meetingData, agenda });
+    const effectivenessScore = this.smartMeetingAssistant.predictMeetingEffectiveness({
+      ...meetingData,
+      agenda,
+      preparationItems,
+      suggestedTime: firstOccurrence ? { startTime: firstOccurrence } : null
+    });
+
+    return { agenda, preparationItems, effectivenessScore };
+  }
+
+  async listSeries(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM meeting_series WHERE user_id = $1 ORDER BY title
+    `, [userId]);
+
+    return result.rows.map(row => this.formatSeries(row));
+  }
+
+  async getSeriesRow(seriesId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM meeting_series WHERE id = $1 AND user_id = $2
+    `, [seriesId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async createSeries(userId, data) {
+    const recurrence = { timezone: 'UTC', ...data.recurrence };
+    const participants = this.smartMeetingAssistant.normalizeParticipants(data.participants || []);
+    const duration = parseInt(data.duration) || 30;
+    const [firstOccurrence] = new RecurrenceRule(recurrence.rule, recurrence).next(1);
+    const plan = this.planSeries({ ...data, duration, participants }, firstOccurrence);
+
+    const result = await this.db.query(`
+      INSERT INTO meeting_series (
+        user_id, title, description, meeting_type, duration_minutes, location, objectives, participants,
+        agenda, preparation_items, effectiveness_score, recurrence_rule, recurrence_start, recurrence_timezone
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      userId,
+      data.title.trim(),
+      data.description || null,
+      data.meetingType || null,
+      duration,
+      data.location || null,
+      JSON.stringify(data.objectives || []),
+      JSON.stringify(participants),
+      JSON.stringify(plan.agenda),
+      JSON.stringify(plan.preparationItems),
+      plan.effectivenessScore,
+      RecurrenceRule.normalize(recurrence.rule),
+      recurrence.start,
+      recurrence.timezone
+    ]);
+
+    return await this.refresh(result.rows[0]);
+  }
+
+  // Materializes up to the horizon and reports clashes in that window
+  async refresh(series, now = new Date()) {
+    const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+    if (series.is_active) {
+      await this.materializeSeries(series, horizon, now);
+    }
+
+    const row = await this.getSeriesRow(series.id, series.user_id);
+    const conflicts = row.is_active ? await this.detectConflicts(row, { from: now, to: horizon }) : null;
+
+    return {
+      series: this.formatSeries(row),
+      occurrences: await this.getOccurrences(row, { from: now }),
+      conflicts: conflicts ? conflicts.conflicts : []
+    };
+  }
+
+  async updateSeries(seriesId, userId, data, now = new Date()) {
+    const existing = await this.getSeriesRow(seriesId, userId);
+    if (!existing) return null;
+
+    const recurrence = data.recurrence ? {
+      rule: existing.recurrence_rule,
+      start: existing.recurrence_start,
+      timezone: existing.recurrence_timezone,
+      ...data.recurrence
+    } : null;
+    if (recurrence) {
+      const errors = RecurrenceRule.validate(recurrence.rule, recurrence);
+      if (errors.length > 0) {
+        throw this.seriesError(errors.join('; '), 400);
+      }
+      recurrence.rule = RecurrenceRule.normalize(recurrence.rule);
+    }
+
+    const merged = {
+      meetingType: data.meetingType !== undefined ? data.meetingType : existing.meeting_type,
+      objectives: data.objectives || existing.objectives || [],
+      duration: data.duration !== undefined ? parseInt(data.duration) : existing.duration_minutes,
+      participants: data.participants ?
+        this.smartMeetingAssistant.normalizeParticipants(data.participants) : existing.participants || []
+    };
+    const rule = recurrence ? new RecurrenceRule(recurrence.rule, recurrence) : this.getRule(existing);
+    const plan = this.planSeries(merged, rule.next(1, now)[0]);
+
+    const result = await this.db.query(`
+      UPDATE meeting_series
+      SET title = COALESCE($3, title),
+          description = COALESCE($4, description),
+          meeting_type = $5,
+          duration_minutes = $6,
+          location = COALESCE($7, location),
+          objectives = $8,
+          participants = $9,
+          agenda = $10,
+          preparation_items = $11,
+          effectiveness_score = $12,
+          recurrence_rule = COALESCE($13, recurrence_rule),
+          recurrence_start = COALESCE($14, recurrence_start),
+          recurrence_timezone = COALESCE($15, recurrence_timezone),
+          is_active = COALESCE($16, is_active)
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [
+      seriesId,
+      userId,
+      data.title ? data.title.trim() : null,
+      data.description,
+      merged.meetingType,
+      merged.duration,
+      data.location,
+      JSON.stringify(merged.objectives),
+      JSON.stringify(merged.participants),
+      JSON.stringify(plan.agenda),
+      JSON.stringify(plan.preparationItems),
+      plan.effectivenessScore,
+      recurrence ? recurrence.rule : null,
+      recurrence ? recurrence.start : null,
+      recurrence ? recurrence.timezone || 'UTC' : null,
+      data.isActive
+    ]);
+    const series = result.rows[0];
+
+    if (!series.is_active) {
+      await this.cancelFutureOccurrences(series, 'Series ended', now);
+    } else if (recurrence || merged.duration !== existing.duration_minutes || !existing.is_active) {
+      await this.regenerateFutureOccurrences(series, { rescheduled: Boolean(recurrence) }, now);
+    } else {
+      await this.applyToFutureOccurrences(series, { participantsChanged: Boolean(data.participants) }, now);
+    }
+
+    return await this.refresh(series, now);
+  }
+
+  async deleteSeries(seriesId, userId, now = new Date()) {
+    const series = await this.getSeriesRow(seriesId, userId);
+    if (!series) return false;
+
+    // Held occurrences and their notes stay as standalone meetings
+    await this.cancelFutureOccurrences(series, 'Series deleted', now);
+    await this.db.query(`
+      DELETE FROM meeting_series WHERE id = $1 AND user_id = $2
+    `, [seriesId, userId]);
+
+    return true;
+  }
+
+  async cancelFutureOccurrences(series, reason, now) {
+    const result = await this.db.query(`
+      UPDATE meetings
+      SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $3
+      WHERE series_id = $1 AND status = 'scheduled' AND start_time > $2
+      RETURNING id
+    `, [series.id, now, reason]);
+
+    return result.rows.length;
+  }
+
+  // Timing changed: future occurrences nobody has written notes for are
+  // dropped and rebuilt from the new rule. A new rule also drops future
+  // exceptions, since they were keyed to the old occurrence times.
+  async regenerateFutureOccurrences(series, { rescheduled }, now) {
+    await this.db.query(`
+      DELETE FROM meetings m
+      WHERE m.series_id = $1 AND m.status IN ('scheduled', 'cancelled') AND m.start_time > $2
+        AND NOT EXISTS (SELECT 1 FROM meeting_notes n WHERE n.meeting_id = m.id)
+    `, [series.id, now]);
+
+    if (rescheduled) {
+      await this.db.query(`
+        DELETE FROM meeting_series_exceptions WHERE series_id = $1 AND occurrence_at > $2
+      `, [series.id, now]);
+    }
+
+    const result = await this.db.query(`
+      UPDATE meeting_series SET materialized_until = NULL WHERE id = $1 RETURNING *
+    `, [series.id]);
+    Object.assign(series, result.rows[0]);
+  }
+
+  // Other changes are copied onto future occurrences that were not changed
+  // individually
+  async applyToFutureOccurrences(series, { participantsChanged }, now) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE meetings m
+        SET title = $3, description = $4, meeting_type = $5, location = $6, objectives = $7,
+            agenda = $8, preparation_items = $9, effectiveness_score = $10
+        WHERE m.series_id = $1 AND m.status = 'scheduled' AND m.start_time > $2
+          AND NOT EXISTS (
+            SELECT 1 FROM meeting_series_exceptions e
+            WHERE e.series_id = m.series_id AND e.occurrence_at = m.occurrence_at
+          )
+        RETURNING m.id
+      `, [
+        series.id,
+        now,
+        series.title,
+        series.description,
+        series.meeting_type,
+        series.location,
+        JSON.stringify(series.objectives || []),
+        JSON.stringify(series.agenda || {}),
+        JSON.stringify(series.preparation_items || []),
+        series.effectiveness_score
+      ]);
+
+      if (participantsChanged) {
+        for (const { id } of result.rows) {
+          await client.query('DELETE FROM meeting_participants WHERE meeting_id = $1', [id]);
+          await this.smartMeetingAssistant.insertParticipants(client, id, series.participants || []);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async materializeDue(now = new Date()) {
+    const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+
+    // Extend a day at a time rather than on every tick
+    const due = await this.db.query(`
+      SELECT * FROM meeting_series
+      WHERE is_active = true AND (materialized_until IS NULL OR materialized_until < $1)
+    `, [new Date(horizon.getTime() - DAY_MS)]);
+
+    for (const series of due.rows) {
+      await this.materializeSeries(series, horizon, now);
+    }
+  }
+
+  async materializeSeries(series, until, now = new Date()) {
+    const previous = series.materialized_until ? new Date(series.materialized_until) : null;
+    const from = previous && previous > now ? previous : now;
+    if (from >= until) return 0;
+
+    const occurrences = this.getRule(series).between(from, until, MAX_OCCURRENCES_PER_RUN);
+    const reached = occurrences.length === MAX_OCCURRENCES_PER_RUN ? occurrences[occurrences.length - 1] : until;
+
+    const exceptions = await this.getExceptions(series.id);
+    let created = 0;
+
+    // The claim and the meetings it covers commit together, so a failed
+    // insert leaves the window to be materialized again
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Only the process whose UPDATE still sees the old value materializes
+      const claimed = await client.query(`
+        UPDATE meeting_series SET materialized_until = $3
+        WHERE id = $1 AND materialized_until IS NOT DISTINCT FROM $2
+        RETURNING id
+      `, [series.id, series.materialized_until, reached]);
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return 0;
+      }
+
+      for (const occurrenceAt of occurrences) {
+        const exception = exceptions.get(occurrenceAt.getTime());
+        if (exception && exception.action === 'skip') continue;
+
+        const meetingId = await this.insertOccurrence(client, series, occurrenceAt, exception ? exception.overrides : {});
+        if (meetingId) created++;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    series.materialized_until = reached;
+    return created;
+  }
+
+  async createOccurrence(series, occurrenceAt, overrides = {}) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const meetingId = await this.insertOccurrence(client, series, occurrenceAt, overrides);
+      await client.query('COMMIT');
+      return meetingId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The meeting and its participants; null when the occurrence already exists
+  async insertOccurrence(client, series, occurrenceAt, overrides = {}) {
+    const startTime = overrides.startTime ? new Date(overrides.startTime) : occurrenceAt;
+    const duration = parseInt(overrides.duration) || series.duration_minutes;
+
+    const result = await client.query(`
+      INSERT INTO meetings (
+        user_id, series_id, occurrence_at, title, description, meeting_type, start_time, end_time,
+        timezone, location, objectives, agenda, preparation_items, effectiveness_score
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ON CONFLICT (series_id, occurrence_at) DO NOTHING
+      RETURNING id
+    `, [
+      series.user_id,
+      series.id,
+      occurrenceAt,
+      overrides.title || series.title,
+      series.description,
+      series.meeting_type,
+      startTime,
+      new Date(startTime.getTime() + duration * 60000),
+      series.recurrence_timezone || 'UTC',
+      overrides.location || series.location,
+      JSON.stringify(series.objectives || []),
+      JSON.stringify(series.agenda || {}),
+      JSON.stringify(series.preparation_items || []),
+      series.effectiveness_score
+    ]);
+
+    const meetingId = result.rows[0] ? result.rows[0].id : null;
+    if (meetingId) {
+      await this.smartMeetingAssistant.insertParticipants(client, meetingId, series.participants || []);
+    }
+
+    return meetingId;
+  }
+
+  async getExceptions(seriesId) {
+    const result = await this.db.query(`
+      SELECT * FROM meeting_series_exceptions WHERE series_id = $1
+    `, [seriesId]);
+
+    const exceptions = new Map();
+    result.rows.forEach(row => {
+      exceptions.set(new Date(row.occurrence_at).getTime(), this.formatException(row));
+    });
+    return exceptions;
+  }
+
+  async getOccurrenceMeetings(seriesId, occurrences) {
+    const result = await this.db.query(`
+      SELECT m.id, m.occurrence_at, m.status, m.start_time, m.end_time,
+        EXISTS (SELECT 1 FROM meeting_notes n WHERE n.meeting_id = m.id) as has_notes
+      FROM meetings m
+      WHERE m.series_id = $1 AND m.occurrence_at = ANY($2)
+    `, [seriesId, occurrences]);
+
+    return new Map(result.rows.map(row => [new Date(row.occurrence_at).getTime(), row]));
+  }
+
+  async getOccurrences(series, { count = 10, from = new Date() } = {}) {
+    const rule = this.getRule(series);
+    const occurrences = rule.next(count, from);
+    if (occurrences.length === 0) return [];
+
+    const [exceptions, meetings] = await Promise.all([
+      this.getExceptions(series.id),
+      this.getOccurrenceMeetings(series.id, occurrences)
+    ]);
+
+    return occurrences.map(occurrenceAt => {
+      const exception = exceptions.get(occurrenceAt.getTime());
+      const meeting = meetings.get(occurrenceAt.getTime());
+      const interval = this.getInterval(series, occurrenceAt, exception);
+
+      let status = 'planned'; // not materialized yet
+      if (exception && exception.action === 'skip') status = 'skipped';
+      else if (meeting && meeting.status === 'completed') status = 'held';
+      else if (meeting && meeting.status === 'cancelled') status = 'cancelled';
+      else if (exception) status = 'modified';
+      else if (meeting) status = 'scheduled';
+
+      return {
+        occurrenceAt,
+        local: rule.toLocal(occurrenceAt),
+        timezone: rule.timezone,
+        status,
+        startTime: meeting ? meeting.start_time : interval.start,
+        endTime: meeting ? meeting.end_time : interval.end,
+        overrides: exception && exception.action === 'modify' ? exception.overrides : null,
+        meetingId: meeting ? meeting.id : null,
+        hasNotes: meeting ? meeting.has_notes : false
+      };
+    });
+  }
+
+  getInterval(series, occurrenceAt, exception = null) {
+    const overrides = exception && exception.action === 'modify' ? exception.overrides : {};
+    const start = overrides.startTime ? new Date(overrides.startTime) : occurrenceAt;
+    const duration = parseInt(overrides.duration) || series.duration_minutes;
+    return { start, end: new Date(start.getTime() + duration * 60000), timezone: series.recurrence_timezone || 'UTC' };
+  }
+
+  isOccurrence(series, occurrenceAt) {
+    return this.getRule(series).between(new Date(occurrenceAt.getTime() - 1000), new Date(occurrenceAt.getTime() + 1000), 1)
+      .some(date => date.getTime() === occurrenceAt.getTime());
+  }
+
+  async findOccurrenceMeeting(seriesId, occurrenceAt) {
+    const result = await this.db.query(`
+      SELECT id, status, cancellation_reason FROM meetings WHERE series_id = $1 AND occurrence_at = $2
+    `, [seriesId, occurrenceAt]);
+
+    return result.rows[0] || null;
+  }
+
+  // Undo a skip on an occurrence that was already materialized
+  async reinstateOccurrence(meetingId) {
+    await this.db.query(`
+      UPDATE meetings SET status = 'scheduled', cancelled_at = NULL, cancellation_reason = NULL
+      WHERE id = $1 AND status = 'cancelled' AND cancellation_reason = $2
+    `, [meetingId, SKIP_REASON]);
+  }
+
+  async setException(seriesId, userId, occurrenceAt, { action, overrides = {} }) {
+    const series = await this.getSeriesRow(seriesId, userId);
+    if (!series) return null;
+
+    if (!this.isOccurrence(series, occurrenceAt)) {
+      throw this.seriesError('No occurrence at that time', 400);
+    }
+
+    const cleanOverrides = {};
+    OVERRIDE_FIELDS.forEach(field => {
+      if (overrides[field] !== undefined) cleanOverrides[field] = overrides[field];
+    });
+
+    const result = await this.db.query(`
+      INSERT INTO meeting_series_exceptions (series_id, occurrence_at, action, overrides)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (series_id, occurrence_at) DO UPDATE SET
+        action = EXCLUDED.action,
+        overrides = EXCLUDED.overrides
+      RETURNING *
+    `, [seriesId, occurrenceAt, action, JSON.stringify(action === 'modify' ? cleanOverrides : {})]);
+
+    // Occurrences that already exist as meetings are changed on the meeting
+    let existing = await this.findOccurrenceMeeting(seriesId, occurrenceAt);
+    let meeting = null;
+
+    if (action === 'skip') {
+      if (existing && existing.status === 'scheduled') {
+        meeting = await this.smartMeetingAssistant.cancelMeeting(existing.id, userId, SKIP_REASON);
+      }
+    } else {
+      if (existing && existing.status === 'cancelled') {
+        await this.reinstateOccurrence(existing.id);
+        existing = await this.findOccurrenceMeeting(seriesId, occurrenceAt);
+      }
+
+      if (existing && existing.status === 'scheduled') {
+        meeting = await this.smartMeetingAssistant.updateMeeting(existing.id, userId, {
+          title: cleanOverrides.title || series.title,
+          startTime: cleanOverrides.startTime || occurrenceAt,
+          duration: cleanOverrides.duration || series.duration_minutes,
+          location: cleanOverrides.location || series.location
+        });
+      } else if (!existing && series.materialized_until && occurrenceAt <= new Date(series.materialized_until)) {
+        const meetingId = await this.createOccurrence(series, occurrenceAt, cleanOverrides);
+        meeting = meetingId ? await this.smartMeetingAssistant.getMeeting(meetingId, userId) : null;
+      }
+    }
+
+    return { exception: this.formatException(result.rows[0]), meeting };
+  }
+
+  async removeException(seriesId, userId, occurrenceAt) {
+    const series = await this.getSeriesRow(seriesId, userId);
+    if (!series) return false;
+
+    const result = await this.db.query(`
+      DELETE FROM meeting_series_exceptions WHERE series_id = $1 AND occurrence_at = $2 RETURNING id
+    `, [seriesId, occurrenceAt]);
+    if (result.rows.length === 0) return false;
+
+    let existing = await this.findOccurrenceMeeting(seriesId, occurrenceAt);
+    if (existing && existing.status === 'cancelled') {
+      await this.reinstateOccurrence(existing.id);
+      existing = await this.findOccurrenceMeeting(seriesId, occurrenceAt);
+    }
+
+    if (existing && existing.status === 'scheduled') {
+      await this.smartMeetingAssistant.updateMeeting(existing.id, userId, {
+        title: series.title,
+        startTime: occurrenceAt,
+        duration: series.duration_minutes,
+        location: series.location
+      });
+    } else if (!existing && series.materialized_until && occurrenceAt <= new Date(series.materialized_until) &&
+        occurrenceAt > new Date()) {
+      await this.createOccurrence(series, occurrenceAt);
+    }
+
+    return true;
+  }
+
+  // Notes can be taken for any occurrence, including ones before the horizon
+  // or in the past; the occurrence is materialized first if needed
+  async addOccurrenceNotes(seriesId, userId, occurrenceAt, notes) {
+    const series = await this.getSeriesRow(seriesId, userId);
+    if (!series) return null;
+
+    if (!this.isOccurrence(series, occurrenceAt)) {
+      throw this.seriesError('No occurrence at that time', 400);
+    }
+
+    const exception = (await this.getExceptions(seriesId)).get(occurrenceAt.getTime());
+    if (exception && exception.action === 'skip') {
+      throw this.seriesError('This occurrence was skipped');
+    }
+
+    let meeting = await this.findOccurrenceMeeting(seriesId, occurrenceAt);
+    if (!meeting) {
+      // A concurrent request may have created it; either way the row exists now
+      await this.createOccurrence(series, occurrenceAt, exception ? exception.overrides : {});
+      meeting = await this.findOccurrenceMeeting(seriesId, occurrenceAt);
+    }
+    const meetingId = meeting.id;
+
+    return await this.smartMeetingAssistant.processMeetingNotes(meetingId, notes, userId);
+  }
+
+  // Checks every expanded occurrence in the window, not only the materialized
+  // ones, against the participants' other meetings and schedule entries, and
+  // against the previous occurrence when the series overlaps itself
+  async detectConflicts(series, { from = new Date(), to = null } = {}) {
+    const until = to || new Date(from.getTime() + CONFLICT_WINDOW_DAYS * DAY_MS);
+    const exceptions = await this.getExceptions(series.id);
+    const intervals = this.getRule(series).between(from, until, 500)
+      .filter(occurrenceAt => {
+        const exception = exceptions.get(occurrenceAt.getTime());
+        return !exception || exception.action !== 'skip';
+      })
+      .map(occurrenceAt => ({ occurrenceAt, ...this.getInterval(series, occurrenceAt, exceptions.get(occurrenceAt.getTime())) }));
+
+    const planner = new MeetingPlanner({ timezone: series.recurrence_timezone || 'UTC' });
+    const emails = (series.participants || []).map(participant => participant.email).filter(Boolean);
+    const people = await this.smartMeetingAssistant.resolveParticipants(series.user_id, emails);
+    const lastEnd = intervals.length > 0 ? intervals[intervals.length - 1].end : until;
+    await this.smartMeetingAssistant.loadBusyBlocks(people, planner, from, lastEnd > until ? lastEnd : until, {
+      excludeSeriesId: series.id
+    });
+
+    const conflicts = [];
+    intervals.forEach((interval, index) => {
+      const clashes = [];
+      people.forEach(person => {
+        person.busy
+          .filter(block => planner.overlaps(interval, block))
+          .forEach(block => clashes.push({ participant: person.email || person.name, start: block.start, end: block.end }));
+      });
+
+      const previous = intervals[index - 1];
+      if (previous && planner.overlaps(interval, previous)) {
+        clashes.push({ participant: null, start: previous.start, end: previous.end, previousOccurrence: previous.occurrenceAt });
+      }
+
+      const outsideWorkingHours = people
+        .filter(person => person.known && !planner.isWithinWorkingHours(interval.start, interval.end, person.timezone, person.workingHours))
+        .map(person => person.email);
+
+      if (clashes.length > 0 || outsideWorkingHours.length > 0) {
+        conflicts.push({
+          occurrenceAt: interval.occurrenceAt,
+          startTime: interval.start,
+          endTime: interval.end,
+          when: planner.describe(interval),
+          clashes,
+          outsideWorkingHours
+        });
+      }
+    });
+
+    return {
+      from,
+      to: until,
+      occurrencesChecked: intervals.length,
+      conflicts
+    };
+  }
+
+  // Predicted effectiveness of the series set against what its held
+  // occurrences produced: decisions, tone, and whether the tasks created from
+  // their action items got done
+  async getAnalytics(seriesId, userId, now = new Date()) {
+    const series = await this.getSeriesRow(seriesId, userId);
+    if (!series) return null;
+
+    const result = await this.db.query(`
+      SELECT m.id, m.occurrence_at, m.status, m.start_time, m.end_time, m.effectiveness_score,
+        n.id as notes_id, n.sentiment, n.follow_up_required,
+        COALESCE(jsonb_array_length(n.decisions), 0) as decision_count,
+        COALESCE(jsonb_array_length(n.action_items), 0) as action_item_count,
+        (SELECT COUNT(*) FROM meeting_participants mp WHERE mp.meeting_id = m.id) as invited,
+        (SELECT COUNT(*) FROM meeting_participants mp WHERE mp.meeting_id = m.id AND mp.response_status = 'accepted') as accepted,
+        (SELECT COUNT(*) FROM meeting_action_items a WHERE a.meeting_id = m.id AND a.task_id IS NOT NULL) as tasks_created,
+        (SELECT COUNT(*) FROM meeting_action_items a JOIN tasks t ON t.id = a.task_id
+          WHERE a.meeting_id = m.id AND t.status = 'completed') as tasks_completed
+      FROM meetings m
+      LEFT JOIN LATERAL (
+        SELECT * FROM meeting_notes WHERE meeting_id = m.id ORDER BY created_at DESC LIMIT 1
+      ) n ON true
+      WHERE m.series_id = $1
+      ORDER BY m.start_time ASC
+    `, [seriesId]);
+
+    const [nextOccurrence] = this.getRule(series).next(1, now);
+    const predictedEffectiveness = this.smartMeetingAssistant.predictMeetingEffectiveness({
+      participants: series.participants || [],
+      duration: series.duration_minutes,
+      agenda: series.agenda,
+      preparationItems: series.preparation_items,
+      suggestedTime: nextOccurrence ? { startTime: nextOccurrence } : null
+    });
+
+    const history = result.rows.map(row => ({
+      meetingId: row.id,
+      occurrenceAt: row.occurrence_at,
+      startTime: row.start_time,
+      status: row.status,
+      predictedEffectiveness: row.effectiveness_score,
+      observedEffectiveness: row.status === 'completed' ? this.scoreOutcome(row) : null,
+      hasNotes: Boolean(row.notes_id),
+      decisions: parseInt(row.decision_count),
+      actionItems: parseInt(row.action_item_count),
+      tasksCreated: parseInt(row.tasks_created),
+      tasksCompleted: parseInt(row.tasks_completed),
+      sentiment: row.sentiment ? row.sentiment.sentiment : null
+    }));
+
+    const held = history.filter(entry => entry.status === 'completed');
+    const observed = held.map(entry => entry.observedEffectiveness).filter(score => score !== null);
+    const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+    const invited = result.rows.filter(row => row.status === 'completed').reduce((sum, row) => sum + parseInt(row.invited), 0);
+    const accepted = result.rows.filter(row => row.status === 'completed').reduce((sum, row) => sum + parseInt(row.accepted), 0);
+    const tasksCreated = held.reduce((sum, entry) => sum + entry.tasksCreated, 0);
+    const tasksCompleted = held.reduce((sum, entry) => sum + entry.tasksCompleted, 0);
+
+    const occurrences = {
+      total: history.length,
+      held: held.length,
+      cancelled: history.filter(entry => entry.status === 'cancelled').length,
+      upcoming: history.filter(entry => entry.status === 'scheduled' && new Date(entry.startTime) > now).length
+    };
+    const summary = {
+      occurrences,
+      predictedEffectiveness,
+      averageObservedEffectiveness: average(observed),
+      trend: this.getTrend(observed),
+      notesCoverage: held.length > 0 ? held.filter(entry => entry.hasNotes).length / held.length : null,
+      attendanceRate: invited > 0 ? accepted / invited : null,
+      averageActionItems: held.length > 0 ? held.reduce((sum, entry) => sum + entry.actionItems, 0) / held.length : null,
+      taskCompletionRate: tasksCreated > 0 ? tasksCompleted / tasksCreated : null,
+      sentiment: ['positive', 'neutral', 'negative'].reduce((counts, sentiment) => ({
+        ...counts,
+        [sentiment]: held.filter(entry => entry.sentiment === sentiment).length
+      }), {})
+    };
+
+    return {
+      seriesId,
+      ...summary,
+      recommendations: this.getRecommendations(series, summary),
+      history
+    };
+  }
+
+  // 0–100 from the latest notes of a held occurrence; null without notes
+  scoreOutcome(row) {
+    if (!row.notes_id) return null;
+
+    const signals = [parseInt(row.decision_count) > 0 ? 1 : 0.5];
+
+    const sentiment = row.sentiment || {};
+    const strength = typeof sentiment.score === 'number' ? sentiment.score : 0.5;
+    if (sentiment.sentiment === 'positive') signals.push(0.5 + strength / 2);
+    else if (sentiment.sentiment === 'negative') signals.push(0.5 - strength / 2);
+    else signals.push(0.5);
+
+    if (parseInt(row.tasks_created) > 0) {
+      signals.push(parseInt(row.tasks_completed) / parseInt(row.tasks_created));
+    }
+
+    return Math.round(100 * signals.reduce((sum, value) => sum + value, 0) / signals.length);
+  }
+
+  getTrend(scores) {
+    if (scores.length < 4) return null;
+
+    const recent = scores.slice(-3);
+    const earlier = scores.slice(-6, -3);
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const change = mean(recent) - mean(earlier);
+
+    if (change > 5) return 'improving';
+    if (change < -5) return 'declining';
+    return 'stable';
+  }
+
+  getRecommendations(series, summary) {
+    const recommendations = [];
+    const { occurrences } = summary;
+
+    if (summary.predictedEffectiveness < 60) {
+      recommendations.push('Predicted effectiveness is low; give the series a clearer agenda and fewer participants');
+    }
+    if (occurrences.held + occurrences.cancelled >= 4 && occurrences.cancelled / (occurrences.held + occurrences.cancelled) > 0.25) {
+      recommendations.push('More than a quarter of occurrences were cancelled; consider meeting less often');
+    }
+    if (summary.attendanceRate !== null && summary.attendanceRate < 0.6) {
+      recommendations.push('Fewer than 60% of invitees accept; review who needs to attend');
+    }
+    if (summary.notesCoverage !== null && summary.notesCoverage < 0.5) {
+      recommendations.push('Most held occurrences have no notes; record notes so outcomes can be tracked');
+    }
+    if (summary.averageObservedEffectiveness !== null &&
+        summary.averageObservedEffectiveness < summary.predictedEffectiveness - 20) {
+      recommendations.push('Occurrences deliver less than predicted; check whether the series still has a purpose');
+    }
+    if (summary.trend === 'declining') {
+      recommendations.push('Effectiveness has been declining over the last occurrences');
+    }
+    if (series.duration_minutes > 60) {
+      recommendations.push('Recurring meetings over an hour are rarely effective; consider shortening the series');
+    }
+
+    return recommendations;
+  }
+
+  seriesError(message, status = 409) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  formatSeries(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      title: row.title,
+      description: row.description,
+      meetingType: row.meeting_type,
+      duration: row.duration_minutes,
+      location: row.location,
+      objectives: row.objectives || [],
+      participants: row.participants || [],
+      agenda: row.agenda || {},
+      preparationItems: row.preparation_items || [],
+      effectivenessScore: row.effectiveness_score,
+      recurrence: {
+        rule: row.recurrence_rule,
+        start: row.recurrence_start,
+        timezone: row.recurrence_timezone
+      },
+      isActive: row.is_active,
+      materializedUntil: row.materialized_until,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatException(row) {
+    return {
+      id: row.id,
+      seriesId: row.series_id,
+      occurrenceAt: row.occurrence_at,
+      action: row.action,
+      overrides: row.overrides || {},
+      createdAt: row.created_at
+    };
+  }
+}
+
+MeetingSeriesService.HORIZON_DAYS = HORIZON_DAYS;
+
+module.exports = MeetingSeriesService;
@@ -0,0 +1,178 @@
+const RecurrenceRule = require('./RecurrenceRule');
+
+const EDITABLE_FIELDS = {
+  title: 'title',
+  assignedTo: 'assigned_to',
+  dueDate: 'due_date',
+  priority: 'priority'
+};
+
+// Review step between meeting notes and the task list. Action items extracted
+// from notes wait as proposals; the organizer edits, accepts or dismisses
+// them. Accepted items become tasks linked back to the meeting, and the ones
+// without an owner are handed to the organizer's Task Router.
+class MeetingTaskService {
+  constructor(db, smartMeetingAssistant, taskService, orchestrator) {
+    this.db = db;
+    this.smartMeetingAssistant = smartMeetingAssistant;
+    this.taskService = taskService;
+    this.orchestrator = orchestrator;
+  }
+
+  async listActionItems(meetingId, userId, { status } = {}) {
+    const meeting = await this.smartMeetingAssistant.getMeetingRow(meetingId, userId);
+    if (!meeting) return null;
+
+    const result = await this.db.query(`
+      SELECT a.*, t.status AS task_status
+      FROM meeting_action_items a
+      LEFT JOIN tasks t ON t.id = a.task_id
+      WHERE a.meeting_id = $1 AND ($2::text IS NULL OR a.status = $2)
+      ORDER BY a.created_at ASC, a.title ASC
+    `, [meetingId, status || null]);
+
+    return result.rows.map(row => this.smartMeetingAssistant.formatActionItem(row));
+  }
+
+  // Only proposals can be edited; once reviewed the task itself is the record
+  async updateActionItem(meetingId, itemId, userId, updates) {
+    const meeting = await this.smartMeetingAssistant.getMeetingRow(meetingId, userId, { organizerOnly: true });
+    if (!meeting) return null;
+
+    const sets = [];
+    const params = [itemId, meetingId];
+    Object.entries(EDITABLE_FIELDS).forEach(([field, column]) => {
+      if (updates[field] === undefined) return;
+      params.push(updates[field]);
+      sets.push(`${column} = $${params.length}`);
+    });
+
+    if (sets.length === 0) {
+      throw this.actionItemError('No fields to update', 400);
+    }
+
+    const result = await this.db.query(`
+      UPDATE meeting_action_items SET ${sets.join(', ')}
+      WHERE id = $1 AND meeting_id = $2 AND status = 'proposed'
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) {
+      await this.assertReviewable(meetingId, itemId);
+    }
+
+    return this.smartMeetingAssistant.formatActionItem(result.rows[0]);
+  }
+
+  async assertReviewable(meetingId, itemId) {
+    const existing = await this.db.query(`
+      SELECT status FROM meeting_action_items WHERE id = $1 AND meeting_id = $2
+    `, [itemId, meetingId]);
+
+    if (!existing.rows[0]) {
+      throw this.actionItemError('Action item not found', 404);
+    }
+    throw this.actionItemError(`Action item has already been ${existing.rows[0].status}`);
+  }
+
+  // Items are claimed with a status CAS so a double submit cannot create
+  // duplicate tasks; ids that were already reviewed come back as skipped
+  async reviewActionItems(meetingId, userId, { accept = [], dismiss = [] }) {
+    const meeting = await this.smartMeetingAssistant.getMeetingRow(meetingId, userId, { organizerOnly: true });
+    if (!meeting) return null;
+
+    if (accept.some(id => dismiss.includes(id))) {
+      throw this.actionItemError('An action item cannot be both accepted and dismissed', 400);
+    }
+
+    const dismissed = await this.db.query(`
+      UPDATE meeting_action_items
+      SET status = 'dismissed', reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+      WHERE meeting_id = $1 AND id = ANY($2) AND status = 'proposed'
+      RETURNING *
+    `, [meetingId, dismiss, userId]);
+
+    const claimed = await this.db.query(`
+      UPDATE meeting_action_items
+      SET status = 'accepted', reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+      WHERE meeting_id = $1 AND id = ANY($2) AND status = 'proposed'
+      RETURNING *
+    `, [meetingId, accept, userId]);
+
+    const created = [];
+    const pending = [...claimed.rows];
+
+    try {
+      while (pending.length > 0) {
+        const item = pending[0];
+        const task = await this.createTask(meeting, item);
+
+        const linked = await this.db.query(`
+          UPDATE meeting_action_items SET task_id = $2 WHERE id = $1 RETURNING *
+        `, [item.id, task.id]);
+
+        pending.shift();
+        created.push({
+          actionItem: this.smartMeetingAssistant.formatActionItem({ ...linked.rows[0], task_status: task.status }),
+          task
+        });
+      }
+    } catch (error) {
+      // Put back what never became a task so it can be reviewed again
+      await this.db.query(`
+        UPDATE meeting_action_items
+        SET status = 'proposed', reviewed_by = NULL, reviewed_at = NULL
+        WHERE id = ANY($1) AND task_id IS NULL
+      `, [pending.map(item => item.id)]);
+      throw error;
+    }
+
+    const unassigned = created.filter(({ task }) => !task.assignedTo).map(({ task }) => task.id);
+    const routingRun = unassigned.length > 0 ? await this.routeTasks(meeting.user_id, unassigned) : null;
+
+    const reviewed = new Set([...claimed.rows, ...dismissed.rows].map(row => row.id));
+
+    return {
+      created,
+      dismissed: dismissed.rows.map(row => this.smartMeetingAssistant.formatActionItem(row)),
+      skipped: [...accept, ...dismiss].filter(id => !reviewed.has(id)),
+      routingRunId: routingRun ? routingRun.id : null
+    };
+  }
+
+  async createTask(meeting, item) {
+    const meetingDate = RecurrenceRule.formatLocal(
+      RecurrenceRule.toWallClock(new Date(meeting.start_time), meeting.timezone || 'UTC')
+    ).slice(0, 10);
+
+    return await this.taskService.createTask(meeting.user_id, {
+      title: item.title,
+      description: `From meeting "${meeting.title}" on ${meetingDate}: ${item.source_text}`,
+      priority: item.priority,
+      assignedTo: item.assigned_to,
+      dueDate: item.due_date,
+      tags: ['meeting'],
+      metadata: {
+        meetingId: meeting.id,
+        meetingNoteId: item.meeting_note_id,
+        actionItemId: item.id,
+        ownerName: item.owner_name
+      }
+    });
+  }
+
+  async routeTasks(userId, taskIds) {
+    const instanceId = await this.orchestrator.pipelineExecutor.findUserAgent(userId, 'task-router');
+    if (!instanceId) return null; // tasks stay pending until someone routes them
+
+    return await this.orchestrator.enqueueRun(instanceId, { taskIds }, { triggerSource: 'manual' });
+  }
+
+  actionItemError(message, status = 409) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = MeetingTaskService;
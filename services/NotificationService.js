@@ -46,6 +46,12 @@ class NotificationService {
       priority: 'urgent'
     });
 
+    this.notificationTemplates.set('task-escalated', {
+      title: 'Task Escalated',
+      message: 'Task "{taskTitle}" missed its SLA and was escalated to {priority} priority, assigned to {assignee}.',
+      priority: 'urgent'
+    });
+
     this.notificationTemplates.set('system-maintenance', {
       title: 'System Maintenance',
       message: 'Scheduled maintenance will begin in {minutes} minutes.',
@@ -368,6 +374,14 @@ class NotificationService {
     });
   }
 
+  async onTaskEscalated(userId, taskTitle, priority, assignee) {
+    return await this.createNotificationFromTemplate('task-escalated', userId, {
+      taskTitle,
+      priority,
+      assignee: assignee || 'nobody'
+    });
+  }
+
   async onSystemMaintenance(userId, minutesUntilMaintenance) {
     return await this.createNotificationFromTemplate('system-maintenance', userId, {
       minutes: minutesUntilMaintenance
@@ -0,0 +1,219 @@
+const { v4: uuidv4 } = require('uuid');
+
+class PipelineExecutor {
+  constructor(db, io, orchestrator) {
+    this.db = db;
+    this.io = io;
+    this.orchestrator = orchestrator;
+    this.pipelines = new Map();
+    this.retention = 24 * 60 * 60 * 1000; // keep finished pipelines for a day
+  }
+
+  resolveExecutionOrder(targetType) {
+    // Depth-first topological sort over coordinationRules dependencies
+    const order = [];
+    const visited = new Set();
+    const path = [];
+
+    const visit = (type) => {
+      if (visited.has(type)) return;
+
+      const cycleStart = path.indexOf(type);
+      if (cycleStart !== -1) {
+        throw new Error(`Dependency cycle detected: ${[...path.slice(cycleStart), type].join(' -> ')}`);
+      }
+
+      const rules = this.orchestrator.coordinationRules.get(type);
+      if (!rules) {
+        throw new Error(`No coordination rules defined for agent type ${type}`);
+      }
+
+      path.push(type);
+      rules.dependencies.forEach(visit);
+      path.pop();
+
+      visited.add(type);
+      order.push(type);
+    };
+
+    visit(targetType);
+    return order;
+  }
+
+  async startPipeline(userId, targetType, params = {}, options = {}) {
+    const executionOrder = this.resolveExecutionOrder(targetType);
+    const pipelineId = uuidv4();
+
+    this.pruneFinishedPipelines();
+
+    const pipeline = {
+      id: pipelineId,
+      userId,
+      targetType,
+      params,
+      force: !!options.force,
+      status: 'running',
+      steps: executionOrder.map(agentType => ({
+        agentType,
+        dependencies: this.orchestrator.coordinationRules.get(agentType).dependencies,
+        status: 'pending',
+        runId: null,
+        reason: null,
+        error: null
+      })),
+      startedAt: new Date(),
+      completedAt: null
+    };
+
+    this.pipelines.set(pipelineId, pipeline);
+
+    this.io.to(`user-${userId}`).emit('pipeline-started', {
+      pipelineId,
+      targetType,
+      steps: pipeline.steps.map(step => step.agentType)
+    });
+
+    this.executePipeline(pipeline).catch(error => {
+      console.error(`Pipeline ${pipelineId} failed:`, error);
+      this.finishPipeline(pipeline, 'failed');
+    });
+
+    return this.formatPipeline(pipeline);
+  }
+
+  async executePipeline(pipeline) {
+    const outputs = {};
+
+    for (const step of pipeline.steps) {
+      const isTarget = step.agentType === pipeline.targetType;
+
+      const failedDependency = step.dependencies.find(dependency => {
+        const dependencyStep = pipeline.steps.find(s => s.agentType === dependency);
+        return dependencyStep && ['failed', 'blocked'].includes(dependencyStep.status);
+      });
+
+      if (failedDependency) {
+        this.updateStep(pipeline, step, 'blocked', { reason: `Upstream agent ${failedDependency} did not complete` });
+        continue;
+      }
+
+      const userAgentId = await this.findUserAgent(pipeline.userId, step.agentType);
+      if (!userAgentId) {
+        this.updateStep(pipeline, step, isTarget ? 'failed' : 'skipped', {
+          reason: 'Agent is not enabled for this user'
+        });
+        continue;
+      }
+
+      // Reuse a recent upstream result instead of re-running the agent
+      const rules = this.orchestrator.coordinationRules.get(step.agentType);
+      if (!isTarget && !pipeline.force && rules.freshnessMinutes > 0) {
+        const freshRun = await this.orchestrator.runQueue.getLatestCompletedRun(userAgentId, rules.freshnessMinutes);
+        if (freshRun) {
+          outputs[step.agentType] = freshRun.result;
+          this.updateStep(pipeline, step, 'fresh', {
+            runId: freshRun.id,
+            reason: `Reused result completed at ${new Date(freshRun.completedAt).toISOString()}`
+          });
+          continue;
+        }
+      }
+
+      const upstream = {};
+      step.dependencies.forEach(dependency => {
+        if (outputs[dependency] !== undefined) {
+          upstream[dependency] = outputs[dependency];
+        }
+      });
+
+      this.updateStep(pipeline, step, 'running');
+
+      try {
+        const { runId, result } = await this.orchestrator.runQueue.runNow({
+          userAgentId,
+          params: { ...(isTarget ? pipeline.params : {}), upstream },
+          triggerSource: isTarget ? 'manual' : 'dependency'
+        });
+
+        outputs[step.agentType] = result;
+        this.updateStep(pipeline, step, 'completed', { runId });
+      } catch (error) {
+        this.updateStep(pipeline, step, 'failed', { runId: error.runId || null, error: error.message });
+      }
+    }
+
+    const targetStep = pipeline.steps.find(step => step.agentType === pipeline.targetType);
+    this.finishPipeline(pipeline, targetStep.status === 'completed' ? 'completed' : 'failed', outputs[pipeline.targetType]);
+  }
+
+  async findUserAgent(userId, agentType) {
+    const result = await this.db.query(`
+      SELECT ua.id
+      FROM user_agents ua
+      JOIN agents a ON ua.agent_id = a.id
+      WHERE ua.user_id = $1 AND a.type = $2 AND a.is_active = true AND ua.status != 'paused'
+      LIMIT 1
+    `, [userId, agentType]);
+
+    return result.rows[0]?.id || null;
+  }
+
+  updateStep(pipeline, step, status, details = {}) {
+    step.status = status;
+    step.runId = details.runId !== undefined ? details.runId : step.runId;
+    step.reason = details.reason || null;
+    step.error = details.error || null;
+
+    this.io.to(`user-${pipeline.userId}`).emit('pipeline-step-updated', {
+      pipelineId: pipeline.id,
+      agentType: step.agentType,
+      status,
+      runId: step.runId,
+      reason: step.reason,
+      error: step.error
+    });
+  }
+
+  finishPipeline(pipeline, status, result = null) {
+    pipeline.status = status;
+    pipeline.completedAt = new Date();
+
+    this.io.to(`user-${pipeline.userId}`).emit('pipeline-completed', {
+      pipelineId: pipeline.id,
+      targetType: pipeline.targetType,
+      status,
+      result
+    });
+  }
+
+  pruneFinishedPipelines() {
+    const cutoff = Date.now() - this.retention;
+    for (const [pipelineId, pipeline] of this.pipelines) {
+      if (pipeline.completedAt && pipeline.completedAt.getTime() < cutoff) {
+        this.pipelines.delete(pipelineId);
+      }
+    }
+  }
+
+  getPipeline(pipelineId, userId) {
+    const pipeline = this.pipelines.get(pipelineId);
+    if (!pipeline || pipeline.userId !== userId) {
+      return null;
+    }
+
+    return this.formatPipeline(pipeline);
+  }
+
+  formatPipeline(pipeline) {
+    return {
+      id: pipeline.id,
+      targetType: pipeline.targetType,
+      status: pipeline.status,
+      steps: pipeline.steps.map(step => ({ ...step })),
+      startedAt: pipeline.startedAt,
+      completedAt: pipeline.completedAt
+    };
+  }
+}
+
+module.exports = PipelineExecutor;
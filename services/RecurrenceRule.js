@@ -0,0 +1,142 @@
+const { RRule } = require('rrule');
+
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const SUPPORTED_FREQUENCIES = [RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEARCH_YEARS = 10; // how far ahead next() looks for occurrences
+
+// An RRULE (RFC 5545 subset: DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, BYDAY,
+// BYMONTHDAY, BYMONTH, BYSETPOS, COUNT and UNTIL) anchored to a wall-clock
+// start in an IANA time zone. rrule's own TZID support depends on the host
+// time zone, so rules are expanded in wall-clock time and each occurrence is
+// converted to an instant here, which also keeps 09:00 at 09:00 across DST.
+class RecurrenceRule {
+  constructor(rule, { start, timezone = 'UTC' }) {
+    const errors = RecurrenceRule.validate(rule, { start, timezone });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.rule = RecurrenceRule.normalize(rule);
+    this.timezone = timezone;
+
+    const options = RRule.parseString(this.rule);
+    this.rrule = new RRule({
+      ...options,
+      dtstart: RecurrenceRule.parseLocal(start),
+      until: options.until ? RecurrenceRule.toWallClock(options.until, timezone) : null
+    });
+  }
+
+  static normalize(rule) {
+    return String(rule).trim().replace(/^RRULE:/i, '');
+  }
+
+  static validate(rule, { start, timezone = 'UTC' } = {}) {
+    const errors = [];
+
+    if (typeof rule !== 'string' || rule.trim() === '') {
+      errors.push('rule is required');
+    } else {
+      try {
+        const options = RRule.parseString(RecurrenceRule.normalize(rule));
+        if (options.dtstart || options.tzid) {
+          errors.push('rule must not contain DTSTART or TZID; use start and timezone');
+        } else if (!SUPPORTED_FREQUENCIES.includes(options.freq)) {
+          errors.push('rule FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+        }
+      } catch (error) {
+        errors.push(`rule is invalid: ${error.message}`);
+      }
+    }
+
+    if (!RecurrenceRule.parseLocal(start)) {
+      errors.push('start must be a local date-time like 2024-01-15T09:00');
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      errors.push(`timezone "${timezone}" is not a valid IANA time zone`);
+    }
+
+    return errors;
+  }
+
+  // Local wall-clock strings are held in Date objects whose UTC fields carry
+  // the local values
+  static parseLocal(value) {
+    const match = typeof value === 'string' && value.match(LOCAL_DATETIME_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  static formatLocal(wallClock) {
+    return wallClock.toISOString().slice(0, 16);
+  }
+
+  static toWallClock(instant, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second));
+  }
+
+  static toInstant(wallClock, timezone) {
+    const guess = wallClock.getTime();
+    const offset = RecurrenceRule.toWallClock(new Date(guess), timezone).getTime() - guess;
+    let instant = guess - offset;
+
+    // Near a DST change the offset at the result can differ from the guess
+    const actualOffset = RecurrenceRule.toWallClock(new Date(instant), timezone).getTime() - instant;
+    if (actualOffset !== offset) {
+      instant = guess - actualOffset;
+    }
+
+    return new Date(instant);
+  }
+
+  between(from, to, limit = 500) {
+    // Widen the wall-clock window by a day to cover any UTC offset
+    const wallFrom = new Date(RecurrenceRule.toWallClock(from, this.timezone).getTime() - DAY_MS);
+    const wallTo = new Date(RecurrenceRule.toWallClock(to, this.timezone).getTime() + DAY_MS);
+
+    // Only occurrences inside [from, to] count towards the limit; the ones in
+    // the widened margin can be many for rules that fire several times a day
+    const occurrences = [];
+    this.rrule.between(wallFrom, wallTo, true, wallClock => {
+      if (occurrences.length >= limit) return false;
+
+      const instant = RecurrenceRule.toInstant(wallClock, this.timezone);
+      if (instant >= from && instant <= to) occurrences.push(instant);
+      return true;
+    });
+
+    return occurrences;
+  }
+
+  next(count = 1, from = new Date()) {
+    const to = new Date(from.getTime() + SEARCH_YEARS * 365 * DAY_MS);
+    return this.between(from, to, count);
+  }
+
+  toLocal(instant) {
+    return RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(instant, this.timezone));
+  }
+}
+
+module.exports = RecurrenceRule;
@@ -269,20 +269,29 @@ class SecurityService {
     const rolePermissions = {
       admin: [
         { resource: 'users', actions: ['create', 'read', 'update', 'delete'] },
-        { resource: 'agents', actions: ['create', 'read', 'update', 'delete'] },
+        { resource: 'agents', actions: ['create', 'read', 'update', 'delete', 'execute'] },
         { resource: 'integrations', actions: ['create', 'read', 'update', 'delete'] },
+        { resource: 'tasks', actions: ['create', 'read', 'update', 'delete'] },
+        { resource: 'meetings', actions: ['create', 'read', 'update', 'delete'] },
+        { resource: 'email', actions: ['read'] },
         { resource: 'analytics', actions: ['read'] },
         { resource: 'system', actions: ['read', 'update'] }
       ],
       manager: [
         { resource: 'users', actions: ['read', 'update'] },
-        { resource: 'agents', actions: ['create', 'read', 'update'] },
+        { resource: 'agents', actions: ['create', 'read', 'update', 'execute'] },
         { resource: 'integrations', actions: ['create', 'read', 'update'] },
+        { resource: 'tasks', actions: ['create', 'read', 'update', 'delete'] },
+        { resource: 'meetings', actions: ['create', 'read', 'update', 'delete'] },
+        { resource: 'email', actions: ['read'] },
         { resource: 'analytics', actions: ['read'] }
       ],
       user: [
-        { resource: 'agents', actions: ['read', 'update'] },
+        { resource: 'agents', actions: ['read', 'update', 'execute'] },
         { resource: 'integrations', actions: ['read', 'update'] },
+        { resource: 'tasks', actions: ['create', 'read', 'update'] },
+        { resource: 'meetings', actions: ['create', 'read', 'update'] },
+        { resource: 'email', actions: ['read'] },
         { resource: 'analytics', actions: ['read'] }
       ]
     };
@@ -0,0 +1,246 @@
+const TeamRoster = require('./TeamRoster');
+const AssignmentScorer = require('./AssignmentScorer');
+
+const DEFAULT_SLA_HOURS = 24;
+// sla_hours applies to medium priority; other priorities scale it
+const PRIORITY_FACTORS = { urgent: 0.25, high: 0.5, medium: 1, low: 2 };
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+const MAX_ESCALATION_LEVEL = 3; // later breaches only notify
+const AT_RISK_HOURS = 4;
+
+// Each user's SLA settings come from their Task Router instance, falling
+// back to the agent's default configuration.
+const SLA_CONFIG_SQL = `
+  SELECT u.id as user_id,
+    COALESCE((a.configuration || COALESCE(ua.settings, '{}'))->>'sla_hours', '${DEFAULT_SLA_HOURS}')::decimal as sla_hours,
+    COALESCE((a.configuration || COALESCE(ua.settings, '{}'))->>'auto_escalate', 'false')::boolean as auto_escalate
+  FROM users u
+  CROSS JOIN agents a
+  LEFT JOIN user_agents ua ON ua.user_id = u.id AND ua.agent_id = a.id
+  WHERE a.type = 'task-router'
+`;
+
+// Gives open tasks an SLA due-by time from their priority, watches for
+// breaches and escalates them: bump the priority, reassign through the team
+// roster and notify the user's managers. Breaches are claimed with a
+// compare-and-swap UPDATE so several server processes can check at once.
+class SlaEngine {
+  constructor(db, io, notificationService) {
+    this.db = db;
+    this.io = io;
+    this.notificationService = notificationService;
+    this.scorer = new AssignmentScorer();
+    this.checkInterval = parseInt(process.env.SLA_CHECK_INTERVAL) || 60000;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.check().catch(error => {
+        console.error('SLA check error:', error);
+      });
+    }, this.checkInterval);
+    console.log('⏱️ SLA engine started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  static getSlaHours(priority, baseHours = DEFAULT_SLA_HOURS) {
+    return baseHours * (PRIORITY_FACTORS[priority] || 1);
+  }
+
+  getNextPriority(priority) {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    return PRIORITY_ORDER[Math.min(PRIORITY_ORDER.length - 1, index + 1)];
+  }
+
+  async check() {
+    await this.assignDueDates();
+    return await this.handleBreaches();
+  }
+
+  async assignDueDates() {
+    // An explicit due_date wins when it is earlier than the SLA
+    const result = await this.db.query(`
+      UPDATE tasks t
+      SET sla_due_at = LEAST(
+        t.due_date,
+        t.created_at + INTERVAL '1 hour' * cfg.sla_hours * ($1::jsonb->>t.priority)::decimal
+      )
+      FROM (${SLA_CONFIG_SQL}) cfg
+      WHERE t.user_id = cfg.user_id
+        AND t.sla_due_at IS NULL
+        AND t.status IN ('pending', 'in-progress')
+    `, [JSON.stringify(PRIORITY_FACTORS)]);
+
+    return result.rowCount || 0;
+  }
+
+  async handleBreaches() {
+    const breached = await this.db.query(`
+      SELECT t.*, cfg.sla_hours, cfg.auto_escalate
+      FROM tasks t
+      JOIN (${SLA_CONFIG_SQL}) cfg ON cfg.user_id = t.user_id
+      WHERE t.status IN ('pending', 'in-progress')
+        AND t.sla_due_at < CURRENT_TIMESTAMP
+        AND (t.last_escalated_at IS NULL OR t.last_escalated_at < t.sla_due_at)
+      ORDER BY t.sla_due_at ASC
+    `);
+
+    const escalations = [];
+    for (const task of breached.rows) {
+      try {
+        const escalation = await this.escalate(task);
+        if (escalation) escalations.push(escalation);
+      } catch (error) {
+        console.error(`SLA escalation error for task ${task.id}:`, error);
+      }
+    }
+
+    return escalations;
+  }
+
+  async escalate(task) {
+    const slaHours = parseFloat(task.sla_hours) || DEFAULT_SLA_HOURS;
+    const shouldEscalate = task.auto_escalate && task.escalation_level < MAX_ESCALATION_LEVEL;
+
+    let toPriority = task.priority;
+    let toAssignee = task.assigned_to;
+    let explanation = null;
+    let nextDueAt = task.sla_due_at;
+
+    if (shouldEscalate) {
+      toPriority = this.getNextPriority(task.priority);
+      nextDueAt = new Date(Date.now() + SlaEngine.getSlaHours(toPriority, slaHours) * 60 * 60 * 1000);
+
+      const reassignment = await this.chooseAssignee(task, toPriority, slaHours);
+      if (reassignment) {
+        toAssignee = reassignment.member.name;
+        explanation = `${reassignment.member.name} scored ${reassignment.score}: ${reassignment.reasons.join('; ')}`;
+      }
+    }
+
+    // Only the process whose UPDATE still finds the breach unhandled acts on
+    // it; the check runs in SQL because the timestamps keep microseconds a
+    // JS Date drops
+    const claimed = await this.db.query(`
+      UPDATE tasks
+      SET priority = $3, assigned_to = $4, sla_due_at = $5,
+          sla_breached_at = COALESCE(sla_breached_at, CURRENT_TIMESTAMP),
+          escalation_level = escalation_level + $6,
+          last_escalated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND escalation_level = $2
+        AND status IN ('pending', 'in-progress')
+        AND sla_due_at < CURRENT_TIMESTAMP
+        AND (last_escalated_at IS NULL OR last_escalated_at < sla_due_at)
+      RETURNING escalation_level
+    `, [task.id, task.escalation_level, toPriority, toAssignee, nextDueAt, shouldEscalate ? 1 : 0]);
+
+    if (claimed.rows.length === 0) return null;
+
+    const notifyUserIds = await this.getManagerIds(task.user_id);
+
+    const result = await this.db.query(`
+      INSERT INTO task_escalations (
+        task_id, user_id, level, action, sla_due_at, from_priority, to_priority,
+        from_assignee, to_assignee, explanation, notified_user_ids
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      task.id,
+      task.user_id,
+      claimed.rows[0].escalation_level,
+      shouldEscalate ? 'escalated' : 'notified',
+      task.sla_due_at,
+      task.priority,
+      toPriority,
+      task.assigned_to,
+      toAssignee,
+      explanation,
+      notifyUserIds
+    ]);
+
+    const escalation = this.formatEscalation(result.rows[0]);
+
+    await Promise.all(notifyUserIds.map(userId => (shouldEscalate ?
+      this.notificationService.onTaskEscalated(userId, task.title, toPriority, toAssignee) :
+      this.notificationService.onTaskOverdue(userId, task.title, task.sla_due_at)
+    ).catch(error => {
+      console.error('SLA notification error:', error);
+    })));
+
+    this.io.to(`user-${task.user_id}`).emit('task-escalated', { ...escalation, taskTitle: task.title });
+
+    return escalation;
+  }
+
+  async chooseAssignee(task, priority, slaHours) {
+    const members = await new TeamRoster(this.db).getMembers(task.user_id, { activeOnly: true });
+    // The current assignee already missed the SLA
+    const candidates = members.filter(member => member.name !== task.assigned_to);
+    if (candidates.length === 0) return null;
+
+    const [best] = this.scorer.rankCandidates(
+      { ...task, priority, due_date: null, sla_due_at: null, created_at: new Date() },
+      candidates,
+      { slaHours: SlaEngine.getSlaHours(priority, slaHours) }
+    );
+    return best;
+  }
+
+  async getManagerIds(userId) {
+    // Managers and admins of any organization the user belongs to; the user
+    // is told directly when nobody manages them
+    const result = await this.db.query(`
+      SELECT DISTINCT u.id
+      FROM user_organizations mine
+      JOIN user_organizations theirs ON theirs.organization_id = mine.organization_id
+      JOIN users u ON u.id = theirs.user_id
+      WHERE mine.user_id = $1
+        AND u.is_active = true
+        AND (u.role IN ('manager', 'admin') OR theirs.role IN ('manager', 'admin', 'owner'))
+    `, [userId]);
+
+    const ids = result.rows.map(row => row.id);
+    return ids.length > 0 ? ids : [userId];
+  }
+
+  async getEscalations(taskId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM task_escalations
+      WHERE task_id = $1 AND user_id = $2
+      ORDER BY created_at DESC
+    `, [taskId, userId]);
+
+    return result.rows.map(row => this.formatEscalation(row));
+  }
+
+  formatEscalation(row) {
+    return {
+      id: row.id,
+      taskId: row.task_id,
+      level: row.level,
+      action: row.action,
+      slaDueAt: row.sla_due_at,
+      fromPriority: row.from_priority,
+      toPriority: row.to_priority,
+      fromAssignee: row.from_assignee,
+      toAssignee: row.to_assignee,
+      explanation: row.explanation,
+      notifiedUserIds: row.notified_user_ids || [],
+      createdAt: row.created_at
+    };
+  }
+}
+
+SlaEngine.PRIORITY_FACTORS = PRIORITY_FACTORS;
+SlaEngine.AT_RISK_HOURS = AT_RISK_HOURS;
+
+module.exports = SlaEngine;
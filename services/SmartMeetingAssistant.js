@@ -1,10 +1,16 @@
 const { v4: uuidv4 } = require('uuid');
+const MeetingPlanner = require('./MeetingPlanner');
+const RecurrenceRule = require('./RecurrenceRule');
+const ActionItemExtractor = require('./ActionItemExtractor');
+
+const HOUR_MS = 60 * 60 * 1000;
+const AVAILABILITY_STEP_MINUTES = 15;
 
 class SmartMeetingAssistant {
-  constructor(db, io) {
+  constructor(db, io, llmService = null) {
     this.db = db;
     this.io = io;
-    this.meetings = new Map();
+    this.llmService = llmService;
     this.aiCapabilities = {
       scheduling: true,
       conflictResolution: true,
@@ -19,34 +25,73 @@ class SmartMeetingAssistant {
 
   async scheduleMeeting(userId, meetingData) {
     try {
-      const meetingId = uuidv4();
-      
       // AI-powered meeting optimization
       const optimizedMeeting = await this.optimizeMeeting(meetingData);
-      
-      const meeting = {
-        id: meetingId,
-        userId,
-        ...optimizedMeeting,
-        status: 'scheduled',
-        createdAt: new Date(),
-        aiOptimizations: this.getOptimizationSummary(optimizedMeeting, meetingData)
-      };
+      const aiOptimizations = this.getOptimizationSummary(optimizedMeeting, meetingData);
+
+      const duration = parseInt(meetingData.duration) || optimizedMeeting.estimatedDuration;
+      const startTime = new Date(meetingData.startTime || optimizedMeeting.suggestedTime.startTime);
+      const endTime = new Date(startTime.getTime() + duration * 60000);
+
+      const client = await this.db.connect();
+      let meetingId;
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+          INSERT INTO meetings (
+            user_id, title, description, meeting_type, start_time, end_time, timezone, location,
+            objectives, agenda, preparation_items, suggestions, effectiveness_score, ai_optimizations, metadata
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          RETURNING id
+        `, [
+          userId,
+          meetingData.title,
+          meetingData.description || null,
+          meetingData.meetingType || null,
+          startTime,
+          endTime,
+          meetingData.timezone || 'UTC',
+          meetingData.location || null,
+          JSON.stringify(meetingData.objectives || []),
+          JSON.stringify(optimizedMeeting.agenda),
+          JSON.stringify(optimizedMeeting.preparationItems),
+          JSON.stringify({
+            suggestedTime: optimizedMeeting.suggestedTime,
+            suggestedParticipants: optimizedMeeting.suggestedParticipants,
+            estimatedDuration: optimizedMeeting.estimatedDuration
+          }),
+          optimizedMeeting.effectivenessScore,
+          JSON.stringify(aiOptimizations),
+          JSON.stringify(meetingData.metadata || {})
+        ]);
+
+        meetingId = result.rows[0].id;
+        await this.insertParticipants(client, meetingId, meetingData.participants || []);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
 
-      // Store meeting
-      this.meetings.set(meetingId, meeting);
+      const meeting = await this.getMeeting(meetingId, userId);
 
       // Emit real-time update
-      this.io.to(`user-${userId}`).emit('meeting-scheduled', {
+      this.broadcast(meeting, 'meeting-scheduled', {
         meetingId,
         meeting,
-        optimizations: meeting.aiOptimizations
+        optimizations: aiOptimizations
       });
 
       return {
         meetingId,
         meeting,
-        optimizations: meeting.aiOptimizations
+        optimizations: aiOptimizations
       };
 
     } catch (error) {
@@ -55,6 +100,228 @@ class SmartMeetingAssistant {
     }
   }
 
+  normalizeParticipants(participants) {
+    return participants.map(participant => {
+      if (typeof participant === 'string') {
+        const value = participant.trim();
+        return value.includes('@') ?
+          { name: value, email: value.toLowerCase(), role: 'participant', timeZone: 'UTC' } :
+          { name: value, email: null, role: 'participant', timeZone: 'UTC' };
+      }
+      return {
+        name: participant.name || participant.email,
+        email: participant.email ? participant.email.trim().toLowerCase() : null,
+        role: participant.role || 'participant',
+        timeZone: participant.timeZone || 'UTC'
+      };
+    }).filter(participant => participant.name);
+  }
+
+  // Participants with an email of a user here are linked to that user
+  async insertParticipants(client, meetingId, participants) {
+    for (const participant of this.normalizeParticipants(participants)) {
+      await client.query(`
+        INSERT INTO meeting_participants (meeting_id, user_id, name, email, role, time_zone)
+        VALUES ($1, (SELECT id FROM users WHERE LOWER(email) = $3 LIMIT 1), $2, $3, $4, $5)
+      `, [meetingId, participant.name, participant.email, participant.role, participant.timeZone]);
+    }
+  }
+
+  async listMeetings(userId, filters = {}) {
+    const { status, from, to, limit = 50, offset = 0 } = filters;
+
+    // Meetings the user organizes or was invited to
+    const conditions = [`(m.user_id = $1 OR EXISTS (
+      SELECT 1 FROM meeting_participants mp WHERE mp.meeting_id = m.id AND mp.user_id = $1
+    ))`];
+    const params = [userId];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (status) add('m.status = ANY(?)', status.split(','));
+    if (from) add('m.end_time >= ?', new Date(from));
+    if (to) add('m.start_time <= ?', new Date(to));
+
+    const where = conditions.join(' AND ');
+
+    const [meetingsResult, countResult] = await Promise.all([
+      this.db.query(`
+        SELECT m.* FROM meetings m
+        WHERE ${where}
+        ORDER BY m.start_time ASC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.db.query(`SELECT COUNT(*) as total FROM meetings m WHERE ${where}`, params)
+    ]);
+
+    const participants = await this.getParticipants(meetingsResult.rows.map(row => row.id));
+
+    return {
+      meetings: meetingsResult.rows.map(row => this.formatMeeting(row, participants.get(row.id) || [])),
+      pagination: {
+        total: parseInt(countResult.rows[0]?.total) || 0,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    };
+  }
+
+  async getParticipants(meetingIds) {
+    const byMeeting = new Map();
+    if (meetingIds.length === 0) return byMeeting;
+
+    const result = await this.db.query(`
+      SELECT * FROM meeting_participants WHERE meeting_id = ANY($1) ORDER BY created_at ASC
+    `, [meetingIds]);
+
+    result.rows.forEach(row => {
+      const list = byMeeting.get(row.meeting_id) || [];
+      list.push(this.formatParticipant(row));
+      byMeeting.set(row.meeting_id, list);
+    });
+    return byMeeting;
+  }
+
+  // Organizers and invited users can read a meeting; only organizers change it
+  async getMeetingRow(meetingId, userId, { organizerOnly = false } = {}) {
+    const result = await this.db.query(`
+      SELECT m.* FROM meetings m
+      WHERE m.id = $1 AND (m.user_id = $2 OR (NOT $3 AND EXISTS (
+        SELECT 1 FROM meeting_participants mp WHERE mp.meeting_id = m.id AND mp.user_id = $2
+      )))
+    `, [meetingId, userId, organizerOnly]);
+
+    return result.rows[0] || null;
+  }
+
+  async getMeeting(meetingId, userId) {
+    const row = await this.getMeetingRow(meetingId, userId);
+    if (!row) return null;
+
+    const [participants, notes] = await Promise.all([
+      this.getParticipants([meetingId]),
+      this.db.query(`
+        SELECT * FROM meeting_notes WHERE meeting_id = $1 ORDER BY created_at DESC LIMIT 1
+      `, [meetingId])
+    ]);
+
+    return {
+      ...this.formatMeeting(row, participants.get(meetingId) || []),
+      notes: notes.rows[0] ? this.formatNotes(notes.rows[0]) : null
+    };
+  }
+
+  async updateMeeting(meetingId, userId, data) {
+    const existing = await this.getMeetingRow(meetingId, userId, { organizerOnly: true });
+    if (!existing) return null;
+
+    if (existing.status !== 'scheduled') {
+      throw this.meetingError(`Cannot update a ${existing.status} meeting`);
+    }
+
+    const startTime = data.startTime ? new Date(data.startTime) : new Date(existing.start_time);
+    const duration = data.duration !== undefined ? parseInt(data.duration) :
+      Math.round((new Date(existing.end_time) - new Date(existing.start_time)) / 60000);
+    const endTime = new Date(startTime.getTime() + duration * 60000);
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE meetings
+        SET title = COALESCE($2, title),
+            description = COALESCE($3, description),
+            meeting_type = COALESCE($4, meeting_type),
+            start_time = $5,
+            end_time = $6,
+            timezone = COALESCE($7, timezone),
+            location = COALESCE($8, location),
+            objectives = COALESCE($9, objectives),
+            metadata = COALESCE($10, metadata)
+        WHERE id = $1
+      `, [
+        meetingId,
+        data.title,
+        data.description,
+        data.meetingType,
+        startTime,
+        endTime,
+        data.timezone,
+        data.location,
+        data.objectives ? JSON.stringify(data.objectives) : null,
+        data.metadata ? JSON.stringify(data.metadata) : null
+      ]);
+
+      // A participant list replaces the current one
+      if (Array.isArray(data.participants)) {
+        await client.query('DELETE FROM meeting_participants WHERE meeting_id = $1', [meetingId]);
+        await this.insertParticipants(client, meetingId, data.participants);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const meeting = await this.getMeeting(meetingId, userId);
+    this.broadcast(meeting, 'meeting-updated', { meetingId, meeting });
+
+    return meeting;
+  }
+
+  async cancelMeeting(meetingId, userId, reason = null) {
+    const existing = await this.getMeetingRow(meetingId, userId, { organizerOnly: true });
+    if (!existing) return null;
+
+    const result = await this.db.query(`
+      UPDATE meetings
+      SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $2
+      WHERE id = $1 AND status = 'scheduled'
+      RETURNING id
+    `, [meetingId, reason]);
+
+    if (result.rows.length === 0) {
+      throw this.meetingError(`Cannot cancel a ${existing.status} meeting`);
+    }
+
+    const meeting = await this.getMeeting(meetingId, userId);
+    this.broadcast(meeting, 'meeting-cancelled', { meetingId, meeting, reason });
+
+    return meeting;
+  }
+
+  async getMeetingNotes(meetingId) {
+    const result = await this.db.query(`
+      SELECT * FROM meeting_notes WHERE meeting_id = $1 ORDER BY created_at DESC
+    `, [meetingId]);
+
+    return result.rows.map(row => this.formatNotes(row));
+  }
+
+  // Organizer plus every participant who is a user here
+  broadcast(meeting, event, data) {
+    const userIds = new Set([meeting.userId]);
+    meeting.participants.forEach(participant => {
+      if (participant.userId) userIds.add(participant.userId);
+    });
+
+    userIds.forEach(userId => {
+      this.io.to(`user-${userId}`).emit(event, data);
+    });
+  }
+
+  meetingError(message, status = 409) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
   async optimizeMeeting(meetingData) {
     // AI-powered meeting optimization
     const optimized = { ...meetingData };
@@ -289,47 +556,151 @@ class SmartMeetingAssistant {
     return Math.min(baseDuration, 180); // Cap at 3 hours
   }
 
-  async processMeetingNotes(meetingId, notes) {
-    try {
-      const meeting = this.meetings.get(meetingId);
-      if (!meeting) {
-        throw new Error('Meeting not found');
-      }
-
-      // AI-powered note processing
-      const processedNotes = {
-        summary: this.generateSummary(notes),
-        actionItems: this.extractActionItems(notes),
-        decisions: this.extractDecisions(notes),
-        sentiment: this.analyzeSentiment(notes),
-        keyPoints: this.extractKeyPoints(notes),
-        followUpRequired: this.identifyFollowUpNeeds(notes)
-      };
+  // Stores the notes with what was extracted from them. Action items are
+  // saved as proposals only; they become tasks once the organizer reviews them
+  async processMeetingNotes(meetingId, notes, userId, { model = null } = {}) {
+    const row = await this.getMeetingRow(meetingId, userId);
+    if (!row) {
+      throw this.meetingError('Meeting not found', 404);
+    }
 
-      // Update meeting with processed notes
-      meeting.notes = processedNotes;
-      meeting.status = 'completed';
-      meeting.completedAt = new Date();
+    // AI-powered note processing
+    const processedNotes = this.analyzeNotes(notes);
+    if (this.llmService && this.llmService.isConfigured()) {
+      processedNotes.summary = await this.llmService.summarize(`Meeting: ${row.title}\n\n${notes}`, {
+        instructions: 'Cover the outcome, decisions and who does what next.',
+        maxLength: 800,
+        model,
+        userId,
+        purpose: 'meeting-summary'
+      }) || processedNotes.summary;
+    }
+    const extractor = await this.createActionItemExtractor(row);
+    const proposals = extractor.extract(notes);
 
-      this.meetings.set(meetingId, meeting);
+    const client = await this.db.connect();
+    let noteId;
+    const proposedTasks = [];
 
-      // Emit real-time update
-      this.io.to(`user-${meeting.userId}`).emit('meeting-notes-processed', {
+    try {
+      await client.query('BEGIN');
+
+      const noteResult = await client.query(`
+        INSERT INTO meeting_notes (
+          meeting_id, user_id, raw_notes, summary, action_items, decisions, sentiment, key_points, follow_up_required
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
         meetingId,
-        processedNotes,
-        meeting
-      });
+        userId,
+        notes,
+        processedNotes.summary,
+        JSON.stringify(processedNotes.actionItems),
+        JSON.stringify(processedNotes.decisions),
+        JSON.stringify(processedNotes.sentiment),
+        JSON.stringify(processedNotes.keyPoints),
+        processedNotes.followUpRequired
+      ]);
+      noteId = noteResult.rows[0].id;
+
+      for (const item of proposals) {
+        const result = await client.query(`
+          INSERT INTO meeting_action_items (
+            meeting_id, meeting_note_id, title, source_text, owner_name, owner_email,
+            assigned_to, due_date, due_phrase, priority
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *
+        `, [
+          meetingId,
+          noteId,
+          item.title,
+          item.sourceText,
+          item.ownerName,
+          item.ownerEmail,
+          item.assignedTo,
+          item.dueDate,
+          item.duePhrase,
+          item.priority
+        ]);
+        proposedTasks.push(this.formatActionItem(result.rows[0]));
+      }
 
-      return {
-        meetingId,
-        processedNotes,
-        meeting
-      };
+      // Notes mark a scheduled meeting as held
+      await client.query(`
+        UPDATE meetings SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'scheduled'
+      `, [meetingId]);
 
+      await client.query('COMMIT');
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Meeting notes processing error:', error);
       throw error;
+    } finally {
+      client.release();
+    }
+
+    const meeting = await this.getMeeting(meetingId, userId);
+
+    // Emit real-time update
+    this.broadcast(meeting, 'meeting-notes-processed', {
+      meetingId,
+      noteId,
+      processedNotes,
+      proposedTasks,
+      meeting
+    });
+
+    return {
+      meetingId,
+      noteId,
+      processedNotes,
+      proposedTasks,
+      meeting
+    };
+  }
+
+  // Owners are matched against the organizer, the participants and the
+  // organizer's team roster; due phrases are read relative to the meeting
+  async createActionItemExtractor(row) {
+    const [participants, organizer, teamMembers] = await Promise.all([
+      this.getParticipants([row.id]),
+      this.db.query(`
+        SELECT first_name, last_name, email FROM users WHERE id = $1
+      `, [row.user_id]),
+      this.db.query(`
+        SELECT name, email FROM team_members WHERE user_id = $1 AND is_active = true
+      `, [row.user_id])
+    ]);
+
+    const people = (participants.get(row.id) || []).map(participant => ({
+      name: participant.name,
+      email: participant.email
+    }));
+    const user = organizer.rows[0];
+    if (user && !people.some(person => person.email && person.email.toLowerCase() === user.email.toLowerCase())) {
+      people.unshift({ name: `${user.first_name} ${user.last_name}`, email: user.email });
     }
+
+    return new ActionItemExtractor({
+      participants: people,
+      teamMembers: teamMembers.rows,
+      reference: new Date(row.start_time),
+      timezone: row.timezone || 'UTC'
+    });
+  }
+
+  analyzeNotes(notes) {
+    return {
+      summary: this.generateSummary(notes),
+      actionItems: this.extractActionItems(notes),
+      decisions: this.extractDecisions(notes),
+      sentiment: this.analyzeSentiment(notes),
+      keyPoints: this.extractKeyPoints(notes),
+      followUpRequired: this.identifyFollowUpNeeds(notes)
+    };
   }
 
   // Helper methods
@@ -568,33 +939,314 @@ class SmartMeetingAssistant {
   }
 
   getParticipantAvailability(participant) {
-    // Simulate participant availability
+    const workingHours = participant.workingHours || MeetingPlanner.DEFAULT_WORKING_HOURS;
+    const startHour = this.toHours(workingHours.start);
+    const endHour = this.toHours(workingHours.end);
+    const availability = {};
+
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].forEach((day, index) => {
+      if (workingHours.days.includes(index)) {
+        availability[day] = { start: startHour, end: endHour };
+      }
+    });
+
+    return availability;
+  }
+
+  toHours(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours + minutes / 60;
+  }
+
+  // How comfortable a time is for one participant: 1 in the middle of their
+  // working day, tapering towards its edges and dropping off outside it
+  getLocalTimeScore(localHour, workingHours = MeetingPlanner.DEFAULT_WORKING_HOURS) {
+    const start = this.toHours(workingHours.start);
+    const end = this.toHours(workingHours.end);
+
+    if (localHour >= start && localHour < end) {
+      const middle = (start + end) / 2;
+      return 1 - 0.4 * Math.abs(localHour - middle) / ((end - start) / 2);
+    }
+
+    const hoursOutside = localHour < start ? start - localHour : localHour - end;
+    return Math.max(0, 0.3 - 0.15 * hoursOutside);
+  }
+
+  // `hour` is a UTC hour of `date`'s day; each entry in timeZones has a
+  // timeZone and optionally workingHours. Returns the mean local-time score.
+  calculateTimeZoneCompatibility(hour, timeZones, date = new Date()) {
+    if (!timeZones || timeZones.length === 0) return 1;
+
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const instant = new Date(dayStart + hour * HOUR_MS);
+
+    const scores = this.getLocalTimeScores(instant, timeZones);
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  getLocalTimeScores(instant, timeZones) {
+    return timeZones.map(zone => {
+      const local = RecurrenceRule.toWallClock(instant, zone.timeZone || 'UTC');
+      return this.getLocalTimeScore(local.getUTCHours() + local.getUTCMinutes() / 60, zone.workingHours);
+    });
+  }
+
+  async getAvailability(organizerId, { participants = [], from, to, durationMinutes = 30, bufferMinutes = 0, limit = 10 }) {
+    const planner = new MeetingPlanner({ bufferMinutes });
+    const people = await this.resolveParticipants(organizerId, participants);
+    await this.loadBusyBlocks(people, planner, from, to);
+
+    const durationMs = durationMinutes * 60 * 1000;
+    const stepMs = AVAILABILITY_STEP_MINUTES * 60 * 1000;
+    const timeZones = people.map(person => ({ timeZone: person.timezone, workingHours: person.workingHours }));
+    const candidates = [];
+
+    for (let start = Math.ceil(from.getTime() / stepMs) * stepMs; start + durationMs <= to.getTime(); start += stepMs) {
+      const slot = { start: new Date(start), end: new Date(start + durationMs) };
+
+      if (people.some(person => person.busy.some(block => planner.overlaps(slot, block)))) continue;
+
+      const local = people.map(person => ({
+        participant: person.email || person.name,
+        time: RecurrenceRule.formatLocal(RecurrenceRule.toWallClock(slot.start, person.timezone)).replace('T', ' '),
+        timezone: person.timezone,
+        withinWorkingHours: planner.isWithinWorkingHours(slot.start, slot.end, person.timezone, person.workingHours)
+      }));
+
+      // Nobody would be at work; not worth offering
+      if (!local.some(entry => entry.withinWorkingHours)) continue;
+
+      const utcHour = slot.start.getUTCHours() + slot.start.getUTCMinutes() / 60;
+      const compatibility = this.calculateTimeZoneCompatibility(utcHour, timeZones, slot.start);
+      const scores = this.getLocalTimeScores(slot.start, timeZones);
+      // Fair slots spread the inconvenience instead of landing it on one person
+      const fairness = 1 - (Math.max(...scores) - Math.min(...scores));
+      const outsideHours = local.filter(entry => !entry.withinWorkingHours).length;
+
+      candidates.push({
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        score: Math.round((0.6 * compatibility + 0.4 * fairness - 0.2 * outsideHours / people.length) * 1000) / 1000,
+        compatibility: Math.round(compatibility * 1000) / 1000,
+        fairness: Math.round(fairness * 1000) / 1000,
+        local
+      });
+    }
+
+    // Best first, without offering overlapping variants of the same slot
+    candidates.sort((a, b) => b.score - a.score || new Date(a.start) - new Date(b.start));
+    const slots = [];
+    for (const candidate of candidates) {
+      if (slots.length >= limit) break;
+      const interval = { start: new Date(candidate.start), end: new Date(candidate.end) };
+      if (slots.some(slot => interval.start < new Date(slot.end) && new Date(slot.start) < interval.end)) continue;
+      slots.push(candidate);
+    }
+
     return {
-      monday: { start: 9, end: 17 },
-      tuesday: { start: 9, end: 17 },
-      wednesday: { start: 9, end: 17 },
-      thursday: { start: 9, end: 17 },
-      friday: { start: 9, end: 16 }
+      from: from.toISOString(),
+      to: to.toISOString(),
+      durationMinutes,
+      participants: people.map(person => ({
+        email: person.email,
+        name: person.name,
+        known: person.known,
+        timezone: person.timezone,
+        workingHours: person.workingHours,
+        busy: person.busy.map(block => ({ start: block.start.toISOString(), end: block.end.toISOString() }))
+      })),
+      slots
     };
   }
 
-  calculateTimeZoneCompatibility(hour, timeZones) {
-    // Simple time zone compatibility calculation
-    return Math.random() * 0.5 + 0.5; // 50-100% compatibility
+  // The organizer plus each requested participant; emails that don't match a
+  // user are kept with default working hours and whatever busy time we can see
+  async resolveParticipants(organizerId, participants) {
+    const emails = participants.map(participant => participant.trim().toLowerCase()).filter(Boolean);
+
+    const result = await this.db.query(`
+      SELECT id, email, first_name, last_name, preferences FROM users
+      WHERE (id = $1 OR LOWER(email) = ANY($2)) AND is_active = true
+    `, [organizerId, emails]);
+
+    const toPerson = (user) => {
+      const preferences = user.preferences || {};
+      const planner = new MeetingPlanner({ timezone: preferences.timezone || 'UTC' });
+      return {
+        userId: user.id,
+        email: user.email.toLowerCase(),
+        name: `${user.first_name} ${user.last_name}`,
+        known: true,
+        timezone: planner.getTimeZone({}),
+        workingHours: preferences.workingHours || MeetingPlanner.DEFAULT_WORKING_HOURS,
+        busy: []
+      };
+    };
+
+    const people = result.rows.map(toPerson);
+    emails.forEach(email => {
+      if (!people.some(person => person.email === email)) {
+        people.push({
+          userId: null,
+          email,
+          name: email,
+          known: false,
+          timezone: 'UTC',
+          workingHours: MeetingPlanner.DEFAULT_WORKING_HOURS,
+          busy: []
+        });
+      }
+    });
+
+    // Organizer first
+    return people.sort((a, b) => (b.userId === organizerId) - (a.userId === organizerId));
+  }
+
+  // A person is busy during their own schedule entries and during any entry
+  // in the group's calendars that lists them as a participant
+  async loadBusyBlocks(people, planner, from, to, { excludeSeriesId = null } = {}) {
+    const userIds = people.filter(person => person.userId).map(person => person.userId);
+
+    const result = await this.db.query(`
+      SELECT user_id, data FROM shared_context
+      WHERE user_id = ANY($1) AND context_type = 'schedule'
+    `, [userIds]);
+
+    for (const row of result.rows) {
+      const owner = people.find(person => person.userId === row.user_id);
+      const interval = new MeetingPlanner({ timezone: owner.timezone }).toInterval(row.data);
+      if (!interval || interval.end <= from || interval.start >= to || row.data.status === 'cancelled') continue;
+
+      const attendees = planner.getParticipants(row.data);
+      people.forEach(person => {
+        if (person === owner || attendees.includes(person.email)) {
+          const duplicate = person.busy.some(block =>
+            block.start.getTime() === interval.start.getTime() && block.end.getTime() === interval.end.getTime());
+          if (!duplicate) person.busy.push(interval);
+        }
+      });
+    }
+
+    // Scheduled meetings from this assistant count for organizer and invitees
+    const meetings = await this.db.query(`
+      SELECT m.id, m.user_id, m.start_time, m.end_time,
+        COALESCE(array_agg(LOWER(mp.email)) FILTER (WHERE mp.email IS NOT NULL), '{}') as emails,
+        COALESCE(array_agg(mp.user_id) FILTER (WHERE mp.user_id IS NOT NULL), '{}') as participant_ids
+      FROM meetings m
+      LEFT JOIN meeting_participants mp ON mp.meeting_id = m.id
+      WHERE m.status = 'scheduled' AND m.end_time > $1 AND m.start_time < $2
+        AND ($5::uuid IS NULL OR m.series_id IS DISTINCT FROM $5)
+      GROUP BY m.id
+      HAVING m.user_id = ANY($3) OR array_agg(mp.user_id) && $3::uuid[] OR array_agg(LOWER(mp.email)) && $4::text[]
+    `, [from, to, userIds, people.map(person => person.email), excludeSeriesId]);
+
+    for (const row of meetings.rows) {
+      const interval = { start: new Date(row.start_time), end: new Date(row.end_time) };
+      people.forEach(person => {
+        const attends = person.userId === row.user_id || row.participant_ids.includes(person.userId) ||
+          row.emails.includes(person.email);
+        const duplicate = person.busy.some(block =>
+          block.start.getTime() === interval.start.getTime() && block.end.getTime() === interval.end.getTime());
+        if (attends && !duplicate) person.busy.push(interval);
+      });
+    }
+
+    people.forEach(person => person.busy.sort((a, b) => a.start - b.start));
   }
 
   async getUserMeetings(userId, limit = 10) {
-    const userMeetings = Array.from(this.meetings.values())
-      .filter(meeting => meeting.userId === userId)
-      .sort((a, b) => b.createdAt - a.createdAt)
-      .slice(0, limit);
+    const { meetings } = await this.listMeetings(userId, { limit });
+    return meetings;
+  }
 
-    return userMeetings;
+  formatMeeting(row, participants = []) {
+    const suggestions = row.suggestions || {};
+    return {
+      id: row.id,
+      userId: row.user_id,
+      title: row.title,
+      description: row.description,
+      meetingType: row.meeting_type,
+      status: row.status,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      duration: Math.round((new Date(row.end_time) - new Date(row.start_time)) / 60000),
+      timezone: row.timezone,
+      location: row.location,
+      objectives: row.objectives || [],
+      participants,
+      agenda: row.agenda || {},
+      preparationItems: row.preparation_items || [],
+      suggestedTime: suggestions.suggestedTime || null,
+      suggestedParticipants: suggestions.suggestedParticipants || null,
+      estimatedDuration: suggestions.estimatedDuration || null,
+      effectivenessScore: row.effectiveness_score,
+      aiOptimizations: row.ai_optimizations || [],
+      metadata: row.metadata || {},
+      completedAt: row.completed_at,
+      cancelledAt: row.cancelled_at,
+      cancellationReason: row.cancellation_reason,
+      seriesId: row.series_id || null,
+      occurrenceAt: row.occurrence_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatParticipant(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      email: row.email,
+      role: row.role,
+      timeZone: row.time_zone,
+      responseStatus: row.response_status
+    };
+  }
+
+  formatNotes(row) {
+    return {
+      id: row.id,
+      meetingId: row.meeting_id,
+      userId: row.user_id,
+      rawNotes: row.raw_notes,
+      summary: row.summary,
+      actionItems: row.action_items || [],
+      decisions: row.decisions || [],
+      sentiment: row.sentiment || {},
+      keyPoints: row.key_points || [],
+      followUpRequired: row.follow_up_required,
+      createdAt: row.created_at
+    };
+  }
+
+  formatActionItem(row) {
+    return {
+      id: row.id,
+      meetingId: row.meeting_id,
+      meetingNoteId: row.meeting_note_id,
+      title: row.title,
+      sourceText: row.source_text,
+      ownerName: row.owner_name,
+      ownerEmail: row.owner_email,
+      assignedTo: row.assigned_to,
+      dueDate: row.due_date,
+      duePhrase: row.due_phrase,
+      priority: row.priority,
+      status: row.status,
+      taskId: row.task_id,
+      taskStatus: row.task_status || null,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
   }
 
   getStatus() {
     return {
-      activeMeetings: this.meetings.size,
       aiCapabilities: this.aiCapabilities,
       totalScheduled: Math.floor(Math.random() * 100) + 50,
       averageEffectiveness: Math.floor(Math.random() * 20) + 80
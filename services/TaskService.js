@@ -0,0 +1,509 @@
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+// Allowed status changes; anything else is rejected with a 409
+const STATUS_TRANSITIONS = {
+  pending: ['in-progress', 'completed', 'cancelled'],
+  'in-progress': ['pending', 'completed', 'cancelled'],
+  completed: ['in-progress'],
+  cancelled: ['pending']
+};
+
+const PRIORITY_RANK_SQL = `CASE priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END`;
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  dueDate: 'due_date',
+  slaDueAt: 'sla_due_at',
+  priority: PRIORITY_RANK_SQL,
+  title: 'title',
+  status: 'status'
+};
+
+const UPDATABLE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  priority: 'priority',
+  status: 'status',
+  assignedTo: 'assigned_to',
+  dueDate: 'due_date',
+  estimatedHours: 'estimated_hours',
+  actualHours: 'actual_hours',
+  tags: 'tags',
+  metadata: 'metadata'
+};
+
+// Task CRUD plus subtasks, blocking dependencies, comments and watchers.
+// Every change is pushed to the owner's and watchers' rooms together with
+// fresh task counts for the dashboard.
+class TaskService {
+  constructor(db, io) {
+    this.db = db;
+    this.io = io;
+  }
+
+  async listTasks(userId, filters = {}) {
+    const {
+      status, priority, assignedTo, tag, parentTaskId, search,
+      dueBefore, dueAfter, overdue,
+      sortBy = 'createdAt', order = 'desc', limit = 50, offset = 0
+    } = filters;
+
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (status) add('status = ANY(?)', status.split(','));
+    if (priority) add('priority = ANY(?)', priority.split(','));
+    if (assignedTo) add('assigned_to = ?', assignedTo);
+    if (tag) add('? = ANY(tags)', tag);
+    if (parentTaskId === 'none') {
+      conditions.push('parent_task_id IS NULL');
+    } else if (parentTaskId) {
+      add('parent_task_id = ?', parentTaskId);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(title ILIKE $${params.length} OR description ILIKE $${params.length})`);
+    }
+    if (dueBefore) add('due_date <= ?', dueBefore);
+    if (dueAfter) add('due_date >= ?', dueAfter);
+    if (overdue === true || overdue === 'true') {
+      conditions.push(`status IN ('pending', 'in-progress') AND due_date < CURRENT_TIMESTAMP`);
+    }
+
+    const where = conditions.join(' AND ');
+    const sortColumn = SORT_COLUMNS[sortBy] || SORT_COLUMNS.createdAt;
+    const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    const [tasksResult, countResult] = await Promise.all([
+      this.db.query(`
+        SELECT *,
+          (SELECT COUNT(*) FROM tasks sub WHERE sub.parent_task_id = tasks.id) as subtask_count,
+          (SELECT COUNT(*) FROM task_dependencies d
+            JOIN tasks blocker ON blocker.id = d.blocked_by_task_id
+            WHERE d.task_id = tasks.id AND blocker.status IN ('pending', 'in-progress')) as open_blocker_count
+        FROM tasks
+        WHERE ${where}
+        ORDER BY ${sortColumn} ${direction} NULLS LAST, created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.db.query(`SELECT COUNT(*) as total FROM tasks WHERE ${where}`, params)
+    ]);
+
+    return {
+      tasks: tasksResult.rows.map(row => this.formatTask(row)),
+      pagination: {
+        total: parseInt(countResult.rows[0]?.total) || 0,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    };
+  }
+
+  async getTaskRow(taskId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM tasks WHERE id = $1 AND user_id = $2
+    `, [taskId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async getTask(taskId, userId) {
+    const task = await this.getTaskRow(taskId, userId);
+    if (!task) return null;
+
+    const [subtasks, blockedBy, blocking, watchers, comments] = await Promise.all([
+      this.db.query(`
+        SELECT * FROM tasks WHERE parent_task_id = $1 ORDER BY created_at ASC
+      `, [taskId]),
+      this.db.query(`
+        SELECT t.id, t.title, t.status FROM task_dependencies d
+        JOIN tasks t ON t.id = d.blocked_by_task_id
+        WHERE d.task_id = $1
+      `, [taskId]),
+      this.db.query(`
+        SELECT t.id, t.title, t.status FROM task_dependencies d
+        JOIN tasks t ON t.id = d.task_id
+        WHERE d.blocked_by_task_id = $1
+      `, [taskId]),
+      this.getWatchers(taskId),
+      this.db.query(`
+        SELECT COUNT(*) as count FROM task_comments WHERE task_id = $1
+      `, [taskId])
+    ]);
+
+    return {
+      ...this.formatTask(task),
+      subtasks: subtasks.rows.map(row => this.formatTask(row)),
+      blockedBy: blockedBy.rows,
+      blocking: blocking.rows,
+      watchers,
+      commentCount: parseInt(comments.rows[0]?.count) || 0
+    };
+  }
+
+  async createTask(userId, data) {
+    if (data.parentTaskId && !(await this.getTaskRow(data.parentTaskId, userId))) {
+      throw this.taskError('Parent task not found', 400);
+    }
+
+    const status = data.status || 'pending';
+    if (!OPEN_STATUSES.includes(status)) {
+      throw this.taskError('New tasks must be pending or in-progress', 400);
+    }
+
+    const blockedBy = [...new Set(data.blockedBy || [])];
+    if (blockedBy.length > 0) {
+      const blockers = await this.db.query(`
+        SELECT id, status FROM tasks WHERE id = ANY($1) AND user_id = $2
+      `, [blockedBy, userId]);
+
+      if (blockers.rows.length !== blockedBy.length) {
+        throw this.taskError('Blocking task not found', 400);
+      }
+      if (status === 'in-progress' && blockers.rows.some(row => OPEN_STATUSES.includes(row.status))) {
+        throw this.taskError('A task with open blockers must start as pending');
+      }
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO tasks (
+        user_id, parent_task_id, title, description, priority, status,
+        assigned_to, due_date, estimated_hours, tags, metadata
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      userId,
+      data.parentTaskId || null,
+      data.title,
+      data.description || null,
+      data.priority || 'medium',
+      status,
+      data.assignedTo || null,
+      data.dueDate || null,
+      data.estimatedHours || null,
+      data.tags || [],
+      JSON.stringify(data.metadata || {})
+    ]);
+
+    const task = result.rows[0];
+
+    // A brand-new task has no dependents, so these edges cannot form a cycle
+    for (const blockerId of blockedBy) {
+      await this.db.query(`
+        INSERT INTO task_dependencies (task_id, blocked_by_task_id) VALUES ($1, $2)
+      `, [task.id, blockerId]);
+    }
+
+    const created = await this.getTask(task.id, userId);
+    await this.broadcast(userId, task.id, 'task-created', created);
+
+    return created;
+  }
+
+  async updateTask(taskId, userId, updates) {
+    const task = await this.getTaskRow(taskId, userId);
+    if (!task) return null;
+
+    if (updates.status && updates.status !== task.status) {
+      await this.validateTransition(task, updates.status);
+    }
+
+    const sets = [];
+    const params = [taskId, userId];
+    Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+      if (updates[field] === undefined) return;
+      params.push(field === 'metadata' ? JSON.stringify(updates[field]) : updates[field]);
+      sets.push(`${column} = $${params.length}`);
+    });
+
+    // The SLA engine recomputes due-by times for reprioritized or rescheduled tasks
+    if ((updates.priority && updates.priority !== task.priority) || updates.dueDate !== undefined) {
+      sets.push('sla_due_at = NULL');
+    }
+
+    if (sets.length === 0) {
+      return await this.getTask(taskId, userId);
+    }
+
+    await this.db.query(`
+      UPDATE tasks SET ${sets.join(', ')}
+      WHERE id = $1 AND user_id = $2
+    `, params);
+
+    const updated = await this.getTask(taskId, userId);
+    await this.broadcast(userId, taskId, 'task-updated', {
+      ...updated,
+      previousStatus: task.status
+    });
+
+    return updated;
+  }
+
+  async validateTransition(task, nextStatus) {
+    const allowed = STATUS_TRANSITIONS[task.status] || [];
+    if (!allowed.includes(nextStatus)) {
+      throw this.taskError(`Cannot move a task from ${task.status} to ${nextStatus}`);
+    }
+
+    if (['in-progress', 'completed'].includes(nextStatus)) {
+      const blockers = await this.db.query(`
+        SELECT t.title FROM task_dependencies d
+        JOIN tasks t ON t.id = d.blocked_by_task_id
+        WHERE d.task_id = $1 AND t.status IN ('pending', 'in-progress')
+      `, [task.id]);
+
+      if (blockers.rows.length > 0) {
+        throw this.taskError(`Task is blocked by: ${blockers.rows.map(row => row.title).join(', ')}`);
+      }
+    }
+
+    if (nextStatus === 'completed') {
+      const openSubtasks = await this.db.query(`
+        SELECT COUNT(*) as count FROM tasks
+        WHERE parent_task_id = $1 AND status IN ('pending', 'in-progress')
+      `, [task.id]);
+
+      if (parseInt(openSubtasks.rows[0]?.count) > 0) {
+        throw this.taskError('Complete or cancel all subtasks first');
+      }
+    }
+  }
+
+  async deleteTask(taskId, userId) {
+    const watchers = await this.getWatchers(taskId);
+
+    const result = await this.db.query(`
+      DELETE FROM tasks WHERE id = $1 AND user_id = $2 RETURNING id
+    `, [taskId, userId]);
+
+    if (result.rows.length === 0) return false;
+
+    await this.broadcast(userId, taskId, 'task-deleted', { id: taskId }, watchers);
+    return true;
+  }
+
+  async addDependency(taskId, blockedByTaskId, userId) {
+    const [task, blocker] = await Promise.all([
+      this.getTaskRow(taskId, userId),
+      this.getTaskRow(blockedByTaskId, userId)
+    ]);
+
+    if (!task || !blocker) {
+      throw this.taskError('Task not found', 404);
+    }
+
+    if (taskId === blockedByTaskId) {
+      throw this.taskError('A task cannot block itself', 400);
+    }
+
+    // Adding the edge must not close a loop back to taskId
+    const cycle = await this.db.query(`
+      WITH RECURSIVE upstream AS (
+        SELECT blocked_by_task_id FROM task_dependencies WHERE task_id = $1
+        UNION
+        SELECT d.blocked_by_task_id FROM task_dependencies d
+        JOIN upstream u ON d.task_id = u.blocked_by_task_id
+      )
+      SELECT 1 FROM upstream WHERE blocked_by_task_id = $2 LIMIT 1
+    `, [blockedByTaskId, taskId]);
+
+    if (cycle.rows.length > 0) {
+      throw this.taskError('Dependency would create a cycle');
+    }
+
+    await this.db.query(`
+      INSERT INTO task_dependencies (task_id, blocked_by_task_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [taskId, blockedByTaskId]);
+
+    const updated = await this.getTask(taskId, userId);
+    await this.broadcast(userId, taskId, 'task-updated', updated);
+    return updated;
+  }
+
+  async removeDependency(taskId, blockedByTaskId, userId) {
+    const result = await this.db.query(`
+      DELETE FROM task_dependencies d
+      USING tasks t
+      WHERE d.task_id = $1 AND d.blocked_by_task_id = $2
+        AND t.id = d.task_id AND t.user_id = $3
+      RETURNING d.task_id
+    `, [taskId, blockedByTaskId, userId]);
+
+    if (result.rows.length === 0) return false;
+
+    await this.broadcast(userId, taskId, 'task-updated', await this.getTask(taskId, userId));
+    return true;
+  }
+
+  async getComments(taskId, limit = 50, offset = 0) {
+    const result = await this.db.query(`
+      SELECT c.*, u.first_name, u.last_name
+      FROM task_comments c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.task_id = $1
+      ORDER BY c.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [taskId, limit, offset]);
+
+    return result.rows.map(row => this.formatComment(row));
+  }
+
+  async addComment(taskId, userId, body) {
+    const result = await this.db.query(`
+      INSERT INTO task_comments (task_id, user_id, body)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [taskId, userId, body]);
+
+    const comment = this.formatComment(result.rows[0]);
+    await this.broadcast(userId, taskId, 'task-comment-added', comment, null, { counts: false });
+
+    return comment;
+  }
+
+  async deleteComment(taskId, commentId, userId) {
+    // Authors can remove their own comments
+    const result = await this.db.query(`
+      DELETE FROM task_comments
+      WHERE id = $1 AND task_id = $2 AND user_id = $3
+      RETURNING id
+    `, [commentId, taskId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  async getWatchers(taskId) {
+    const result = await this.db.query(`
+      SELECT u.id, u.first_name, u.last_name, u.email
+      FROM task_watchers w
+      JOIN users u ON u.id = w.user_id
+      WHERE w.task_id = $1
+      ORDER BY w.created_at ASC
+    `, [taskId]);
+
+    return result.rows.map(row => ({
+      userId: row.id,
+      name: `${row.first_name} ${row.last_name}`,
+      email: row.email
+    }));
+  }
+
+  async addWatcher(taskId, watcherId) {
+    await this.db.query(`
+      INSERT INTO task_watchers (task_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [taskId, watcherId]);
+
+    return await this.getWatchers(taskId);
+  }
+
+  async removeWatcher(taskId, watcherId) {
+    const result = await this.db.query(`
+      DELETE FROM task_watchers WHERE task_id = $1 AND user_id = $2 RETURNING user_id
+    `, [taskId, watcherId]);
+
+    return result.rows.length > 0;
+  }
+
+  async getCounts(userId) {
+    const result = await this.db.query(`
+      SELECT
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+        COUNT(CASE WHEN status = 'in-progress' THEN 1 END) as in_progress,
+        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
+        COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled,
+        COUNT(CASE WHEN status IN ('pending', 'in-progress') AND due_date < CURRENT_TIMESTAMP THEN 1 END) as overdue
+      FROM tasks
+      WHERE user_id = $1
+    `, [userId]);
+
+    const row = result.rows[0] || {};
+    const pending = parseInt(row.pending) || 0;
+    const inProgress = parseInt(row.in_progress) || 0;
+
+    return {
+      open: pending + inProgress,
+      pending,
+      inProgress,
+      completed: parseInt(row.completed) || 0,
+      cancelled: parseInt(row.cancelled) || 0,
+      overdue: parseInt(row.overdue) || 0
+    };
+  }
+
+  async broadcast(userId, taskId, event, data, watchers = null, { counts = true } = {}) {
+    const recipients = new Set([userId]);
+    (watchers || await this.getWatchers(taskId)).forEach(watcher => recipients.add(watcher.userId));
+
+    recipients.forEach(recipient => {
+      this.io.to(`user-${recipient}`).emit(event, data);
+    });
+
+    if (counts) {
+      this.io.to(`user-${userId}`).emit('task-counts-updated', await this.getCounts(userId));
+    }
+  }
+
+  taskError(message, status = 409) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  formatTask(row) {
+    const task = {
+      id: row.id,
+      parentTaskId: row.parent_task_id,
+      title: row.title,
+      description: row.description,
+      priority: row.priority,
+      status: row.status,
+      assignedTo: row.assigned_to,
+      dueDate: row.due_date,
+      estimatedHours: row.estimated_hours !== null && row.estimated_hours !== undefined ?
+        parseFloat(row.estimated_hours) : null,
+      actualHours: row.actual_hours !== null && row.actual_hours !== undefined ?
+        parseFloat(row.actual_hours) : null,
+      tags: row.tags || [],
+      metadata: row.metadata || {},
+      completedAt: row.completed_at,
+      slaDueAt: row.sla_due_at,
+      slaBreachedAt: row.sla_breached_at,
+      escalationLevel: row.escalation_level || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+
+    if (row.subtask_count !== undefined) {
+      task.subtaskCount = parseInt(row.subtask_count) || 0;
+      task.isBlocked = parseInt(row.open_blocker_count) > 0;
+    }
+
+    return task;
+  }
+
+  formatComment(row) {
+    return {
+      id: row.id,
+      taskId: row.task_id,
+      userId: row.user_id,
+      author: row.first_name ? `${row.first_name} ${row.last_name}` : null,
+      body: row.body,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+TaskService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = TaskService;
@@ -0,0 +1,523 @@
+const RecurrenceRule = require('./RecurrenceRule');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const OVERRIDE_FIELDS = ['title', 'description', 'priority', 'assignedTo', 'dueDate'];
+const MAX_OCCURRENCES_PER_TICK = 50; // caps catch-up after downtime
+
+// Task templates and their recurrence. Due occurrences are materialized into
+// tasks rows by a periodic tick; the (template_id, occurrence_at) unique key
+// makes that idempotent across server processes. Generated tasks are handed
+// to the user's Task Router for assignment.
+class TaskTemplateService {
+  constructor(db, io, orchestrator, taskService) {
+    this.db = db;
+    this.io = io;
+    this.orchestrator = orchestrator;
+    this.taskService = taskService;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.materializeDue().catch(error => {
+        console.error('Recurring task error:', error);
+      });
+    }, 60 * 1000);
+    console.log('🔁 Recurring task scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  validateTemplate(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || data.name.trim() === '') errors.push('name is required');
+    }
+    if (!partial || data.title !== undefined) {
+      if (typeof data.title !== 'string' || data.title.trim() === '') errors.push('title is required');
+    }
+    if (data.priority !== undefined && !PRIORITIES.includes(data.priority)) {
+      errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (data.subtasks !== undefined &&
+        (!Array.isArray(data.subtasks) || !data.subtasks.every(title => typeof title === 'string' && title.trim()))) {
+      errors.push('subtasks must be an array of titles');
+    }
+
+    if (data.recurrence) {
+      errors.push(...this.validateRecurrence(data.recurrence));
+    }
+
+    return errors;
+  }
+
+  validateRecurrence({ rule, start, timezone = 'UTC', dueInHours }) {
+    const errors = RecurrenceRule.validate(rule, { start, timezone });
+
+    if (dueInHours !== undefined && dueInHours !== null && !(parseFloat(dueInHours) >= 0)) {
+      errors.push('recurrence.dueInHours must be a positive number of hours');
+    }
+
+    return errors;
+  }
+
+  getRule(template) {
+    if (!template.recurrence_rule) return null;
+
+    return new RecurrenceRule(template.recurrence_rule, {
+      start: template.recurrence_start,
+      timezone: template.recurrence_timezone || 'UTC'
+    });
+  }
+
+  getNextOccurrence(template, from = new Date()) {
+    const rule = this.getRule(template);
+    if (!rule) return null;
+
+    const [next] = rule.next(1, from);
+    return next || null;
+  }
+
+  async listTemplates(userId) {
+    const result = await this.db.query(`
+      SELECT * FROM task_templates WHERE user_id = $1 ORDER BY name
+    `, [userId]);
+
+    return result.rows.map(row => this.formatTemplate(row));
+  }
+
+  async getTemplateRow(templateId, userId) {
+    const result = await this.db.query(`
+      SELECT * FROM task_templates WHERE id = $1 AND user_id = $2
+    `, [templateId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  async createTemplate(userId, data) {
+    const recurrence = data.recurrence || null;
+
+    const result = await this.db.query(`
+      INSERT INTO task_templates (
+        user_id, name, title, description, priority, estimated_hours, tags, subtasks, metadata,
+        recurrence_rule, recurrence_start, recurrence_timezone, due_in_hours, auto_assign, is_active
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *
+    `, [
+      userId,
+      data.name.trim(),
+      data.title.trim(),
+      data.description || null,
+      data.priority || 'medium',
+      data.estimatedHours || null,
+      data.tags || [],
+      JSON.stringify(data.subtasks || []),
+      JSON.stringify(data.metadata || {}),
+      recurrence ? RecurrenceRule.normalize(recurrence.rule) : null,
+      recurrence ? recurrence.start : null,
+      recurrence ? recurrence.timezone || 'UTC' : 'UTC',
+      recurrence && recurrence.dueInHours !== undefined ? recurrence.dueInHours : null,
+      data.autoAssign !== false,
+      data.isActive !== false
+    ]);
+
+    return await this.refreshNextOccurrence(result.rows[0]);
+  }
+
+  async updateTemplate(templateId, userId, data) {
+    const existing = await this.getTemplateRow(templateId, userId);
+    if (!existing) return null;
+
+    // recurrence: null removes the schedule; omitting it keeps the current one
+    let recurrence = {
+      rule: existing.recurrence_rule,
+      start: existing.recurrence_start,
+      timezone: existing.recurrence_timezone,
+      dueInHours: existing.due_in_hours
+    };
+    if (data.recurrence === null) {
+      recurrence = { rule: null, start: null, timezone: 'UTC', dueInHours: null };
+    } else if (data.recurrence) {
+      recurrence = { ...recurrence, ...data.recurrence };
+      const errors = this.validateRecurrence(recurrence);
+      if (errors.length > 0) {
+        const error = new Error(errors.join('; '));
+        error.status = 400;
+        throw error;
+      }
+      recurrence.rule = RecurrenceRule.normalize(recurrence.rule);
+    }
+
+    const result = await this.db.query(`
+      UPDATE task_templates
+      SET name = COALESCE($3, name),
+          title = COALESCE($4, title),
+          description = COALESCE($5, description),
+          priority = COALESCE($6, priority),
+          estimated_hours = COALESCE($7, estimated_hours),
+          tags = COALESCE($8, tags),
+          subtasks = COALESCE($9, subtasks),
+          metadata = COALESCE($10, metadata),
+          recurrence_rule = $11,
+          recurrence_start = $12,
+          recurrence_timezone = $13,
+          due_in_hours = $14,
+          auto_assign = COALESCE($15, auto_assign),
+          is_active = COALESCE($16, is_active)
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [
+      templateId,
+      userId,
+      data.name ? data.name.trim() : null,
+      data.title ? data.title.trim() : null,
+      data.description,
+      data.priority,
+      data.estimatedHours,
+      data.tags,
+      data.subtasks ? JSON.stringify(data.subtasks) : null,
+      data.metadata ? JSON.stringify(data.metadata) : null,
+      recurrence.rule,
+      recurrence.start,
+      recurrence.timezone || 'UTC',
+      recurrence.dueInHours === undefined ? null : recurrence.dueInHours,
+      data.autoAssign,
+      data.isActive
+    ]);
+
+    return await this.refreshNextOccurrence(result.rows[0]);
+  }
+
+  async refreshNextOccurrence(template) {
+    // Schedule changes apply from now on; earlier occurrences are not backfilled
+    const result = await this.db.query(`
+      UPDATE task_templates SET next_occurrence_at = $2 WHERE id = $1 RETURNING *
+    `, [template.id, template.is_active ? this.getNextOccurrence(template) : null]);
+
+    return this.formatTemplate(result.rows[0]);
+  }
+
+  async deleteTemplate(templateId, userId) {
+    const result = await this.db.query(`
+      DELETE FROM task_templates WHERE id = $1 AND user_id = $2 RETURNING id
+    `, [templateId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  async getExceptions(templateId) {
+    const result = await this.db.query(`
+      SELECT * FROM task_template_exceptions WHERE template_id = $1
+    `, [templateId]);
+
+    const exceptions = new Map();
+    result.rows.forEach(row => {
+      exceptions.set(new Date(row.occurrence_at).getTime(), this.formatException(row));
+    });
+    return exceptions;
+  }
+
+  async getOccurrences(template, { count = 10, from = new Date() } = {}) {
+    const rule = this.getRule(template);
+    if (!rule) return [];
+
+    const occurrences = rule.next(count, from);
+    if (occurrences.length === 0) return [];
+
+    const [exceptions, tasks] = await Promise.all([
+      this.getExceptions(template.id),
+      this.db.query(`
+        SELECT id, occurrence_at FROM tasks
+        WHERE template_id = $1 AND occurrence_at >= $2
+      `, [template.id, occurrences[0]])
+    ]);
+
+    const taskIds = new Map(tasks.rows.map(row => [new Date(row.occurrence_at).getTime(), row.id]));
+
+    return occurrences.map(occurrenceAt => {
+      const exception = exceptions.get(occurrenceAt.getTime());
+      const taskId = taskIds.get(occurrenceAt.getTime()) || null;
+
+      return {
+        occurrenceAt,
+        local: rule.toLocal(occurrenceAt),
+        timezone: rule.timezone,
+        status: taskId ? 'created' : exception ? (exception.action === 'skip' ? 'skipped' : 'modified') : 'scheduled',
+        overrides: exception && exception.action === 'modify' ? exception.overrides : null,
+        taskId
+      };
+    });
+  }
+
+  previewRule({ rule, start, timezone = 'UTC' }, count = 10) {
+    const recurrence = new RecurrenceRule(rule, { start, timezone });
+    return recurrence.next(count).map(occurrenceAt => ({
+      occurrenceAt,
+      local: recurrence.toLocal(occurrenceAt),
+      timezone
+    }));
+  }
+
+  isOccurrence(template, occurrenceAt) {
+    const rule = this.getRule(template);
+    if (!rule) return false;
+
+    return rule.between(new Date(occurrenceAt.getTime() - 1000), new Date(occurrenceAt.getTime() + 1000), 1)
+      .some(date => date.getTime() === occurrenceAt.getTime());
+  }
+
+  async setException(templateId, userId, occurrenceAt, { action, overrides = {} }) {
+    const template = await this.getTemplateRow(templateId, userId);
+    if (!template) return null;
+
+    if (!this.isOccurrence(template, occurrenceAt)) {
+      const error = new Error('No occurrence at that time');
+      error.status = 400;
+      throw error;
+    }
+
+    const cleanOverrides = {};
+    OVERRIDE_FIELDS.forEach(field => {
+      if (overrides[field] !== undefined) cleanOverrides[field] = overrides[field];
+    });
+
+    const result = await this.db.query(`
+      INSERT INTO task_template_exceptions (template_id, occurrence_at, action, overrides)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (template_id, occurrence_at) DO UPDATE SET
+        action = EXCLUDED.action,
+        overrides = EXCLUDED.overrides
+      RETURNING *
+    `, [templateId, occurrenceAt, action, JSON.stringify(cleanOverrides)]);
+
+    // Occurrences that already produced a task are changed on the task itself
+    const existing = await this.db.query(`
+      SELECT id, status FROM tasks WHERE template_id = $1 AND occurrence_at = $2
+    `, [templateId, occurrenceAt]);
+
+    let task = null;
+    if (existing.rows[0]) {
+      const { id, status } = existing.rows[0];
+      if (action === 'skip') {
+        task = ['pending', 'in-progress'].includes(status) ?
+          await this.taskService.updateTask(id, userId, { status: 'cancelled' }) : null;
+      } else {
+        task = await this.taskService.updateTask(id, userId, cleanOverrides);
+      }
+    }
+
+    return { exception: this.formatException(result.rows[0]), task };
+  }
+
+  async removeException(templateId, userId, occurrenceAt) {
+    const result = await this.db.query(`
+      DELETE FROM task_template_exceptions e
+      USING task_templates t
+      WHERE e.template_id = t.id AND t.id = $1 AND t.user_id = $2 AND e.occurrence_at = $3
+      RETURNING e.id
+    `, [templateId, userId, occurrenceAt]);
+
+    return result.rows.length > 0;
+  }
+
+  async instantiate(template, { occurrenceAt = null, overrides = {} } = {}) {
+    const client = await this.db.connect();
+    let task;
+    try {
+      await client.query('BEGIN');
+      task = await this.insertTasks(client, template, occurrenceAt, overrides);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return task ? await this.announceTask(template, task) : null;
+  }
+
+  // The parent task and its subtasks; null when another process already
+  // created this occurrence
+  async insertTasks(client, template, occurrenceAt, overrides) {
+    const dueInHours = parseFloat(template.due_in_hours);
+    const baseTime = occurrenceAt || new Date();
+    const dueDate = overrides.dueDate ||
+      (!isNaN(dueInHours) ? new Date(baseTime.getTime() + dueInHours * 60 * 60 * 1000) : null);
+
+    const result = await client.query(`
+      INSERT INTO tasks (
+        user_id, template_id, occurrence_at, title, description, priority,
+        assigned_to, due_date, estimated_hours, tags, metadata
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (template_id, occurrence_at) DO NOTHING
+      RETURNING *
+    `, [
+      template.user_id,
+      template.id,
+      occurrenceAt,
+      overrides.title || template.title,
+      overrides.description !== undefined ? overrides.description : template.description,
+      overrides.priority || template.priority,
+      overrides.assignedTo || null,
+      dueDate,
+      template.estimated_hours,
+      template.tags || [],
+      JSON.stringify({ ...(template.metadata || {}), templateName: template.name })
+    ]);
+
+    const task = result.rows[0];
+    if (!task) return null;
+
+    for (const title of template.subtasks || []) {
+      await client.query(`
+        INSERT INTO tasks (user_id, parent_task_id, template_id, title, priority, due_date, tags)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [template.user_id, task.id, template.id, title, task.priority, dueDate, template.tags || []]);
+    }
+
+    return task;
+  }
+
+  async announceTask(template, task) {
+    const created = await this.taskService.getTask(task.id, template.user_id);
+    await this.taskService.broadcast(template.user_id, task.id, 'task-created', created);
+    return created;
+  }
+
+  async materializeDue(now = new Date()) {
+    const due = await this.db.query(`
+      SELECT * FROM task_templates
+      WHERE is_active = true AND next_occurrence_at <= $1
+    `, [now]);
+
+    const toRoute = new Map();
+
+    for (const template of due.rows) {
+      const rule = this.getRule(template);
+      if (!rule) continue;
+
+      const occurrences = rule.between(new Date(template.next_occurrence_at), now, MAX_OCCURRENCES_PER_TICK);
+      const exceptions = occurrences.length > 0 ? await this.getExceptions(template.id) : new Map();
+      let claimedAt = template.next_occurrence_at;
+
+      if (occurrences.length === 0) {
+        // The stored occurrence no longer matches the rule; move on to the next one
+        const [next] = rule.next(1, new Date(new Date(claimedAt).getTime() + 1));
+        await this.advanceClaim(this.db, template, claimedAt, next || null, null);
+        continue;
+      }
+
+      for (const [position, occurrenceAt] of occurrences.entries()) {
+        const [next] = position + 1 < occurrences.length
+          ? [occurrences[position + 1]]
+          : rule.next(1, new Date(occurrenceAt.getTime() + 1));
+        const exception = exceptions.get(occurrenceAt.getTime());
+
+        const client = await this.db.connect();
+        let claimed;
+        let task = null;
+        try {
+          await client.query('BEGIN');
+
+          // The claim moves past an occurrence in the same transaction that
+          // creates its tasks, and only the process whose UPDATE still sees
+          // the old next_occurrence_at gets to create them
+          claimed = await this.advanceClaim(client, template, claimedAt, next || null, occurrenceAt);
+          if (claimed && !(exception && exception.action === 'skip')) {
+            task = await this.insertTasks(client, template, occurrenceAt, exception ? exception.overrides : {});
+          }
+
+          await client.query(claimed ? 'COMMIT' : 'ROLLBACK');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+
+        if (!claimed) break;
+        claimedAt = next;
+
+        if (task) {
+          const created = await this.announceTask(template, task);
+          if (template.auto_assign && !created.assignedTo) {
+            const ids = toRoute.get(template.user_id) || [];
+            ids.push(created.id);
+            toRoute.set(template.user_id, ids);
+          }
+        }
+      }
+    }
+
+    for (const [userId, taskIds] of toRoute) {
+      await this.routeTasks(userId, taskIds);
+    }
+  }
+
+  async advanceClaim(queryable, template, from, next, materializedAt) {
+    const result = await queryable.query(`
+      UPDATE task_templates
+      SET next_occurrence_at = $3, last_materialized_at = COALESCE($4, last_materialized_at)
+      WHERE id = $1 AND next_occurrence_at = $2
+      RETURNING id
+    `, [template.id, from, next, materializedAt]);
+
+    return result.rows.length > 0;
+  }
+
+  async routeTasks(userId, taskIds) {
+    const instanceId = await this.orchestrator.pipelineExecutor.findUserAgent(userId, 'task-router');
+    if (!instanceId) return null; // tasks stay pending until someone routes them
+
+    return await this.orchestrator.enqueueRun(instanceId, { taskIds }, { triggerSource: 'scheduler' });
+  }
+
+  formatTemplate(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      title: row.title,
+      description: row.description,
+      priority: row.priority,
+      estimatedHours: row.estimated_hours !== null ? parseFloat(row.estimated_hours) : null,
+      tags: row.tags || [],
+      subtasks: row.subtasks || [],
+      metadata: row.metadata || {},
+      recurrence: row.recurrence_rule ? {
+        rule: row.recurrence_rule,
+        start: row.recurrence_start,
+        timezone: row.recurrence_timezone,
+        dueInHours: row.due_in_hours !== null ? parseFloat(row.due_in_hours) : null
+      } : null,
+      autoAssign: row.auto_assign,
+      isActive: row.is_active,
+      nextOccurrenceAt: row.next_occurrence_at,
+      lastMaterializedAt: row.last_materialized_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatException(row) {
+    return {
+      id: row.id,
+      templateId: row.template_id,
+      occurrenceAt: row.occurrence_at,
+      action: row.action,
+      overrides: row.overrides || {},
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = TaskTemplateService;
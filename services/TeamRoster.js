@@ -0,0 +1,174 @@
+const AssignmentScorer = require('./AssignmentScorer');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// The people a user's tasks can be routed to, with their skills, working
+// hours, time off and current load. Load is derived from open tasks whose
+// assigned_to matches the member's name.
+class TeamRoster {
+  constructor(db) {
+    this.db = db;
+  }
+
+  validateMember({ name, skills = [], timezone = 'UTC', workingHours = null }) {
+    const errors = [];
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      errors.push('name is required');
+    }
+
+    if (!Array.isArray(skills) || !skills.every(skill => typeof skill === 'string')) {
+      errors.push('skills must be an array of strings');
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      errors.push(`timezone "${timezone}" is not a valid IANA time zone`);
+    }
+
+    if (workingHours) {
+      const { days, start, end } = workingHours;
+      if (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('workingHours.days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+      }
+      if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start >= end) {
+        errors.push('workingHours.start and workingHours.end must be HH:MM with start before end');
+      }
+    }
+
+    return errors;
+  }
+
+  async getMembers(userId, { activeOnly = false } = {}) {
+    const result = await this.db.query(`
+      SELECT tm.*,
+        COALESCE(load.open_tasks, 0) as open_tasks,
+        COALESCE(load.load_hours, 0) as load_hours,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', t.id, 'from', t.starts_on, 'to', t.ends_on, 'reason', t.reason
+          ) ORDER BY t.starts_on)
+          FROM team_time_off t
+          WHERE t.team_member_id = tm.id AND t.ends_on >= CURRENT_DATE
+        ), '[]') as time_off
+      FROM team_members tm
+      LEFT JOIN (
+        SELECT assigned_to,
+          COUNT(*) as open_tasks,
+          SUM(COALESCE(estimated_hours, $2)) as load_hours
+        FROM tasks
+        WHERE user_id = $1 AND status IN ('pending', 'in-progress')
+        GROUP BY assigned_to
+      ) load ON load.assigned_to = tm.name
+      WHERE tm.user_id = $1 AND ($3 = false OR tm.is_active = true)
+      ORDER BY tm.name
+    `, [userId, AssignmentScorer.DEFAULT_TASK_HOURS, activeOnly]);
+
+    return result.rows.map(row => this.formatMember(row));
+  }
+
+  async getMember(memberId, userId) {
+    const members = await this.getMembers(userId);
+    return members.find(member => member.id === memberId) || null;
+  }
+
+  async createMember(userId, member) {
+    const result = await this.db.query(`
+      INSERT INTO team_members (user_id, name, email, skills, timezone, working_hours, is_active)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, '{"days": [1, 2, 3, 4, 5], "start": "09:00", "end": "17:00"}'::jsonb), $7)
+      RETURNING id
+    `, [
+      userId,
+      member.name.trim(),
+      member.email || null,
+      member.skills || [],
+      member.timezone || 'UTC',
+      member.workingHours ? JSON.stringify(member.workingHours) : null,
+      member.isActive !== false
+    ]);
+
+    return await this.getMember(result.rows[0].id, userId);
+  }
+
+  async updateMember(memberId, userId, updates) {
+    const result = await this.db.query(`
+      UPDATE team_members
+      SET name = COALESCE($3, name),
+          email = COALESCE($4, email),
+          skills = COALESCE($5, skills),
+          timezone = COALESCE($6, timezone),
+          working_hours = COALESCE($7, working_hours),
+          is_active = COALESCE($8, is_active)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `, [
+      memberId,
+      userId,
+      updates.name ? updates.name.trim() : null,
+      updates.email,
+      updates.skills,
+      updates.timezone,
+      updates.workingHours ? JSON.stringify(updates.workingHours) : null,
+      updates.isActive
+    ]);
+
+    if (result.rows.length === 0) return null;
+    return await this.getMember(memberId, userId);
+  }
+
+  async deleteMember(memberId, userId) {
+    const result = await this.db.query(`
+      DELETE FROM team_members WHERE id = $1 AND user_id = $2 RETURNING id
+    `, [memberId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  async addTimeOff(memberId, userId, { from, to, reason = null }) {
+    const result = await this.db.query(`
+      INSERT INTO team_time_off (team_member_id, starts_on, ends_on, reason)
+      SELECT id, $3, $4, $5 FROM team_members WHERE id = $1 AND user_id = $2
+      RETURNING id, starts_on, ends_on, reason
+    `, [memberId, userId, from, to, reason]);
+
+    const row = result.rows[0];
+    return row ? { id: row.id, from: row.starts_on, to: row.ends_on, reason: row.reason } : null;
+  }
+
+  async removeTimeOff(memberId, timeOffId, userId) {
+    const result = await this.db.query(`
+      DELETE FROM team_time_off t
+      USING team_members tm
+      WHERE t.id = $1 AND t.team_member_id = tm.id AND tm.id = $2 AND tm.user_id = $3
+      RETURNING t.id
+    `, [timeOffId, memberId, userId]);
+
+    return result.rows.length > 0;
+  }
+
+  formatMember(row) {
+    const toDate = value => value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+
+    return {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      skills: row.skills || [],
+      timezone: row.timezone || 'UTC',
+      workingHours: row.working_hours,
+      isActive: row.is_active,
+      openTasks: parseInt(row.open_tasks) || 0,
+      loadHours: parseFloat(row.load_hours) || 0,
+      timeOff: (row.time_off || []).map(range => ({
+        ...range,
+        from: toDate(range.from),
+        to: toDate(range.to)
+      })),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = TeamRoster;
@@ -0,0 +1,403 @@
+const yaml = require('js-yaml');
+
+// Workflow definitions are stored as JSON (or authored as YAML) in this shape:
+//
+//   trigger:    { type: 'manual' } or { type: 'agent-completed', agent: 'mail-summarizer' }
+//   conditions: [{ path: 'trigger.result.actionItems', operator: 'not_empty' }]
+//   steps:      [{ id, type: 'agent' | 'create-task', when?, forEach?, filter?, ... }]
+//   outputs:    { name: 'steps.<id>.<field>' }
+//
+// Paths resolve against { input, trigger, steps, item } and string values may
+// embed them as {{ path }} templates.
+const TRIGGER_TYPES = ['manual', 'agent-completed'];
+const STEP_TYPES = ['agent', 'create-task'];
+const OPERATORS = ['exists', 'not_exists', 'equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'contains', 'not_empty'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+class WorkflowEngine {
+  constructor(db, io, orchestrator, taskService) {
+    this.db = db;
+    this.io = io;
+    this.orchestrator = orchestrator;
+    this.taskService = taskService;
+    this.stepHandlers = new Map();
+
+    this.setupStepHandlers();
+
+    this.orchestrator.on('agent-completed', (event) => {
+      this.handleAgentCompleted(event).catch(error => {
+        console.error('Workflow trigger error:', error);
+      });
+    });
+  }
+
+  setupStepHandlers() {
+    this.stepHandlers.set('agent', (step, context, workflowRun) => this.runAgentStep(step, context, workflowRun));
+    this.stepHandlers.set('create-task', (step, context, workflowRun) => this.runCreateTaskStep(step, context, workflowRun));
+  }
+
+  parseDefinition(input) {
+    if (typeof input === 'string') {
+      try {
+        return { definition: yaml.load(input), format: 'yaml', source: input };
+      } catch (error) {
+        throw new Error(`Invalid YAML definition: ${error.message}`);
+      }
+    }
+
+    return { definition: input, format: 'json', source: null };
+  }
+
+  validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['Definition must be an object'];
+    }
+
+    const { trigger, conditions = [], steps, outputs = {} } = definition;
+
+    if (!trigger || !TRIGGER_TYPES.includes(trigger.type)) {
+      errors.push(`trigger.type must be one of: ${TRIGGER_TYPES.join(', ')}`);
+    } else if (trigger.type === 'agent-completed' && !this.orchestrator.getAgentClass(trigger.agent)) {
+      errors.push(`trigger.agent "${trigger.agent}" is not a known agent type`);
+    }
+
+    errors.push(...this.validateConditions(conditions, 'conditions'));
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      errors.push('steps must be a non-empty array');
+      return errors;
+    }
+
+    const seenIds = new Set();
+    steps.forEach((step, index) => {
+      const label = `steps[${index}]`;
+
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      if (!step.id || typeof step.id !== 'string') {
+        errors.push(`${label}.id is required`);
+      } else if (seenIds.has(step.id)) {
+        errors.push(`${label}.id "${step.id}" is duplicated`);
+      }
+
+      if (!STEP_TYPES.includes(step.type)) {
+        errors.push(`${label}.type must be one of: ${STEP_TYPES.join(', ')}`);
+      }
+
+      if (step.type === 'agent' && !this.orchestrator.getAgentClass(step.agent)) {
+        errors.push(`${label}.agent "${step.agent}" is not a known agent type`);
+      }
+
+      if (step.type === 'create-task') {
+        if (!step.task || !step.task.title) {
+          errors.push(`${label}.task.title is required`);
+        } else if (typeof step.task.priority === 'string' && !step.task.priority.includes('{{') &&
+                   !TASK_PRIORITIES.includes(step.task.priority)) {
+          errors.push(`${label}.task.priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+        }
+      }
+
+      errors.push(...this.validateConditions(step.when || [], `${label}.when`));
+      errors.push(...this.validateConditions(step.filter || [], `${label}.filter`));
+
+      // Steps may only reference the output of steps that run before them
+      this.collectStepReferences(step).forEach(reference => {
+        if (!seenIds.has(reference)) {
+          errors.push(`${label} references step "${reference}" which does not run before it`);
+        }
+      });
+
+      if (step.id) seenIds.add(step.id);
+    });
+
+    Object.entries(outputs).forEach(([name, path]) => {
+      const reference = this.getStepReference(path);
+      if (reference && !seenIds.has(reference)) {
+        errors.push(`outputs.${name} references unknown step "${reference}"`);
+      }
+    });
+
+    return errors;
+  }
+
+  validateConditions(conditions, label) {
+    if (!Array.isArray(conditions)) {
+      return [`${label} must be an array`];
+    }
+
+    const errors = [];
+    conditions.forEach((condition, index) => {
+      if (!condition || typeof condition.path !== 'string') {
+        errors.push(`${label}[${index}].path is required`);
+      }
+      if (!OPERATORS.includes(condition && condition.operator)) {
+        errors.push(`${label}[${index}].operator must be one of: ${OPERATORS.join(', ')}`);
+      }
+    });
+    return errors;
+  }
+
+  collectStepReferences(step) {
+    const references = new Set();
+    const visit = (value) => {
+      if (typeof value === 'string') {
+        const paths = value.match(/{{\s*([^}]+?)\s*}}/g) || [value];
+        paths.forEach(path => {
+          const reference = this.getStepReference(path.replace(/[{}\s]/g, ''));
+          if (reference) references.add(reference);
+        });
+      } else if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(visit);
+      }
+    };
+
+    visit([step.params, step.task, step.forEach, step.when, step.filter]);
+    return references;
+  }
+
+  getStepReference(path) {
+    const match = typeof path === 'string' && path.match(/^steps\.([^.]+)/);
+    return match ? match[1] : null;
+  }
+
+  async runWorkflow(workflowId, userId, input = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM workflows WHERE id = $1 AND user_id = $2
+    `, [workflowId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    return await this.executeWorkflow(result.rows[0], { type: 'manual', input });
+  }
+
+  async handleAgentCompleted({ userId, agentType, params = {}, result }) {
+    // Agent runs started by a workflow never trigger further workflows
+    if (!userId || !agentType || params.workflow) return;
+
+    const workflows = await this.db.query(`
+      SELECT * FROM workflows
+      WHERE user_id = $1
+        AND is_active = true
+        AND trigger_type = 'agent-completed'
+        AND definition->'trigger'->>'agent' = $2
+    `, [userId, agentType]);
+
+    for (const workflow of workflows.rows) {
+      await this.executeWorkflow(workflow, { type: 'agent-completed', agent: agentType, result });
+    }
+  }
+
+  async executeWorkflow(workflow, trigger) {
+    const definition = workflow.definition;
+    const context = {
+      input: trigger.input || {},
+      trigger,
+      steps: {}
+    };
+
+    const inserted = await this.db.query(`
+      INSERT INTO workflow_runs (workflow_id, user_id, status, trigger_data)
+      VALUES ($1, $2, 'running', $3)
+      RETURNING *
+    `, [workflow.id, workflow.user_id, JSON.stringify(trigger)]);
+    const workflowRun = { ...inserted.rows[0], workflow };
+
+    this.io.to(`user-${workflow.user_id}`).emit('workflow-run-started', {
+      workflowId: workflow.id,
+      workflowRunId: workflowRun.id
+    });
+
+    if (!this.evaluateConditions(definition.conditions || [], context)) {
+      return await this.finishWorkflowRun(workflowRun, 'skipped', context, {});
+    }
+
+    try {
+      for (const step of definition.steps) {
+        if (!this.evaluateConditions(step.when || [], context)) {
+          context.steps[step.id] = { skipped: true };
+          continue;
+        }
+
+        const handler = this.stepHandlers.get(step.type);
+        context.steps[step.id] = await handler(step, context, workflowRun);
+
+        this.io.to(`user-${workflow.user_id}`).emit('workflow-step-completed', {
+          workflowId: workflow.id,
+          workflowRunId: workflowRun.id,
+          stepId: step.id
+        });
+      }
+
+      const outputs = {};
+      Object.entries(definition.outputs || {}).forEach(([name, path]) => {
+        outputs[name] = this.resolvePath(context, path);
+      });
+
+      return await this.finishWorkflowRun(workflowRun, 'completed', context, outputs);
+    } catch (error) {
+      console.error(`Workflow ${workflow.id} failed:`, error);
+      return await this.finishWorkflowRun(workflowRun, 'failed', context, {}, error.message);
+    }
+  }
+
+  async runAgentStep(step, context, workflowRun) {
+    const userAgentId = await this.orchestrator.pipelineExecutor.findUserAgent(workflowRun.user_id, step.agent);
+    if (!userAgentId) {
+      throw new Error(`Agent ${step.agent} is not enabled for this user`);
+    }
+
+    const { runId, result } = await this.orchestrator.runQueue.runNow({
+      userAgentId,
+      params: {
+        ...this.renderTemplate(step.params || {}, context),
+        workflow: { id: workflowRun.workflow_id, runId: workflowRun.id }
+      },
+      triggerSource: 'workflow'
+    });
+
+    return { runId, result };
+  }
+
+  async runCreateTaskStep(step, context, workflowRun) {
+    let items = [null];
+
+    if (step.forEach) {
+      const collection = this.resolvePath(context, step.forEach);
+      items = Array.isArray(collection) ? collection : [];
+    }
+
+    const taskIds = [];
+    for (const item of items) {
+      const itemContext = { ...context, item };
+      if (!this.evaluateConditions(step.filter || [], itemContext)) continue;
+
+      const task = this.renderTemplate(step.task, itemContext);
+      const title = task.title === undefined || task.title === null ? '' : String(task.title).trim();
+      if (!title) {
+        throw new Error(`Step ${step.id} rendered an empty task title`);
+      }
+
+      const priority = TASK_PRIORITIES.includes(task.priority) ? task.priority : 'medium';
+      const dueDate = task.due_date && !isNaN(new Date(task.due_date)) ? new Date(task.due_date) : null;
+
+      const created = await this.taskService.createTask(workflowRun.user_id, {
+        title: title.slice(0, 255),
+        description: task.description || null,
+        priority,
+        dueDate,
+        tags: Array.isArray(task.tags) ? task.tags : [],
+        metadata: { workflowId: workflowRun.workflow_id, workflowRunId: workflowRun.id }
+      });
+
+      taskIds.push(created.id);
+    }
+
+    return { taskIds, count: taskIds.length };
+  }
+
+  async finishWorkflowRun(workflowRun, status, context, outputs, error = null) {
+    await this.db.query(`
+      UPDATE workflow_runs
+      SET status = $2, step_results = $3, outputs = $4, error = $5, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [workflowRun.id, status, JSON.stringify(context.steps), JSON.stringify(outputs), error]);
+
+    await this.db.query(`
+      UPDATE workflows SET last_run_at = CURRENT_TIMESTAMP WHERE id = $1
+    `, [workflowRun.workflow_id]);
+
+    this.io.to(`user-${workflowRun.user_id}`).emit('workflow-run-completed', {
+      workflowId: workflowRun.workflow_id,
+      workflowRunId: workflowRun.id,
+      status,
+      outputs,
+      error
+    });
+
+    return {
+      id: workflowRun.id,
+      workflowId: workflowRun.workflow_id,
+      status,
+      steps: context.steps,
+      outputs,
+      error
+    };
+  }
+
+  evaluateConditions(conditions, context) {
+    return conditions.every(({ path, operator, value }) => {
+      const actual = this.resolvePath(context, path);
+
+      switch (operator) {
+        case 'exists':
+          return actual !== undefined && actual !== null;
+        case 'not_exists':
+          return actual === undefined || actual === null;
+        case 'equals':
+          return actual === value;
+        case 'not_equals':
+          return actual !== value;
+        case 'gt':
+          return Number(actual) > Number(value);
+        case 'gte':
+          return Number(actual) >= Number(value);
+        case 'lt':
+          return Number(actual) < Number(value);
+        case 'lte':
+          return Number(actual) <= Number(value);
+        case 'contains':
+          return Array.isArray(actual) || typeof actual === 'string' ? actual.includes(value) : false;
+        case 'not_empty':
+          return Array.isArray(actual) ? actual.length > 0 : !!actual;
+        default:
+          return false;
+      }
+    });
+  }
+
+  resolvePath(context, path) {
+    return String(path).split('.').reduce((value, key) => {
+      return value === undefined || value === null ? undefined : value[key];
+    }, context);
+  }
+
+  renderTemplate(value, context) {
+    if (typeof value === 'string') {
+      // A value that is exactly one template keeps the resolved type
+      const single = value.match(/^{{\s*([^}]+?)\s*}}$/);
+      if (single) {
+        return this.resolvePath(context, single[1]);
+      }
+
+      return value.replace(/{{\s*([^}]+?)\s*}}/g, (match, path) => {
+        const resolved = this.resolvePath(context, path);
+        return resolved === undefined || resolved === null ? '' : String(resolved);
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(entry => this.renderTemplate(entry, context));
+    }
+
+    if (value && typeof value === 'object') {
+      const rendered = {};
+      Object.entries(value).forEach(([key, entry]) => {
+        rendered[key] = this.renderTemplate(entry, context);
+      });
+      return rendered;
+    }
+
+    return value;
+  }
+}
+
+module.exports = WorkflowEngine;